@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+// The scope without the browser: the same prompts and the same bundles as the app.
+//
+//   npm run build:api
+//   GROQ_API_KEY=gsk_... node scripts/hauntoloscope.mjs generate "The Berlin Wall fell in 1989"
+//
+// Commands:
+//
+//   generate "<seed>" | --seeds seeds.txt   draw a timeline for each seed
+//   interpolate <relic.json>                add interstitial entries after each entry
+//   file-articles <relic.json>              file an article for every entry without one
+//   render <relic.json> [--format html]     write the chronicle (markdown) or the front page (html)
+//
+// A relic is an exported bundle or a family relic. Commands that write universes print a bundle,
+// or a family relic when there are several, to stdout or --out; either opens with Import Relic.
+// Keys are read from GROQ_API_KEY, OPENAI_API_KEY and so on; run with --help for every option.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+
+const USAGE = `Usage: hauntoloscope <command> [options]
+
+Commands:
+  generate "<seed>"         draw a timeline; --seeds <file> reads one seed per line instead
+  interpolate <relic>       add interstitial entries after each entry (or each --entry)
+  file-articles <relic>     file an article for each entry without one (or each --entry)
+  render <relic>            write the chronicle as markdown, or the front page as html
+
+Seed options (generate):
+  --seeds <file>            one seed per line; blank lines and lines starting with # are skipped
+  --invert | --affirm       how to read the seed; unset follows the negation detector
+  --divergence-date <date>  --region <focus>  --horizon <span>
+  --entries <count>         entries in the timeline, 3 to 15
+
+Model options:
+  --provider <kind>         groq, openai, ollama, llamacpp or proxy, for every desk
+  --model <name>  --base-url <url>  --temperature <value>
+  --style <id or name>      house style; --styles <file> adds styles from an exported style file
+
+Other options:
+  --entry <id>              limit interpolate and file-articles to this entry; repeatable
+  --concurrency <n>         articles filed at once, default 2
+  --no-ledger               skip reading filed articles into the continuity ledger
+  --format markdown|html    render format, default markdown
+  --out <path>              write here instead of stdout; a directory when rendering several
+  -h, --help
+
+Keys come from the environment as <PROVIDER>_API_KEY, e.g. GROQ_API_KEY or OPENAI_API_KEY.`;
+
+const OPTIONS = {
+  seeds: { type: "string" },
+  invert: { type: "boolean" },
+  affirm: { type: "boolean" },
+  "divergence-date": { type: "string" },
+  region: { type: "string" },
+  horizon: { type: "string" },
+  entries: { type: "string" },
+  provider: { type: "string" },
+  model: { type: "string" },
+  "base-url": { type: "string" },
+  temperature: { type: "string" },
+  style: { type: "string" },
+  styles: { type: "string" },
+  entry: { type: "string", multiple: true },
+  concurrency: { type: "string" },
+  "no-ledger": { type: "boolean" },
+  format: { type: "string" },
+  out: { type: "string", short: "o" },
+  help: { type: "boolean", short: "h" }
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+async function loadApi() {
+  try {
+    return await import("../dist-api/api.mjs");
+  } catch (error) {
+    if (error?.code !== "ERR_MODULE_NOT_FOUND" || !String(error.message).includes("dist-api")) {
+      throw error;
+    }
+    console.error("The headless API is not built yet; run `npm run build:api` first.");
+    process.exit(1);
+  }
+}
+
+function progress(message) {
+  console.error(`· ${message}`);
+}
+
+function readNumber(values, name, { min = 0, max = Infinity, integer = false } = {}) {
+  const raw = values[name];
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  const kind = integer ? "a whole number" : "a number";
+  const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+  if (
+    !Number.isFinite(value) ||
+    value < min ||
+    value > max ||
+    (integer && !Number.isInteger(value))
+  ) {
+    throw new UsageError(`--${name} expects ${kind} ${range}`);
+  }
+  return value;
+}
+
+function providerOptions(api, values) {
+  if (values.provider && !api.PROVIDER_KINDS.includes(values.provider)) {
+    throw new UsageError(`--provider expects one of ${api.PROVIDER_KINDS.join(", ")}`);
+  }
+  const config = {
+    provider: values.provider,
+    model: values.model,
+    baseUrl: values["base-url"],
+    temperature: readNumber(values, "temperature")
+  };
+  const desk = Object.fromEntries(
+    Object.entries(config).filter(([, value]) => value !== undefined)
+  );
+  const keys = {};
+  api.PROVIDER_KINDS.forEach((kind) => {
+    const key = process.env[`${kind.toUpperCase()}_API_KEY`]?.trim();
+    if (key) keys[kind] = key;
+  });
+  return { providers: { timeline: desk, article: desk, interpolation: desk }, keys };
+}
+
+async function styleOption(api, values) {
+  if (!values.style) {
+    if (values.styles) throw new UsageError("--styles needs --style to pick one of its styles");
+    return undefined;
+  }
+  return api.findStyle(
+    values.style,
+    values.styles ? await readFile(values.styles, "utf8") : undefined
+  );
+}
+
+async function readRelic(api, path) {
+  if (!path) throw new UsageError("Name the relic file to work on");
+  return api.parseRelicText(await readFile(path, "utf8"));
+}
+
+// One universe goes out as a plain bundle, several as a family relic; both import the same way.
+function serializeUniverses(api, bundles) {
+  const relic = bundles.length === 1 ? bundles[0] : api.createFamilyRelic(bundles);
+  return `${JSON.stringify(relic, null, 2)}\n`;
+}
+
+async function writeOutput(text, out) {
+  if (out) {
+    await writeFile(out, text);
+    progress(`Wrote ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+async function readSeeds(values, positionals) {
+  if (values.seeds) {
+    const text = await readFile(values.seeds, "utf8");
+    return text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+  }
+  const seed = positionals.join(" ").trim();
+  return seed ? [seed] : [];
+}
+
+async function generate(api, values, positionals, options) {
+  if (values.invert && values.affirm) throw new UsageError("Choose --invert or --affirm, not both");
+  const seeds = await readSeeds(values, positionals);
+  if (seeds.length === 0) throw new UsageError('Give a seed, e.g. generate "The Wall never fell"');
+  // The seed builder clamps the entry count; here an out-of-range value is a mistake to report.
+  readNumber(values, "entries", { ...api.ENTRY_COUNT_LIMITS, integer: true });
+
+  const bundles = [];
+  let failures = 0;
+  for (const event of seeds) {
+    try {
+      bundles.push(
+        await api.generateUniverse(
+          {
+            event,
+            interpretation: values.invert ? "invert" : values.affirm ? "affirm" : undefined,
+            divergence_date: values["divergence-date"],
+            region: values.region,
+            horizon: values.horizon,
+            entry_count: values.entries
+          },
+          options
+        )
+      );
+    } catch (error) {
+      failures += 1;
+      console.error(`Could not scry "${event}": ${error.message}`);
+    }
+  }
+  if (bundles.length > 0) await writeOutput(serializeUniverses(api, bundles), values.out);
+  return failures === 0;
+}
+
+async function interpolate(api, values, positionals, options) {
+  const bundles = await readRelic(api, positionals[0]);
+  const results = [];
+  for (const bundle of bundles) {
+    results.push(await api.interpolateUniverse(bundle, { ...options, anchorIds: values.entry }));
+  }
+  await writeOutput(serializeUniverses(api, results), values.out);
+  return true;
+}
+
+async function fileArticles(api, values, positionals, options) {
+  const bundles = await readRelic(api, positionals[0]);
+  const concurrency = readNumber(values, "concurrency", { min: 1, integer: true });
+  const results = [];
+  let failures = 0;
+  for (const bundle of bundles) {
+    const result = await api.fileArticles(bundle, {
+      ...options,
+      entryIds: values.entry,
+      concurrency,
+      ledger: !values["no-ledger"]
+    });
+    result.failed.forEach(({ entryId, error }) =>
+      console.error(`Could not file ${entryId}: ${error}`)
+    );
+    progress(`${result.filed.length} filed, ${result.failed.length} failed`);
+    failures += result.failed.length;
+    results.push(result.bundle);
+  }
+  await writeOutput(serializeUniverses(api, results), values.out);
+  return failures === 0;
+}
+
+function slugify(value) {
+  return (
+    value
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "universe"
+  );
+}
+
+async function render(api, values, positionals, options) {
+  const format = values.format ?? "markdown";
+  if (format !== "markdown" && format !== "html") {
+    throw new UsageError("--format expects markdown or html");
+  }
+  const bundles = await readRelic(api, positionals[0]);
+  if (bundles.length === 1) {
+    await writeOutput(api.renderUniverse(bundles[0], format, options.style), values.out);
+    return true;
+  }
+  if (!values.out) {
+    throw new UsageError("The relic holds several universes; give --out a directory");
+  }
+  await mkdir(values.out, { recursive: true });
+  const extension = format === "markdown" ? "md" : "html";
+  for (const [index, bundle] of bundles.entries()) {
+    const name = `${String(index + 1).padStart(2, "0")}-${slugify(bundle.timeline.timeline_title)}`;
+    await writeOutput(
+      api.renderUniverse(bundle, format, options.style),
+      join(values.out, `${name}.${extension}`)
+    );
+  }
+  return true;
+}
+
+const COMMANDS = {
+  generate,
+  interpolate,
+  "file-articles": fileArticles,
+  render
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return true;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command "${command}"`);
+
+  const api = await loadApi();
+  const options = {
+    ...providerOptions(api, values),
+    style: await styleOption(api, values),
+    onProgress: progress
+  };
+  return run(api, values, rest, options);
+}
+
+// Exit codes are set rather than exited with, so a large relic piped to stdout is not cut short.
+main().then(
+  (ok) => {
+    process.exitCode = ok ? 0 : 1;
+  },
+  (error) => {
+    console.error(error.message ?? error);
+    error.issues?.forEach((issue) => console.error(`  ${issue.path}: ${issue.message}`));
+    const usage = error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS");
+    if (usage) console.error("Run with --help for usage.");
+    process.exitCode = usage ? 2 : 1;
+  }
+);
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+// A stand-in OpenAI-compatible chat server for exercising the scope without a real model.
+//
+//   node scripts/mock-llm-server.mjs [--port 8787] [--delay 15]
+//
+// Point any generation kind at it in Model Settings with the "OpenAI-compatible" or
+// "llama.cpp" provider. The base URL picks how it behaves:
+//
+//   http://localhost:8787/v1            well-formed replies for every request kind
+//   http://localhost:8787/malformed/v1  replies that are not JSON, so repair and validation fail
+//   http://localhost:8787/429/v1        rate limited, with a Retry-After header
+//   http://localhost:8787/500/v1        server errors
+//   http://localhost:8787/flaky/v1      each distinct request fails once with a 500, then succeeds
+//
+// The kind of request is recognised from its system prompt, and replies are built from the
+// request itself so ids line up with the timeline the app sent.
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const MODES = new Set(["ok", "malformed", "429", "500", "flaky"]);
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = Number(process.argv[index + 1]);
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`--${name} expects a non-negative number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+const port = readOption("port", 8787);
+const chunkDelay = readOption("delay", 15);
+const failedOnce = new Set();
+
+// Each system prompt opens with a role line that names its task.
+const KINDS = [
+  ["counterfactual analyst", "timeline"],
+  ["interstitial events", "interpolation"],
+  ["frontier chronicler", "extension"],
+  ["branch cartographer", "fork"],
+  ["revision desk", "entry revision"],
+  ["continuity editor", "ledger"],
+  ["features desk", "document"],
+  ["standards editor", "critique"],
+  ["front-page feature", "article"]
+];
+
+function detectKind(messages) {
+  const system = messages.find((message) => message.role === "system")?.content ?? "";
+  return KINDS.find(([marker]) => system.includes(marker))?.[1] ?? "unknown";
+}
+
+function readPayload(messages) {
+  const user = messages.find((message) => message.role === "user");
+  try {
+    return JSON.parse(user?.content ?? "{}");
+  } catch {
+    return {};
+  }
+}
+
+function mockEntry(id, year, title, threads) {
+  return {
+    id,
+    era: `${year}s`,
+    title,
+    summary: `${title}. Officials describe the change as procedural; archivists note the paperwork arrived a day before it was filed.`,
+    tone: "measured",
+    anchorDate: String(year),
+    threads
+  };
+}
+
+function mockTimeline(seed) {
+  return {
+    timeline_title: `After ${seed}`,
+    guiding_principle: "Institutions absorb the divergence slowly and leave a paper trail.",
+    entries: [
+      mockEntry("mock-1", 1950, "Commission convenes in the aftermath", ["policy", "archives"]),
+      mockEntry("mock-2", 1962, "Treaty drafted around the missing precedent", ["policy"]),
+      mockEntry("mock-3", 1979, "Regional markets reprice the new status quo", ["markets"]),
+      mockEntry("mock-4", 1994, "The records office reports an unexplained surplus", ["archives"])
+    ]
+  };
+}
+
+const DOCUMENTS = {
+  opinion: () => ({
+    headline: "We were promised a quieter decade",
+    byline: "A. Columnist",
+    standfirst: "The commission's calm is its own kind of argument.",
+    body: ["Nobody voted for the new normal.", "Yet here we are, filing it."]
+  }),
+  letters: () => ({
+    heading: "Readers respond",
+    letters: [
+      {
+        headline: "Not in my district",
+        body: "Sir, the ledger in our town hall has grown by a page.",
+        signature: "M. Reader",
+        location: "Harrowgate"
+      }
+    ]
+  }),
+  obituary: () => ({
+    name: "Edith Marlowe",
+    lifespan: "1901–1988",
+    headline: "Clerk who kept the commission's minutes",
+    body: ["She filed every session by hand.", "Colleagues recall her exactness."],
+    survived_by: "a niece"
+  }),
+  wire: () => ({
+    agency: "Mock Wire",
+    slug: "commission-update",
+    dateline: "GENEVA, March 3 (MW) -",
+    body: ["The commission met again on Tuesday.", "No vote was taken."]
+  }),
+  classifieds: () => ({
+    heading: "Classified advertising",
+    ads: [
+      { category: "Situations Vacant", text: "Archivist wanted, nights.", contact: "Box 14" },
+      { category: "Lost & Found", text: "Found: one treaty draft, unsigned." }
+    ]
+  }),
+  press_release: () => ({
+    issuer: "Ministry of Records",
+    headline: "Ministry confirms surplus is within tolerance",
+    release_date: "4 April",
+    body: ["The ministry has reviewed the surplus.", "It is within tolerance."],
+    contact: "press@records.example"
+  })
+};
+
+function mockReply(kind, payload) {
+  const seed = payload.seed_event || "the seed event";
+  switch (kind) {
+    case "timeline":
+      return mockTimeline(seed);
+    case "fork": {
+      const preserved = payload.preserved_entries ?? [];
+      const year = Number(payload.fork_entry?.anchorDate) || 1970;
+      return {
+        timeline_title: `${payload.timeline_title ?? "Timeline"} (branch)`,
+        guiding_principle: payload.guiding_principle ?? "",
+        entries: [
+          ...preserved,
+          mockEntry(`fork-${preserved.length + 1}`, year, payload.divergence || "Divergence", [
+            "branch"
+          ]),
+          mockEntry(`fork-${preserved.length + 2}`, year + 9, "The branch settles in", ["branch"])
+        ]
+      };
+    }
+    case "interpolation": {
+      const anchor = payload.anchor ?? {};
+      const year = Number(anchor.anchorDate) || 1960;
+      return {
+        entries: [
+          mockEntry(`${anchor.id ?? "mock"}-before`, year - 2, "A memo circulates early", ["memo"]),
+          mockEntry(`${anchor.id ?? "mock"}-after`, year + 2, "The memo is quietly withdrawn", [
+            "memo"
+          ])
+        ]
+      };
+    }
+    case "extension": {
+      // Spread the entries evenly across the requested chunk, oldest first.
+      const from = Number(payload.chunk?.from) || 1990;
+      const to = Number(payload.chunk?.to) || from + 10;
+      const count = payload.directives?.entry_count ?? 3;
+      const thread = payload.threads_catalogue?.[0]?.name ?? "frontier";
+      const years = Array.from({ length: count }, (_, index) =>
+        Math.round(from + ((to - from) * (index + 1)) / count)
+      ).sort((a, b) => a - b);
+      return {
+        entries: years.map((year) =>
+          mockEntry(`${payload.direction ?? "after"}-${year}`, year, "The frontier is surveyed", [
+            thread
+          ])
+        )
+      };
+    }
+    case "entry revision":
+      return {
+        ...payload.entry,
+        summary: `${payload.entry?.summary ?? ""} (Revised: ${payload.editorial_note ?? ""})`
+      };
+    case "article": {
+      const title = payload.entry?.title ?? "The commission";
+      return {
+        headline: `${title}: what the record shows`,
+        dateline: `${payload.entry?.anchorDate ?? "1950"} — Geneva`,
+        lede: `${title}, according to minutes reviewed by this newspaper.`,
+        body: [
+          "## The session\nDelegates met for four hours.",
+          "## The surplus\nThe records office counted one extra page.",
+          "## What comes next\nA further session is scheduled."
+        ],
+        sidebar: { title: "By the numbers", items: ["4 hours", "1 page", "0 votes"] },
+        pull_quote: "We filed it because it was there to be filed."
+      };
+    }
+    case "ledger":
+      return {
+        facts: [
+          { kind: "organization", name: "Ministry of Records", detail: "Keeps the surplus ledger" },
+          { kind: "statistic", name: "One extra page", detail: "Counted by the records office" }
+        ]
+      };
+    case "critique":
+      return {
+        critiques: (payload.items ?? []).map((item, index) => ({
+          id: item.id,
+          score: 7 + (index % 3),
+          issues: index % 2 ? ["Thin institutional detail."] : []
+        }))
+      };
+    case "document": {
+      const build = DOCUMENTS[payload.document?.kind];
+      return build ? build() : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    ...headers
+  });
+  response.end(JSON.stringify(body));
+}
+
+function errorBody(message, type) {
+  return { error: { message, type } };
+}
+
+async function streamContent(response, content) {
+  response.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*"
+  });
+  for (let index = 0; index < content.length; index += 24) {
+    const delta = content.slice(index, index + 24);
+    response.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+    if (chunkDelay) await new Promise((resolve) => setTimeout(resolve, chunkDelay));
+  }
+  response.end("data: [DONE]\n\n");
+}
+
+async function readBody(request) {
+  const chunks = [];
+  for await (const chunk of request) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function handleChat(request, response, mode) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(request));
+  } catch {
+    sendJson(response, 400, errorBody("Request body is not JSON", "invalid_request_error"));
+    return;
+  }
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const kind = detectKind(messages);
+  console.log(`${new Date().toISOString()} ${mode} ${kind}${body.stream ? " (stream)" : ""}`);
+
+  if (mode === "429") {
+    sendJson(response, 429, errorBody("Rate limit reached", "rate_limit_exceeded"), {
+      "Retry-After": "1"
+    });
+    return;
+  }
+  if (mode === "500") {
+    sendJson(response, 500, errorBody("Mock server error", "server_error"));
+    return;
+  }
+  if (mode === "flaky") {
+    const key = createHash("sha256").update(JSON.stringify(messages)).digest("hex");
+    if (!failedOnce.has(key)) {
+      failedOnce.add(key);
+      sendJson(response, 500, errorBody("Mock server error (first attempt)", "server_error"));
+      return;
+    }
+  }
+
+  let content;
+  if (mode === "malformed") {
+    content = '{"headline": "Truncated reply, "entries": [';
+  } else {
+    const reply = mockReply(kind, readPayload(messages));
+    if (!reply) {
+      sendJson(response, 400, errorBody(`Unrecognised ${kind} request`, "invalid_request_error"));
+      return;
+    }
+    content = JSON.stringify(reply);
+  }
+
+  if (body.stream) {
+    await streamContent(response, content);
+    return;
+  }
+  sendJson(response, 200, {
+    id: `mock-${Date.now()}`,
+    object: "chat.completion",
+    model: body.model ?? "mock",
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }]
+  });
+}
+
+const server = createServer((request, response) => {
+  if (request.method === "OPTIONS") {
+    response.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization"
+    });
+    response.end();
+    return;
+  }
+
+  const path = new URL(request.url ?? "/", "http://localhost").pathname;
+  const match = path.match(/^(?:\/([^/]+))?\/v1\/chat\/completions$/);
+  const mode = match ? (match[1] ?? "ok") : null;
+  if (request.method !== "POST" || !mode || !MODES.has(mode)) {
+    sendJson(response, 404, errorBody(`No route for ${request.method} ${path}`, "not_found"));
+    return;
+  }
+  handleChat(request, response, mode).catch((error) => {
+    console.error(error);
+    if (!response.headersSent) sendJson(response, 500, errorBody(String(error), "server_error"));
+    else response.end();
+  });
+});
+
+// With --port 0 the system picks a free port; the line below names it either way.
+server.listen(port, () => {
+  console.log(`Mock model server listening on http://localhost:${server.address().port}/v1`);
+});
@@ -0,0 +1,129 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { startMockServer } from "../src/test/servers";
+
+let mock;
+
+beforeAll(async () => {
+  mock = await startMockServer();
+});
+
+afterAll(() => mock.stop());
+
+function chat(mode, { system, payload = {}, stream = false } = {}) {
+  return fetch(`${mock.url}${mode ? `/${mode}` : ""}/v1/chat/completions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      model: "mock",
+      stream,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: JSON.stringify(payload) }
+      ]
+    })
+  });
+}
+
+async function replyContent(response) {
+  const body = await response.json();
+  return JSON.parse(body.choices[0].message.content);
+}
+
+// Reassembles the deltas of an SSE stream, checking it ends with [DONE].
+async function streamedContent(response) {
+  const events = (await response.text()).split("\n\n").filter(Boolean);
+  expect(events.at(-1)).toBe("data: [DONE]");
+  return events
+    .slice(0, -1)
+    .map((event) => JSON.parse(event.replace(/^data: /, "")).choices[0].delta.content)
+    .join("");
+}
+
+const TIMELINE = "You are a counterfactual analyst.";
+const ARTICLE = "You write the front-page feature.";
+
+describe("mock model server", () => {
+  it("answers a timeline request built from the seed", async () => {
+    const response = await chat(null, { system: TIMELINE, payload: { seed_event: "The Wall" } });
+    expect(response.status).toBe(200);
+    const timeline = await replyContent(response);
+    expect(timeline.timeline_title).toBe("After The Wall");
+    expect(timeline.entries.map((entry) => entry.id)).toEqual([
+      "mock-1",
+      "mock-2",
+      "mock-3",
+      "mock-4"
+    ]);
+  });
+
+  it("keys interpolations to the anchor it was sent", async () => {
+    const response = await chat(null, {
+      system: "You add interstitial events.",
+      payload: { anchor: { id: "mock-2", anchorDate: "1962" } }
+    });
+    const { entries } = await replyContent(response);
+    expect(entries.map((entry) => [entry.id, entry.anchorDate])).toEqual([
+      ["mock-2-before", "1960"],
+      ["mock-2-after", "1964"]
+    ]);
+  });
+
+  it("streams an article as server-sent events", async () => {
+    const response = await chat(null, {
+      system: ARTICLE,
+      payload: { entry: { title: "The vote" } },
+      stream: true
+    });
+    expect(response.headers.get("content-type")).toBe("text/event-stream");
+    const article = JSON.parse(await streamedContent(response));
+    expect(article.headline).toBe("The vote: what the record shows");
+    expect(article.body).toHaveLength(3);
+  });
+
+  it("sends broken JSON in malformed mode, streamed or not", async () => {
+    const plain = await chat("malformed", { system: TIMELINE });
+    const content = (await plain.json()).choices[0].message.content;
+    expect(() => JSON.parse(content)).toThrow();
+    const streamed = await chat("malformed", { system: ARTICLE, stream: true });
+    expect(await streamedContent(streamed)).toBe(content);
+  });
+
+  it("rate limits with a Retry-After header", async () => {
+    const response = await chat("429", { system: TIMELINE });
+    expect(response.status).toBe(429);
+    expect(response.headers.get("retry-after")).toBe("1");
+    expect((await response.json()).error.type).toBe("rate_limit_exceeded");
+  });
+
+  it("fails with a server error", async () => {
+    const response = await chat("500", { system: TIMELINE });
+    expect(response.status).toBe(500);
+    expect((await response.json()).error.type).toBe("server_error");
+  });
+
+  it("fails each distinct request once in flaky mode", async () => {
+    const request = { system: TIMELINE, payload: { seed_event: "Flaky seed" } };
+    expect((await chat("flaky", request)).status).toBe(500);
+    expect((await chat("flaky", request)).status).toBe(200);
+    const other = { system: TIMELINE, payload: { seed_event: "Another seed" } };
+    expect((await chat("flaky", other)).status).toBe(500);
+  });
+
+  it("refuses unknown routes, unknown prompts and bodies that are not JSON", async () => {
+    expect((await chat("teapot", { system: TIMELINE })).status).toBe(404);
+    expect((await fetch(`${mock.url}/v1/chat/completions`)).status).toBe(404);
+    expect((await chat(null, { system: "Say hello." })).status).toBe(400);
+    const garbled = await fetch(`${mock.url}/v1/chat/completions`, {
+      method: "POST",
+      body: "{not json"
+    });
+    expect(garbled.status).toBe(400);
+  });
+
+  it("answers CORS preflights", async () => {
+    const response = await fetch(`${mock.url}/v1/chat/completions`, { method: "OPTIONS" });
+    expect(response.status).toBe(204);
+    expect(response.headers.get("access-control-allow-origin")).toBe("*");
+    expect(response.headers.get("access-control-allow-headers")).toMatch(/Authorization/);
+  });
+});
@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+// A small server that holds the provider keys so the browser never sees them.
+//
+//   GROQ_API_KEY=gsk_... node scripts/proxy-server.mjs [--port 8788]
+//
+// Every OpenAI-compatible upstream with a key (or an explicit base URL) is exposed at
+// /<upstream>/v1/chat/completions; the timeline, article and interpolation desks all post there
+// with the "Hauntoloscope proxy" provider and no key. Configuration is read from the environment:
+//
+//   GROQ_API_KEY, GROQ_BASE_URL        default base https://api.groq.com/openai/v1
+//   OPENAI_API_KEY, OPENAI_BASE_URL    default base https://api.openai.com/v1
+//   PROXY_PORT                         default 8788
+//   PROXY_RATE_LIMIT                   requests per client per window, default 30
+//   PROXY_RATE_WINDOW                  window in seconds, default 60
+//   PROXY_MODELS                       comma-separated models to allow; unset allows any
+//   PROXY_ALLOWED_ORIGIN               comma-separated origins allowed to call it from another
+//                                      site (e.g. the dev server); unset allows same-origin only
+//   PROXY_TRUST_FORWARDED=1            identify clients by X-Forwarded-For (behind a load balancer)
+//   PROXY_STATIC_DIR                   built app to serve alongside the API, default dist/
+//
+// To try it without a real key, point an upstream at the mock model server:
+//
+//   GROQ_BASE_URL=http://localhost:8787/v1 node scripts/proxy-server.mjs
+import { createServer } from "node:http";
+import { readFile, stat } from "node:fs/promises";
+import { extname, join, normalize, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+const UPSTREAMS = {
+  groq: { label: "Groq", defaultBaseUrl: "https://api.groq.com/openai/v1" },
+  openai: { label: "OpenAI-compatible", defaultBaseUrl: "https://api.openai.com/v1" }
+};
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2"
+};
+
+function readNumber(name, flag, fallback) {
+  const index = process.argv.indexOf(`--${flag}`);
+  const raw = index === -1 ? process.env[name] : process.argv[index + 1];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    console.error(`${name} expects a positive number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+const port = readNumber("PROXY_PORT", "port", 8788);
+const rateLimit = readNumber("PROXY_RATE_LIMIT", "rate-limit", 30);
+const rateWindowMs = readNumber("PROXY_RATE_WINDOW", "rate-window", 60) * 1000;
+const allowedOrigins = new Set(
+  (process.env.PROXY_ALLOWED_ORIGIN ?? "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+);
+const trustForwarded = process.env.PROXY_TRUST_FORWARDED === "1";
+const allowedModels = new Set(
+  (process.env.PROXY_MODELS ?? "")
+    .split(",")
+    .map((model) => model.trim())
+    .filter(Boolean)
+);
+const staticDir = resolve(
+  process.env.PROXY_STATIC_DIR || fileURLToPath(new URL("../dist", import.meta.url))
+);
+
+// An upstream is served when it has a key, or when its base URL was set explicitly (a local
+// server that needs none).
+const upstreams = Object.fromEntries(
+  Object.entries(UPSTREAMS)
+    .map(([name, preset]) => {
+      const prefix = name.toUpperCase();
+      const apiKey = process.env[`${prefix}_API_KEY`]?.trim();
+      const baseUrl = process.env[`${prefix}_BASE_URL`]?.trim();
+      if (!apiKey && !baseUrl) return null;
+      return [
+        name,
+        {
+          ...preset,
+          apiKey,
+          baseUrl: (baseUrl || preset.defaultBaseUrl).replace(/\/+$/, "")
+        }
+      ];
+    })
+    .filter(Boolean)
+);
+
+if (Object.keys(upstreams).length === 0) {
+  console.error("No upstream configured: set GROQ_API_KEY, OPENAI_API_KEY or a *_BASE_URL.");
+  process.exit(1);
+}
+
+// Sliding window of request times per client.
+const requestLog = new Map();
+
+function takeRateToken(client, now) {
+  const recent = (requestLog.get(client) ?? []).filter((time) => now - time < rateWindowMs);
+  if (recent.length >= rateLimit) {
+    requestLog.set(client, recent);
+    return { allowed: false, retryAfterMs: recent[0] + rateWindowMs - now };
+  }
+  recent.push(now);
+  requestLog.set(client, recent);
+  return { allowed: true };
+}
+
+// Forget clients whose window has emptied so the log does not grow without bound.
+setInterval(() => {
+  const now = Date.now();
+  requestLog.forEach((times, client) => {
+    if (times.every((time) => now - time >= rateWindowMs)) requestLog.delete(client);
+  });
+}, rateWindowMs).unref();
+
+function clientOf(request) {
+  if (trustForwarded) {
+    const forwarded = request.headers["x-forwarded-for"];
+    const first = (Array.isArray(forwarded) ? forwarded[0] : forwarded)?.split(",")[0]?.trim();
+    if (first) return first;
+  }
+  return request.socket.remoteAddress ?? "unknown";
+}
+
+// Any page a colleague has open could otherwise spend the held keys, so browsers may only call
+// the proxy from the app it serves or from an origin listed explicitly. Requests without an
+// Origin header (curl, the command-line tool) are not from a web page and pass.
+function isOriginAllowed(request) {
+  const origin = request.headers.origin;
+  if (!origin || allowedOrigins.has("*") || allowedOrigins.has(origin)) return true;
+  const host = request.headers.host;
+  return origin === `http://${host}` || origin === `https://${host}`;
+}
+
+function applyCors(request, response) {
+  const origin = request.headers.origin;
+  if (!origin || !(allowedOrigins.has("*") || allowedOrigins.has(origin))) return;
+  response.setHeader("Access-Control-Allow-Origin", allowedOrigins.has("*") ? "*" : origin);
+  response.setHeader("Access-Control-Expose-Headers", "Retry-After");
+  response.setHeader("Vary", "Origin");
+}
+
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { "Content-Type": "application/json", ...headers });
+  response.end(JSON.stringify(body));
+}
+
+function errorBody(message, type) {
+  return { error: { message, type } };
+}
+
+class RequestBodyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "RequestBodyError";
+    this.status = status;
+  }
+}
+
+async function readBody(request) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new RequestBodyError("Request body is too large", 413);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function logRequest(fields) {
+  console.log(
+    [
+      new Date().toISOString(),
+      fields.client,
+      fields.upstream ?? "-",
+      fields.model ?? "-",
+      fields.stream ? "stream" : "once",
+      fields.status,
+      `${fields.durationMs}ms`,
+      fields.note ?? ""
+    ]
+      .join(" ")
+      .trim()
+  );
+}
+
+async function forwardChat(request, response, upstreamName, client) {
+  const started = Date.now();
+  const log = (fields) =>
+    logRequest({ client, upstream: upstreamName, durationMs: Date.now() - started, ...fields });
+
+  const upstream = upstreams[upstreamName];
+  if (!upstream) {
+    sendJson(response, 404, errorBody(`Upstream "${upstreamName}" is not configured`, "not_found"));
+    log({ status: 404 });
+    return;
+  }
+
+  const rate = takeRateToken(client, started);
+  if (!rate.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(rate.retryAfterMs / 1000));
+    sendJson(
+      response,
+      429,
+      errorBody("Rate limit reached for this client", "rate_limit_exceeded"),
+      { "Retry-After": String(retryAfter) }
+    );
+    log({ status: 429, note: `retry in ${retryAfter}s` });
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(request));
+  } catch (error) {
+    const status = error instanceof RequestBodyError ? error.status : 400;
+    const message = error instanceof RequestBodyError ? error.message : "Request body is not JSON";
+    sendJson(response, status, errorBody(message, "invalid_request_error"));
+    log({ status });
+    return;
+  }
+  if (!Array.isArray(body?.messages) || typeof body.model !== "string") {
+    sendJson(
+      response,
+      400,
+      errorBody("Expected a chat completion request", "invalid_request_error")
+    );
+    log({ status: 400 });
+    return;
+  }
+  if (allowedModels.size > 0 && !allowedModels.has(body.model)) {
+    sendJson(response, 403, errorBody(`Model "${body.model}" is not allowed`, "permission_denied"));
+    log({ status: 403, model: body.model });
+    return;
+  }
+
+  // Abandon the upstream call if the browser goes away (a cancelled article, say).
+  const controller = new AbortController();
+  response.on("close", () => {
+    if (!response.writableFinished) controller.abort();
+  });
+
+  const headers = { "Content-Type": "application/json" };
+  if (upstream.apiKey) headers.Authorization = `Bearer ${upstream.apiKey}`;
+  let upstreamResponse;
+  try {
+    upstreamResponse = await fetch(`${upstream.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      log({ status: 499, model: body.model, stream: body.stream, note: "client closed" });
+      return;
+    }
+    sendJson(response, 502, errorBody(`${upstream.label} is unreachable`, "upstream_error"));
+    log({ status: 502, model: body.model, stream: body.stream, note: String(error) });
+    return;
+  }
+
+  const retryAfter = upstreamResponse.headers.get("retry-after");
+  response.writeHead(upstreamResponse.status, {
+    "Content-Type": upstreamResponse.headers.get("content-type") ?? "application/json",
+    ...(retryAfter ? { "Retry-After": retryAfter } : {})
+  });
+  try {
+    for await (const chunk of upstreamResponse.body ?? []) response.write(chunk);
+    response.end();
+    log({ status: upstreamResponse.status, model: body.model, stream: body.stream });
+  } catch (error) {
+    response.destroy();
+    const note = controller.signal.aborted ? "client closed" : `stream failed: ${error}`;
+    log({ status: upstreamResponse.status, model: body.model, stream: body.stream, note });
+  }
+}
+
+async function serveStatic(pathname, response) {
+  const relative = normalize(pathname).replace(/^([/\\])+/, "");
+  let filePath = join(staticDir, relative);
+  if (filePath !== staticDir && !filePath.startsWith(staticDir + sep)) return false;
+  try {
+    if ((await stat(filePath)).isDirectory()) filePath = join(filePath, "index.html");
+    const content = await readFile(filePath);
+    response.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[extname(filePath)] ?? "application/octet-stream"
+    });
+    response.end(content);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const server = createServer((request, response) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url ?? "/", "http://localhost").pathname);
+  } catch {
+    sendJson(response, 400, errorBody("Malformed request path", "invalid_request_error"));
+    return;
+  }
+
+  if (!isOriginAllowed(request)) {
+    sendJson(
+      response,
+      403,
+      errorBody(`Origin ${request.headers.origin} is not allowed`, "permission_denied")
+    );
+    logRequest({ client: clientOf(request), status: 403, durationMs: 0, note: "origin refused" });
+    return;
+  }
+  applyCors(request, response);
+
+  if (request.method === "OPTIONS") {
+    response.writeHead(204, {
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization"
+    });
+    response.end();
+    return;
+  }
+
+  if (request.method === "GET" && pathname === "/health") {
+    sendJson(response, 200, { ok: true, upstreams: Object.keys(upstreams) });
+    return;
+  }
+
+  const chat = pathname.match(/^\/([^/]+)\/v1\/chat\/completions$/);
+  if (chat && request.method === "POST") {
+    forwardChat(request, response, chat[1], clientOf(request)).catch((error) => {
+      console.error(error);
+      if (!response.headersSent) sendJson(response, 500, errorBody(String(error), "server_error"));
+      else response.end();
+    });
+    return;
+  }
+
+  if (request.method === "GET") {
+    // Unknown paths fall back to the app's index so a deployed build loads from any route.
+    serveStatic(pathname, response)
+      .then((served) => served || serveStatic("/index.html", response))
+      .then((served) => {
+        if (!served)
+          sendJson(response, 404, errorBody(`No route for GET ${pathname}`, "not_found"));
+      })
+      .catch((error) => {
+        console.error(error);
+        if (!response.headersSent)
+          sendJson(response, 500, errorBody(String(error), "server_error"));
+        else response.end();
+      });
+    return;
+  }
+
+  sendJson(response, 404, errorBody(`No route for ${request.method} ${pathname}`, "not_found"));
+});
+
+server.listen(port, () => {
+  const names = Object.keys(upstreams).join(", ");
+  console.log(`Proxy listening on http://localhost:${port} (upstreams: ${names})`);
+  console.log(`Rate limit: ${rateLimit} requests per ${rateWindowMs / 1000}s per client`);
+});
@@ -0,0 +1,183 @@
+import { request as httpRequest } from "node:http";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { startMockServer, startProxy } from "../src/test/servers";
+
+// The mock model server stands in for the upstream; groq answers normally, openai rate limits.
+let upstream;
+let proxy;
+let staticDir;
+
+beforeAll(async () => {
+  upstream = await startMockServer();
+  staticDir = await mkdtemp(join(tmpdir(), "proxy-static-"));
+  await writeFile(join(staticDir, "index.html"), "<title>desk</title>");
+  proxy = await startProxy({
+    GROQ_API_KEY: "gsk_test",
+    GROQ_BASE_URL: `${upstream.url}/v1`,
+    OPENAI_BASE_URL: `${upstream.url}/429/v1`,
+    PROXY_MODELS: "mock,other-mock",
+    PROXY_STATIC_DIR: staticDir
+  });
+});
+
+afterAll(async () => {
+  await proxy?.stop();
+  await upstream?.stop();
+  if (staticDir) await rm(staticDir, { recursive: true, force: true });
+});
+
+// node:http rather than fetch, so paths go out unnormalised and Origin can be set freely.
+function send(server, path, { method = "GET", headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(server.url);
+    const request = httpRequest(
+      { host: url.hostname, port: url.port, path, method, headers },
+      (response) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () =>
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            text: Buffer.concat(chunks).toString("utf8")
+          })
+        );
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+function chat(server, upstreamName, { model = "mock", stream = false, headers = {} } = {}) {
+  return send(server, `/${upstreamName}/v1/chat/completions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({
+      model,
+      stream,
+      messages: [
+        { role: "system", content: "You are a counterfactual analyst." },
+        { role: "user", content: JSON.stringify({ seed_event: "The Wall" }) }
+      ]
+    })
+  });
+}
+
+describe("proxy server", () => {
+  it("reports its upstreams on /health", async () => {
+    const response = await send(proxy, "/health");
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.text)).toEqual({ ok: true, upstreams: ["groq", "openai"] });
+  });
+
+  it("forwards chat completions to the upstream", async () => {
+    const response = await chat(proxy, "groq");
+    expect(response.status).toBe(200);
+    const content = JSON.parse(JSON.parse(response.text).choices[0].message.content);
+    expect(content.timeline_title).toBe("After The Wall");
+  });
+
+  it("passes a stream through as it arrives", async () => {
+    const response = await chat(proxy, "groq", { stream: true });
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("text/event-stream");
+    expect(response.text.trim().endsWith("data: [DONE]")).toBe(true);
+  });
+
+  it("relays the upstream's rate limit with its Retry-After", async () => {
+    const response = await chat(proxy, "openai");
+    expect(response.status).toBe(429);
+    expect(response.headers["retry-after"]).toBe("1");
+  });
+
+  it("answers a malformed path with 400 and keeps serving", async () => {
+    const response = await send(proxy, "/%E0%A4%A");
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.text).error.message).toBe("Malformed request path");
+    expect((await send(proxy, "/health")).status).toBe(200);
+  });
+
+  it("refuses pages on other origins and allows its own", async () => {
+    const refused = await chat(proxy, "groq", { headers: { Origin: "http://evil.example" } });
+    expect(refused.status).toBe(403);
+    expect(refused.headers["access-control-allow-origin"]).toBeUndefined();
+    const host = new URL(proxy.url).host;
+    const own = await chat(proxy, "groq", { headers: { Origin: `http://${host}` } });
+    expect(own.status).toBe(200);
+  });
+
+  it("refuses models outside PROXY_MODELS and upstreams it does not hold", async () => {
+    expect((await chat(proxy, "groq", { model: "gpt-unlisted" })).status).toBe(403);
+    expect((await chat(proxy, "anthropic")).status).toBe(404);
+  });
+
+  it("rejects bodies that are not chat completion requests", async () => {
+    const notJson = await send(proxy, "/groq/v1/chat/completions", { method: "POST", body: "{" });
+    expect(notJson.status).toBe(400);
+    const noMessages = await send(proxy, "/groq/v1/chat/completions", {
+      method: "POST",
+      body: JSON.stringify({ model: "mock" })
+    });
+    expect(noMessages.status).toBe(400);
+  });
+
+  it("serves the built app and falls back to its index, but nothing outside it", async () => {
+    expect((await send(proxy, "/")).text).toBe("<title>desk</title>");
+    expect((await send(proxy, "/universe/42")).text).toBe("<title>desk</title>");
+    const escaped = await send(proxy, "/..%2Fpackage.json");
+    expect(escaped.text).not.toMatch(/"name"/);
+  });
+
+  it("never logs keys or prompts", () => {
+    expect(proxy.output()).not.toMatch(/gsk_test|counterfactual analyst|The Wall/);
+  });
+});
+
+describe("proxy server with limits", () => {
+  let limited;
+
+  beforeAll(async () => {
+    limited = await startProxy({
+      GROQ_BASE_URL: `${upstream.url}/v1`,
+      PROXY_RATE_LIMIT: "2",
+      PROXY_ALLOWED_ORIGIN: "http://localhost:5173"
+    });
+  });
+
+  afterAll(() => limited?.stop());
+
+  it("lets a listed origin call it, with CORS headers and preflights", async () => {
+    const origin = { Origin: "http://localhost:5173" };
+    const preflight = await send(limited, "/groq/v1/chat/completions", {
+      method: "OPTIONS",
+      headers: origin
+    });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers["access-control-allow-origin"]).toBe("http://localhost:5173");
+    const response = await chat(limited, "groq", { headers: origin });
+    expect(response.status).toBe(200);
+    expect(response.headers["access-control-expose-headers"]).toBe("Retry-After");
+  });
+
+  it("rate limits each client on its own window", async () => {
+    // The preflight does not count; the chat above took one of the two tokens.
+    expect((await chat(limited, "groq")).status).toBe(200);
+    const limitedResponse = await chat(limited, "groq");
+    expect(limitedResponse.status).toBe(429);
+    expect(Number(limitedResponse.headers["retry-after"])).toBeGreaterThan(0);
+    expect(limitedResponse.text).toMatch(/Rate limit reached for this client/);
+  });
+
+  it("reports an unreachable upstream as 502", async () => {
+    const unreachable = await startProxy({ GROQ_BASE_URL: "http://127.0.0.1:9/v1" });
+    try {
+      expect((await chat(unreachable, "groq")).status).toBe(502);
+    } finally {
+      await unreachable.stop();
+    }
+  });
+});
@@ -0,0 +1,198 @@
+// @vitest-environment jsdom
+import { cleanup, render, screen, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App";
+import { parseRelicText } from "./lib/bundle";
+import { GenerationKind, ProviderConfig } from "./lib/providers";
+import { RunningServer, startMockServer } from "./test/servers";
+
+// Requests go through the real fetch to scripts/mock-llm-server.mjs; the path picks its mode.
+let mock: RunningServer;
+
+beforeAll(async () => {
+  mock = await startMockServer();
+});
+
+afterAll(() => mock.stop());
+
+// Anything that only has to appear once the model has answered.
+const REPLY = { timeout: 10_000 };
+
+// Nothing listens on the discard port, so a desk pointed here can only answer from a recording.
+const OFFLINE = "http://127.0.0.1:9/v1";
+
+function useMockServer(modes: Partial<Record<GenerationKind, string>> = {}) {
+  useDesks((kind) => `${mock.url}${modes[kind] ? `/${modes[kind]}` : ""}/v1`);
+}
+
+function useDesks(baseUrl: (kind: GenerationKind) => string) {
+  const desk = (kind: GenerationKind): ProviderConfig => ({
+    provider: "llamacpp",
+    baseUrl: baseUrl(kind),
+    model: "mock",
+    temperature: 0.7
+  });
+  localStorage.setItem(
+    "hauntoloscope.providers",
+    JSON.stringify({
+      timeline: desk("timeline"),
+      article: desk("article"),
+      interpolation: desk("interpolation")
+    })
+  );
+}
+
+// Exports go out through an object URL and a link click; keep the blob instead.
+function captureDownloads() {
+  const blobs: Blob[] = [];
+  URL.createObjectURL = vi.fn((blob: Blob) => {
+    blobs.push(blob);
+    return `blob:download-${blobs.length}`;
+  });
+  URL.revokeObjectURL = vi.fn();
+  vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+  return blobs;
+}
+
+type User = ReturnType<typeof userEvent.setup>;
+
+async function scry(user: User, seed = "The Wall fell") {
+  const field = screen.getByPlaceholderText(/moment you wish to disturb/);
+  await user.clear(field);
+  await user.type(field, seed);
+  await user.click(screen.getByRole("button", { name: "Bend the Axis" }));
+}
+
+// Generates, interpolates after the first entry and files its article.
+async function walkTheDesk(user: User) {
+  await scry(user);
+  await screen.findAllByText("Commission convenes in the aftermath", {}, REPLY);
+  await user.click(screen.getAllByRole("button", { name: "Generate More Events" })[0]);
+  await screen.findAllByText("A memo circulates early", {}, REPLY);
+  await user.click(screen.getAllByRole("button", { name: "Summon Chronicle" })[0]);
+  await screen.findByText("Commission convenes in the aftermath: what the record shows", {}, REPLY);
+  // The filed story is read into the continuity ledger.
+  await screen.findByText("Ministry of Records", {}, REPLY);
+}
+
+const requestsServed = () => mock.output().match(/ ok /g)?.length ?? 0;
+
+// Failed requests and repair rounds are logged; the assertions read the desk instead.
+beforeEach(() => {
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+describe("App", () => {
+  it("generates, interpolates, files an article, exports and imports it again", async () => {
+    useMockServer();
+    const blobs = captureDownloads();
+    const user = userEvent.setup();
+    render(<App />);
+    await walkTheDesk(user);
+    expect(screen.getAllByRole("button", { name: /Chronicle$/ })).toHaveLength(6);
+
+    await user.click(screen.getByRole("button", { name: "Export Relic" }));
+    expect(blobs).toHaveLength(1);
+    const exported = await blobs[0].text();
+    const [bundle] = parseRelicText(exported);
+    expect(bundle.timeline.entries.map((entry) => entry.id)).toEqual([
+      "mock-1",
+      "mock-1-before",
+      "mock-1-after",
+      "mock-2",
+      "mock-3",
+      "mock-4"
+    ]);
+    expect(Object.keys(bundle.articles)).toEqual(["mock-1"]);
+    expect(bundle.ledger?.facts.map((fact) => fact.name)).toContain("Ministry of Records");
+
+    // A fresh desk, as if the relic were opened in another browser.
+    cleanup();
+    const { container } = render(<App />);
+    const input = container.querySelector<HTMLInputElement>('input[accept="application/json"]');
+    await user.upload(input!, new File([exported], "relic.json", { type: "application/json" }));
+    await screen.findAllByText("The memo is quietly withdrawn", {}, REPLY);
+    expect(screen.getAllByRole("button", { name: "Summon Chronicle" })).toHaveLength(5);
+    expect(screen.getByRole("button", { name: "Open Chronicle" })).toBeInTheDocument();
+  }, 30_000);
+
+  it("shows the validation problems of a reply that is not JSON", async () => {
+    useMockServer({ timeline: "malformed" });
+    const user = userEvent.setup();
+    render(<App />);
+    await scry(user);
+
+    const alert = await screen.findByRole("alert", {}, REPLY);
+    expect(alert).toHaveTextContent(/invalid timeline/);
+    expect(within(alert).getAllByRole("listitem").length).toBeGreaterThan(0);
+    expect(screen.queryByRole("button", { name: "Summon Chronicle" })).not.toBeInTheDocument();
+  }, 15_000);
+
+  it("reports a rate limit once its retries run out", async () => {
+    useMockServer({ timeline: "429" });
+    const user = userEvent.setup();
+    render(<App />);
+    await scry(user);
+
+    const alert = await screen.findByRole("alert", {}, REPLY);
+    expect(alert).toHaveTextContent(/request failed: 429/);
+    expect(alert).toHaveTextContent(/Rate limit reached/);
+  }, 15_000);
+
+  it("marks a story failed when the article desk keeps erroring", async () => {
+    useMockServer({ article: "500" });
+    const user = userEvent.setup();
+    render(<App />);
+    await scry(user);
+
+    await screen.findAllByText("Commission convenes in the aftermath", {}, REPLY);
+    await user.click(screen.getAllByRole("button", { name: "Summon Chronicle" })[0]);
+    await screen.findByText("Scribing failed — retry", {}, REPLY);
+    expect(screen.getAllByText(/request failed: 500/).length).toBeGreaterThan(0);
+  }, 15_000);
+});
+
+describe("App in replay", () => {
+  const cachePanel = () => screen.getByText(/^Recording ·/).closest("details") as HTMLElement;
+
+  it("replays a recorded session without reaching the model", async () => {
+    useMockServer();
+    const blobs = captureDownloads();
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(within(cachePanel()).getByRole("radio", { name: "Record" }));
+    await walkTheDesk(user);
+    await user.click(within(cachePanel()).getByRole("button", { name: "Export Fixture" }));
+    const recording = await blobs[0].text();
+    expect(Object.keys(JSON.parse(recording).entries)).toHaveLength(4);
+
+    cleanup();
+    useDesks(() => OFFLINE);
+    const served = requestsServed();
+    render(<App />);
+    const panel = cachePanel();
+    await user.click(within(panel).getByRole("radio", { name: "Replay" }));
+    await user.upload(
+      panel.querySelector<HTMLInputElement>('input[type="file"]')!,
+      new File([recording], "session.json", { type: "application/json" })
+    );
+    await within(panel).findByText(/4 replies recorded/);
+
+    await walkTheDesk(user);
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+    expect(requestsServed()).toBe(served);
+  }, 30_000);
+
+  it("names the request a recording does not hold", async () => {
+    useDesks(() => OFFLINE);
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(within(cachePanel()).getByRole("radio", { name: "Replay" }));
+    await scry(user, "A seed nobody recorded");
+
+    const alert = await screen.findByRole("alert", {}, REPLY);
+    expect(alert).toHaveTextContent(/No recorded timeline matches this request/);
+  }, 15_000);
+});
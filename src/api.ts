@@ -0,0 +1,263 @@
+// The headless entry point: the app's prompts, reducer and bundle format without the React
+// desk, for scripts and `scripts/hauntoloscope.mjs`. Build it for Node with `npm run build:api`.
+import { ArticleResponse, HauntoloscopeBundle, TimelineEntry } from "./types";
+import { createFamilyRelic, parseRelicText } from "./lib/bundle";
+import { composeChronicle, renderChronicleMarkdown } from "./lib/chronicle";
+import { composeEdition } from "./lib/edition";
+import { entryFingerprint } from "./lib/entries";
+import {
+  extractContinuity,
+  generateArticle,
+  generateInterpolations,
+  generateTimeline
+} from "./lib/groq";
+import { selectRelevantFacts } from "./lib/ledger";
+import { createUniverseId } from "./lib/library";
+import {
+  GenerationKind,
+  PROVIDER_KINDS,
+  ProviderConfig,
+  ProviderKeys,
+  missingKeyMessage,
+  normalizeProviderSettings,
+  resolveConnection,
+  toModelStamp
+} from "./lib/providers";
+import { runQueue } from "./lib/queue";
+import { ENTRY_COUNT_LIMITS, SeedDraft, resolveSeed } from "./lib/seed";
+import {
+  BUILT_IN_STYLES,
+  DEFAULT_STYLE,
+  HouseStyle,
+  parseHouseStyles,
+  stampStyle
+} from "./lib/styles";
+import {
+  EMPTY_UNIVERSE,
+  UniverseAction,
+  UniverseState,
+  createBundle,
+  universeReducer
+} from "./lib/universe";
+import { renderEditionHtml } from "./components/Broadsheet";
+
+export type { HauntoloscopeBundle, SeedParameters, TimelineEntry } from "./types";
+export type { HouseStyle } from "./lib/styles";
+export type { ProviderConfig, ProviderKeys, ProviderKind } from "./lib/providers";
+export { ENTRY_COUNT_LIMITS, PROVIDER_KINDS, createFamilyRelic, parseRelicText };
+
+export type HeadlessOptions = {
+  // Per desk, as in Model Settings; anything left out falls back to the app's defaults.
+  providers?: Partial<Record<GenerationKind, Partial<ProviderConfig>>>;
+  keys?: ProviderKeys;
+  style?: HouseStyle;
+  onProgress?: (message: string) => void;
+};
+
+export type RenderFormat = "markdown" | "html";
+
+export type ArticleFailure = { entryId: string; error: string };
+
+function connectionFor(options: HeadlessOptions, kind: GenerationKind) {
+  const settings = normalizeProviderSettings(options.providers);
+  const connection = resolveConnection(settings, options.keys ?? {}, kind);
+  const keyProblem = missingKeyMessage(connection);
+  if (keyProblem) throw new Error(keyProblem);
+  return connection;
+}
+
+// Looks a house style up by id or name among the built-ins and, when given the text of an
+// exported style file, the styles it holds.
+export function findStyle(query: string, stylesText?: string) {
+  const styles = stylesText
+    ? [...BUILT_IN_STYLES, ...parseHouseStyles(stylesText, BUILT_IN_STYLES)]
+    : BUILT_IN_STYLES;
+  const name = query.trim().toLowerCase();
+  const style =
+    styles.find((item) => item.id === query.trim()) ??
+    styles.find((item) => item.name.toLowerCase() === name);
+  if (!style) {
+    throw new Error(
+      `No house style "${query}". Known styles: ${styles.map((item) => item.id).join(", ")}.`
+    );
+  }
+  return style;
+}
+
+function errorMessage(error: unknown) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+// A bundle is worked on through the same reducer the desk uses, so it comes back out exactly as
+// Export Bundle would have written it.
+function openUniverse(bundle: HauntoloscopeBundle) {
+  let state = universeReducer(EMPTY_UNIVERSE, {
+    type: "loaded",
+    bundle,
+    universeId: bundle.universe_id ?? createUniverseId()
+  });
+  return {
+    dispatch: (action: UniverseAction) => {
+      state = universeReducer(state, action);
+    },
+    getState: (): UniverseState => state
+  };
+}
+
+function toBundle(state: UniverseState) {
+  const bundle = createBundle(state);
+  if (!bundle) throw new Error("The universe has no timeline.");
+  return bundle;
+}
+
+export async function generateUniverse(
+  seed: string | SeedDraft,
+  options: HeadlessOptions = {}
+): Promise<HauntoloscopeBundle> {
+  const resolved = resolveSeed(typeof seed === "string" ? { event: seed } : seed);
+  if (!resolved.event) throw new Error("A seed event is required.");
+  const connection = connectionFor(options, "timeline");
+  options.onProgress?.(`Scrying "${resolved.event}" with ${connection.model}`);
+  const timeline = await generateTimeline(connection, resolved, options.style ?? DEFAULT_STYLE);
+  const state = universeReducer(EMPTY_UNIVERSE, {
+    type: "generated",
+    universeId: createUniverseId(),
+    seed: resolved,
+    timeline,
+    model: toModelStamp(connection)
+  });
+  return toBundle(state);
+}
+
+// Adds interstitial entries after each anchor in turn, each request seeing the entries the
+// previous one spliced in. Anchors default to every entry the bundle started with.
+export async function interpolateUniverse(
+  bundle: HauntoloscopeBundle,
+  options: HeadlessOptions & { anchorIds?: string[] } = {}
+): Promise<HauntoloscopeBundle> {
+  const connection = connectionFor(options, "interpolation");
+  const { dispatch, getState } = openUniverse(bundle);
+  const anchorIds = options.anchorIds ?? bundle.timeline.entries.map((entry) => entry.id);
+
+  for (const anchorId of anchorIds) {
+    const state = getState();
+    const timeline = state.timeline.present;
+    const entries = timeline?.entries ?? [];
+    const index = entries.findIndex((entry) => entry.id === anchorId);
+    if (!timeline || index === -1) throw new Error(`No entry with id "${anchorId}".`);
+    const current = entries[index];
+    options.onProgress?.(`Interpolating after "${current.title}"`);
+    const { entries: additions } = await generateInterpolations(connection, state.seed, {
+      previous: entries[index - 1],
+      current,
+      next: entries[index + 1],
+      timeline,
+      ledger: selectRelevantFacts(state.ledger, current, timeline),
+      style: options.style
+    });
+    if (!additions?.length) continue;
+    dispatch({
+      type: "interpolated",
+      anchorId,
+      entries: additions,
+      model: toModelStamp(connection)
+    });
+  }
+  return toBundle(getState());
+}
+
+// Files an article for each entry that has none (or for `entryIds`), then reads each into the
+// continuity ledger as the desk does. Failed stories are reported rather than thrown, so one bad
+// reply does not cost the rest of the edition.
+export async function fileArticles(
+  bundle: HauntoloscopeBundle,
+  options: HeadlessOptions & {
+    entryIds?: string[];
+    concurrency?: number;
+    ledger?: boolean;
+    signal?: AbortSignal;
+  } = {}
+): Promise<{ bundle: HauntoloscopeBundle; filed: string[]; failed: ArticleFailure[] }> {
+  const connection = connectionFor(options, "article");
+  const style = options.style ?? DEFAULT_STYLE;
+  const { dispatch, getState } = openUniverse(bundle);
+  const timeline = bundle.timeline;
+  const queue = options.entryIds
+    ? options.entryIds.map((id) => {
+        const entry = timeline.entries.find((item) => item.id === id);
+        if (!entry) throw new Error(`No entry with id "${id}".`);
+        return entry;
+      })
+    : timeline.entries.filter((entry) => !bundle.articles[entry.id]);
+
+  // Extractions run one at a time, as on the desk, so a batch does not double its request rate.
+  let ledgerChain = Promise.resolve();
+  const extract = (entry: TimelineEntry, article: ArticleResponse) => {
+    ledgerChain = ledgerChain.then(async () => {
+      try {
+        const { facts } = await extractContinuity(
+          connection,
+          entry,
+          article,
+          getState().ledger.facts
+        );
+        dispatch({ type: "facts_extracted", entryId: entry.id, facts });
+      } catch (error) {
+        options.onProgress?.(
+          `Could not read "${entry.title}" into the ledger: ${errorMessage(error)}`
+        );
+      }
+    });
+  };
+
+  const filed: string[] = [];
+  const failed: ArticleFailure[] = [];
+  await runQueue(
+    queue,
+    async (entry) => {
+      options.onProgress?.(`Filing "${entry.title}"`);
+      const article = await generateArticle(connection, getState().seed, entry, timeline, {
+        signal: options.signal,
+        ledger: selectRelevantFacts(getState().ledger, entry, timeline),
+        style
+      });
+      dispatch({
+        type: "article_filed",
+        entryId: entry.id,
+        article,
+        fingerprint: entryFingerprint(entry),
+        style: stampStyle(style),
+        model: toModelStamp(connection)
+      });
+      if (options.ledger ?? true) extract(entry, article);
+    },
+    {
+      concurrency: options.concurrency ?? 2,
+      signal: options.signal,
+      onSettled: (entry, _, result) => {
+        if (result.status === "fulfilled") filed.push(entry.id);
+        else failed.push({ entryId: entry.id, error: errorMessage(result.reason) });
+      }
+    }
+  );
+  await ledgerChain;
+  return { bundle: toBundle(getState()), filed, failed };
+}
+
+// Markdown is the chronicle export; HTML is the front page, which needs at least one article.
+export function renderUniverse(
+  bundle: HauntoloscopeBundle,
+  format: RenderFormat,
+  style: HouseStyle = DEFAULT_STYLE
+) {
+  if (format === "markdown") return renderChronicleMarkdown(composeChronicle(bundle));
+  const edition = composeEdition(
+    bundle.timeline,
+    bundle.articles,
+    bundle.seed_summary ?? "",
+    null,
+    style.masthead
+  );
+  if (!edition) throw new Error("The universe has no filed articles to set as a front page.");
+  return renderEditionHtml(edition);
+}
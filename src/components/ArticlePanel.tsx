@@ -0,0 +1,508 @@
+import { useEffect, useRef, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import type { Components } from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { PartialArticle } from "../lib/groq";
+import { DOCUMENT_KINDS, DOCUMENT_LABELS, documentTitle } from "../lib/documents";
+import { articleText, findArticleVersion } from "../lib/revisions";
+import { ArticleState } from "../lib/universe";
+import { DocumentKind, FiledDocument, TimelineEntry } from "../types";
+import { DocumentView } from "./DocumentView";
+import { RevisionComposer } from "./RevisionComposer";
+import { ValidationIssueList } from "./ValidationIssueList";
+import { VersionBrowser } from "./VersionBrowser";
+
+const ARTICLE_MARKDOWN_COMPONENTS: Components = {
+  h2: ({ node, ...props }) => (
+    <h3
+      style={{
+        fontSize: "1.6rem",
+        letterSpacing: "0.05em",
+        textTransform: "uppercase",
+        margin: "1.5rem 0 0.75rem"
+      }}
+      {...props}
+    />
+  ),
+  h3: ({ node, ...props }) => (
+    <h4
+      style={{
+        fontSize: "1.3rem",
+        letterSpacing: "0.04em",
+        textTransform: "uppercase",
+        margin: "1.2rem 0 0.6rem"
+      }}
+      {...props}
+    />
+  ),
+  p: ({ node, ...props }) => (
+    <p
+      style={{
+        margin: "0 0 1rem",
+        lineHeight: 1.7,
+        opacity: 0.95
+      }}
+      {...props}
+    />
+  ),
+  strong: ({ node, ...props }) => (
+    <strong
+      style={{
+        fontWeight: 600,
+        letterSpacing: "0.02em"
+      }}
+      {...props}
+    />
+  ),
+  em: ({ node, ...props }) => (
+    <em
+      style={{
+        fontStyle: "italic"
+      }}
+      {...props}
+    />
+  ),
+  ul: ({ node, ...props }) => (
+    <ul
+      style={{
+        paddingLeft: "1.5rem",
+        margin: "0 0 1rem",
+        lineHeight: 1.6
+      }}
+      {...props}
+    />
+  ),
+  ol: ({ node, ...props }) => (
+    <ol
+      style={{
+        paddingLeft: "1.5rem",
+        margin: "0 0 1rem",
+        lineHeight: 1.6
+      }}
+      {...props}
+    />
+  ),
+  li: ({ node, ...props }) => (
+    <li
+      style={{
+        marginBottom: "0.35rem"
+      }}
+      {...props}
+    />
+  ),
+  blockquote: ({ node, ...props }) => (
+    <blockquote
+      style={{
+        borderLeft: "3px solid rgba(245,241,230,0.25)",
+        margin: "1.5rem 0",
+        padding: "0.75rem 1rem",
+        fontStyle: "italic",
+        background: "rgba(50, 40, 70, 0.25)"
+      }}
+      {...props}
+    />
+  )
+};
+
+const LEDE_MARKDOWN_COMPONENTS: Components = {
+  ...ARTICLE_MARKDOWN_COMPONENTS,
+  p: ({ node, ...props }) => (
+    <p
+      style={{
+        margin: "0 0 1rem",
+        lineHeight: 1.7,
+        fontWeight: 600,
+        fontSize: "1.05rem",
+        letterSpacing: "0.01em"
+      }}
+      {...props}
+    />
+  )
+};
+
+type ArticlePanelProps = {
+  seedSummary: string;
+  entry: TimelineEntry;
+  articleState?: ArticleState;
+  isStale: boolean;
+  onCancel: () => void;
+  onRefile: () => void;
+  onRevise: (note: string) => void;
+  onSelectVersion: (index: number) => void;
+  documents: FiledDocument[];
+  commissioning: DocumentKind | null;
+  onCommission: (kind: DocumentKind) => void;
+  onRemoveDocument: (documentId: string) => void;
+};
+
+const documentTabStyle = (active: boolean) => ({
+  fontSize: "0.75rem",
+  padding: "0.3rem 0.7rem",
+  borderColor: active ? "rgba(190,150,255,0.8)" : undefined,
+  background: active ? "rgba(40, 15, 60, 0.5)" : undefined
+});
+
+export function ArticlePanel({
+  entry,
+  articleState,
+  seedSummary,
+  isStale,
+  onCancel,
+  onRefile,
+  onRevise,
+  onSelectVersion,
+  documents,
+  commissioning,
+  onCommission,
+  onRemoveDocument
+}: ArticlePanelProps) {
+  const [isComposingRevision, setIsComposingRevision] = useState(false);
+  const [shownDocumentId, setShownDocumentId] = useState<string | null>(null);
+  const [commissionKind, setCommissionKind] = useState<DocumentKind>("opinion");
+  const documentCount = useRef(documents.length);
+
+  // A newly filed document opens as soon as it arrives.
+  useEffect(() => {
+    if (documents.length > documentCount.current) {
+      setShownDocumentId(documents[documents.length - 1].id);
+    }
+    documentCount.current = documents.length;
+  }, [documents]);
+
+  if (!articleState || articleState.status === "idle") {
+    return (
+      <section style={{ opacity: 0.6 }}>
+        Select an entry to conjure its broadsheet narrative.
+      </section>
+    );
+  }
+
+  if (articleState.status === "queued") {
+    return (
+      <section style={{ fontSize: "1.1rem", letterSpacing: "0.06em", opacity: 0.8 }}>
+        <strong>{entry.title}</strong> is queued for the presses…
+      </section>
+    );
+  }
+
+  if (articleState.status === "loading") {
+    const partial = articleState.partial;
+    const filingNotice = (
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: "1rem",
+          flexWrap: "wrap",
+          fontSize: "1.1rem",
+          letterSpacing: "0.06em"
+        }}
+      >
+        <span>
+          Filing the story for <strong>{entry.title}</strong>…
+        </span>
+        <button onClick={onCancel} style={{ borderWidth: "2px" }}>
+          Cancel
+        </button>
+      </div>
+    );
+    if (!partial?.headline) {
+      return <section>{filingNotice}</section>;
+    }
+    return (
+      <section style={{ display: "grid", gap: "1.25rem", width: "100%" }}>
+        {filingNotice}
+        <ArticleDocument article={partial} seedSummary={seedSummary} inProgress />
+      </section>
+    );
+  }
+
+  const failureNotice =
+    articleState.status === "error" ? (
+      <section
+        style={{
+          border: "1px solid rgba(220,90,90,0.6)",
+          padding: "1.5rem",
+          background: "rgba(60,10,10,0.35)",
+          color: "#f7dede",
+          maxWidth: "52rem"
+        }}
+      >
+        {articleState.data ? "Refile failed; the filed copy stands" : "Failed to inscribe article"}:{" "}
+        {articleState.error}
+        {articleState.issues && <ValidationIssueList issues={articleState.issues} />}
+      </section>
+    ) : null;
+
+  const article = articleState.data;
+  if (!article) return failureNotice;
+
+  const versions = articleState.revisions ?? [];
+  const shownDocument = documents.find((item) => item.id === shownDocumentId) ?? null;
+  return (
+    <section style={{ display: "grid", gap: "1.25rem", width: "100%" }}>
+      {failureNotice}
+      <div
+        className="no-print"
+        style={{ display: "flex", gap: "0.5rem", alignItems: "center", flexWrap: "wrap" }}
+      >
+        <button onClick={() => setShownDocumentId(null)} style={documentTabStyle(!shownDocument)}>
+          Front Page
+        </button>
+        {documents.map((item) => (
+          <button
+            key={item.id}
+            onClick={() => setShownDocumentId(item.id)}
+            title={documentTitle(item.document)}
+            style={documentTabStyle(shownDocument?.id === item.id)}
+          >
+            {DOCUMENT_LABELS[item.document.kind]}
+          </button>
+        ))}
+        <span style={{ marginLeft: "auto", display: "flex", gap: "0.5rem", alignItems: "center" }}>
+          {commissioning ? (
+            <span style={{ fontSize: "0.8rem", opacity: 0.75 }}>
+              Filing the {DOCUMENT_LABELS[commissioning].toLowerCase()}…
+            </span>
+          ) : (
+            <>
+              <select
+                aria-label="Document to commission"
+                value={commissionKind}
+                onChange={(event) => setCommissionKind(event.target.value as DocumentKind)}
+                style={{ fontSize: "0.8rem" }}
+              >
+                {DOCUMENT_KINDS.map((kind) => (
+                  <option key={kind} value={kind}>
+                    {DOCUMENT_LABELS[kind]}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => onCommission(commissionKind)}
+                style={{ fontSize: "0.75rem", padding: "0.3rem 0.7rem" }}
+              >
+                Commission
+              </button>
+            </>
+          )}
+        </span>
+      </div>
+      {shownDocument ? (
+        <>
+          <div className="no-print" style={{ display: "flex", justifyContent: "flex-end" }}>
+            <button
+              onClick={() => {
+                if (
+                  window.confirm(
+                    `Remove the ${DOCUMENT_LABELS[shownDocument.document.kind].toLowerCase()}?`
+                  )
+                ) {
+                  onRemoveDocument(shownDocument.id);
+                  setShownDocumentId(null);
+                }
+              }}
+              style={{ fontSize: "0.75rem", padding: "0.25rem 0.6rem" }}
+            >
+              Remove
+            </button>
+          </div>
+          <DocumentView document={shownDocument.document} />
+        </>
+      ) : (
+        <>
+          {isStale && (
+            <div
+              className="no-print"
+              style={{
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "space-between",
+                gap: "1rem",
+                flexWrap: "wrap",
+                border: "1px solid rgba(235,200,140,0.5)",
+                padding: "0.75rem 1rem",
+                fontSize: "0.9rem",
+                color: "rgba(235,200,140,0.9)"
+              }}
+            >
+              <span>This story was filed before its entry was edited.</span>
+              <button onClick={onRefile} style={{ borderWidth: "2px" }}>
+                Refile Story
+              </button>
+            </div>
+          )}
+          <div
+            className="no-print"
+            style={{ display: "flex", gap: "1rem", alignItems: "flex-start", flexWrap: "wrap" }}
+          >
+            {articleState.style && (
+              <span
+                style={{
+                  alignSelf: "center",
+                  fontSize: "0.75rem",
+                  letterSpacing: "0.08em",
+                  textTransform: "uppercase",
+                  opacity: 0.65
+                }}
+              >
+                Filed in {articleState.style.name}
+              </span>
+            )}
+            {versions.length > 1 && (
+              <div style={{ flex: 1, minWidth: "20rem" }}>
+                <VersionBrowser
+                  versions={versions.map((version) => ({
+                    note: version.note,
+                    text: articleText(version.article)
+                  }))}
+                  current={findArticleVersion(versions, article)}
+                  currentText={articleText(article)}
+                  onSelect={onSelectVersion}
+                />
+              </div>
+            )}
+            {!isComposingRevision && (
+              <button
+                onClick={() => setIsComposingRevision(true)}
+                style={{ marginLeft: "auto", borderWidth: "2px" }}
+              >
+                Revise Article
+              </button>
+            )}
+          </div>
+          {isComposingRevision && (
+            <div className="no-print">
+              <RevisionComposer
+                subject={article.headline}
+                isRevising={false}
+                submitLabel="Revise Article"
+                onSubmit={(note) => {
+                  setIsComposingRevision(false);
+                  onRevise(note);
+                }}
+                onCancel={() => setIsComposingRevision(false)}
+              />
+            </div>
+          )}
+          <ArticleDocument article={article} seedSummary={seedSummary} />
+        </>
+      )}
+    </section>
+  );
+}
+
+type ArticleDocumentProps = {
+  article: PartialArticle;
+  seedSummary: string;
+  inProgress?: boolean;
+};
+
+function ArticleDocument({ article, seedSummary, inProgress = false }: ArticleDocumentProps) {
+  const seededByText = seedSummary.trim() ? seedSummary.trim() : "UNSPECIFIED";
+  const body = article.body ?? [];
+  const sidebarItems = article.sidebar?.items ?? [];
+
+  return (
+    <article
+      className="ledger-article"
+      aria-busy={inProgress}
+      style={{
+        border: "1px solid rgba(245,241,230,0.15)",
+        padding: "2rem",
+        background: "rgba(10, 10, 14, 0.65)",
+        maxWidth: "60rem",
+        display: "grid",
+        gap: "1.25rem",
+        lineHeight: 1.7
+      }}
+    >
+      <header style={{ marginBottom: "1.5rem" }}>
+        <div
+          style={{
+            fontSize: "0.9rem",
+            letterSpacing: "0.1em",
+            textTransform: "uppercase",
+            opacity: 0.75
+          }}
+        >
+          Filed by the HAUNTOLOSCOPE Counterfactual Bureau
+        </div>
+        <div
+          style={{
+            fontSize: "0.85rem",
+            letterSpacing: "0.08em",
+            opacity: 0.7,
+            marginTop: "0.35rem",
+            textTransform: "uppercase"
+          }}
+        >
+          Seeded by: {seededByText}
+        </div>
+        <h3 className="article-headline" style={{ margin: "0.85rem 0", fontSize: "1.8rem" }}>
+          {article.headline}
+        </h3>
+        {article.dateline && (
+          <div style={{ fontFamily: "monospace", opacity: 0.7 }}>{article.dateline}</div>
+        )}
+      </header>
+
+      {article.lede && (
+        <ReactMarkdown
+          className="ledger-markdown lede"
+          remarkPlugins={[remarkGfm]}
+          components={LEDE_MARKDOWN_COMPONENTS}
+        >
+          {article.lede}
+        </ReactMarkdown>
+      )}
+
+      {body.map((segment, index) => (
+        <ReactMarkdown
+          key={index}
+          className="ledger-markdown"
+          remarkPlugins={[remarkGfm]}
+          components={ARTICLE_MARKDOWN_COMPONENTS}
+        >
+          {segment}
+        </ReactMarkdown>
+      ))}
+
+      {article.pull_quote && (
+        <blockquote
+          style={{
+            margin: "2rem 0",
+            padding: "1.5rem",
+            border: "1px dashed rgba(245,241,230,0.25)",
+            fontSize: "1.2rem",
+            fontStyle: "italic"
+          }}
+        >
+          “{article.pull_quote}”
+        </blockquote>
+      )}
+
+      {sidebarItems.length > 0 && (
+        <aside
+          style={{
+            borderTop: "1px solid rgba(245,241,230,0.15)",
+            paddingTop: "1rem",
+            marginTop: "1.5rem"
+          }}
+        >
+          <h4 style={{ textTransform: "uppercase", letterSpacing: "0.08em" }}>
+            {article.sidebar?.title}
+          </h4>
+          <ul style={{ marginTop: "0.75rem", paddingLeft: "1.25rem" }}>
+            {sidebarItems.map((item, index) => (
+              <li key={index} style={{ marginBottom: "0.5rem" }}>
+                {item}
+              </li>
+            ))}
+          </ul>
+        </aside>
+      )}
+    </article>
+  );
+}
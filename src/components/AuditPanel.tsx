@@ -0,0 +1,215 @@
+import { useState } from "react";
+import {
+  AuditFinding,
+  AuditReport,
+  PASSING_SCORE,
+  auditKey,
+  needsNewId,
+  needsRevision
+} from "../lib/audit";
+
+type AuditPanelProps = {
+  entries: AuditReport[];
+  articles: AuditReport[];
+  critiquePending: boolean;
+  critiqueError: string | null;
+  busyKeys: Set<string>; // audit keys of items being rewritten
+  onCritique: () => void;
+  onRegenerate: (report: AuditReport) => void;
+  onOpenEntry: (entryId: string) => void;
+};
+
+const sectionHeading = {
+  fontSize: "0.75rem",
+  letterSpacing: "0.12em",
+  textTransform: "uppercase" as const,
+  opacity: 0.7,
+  margin: "0 0 0.75rem"
+};
+
+function scoreColor(report: AuditReport) {
+  if (report.passed) return "rgba(170,220,200,0.9)";
+  return report.score >= PASSING_SCORE - 2 ? "rgba(235,200,140,0.9)" : "rgba(255,160,160,0.9)";
+}
+
+function FindingList({ findings }: { findings: AuditFinding[] }) {
+  return (
+    <ul style={{ margin: 0, paddingLeft: "1.1rem", fontSize: "0.8rem", lineHeight: 1.5 }}>
+      {findings.map((item, index) => (
+        <li
+          key={index}
+          style={{
+            color: item.severity === "error" ? "rgba(255,200,200,0.9)" : "rgba(245,241,230,0.8)"
+          }}
+        >
+          <code style={{ fontFamily: "monospace", opacity: 0.7 }}>
+            {item.source === "model" ? "model" : item.rule}
+          </code>{" "}
+          — {item.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ReportList({
+  title,
+  reports,
+  showPassing,
+  busyKeys,
+  onRegenerate,
+  onOpenEntry
+}: {
+  title: string;
+  reports: AuditReport[];
+  showPassing: boolean;
+} & Pick<AuditPanelProps, "busyKeys" | "onRegenerate" | "onOpenEntry">) {
+  const failing = reports.filter((report) => !report.passed);
+  const visible = showPassing ? reports : failing;
+
+  return (
+    <section>
+      <h3 style={sectionHeading}>
+        {title} · {reports.length - failing.length}/{reports.length} pass
+      </h3>
+      {reports.length === 0 ? (
+        <div style={{ opacity: 0.6, fontSize: "0.9rem" }}>Nothing to audit yet.</div>
+      ) : visible.length === 0 ? (
+        <div style={{ opacity: 0.6, fontSize: "0.9rem" }}>Everything here meets the brief.</div>
+      ) : (
+        <ol style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: "0.75rem" }}>
+          {visible.map((report) => {
+            const isBusy = busyKeys.has(auditKey(report.kind, report.entryId));
+            return (
+              <li
+                key={report.entryId}
+                style={{
+                  border: "1px solid rgba(245,241,230,0.15)",
+                  background: "rgba(10, 10, 14, 0.55)",
+                  padding: "0.85rem 1rem",
+                  display: "grid",
+                  gap: "0.6rem"
+                }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "0.75rem",
+                    flexWrap: "wrap"
+                  }}
+                >
+                  <span
+                    title={report.critiqued ? "Checks and model critique" : "Checks only"}
+                    style={{
+                      fontFamily: "monospace",
+                      fontSize: "0.85rem",
+                      border: `1px solid ${scoreColor(report)}`,
+                      color: scoreColor(report),
+                      padding: "0.1rem 0.45rem"
+                    }}
+                  >
+                    {report.score}/10
+                  </span>
+                  <button
+                    onClick={() => onOpenEntry(report.entryId)}
+                    style={{
+                      border: "none",
+                      background: "none",
+                      padding: 0,
+                      fontWeight: 600,
+                      textAlign: "left"
+                    }}
+                  >
+                    {report.title}
+                  </button>
+                  {!report.passed && (
+                    <button
+                      onClick={() => onRegenerate(report)}
+                      disabled={isBusy}
+                      style={{ marginLeft: "auto", fontSize: "0.75rem", padding: "0.25rem 0.6rem" }}
+                    >
+                      {isBusy
+                        ? "Revising…"
+                        : report.kind === "article"
+                          ? "Regenerate Article"
+                          : needsNewId(report) && !needsRevision(report)
+                            ? "Fix Id"
+                            : "Regenerate Entry"}
+                    </button>
+                  )}
+                </div>
+                {report.findings.length > 0 && <FindingList findings={report.findings} />}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+export function AuditPanel({
+  entries,
+  articles,
+  critiquePending,
+  critiqueError,
+  busyKeys,
+  onCritique,
+  onRegenerate,
+  onOpenEntry
+}: AuditPanelProps) {
+  const [showPassing, setShowPassing] = useState(false);
+
+  return (
+    <div style={{ display: "grid", gap: "2rem", width: "100%" }}>
+      <div style={{ display: "flex", gap: "0.75rem", alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ fontSize: "0.85rem", opacity: 0.75, flex: 1, minWidth: "16rem" }}>
+          Every entry and filed story is checked against the brief as it changes. A model critique
+          adds a second opinion on plausibility; items pass at {PASSING_SCORE}/10 with no errors.
+        </span>
+        <label style={{ fontSize: "0.8rem", display: "flex", gap: "0.4rem", alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={showPassing}
+            onChange={(event) => setShowPassing(event.target.checked)}
+          />
+          Show passing
+        </label>
+        <button onClick={onCritique} disabled={critiquePending} style={{ borderWidth: "2px" }}>
+          {critiquePending ? "Critiquing…" : "Ask for a Critique"}
+        </button>
+      </div>
+      {critiqueError && (
+        <div
+          role="alert"
+          style={{
+            border: "1px solid rgba(255,160,160,0.4)",
+            padding: "0.5rem 0.75rem",
+            fontSize: "0.8rem",
+            color: "rgba(255,200,200,0.9)",
+            background: "rgba(60,10,10,0.35)"
+          }}
+        >
+          {critiqueError}
+        </div>
+      )}
+      <ReportList
+        title="Entries"
+        reports={entries}
+        showPassing={showPassing}
+        busyKeys={busyKeys}
+        onRegenerate={onRegenerate}
+        onOpenEntry={onOpenEntry}
+      />
+      <ReportList
+        title="Articles"
+        reports={articles}
+        showPassing={showPassing}
+        busyKeys={busyKeys}
+        onRegenerate={onRegenerate}
+        onOpenEntry={onOpenEntry}
+      />
+    </div>
+  );
+}
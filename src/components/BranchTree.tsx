@@ -0,0 +1,87 @@
+import { UniverseRecord } from "../lib/library";
+import { BranchNode } from "../lib/lineage";
+
+type BranchTreeProps = {
+  tree: BranchNode;
+  currentId: string | null;
+  onOpen: (record: UniverseRecord) => void;
+  onExportFamily: () => void;
+};
+
+function BranchItem({
+  node,
+  currentId,
+  onOpen
+}: {
+  node: BranchNode;
+  currentId: string | null;
+  onOpen: (record: UniverseRecord) => void;
+}) {
+  const { record } = node;
+  const isCurrent = record.id === currentId;
+  const divergence = record.bundle.lineage?.divergence;
+  return (
+    <li style={{ marginTop: "0.4rem" }}>
+      <button
+        onClick={() => onOpen(record)}
+        disabled={isCurrent}
+        title={divergence ? `Diverges: ${divergence}` : "Root universe"}
+        style={{
+          width: "100%",
+          textAlign: "left",
+          padding: "0.4rem 0.6rem",
+          fontSize: "0.85rem",
+          borderColor: isCurrent ? "rgba(190,150,255,0.7)" : undefined,
+          background: isCurrent ? "rgba(40, 15, 60, 0.5)" : undefined
+        }}
+      >
+        <div style={{ fontWeight: 600 }}>{record.name}</div>
+        {divergence && (
+          <div style={{ fontSize: "0.75rem", opacity: 0.7, marginTop: "0.2rem" }}>
+            ⑂ {divergence}
+          </div>
+        )}
+      </button>
+      {node.children.length > 0 && (
+        <ul
+          style={{
+            listStyle: "none",
+            margin: 0,
+            paddingLeft: "1rem",
+            borderLeft: "1px dashed rgba(245,241,230,0.25)",
+            marginLeft: "0.5rem"
+          }}
+        >
+          {node.children.map((child) => (
+            <BranchItem key={child.record.id} node={child} currentId={currentId} onOpen={onOpen} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export function BranchTree({ tree, currentId, onOpen, onExportFamily }: BranchTreeProps) {
+  return (
+    <section style={{ marginBottom: "1.5rem" }}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "0.25rem"
+        }}
+      >
+        <h2 style={{ fontSize: "1.2rem", letterSpacing: "0.08em", textTransform: "uppercase" }}>
+          Branches
+        </h2>
+        <button onClick={onExportFamily} style={{ fontSize: "0.8rem", padding: "0.3rem 0.7rem" }}>
+          Export Family
+        </button>
+      </div>
+      <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+        <BranchItem node={tree} currentId={currentId} onOpen={onOpen} />
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,87 @@
+import type { CSSProperties } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { renderToStaticMarkup } from "react-dom/server";
+import { BROADSHEET_CSS, Edition, EditionStory, wrapEditionDocument } from "../lib/edition";
+
+function Markdown({ children }: { children: string }) {
+  return <ReactMarkdown remarkPlugins={[remarkGfm]}>{children}</ReactMarkdown>;
+}
+
+function Story({ story, lead = false }: { story: EditionStory; lead?: boolean }) {
+  const { article, entry } = story;
+  const middle = Math.ceil(article.body.length / 2);
+  const sidebar = article.sidebar && article.sidebar.items.length > 0 ? article.sidebar : null;
+
+  return (
+    <article className={lead ? "broadsheet-story broadsheet-lead" : "broadsheet-story"}>
+      <div className="broadsheet-kicker">
+        {[entry.era, entry.tone].filter(Boolean).join(" · ")}
+      </div>
+      <h2 className="broadsheet-headline">{article.headline}</h2>
+      <div className="broadsheet-dateline">{article.dateline}</div>
+      <div className="broadsheet-columns">
+        {sidebar && (
+          <aside className="broadsheet-sidebar">
+            <h4>{sidebar.title}</h4>
+            <ul>
+              {sidebar.items.map((item, index) => (
+                <li key={index}>{item}</li>
+              ))}
+            </ul>
+          </aside>
+        )}
+        <div className="broadsheet-lede">
+          <Markdown>{article.lede}</Markdown>
+        </div>
+        {article.body.slice(0, middle).map((segment, index) => (
+          <Markdown key={index}>{segment}</Markdown>
+        ))}
+        {article.pull_quote && (
+          <blockquote className="broadsheet-pullquote">“{article.pull_quote}”</blockquote>
+        )}
+        {article.body.slice(middle).map((segment, index) => (
+          <Markdown key={middle + index}>{segment}</Markdown>
+        ))}
+      </div>
+    </article>
+  );
+}
+
+export function Broadsheet({ edition }: { edition: Edition }) {
+  const { masthead } = edition;
+  // The house style recolours the sheet through the stylesheet's own custom properties.
+  const palette = { "--ink": masthead.ink, "--paper": masthead.paper } as CSSProperties;
+  return (
+    <div className="broadsheet" style={palette}>
+      <header className="broadsheet-masthead">
+        <h1 style={{ fontFamily: masthead.typeface }}>{masthead.title}</h1>
+        {masthead.tagline && <div className="broadsheet-tagline">{masthead.tagline}</div>}
+      </header>
+      <div className="broadsheet-folio">
+        <span>{edition.editionLine}</span>
+        <span>{edition.title}</span>
+        <span>{edition.seedSummary}</span>
+      </div>
+      <Story story={edition.lead} lead />
+      {edition.stories.length > 0 && (
+        <div className="broadsheet-grid">
+          {edition.stories.map((story) => (
+            <Story key={story.entry.id} story={story} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function BroadsheetStyles() {
+  return <style>{BROADSHEET_CSS}</style>;
+}
+
+export function renderEditionHtml(edition: Edition) {
+  return wrapEditionDocument(
+    `${edition.masthead.title} — ${edition.title}`,
+    renderToStaticMarkup(<Broadsheet edition={edition} />)
+  );
+}
@@ -0,0 +1,279 @@
+import { useMemo, useState } from "react";
+import { TimelineEntry } from "../types";
+import {
+  HistoricalDate,
+  formatHistoricalDate,
+  formatYear,
+  parseHistoricalDate
+} from "../lib/dates";
+
+type ChronologyViewProps = {
+  entries: TimelineEntry[];
+  activeEntryId: string | null;
+  outOfOrder: Set<string>;
+  onOpenEntry: (entryId: string) => void;
+};
+
+type PlacedEntry = {
+  entry: TimelineEntry;
+  date: HistoricalDate;
+  lane: number;
+};
+
+const BASE_WIDTH = 880;
+const ZOOM_LEVELS = [1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+const LANE_HEIGHT = 46;
+const AXIS_HEIGHT = 34;
+const LABEL_WIDTH = 150;
+const YEAR_MS = 365.2425 * 86_400_000;
+const TICK_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+const MIN_TICK_SPACING = 80;
+
+function truncate(value: string, length: number) {
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function yearStart(year: number) {
+  const date = new Date(Date.UTC(2000, 0, 1));
+  date.setUTCFullYear(year);
+  return date.getTime();
+}
+
+// Yearly ticks at the smallest round step that keeps labels apart, or monthly ticks when a
+// single year is wide enough to hold them.
+function buildTicks(start: number, end: number, width: number) {
+  const pixelsPerYear = (width / (end - start)) * YEAR_MS;
+  const ticks: { time: number; label: string }[] = [];
+  if (pixelsPerYear / 12 >= MIN_TICK_SPACING) {
+    const cursor = new Date(start);
+    cursor.setUTCDate(1);
+    cursor.setUTCHours(0, 0, 0, 0);
+    while (cursor.getTime() <= end) {
+      const month = cursor.toLocaleString("en", { month: "short", timeZone: "UTC" });
+      ticks.push({
+        time: cursor.getTime(),
+        label: cursor.getUTCMonth() === 0 ? formatYear(cursor.getUTCFullYear()) : month
+      });
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return ticks;
+  }
+  const step =
+    TICK_STEPS.find((candidate) => candidate * pixelsPerYear >= MIN_TICK_SPACING) ??
+    Math.ceil(MIN_TICK_SPACING / pixelsPerYear / 1000) * 1000;
+  const first = Math.ceil(new Date(start).getUTCFullYear() / step) * step;
+  for (let year = first; yearStart(year) <= end; year += step) {
+    ticks.push({ time: yearStart(year), label: formatYear(year) });
+  }
+  return ticks;
+}
+
+export function ChronologyView({
+  entries,
+  activeEntryId,
+  outOfOrder,
+  onOpenEntry
+}: ChronologyViewProps) {
+  const [zoomIndex, setZoomIndex] = useState(0);
+  const zoom = ZOOM_LEVELS[zoomIndex];
+  const width = BASE_WIDTH * zoom;
+
+  const { dated, undated } = useMemo(() => {
+    const parsed = entries.map((entry) => ({ entry, date: parseHistoricalDate(entry.anchorDate) }));
+    return {
+      dated: parsed.filter((item): item is { entry: TimelineEntry; date: HistoricalDate } =>
+        Boolean(item.date)
+      ),
+      undated: parsed.filter((item) => !item.date).map((item) => item.entry)
+    };
+  }, [entries]);
+
+  const domain = useMemo(() => {
+    if (dated.length === 0) return null;
+    const start = Math.min(...dated.map((item) => item.date.start));
+    const end = Math.max(...dated.map((item) => item.date.end));
+    const padding = Math.max((end - start) * 0.03, 86_400_000 * 15);
+    return { start: start - padding, end: end + padding };
+  }, [dated]);
+
+  const scale = (time: number) =>
+    domain ? ((time - domain.start) / (domain.end - domain.start)) * width : 0;
+
+  // Greedy lane packing so labels and date spans never overlap at the current zoom.
+  const placed = useMemo(() => {
+    if (!domain) return [];
+    const laneEnds: number[] = [];
+    return [...dated]
+      .sort((a, b) => a.date.start - b.date.start)
+      .map<PlacedEntry>((item) => {
+        const left = ((item.date.start - domain.start) / (domain.end - domain.start)) * width;
+        const right = Math.max(
+          ((item.date.end - domain.start) / (domain.end - domain.start)) * width,
+          left + LABEL_WIDTH
+        );
+        let lane = laneEnds.findIndex((laneEnd) => laneEnd < left - 6);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = right;
+        return { ...item, lane };
+      });
+  }, [dated, domain, width]);
+
+  if (!domain) {
+    return (
+      <div style={{ opacity: 0.6 }}>
+        None of these entries carries a date the scope can read, so there is nothing to place.
+      </div>
+    );
+  }
+
+  const lanes = Math.max(1, ...placed.map((item) => item.lane + 1));
+  const height = AXIS_HEIGHT + lanes * LANE_HEIGHT + 10;
+  const ticks = buildTicks(domain.start, domain.end, width);
+  const flagged = entries.filter((entry) => outOfOrder.has(entry.id));
+
+  return (
+    <div style={{ display: "grid", gap: "1.25rem", width: "100%" }}>
+      <div
+        style={{
+          display: "flex",
+          gap: "0.5rem",
+          alignItems: "center",
+          flexWrap: "wrap",
+          fontSize: "0.8rem"
+        }}
+      >
+        <button
+          onClick={() => setZoomIndex((index) => Math.max(0, index - 1))}
+          disabled={zoomIndex === 0}
+          aria-label="Zoom out"
+        >
+          −
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={ZOOM_LEVELS.length - 1}
+          value={zoomIndex}
+          onChange={(event) => setZoomIndex(Number(event.target.value))}
+          aria-label="Zoom"
+        />
+        <button
+          onClick={() => setZoomIndex((index) => Math.min(ZOOM_LEVELS.length - 1, index + 1))}
+          disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+          aria-label="Zoom in"
+        >
+          +
+        </button>
+        <span style={{ opacity: 0.7 }}>{zoom}×</span>
+        <span style={{ marginLeft: "auto", opacity: 0.7 }}>
+          ● exact date · ▬ span · dashed = approximate ·{" "}
+          <span style={{ color: "rgba(255,160,160,0.9)" }}>red = out of order</span>
+        </span>
+      </div>
+      <div
+        style={{
+          overflowX: "auto",
+          border: "1px solid rgba(245,241,230,0.15)",
+          background: "rgba(10, 10, 14, 0.55)"
+        }}
+      >
+        <svg width={width} height={height} style={{ display: "block" }}>
+          {ticks.map((tick) => {
+            const x = scale(tick.time);
+            return (
+              <g key={tick.time}>
+                <line
+                  x1={x}
+                  x2={x}
+                  y1={AXIS_HEIGHT - 8}
+                  y2={height}
+                  stroke="rgba(245,241,230,0.08)"
+                />
+                <text x={x + 4} y={AXIS_HEIGHT - 14} fontSize="11" fill="rgba(245,241,230,0.6)">
+                  {tick.label}
+                </text>
+              </g>
+            );
+          })}
+          <line
+            x1={0}
+            x2={width}
+            y1={AXIS_HEIGHT - 8}
+            y2={AXIS_HEIGHT - 8}
+            stroke="rgba(245,241,230,0.35)"
+          />
+          {placed.map(({ entry, date, lane }) => {
+            const y = AXIS_HEIGHT + lane * LANE_HEIGHT + 12;
+            const left = scale(date.start);
+            const spanWidth = scale(date.end) - left;
+            const mid = scale(date.midpoint);
+            const isActive = entry.id === activeEntryId;
+            const isFlagged = outOfOrder.has(entry.id);
+            const color = isFlagged
+              ? "rgba(255,160,160,0.9)"
+              : isActive
+                ? "rgba(190,150,255,0.95)"
+                : "rgba(245,241,230,0.85)";
+            const showSpan = spanWidth > 6;
+            return (
+              <g key={entry.id} onClick={() => onOpenEntry(entry.id)} style={{ cursor: "pointer" }}>
+                <title>
+                  {`${entry.title}\n${formatHistoricalDate(date)} (${date.precision}${
+                    date.approximate ? ", approximate" : ""
+                  })${isFlagged ? "\nListed out of chronological order" : ""}`}
+                </title>
+                {showSpan ? (
+                  <rect
+                    x={left}
+                    y={y - 5}
+                    width={spanWidth}
+                    height={10}
+                    rx={5}
+                    fill={color}
+                    fillOpacity={0.25}
+                    stroke={color}
+                    strokeDasharray={date.approximate ? "4 3" : undefined}
+                  />
+                ) : (
+                  <circle
+                    cx={mid}
+                    cy={y}
+                    r={5}
+                    fill={date.approximate ? "none" : color}
+                    stroke={color}
+                    strokeDasharray={date.approximate ? "2 2" : undefined}
+                  />
+                )}
+                <text x={left} y={y + 20} fontSize="11" fill={color}>
+                  {isFlagged ? "⚠ " : ""}
+                  {truncate(entry.title, 24)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      {flagged.length > 0 && (
+        <div style={{ fontSize: "0.85rem", color: "rgba(255,200,200,0.9)" }}>
+          Listed out of chronological order:{" "}
+          {flagged.map((entry, index) => (
+            <span key={entry.id}>
+              {index > 0 && ", "}
+              <button
+                onClick={() => onOpenEntry(entry.id)}
+                style={{ border: "none", background: "none", padding: 0, color: "inherit" }}
+              >
+                {entry.title}
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {undated.length > 0 && (
+        <div style={{ fontSize: "0.85rem", opacity: 0.7 }}>
+          Undated: {undated.map((entry) => entry.title).join(", ")}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import { FormEvent, useState } from "react";
+import { ContinuityLedger, LedgerFact, LedgerKind } from "../types";
+import { LEDGER_KINDS, LEDGER_KIND_LABELS, addLedgerFact } from "../lib/ledger";
+
+type ContinuityLedgerPanelProps = {
+  ledger: ContinuityLedger;
+  pending: number;
+  unmined: number;
+  error: string | null;
+  onChange: (ledger: ContinuityLedger) => void;
+  onExtract: () => void;
+};
+
+const smallButton = { fontSize: "0.7rem", padding: "0.2rem 0.45rem" };
+
+function FactRow({
+  fact,
+  onSave,
+  onDelete
+}: {
+  fact: LedgerFact;
+  onSave: (name: string, detail: string) => void;
+  onDelete: () => void;
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(fact.name);
+  const [detail, setDetail] = useState(fact.detail);
+
+  if (isEditing) {
+    return (
+      <li style={{ display: "grid", gap: "0.35rem" }}>
+        <input value={name} onChange={(event) => setName(event.target.value)} />
+        <textarea
+          rows={2}
+          value={detail}
+          onChange={(event) => setDetail(event.target.value)}
+          style={{ resize: "vertical" }}
+        />
+        <div style={{ display: "flex", gap: "0.35rem", justifyContent: "flex-end" }}>
+          <button onClick={() => setIsEditing(false)} style={smallButton}>
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              if (!name.trim()) return;
+              onSave(name.trim(), detail.trim());
+              setIsEditing(false);
+            }}
+            style={smallButton}
+          >
+            Save
+          </button>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li style={{ display: "grid", gap: "0.2rem", fontSize: "0.8rem" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: "0.5rem" }}>
+        <strong>
+          {fact.name}
+          {fact.edited && (
+            <span style={{ marginLeft: "0.35rem", fontWeight: 400, opacity: 0.6 }}>(edited)</span>
+          )}
+        </strong>
+        <span style={{ display: "flex", gap: "0.3rem", flexShrink: 0 }}>
+          <button
+            onClick={() => {
+              setName(fact.name);
+              setDetail(fact.detail);
+              setIsEditing(true);
+            }}
+            style={smallButton}
+          >
+            Edit
+          </button>
+          <button onClick={onDelete} style={smallButton} aria-label={`Remove ${fact.name}`}>
+            ×
+          </button>
+        </span>
+      </div>
+      {fact.detail && (
+        <span style={{ opacity: 0.75 }}>
+          {fact.kind === "quote" ? `“${fact.detail}”` : fact.detail}
+        </span>
+      )}
+    </li>
+  );
+}
+
+export function ContinuityLedgerPanel({
+  ledger,
+  pending,
+  unmined,
+  error,
+  onChange,
+  onExtract
+}: ContinuityLedgerPanelProps) {
+  const [kind, setKind] = useState<LedgerKind>("person");
+  const [name, setName] = useState("");
+  const [detail, setDetail] = useState("");
+
+  const updateFact = (id: string, changes: Partial<LedgerFact>) =>
+    onChange({
+      ...ledger,
+      facts: ledger.facts.map((fact) => (fact.id === id ? { ...fact, ...changes } : fact))
+    });
+
+  const handleAdd = (event: FormEvent) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+    onChange(
+      addLedgerFact(ledger, {
+        kind,
+        name: name.trim(),
+        detail: detail.trim(),
+        entry_ids: [],
+        edited: true
+      })
+    );
+    setName("");
+    setDetail("");
+  };
+
+  return (
+    <details
+      className="no-print"
+      style={{
+        border: "1px solid rgba(245,241,230,0.2)",
+        padding: "0.85rem 1rem",
+        background: "rgba(10, 10, 14, 0.55)"
+      }}
+    >
+      <summary
+        style={{
+          cursor: "pointer",
+          fontSize: "0.75rem",
+          letterSpacing: "0.12em",
+          textTransform: "uppercase",
+          opacity: 0.8
+        }}
+      >
+        Continuity Ledger
+        <span style={{ marginLeft: "0.5rem", opacity: 0.75, textTransform: "none" }}>
+          · {ledger.facts.length} {ledger.facts.length === 1 ? "fact" : "facts"}
+          {pending > 0 ? " · updating…" : ""}
+        </span>
+      </summary>
+      <div style={{ display: "grid", gap: "0.85rem", marginTop: "0.75rem" }}>
+        <p style={{ margin: 0, fontSize: "0.8rem", opacity: 0.7, lineHeight: 1.5 }}>
+          Names, figures and quotes from filed stories. Relevant facts are handed to every later
+          article and interval so the newsroom keeps one cast. Edited facts are never overwritten.
+        </p>
+        {unmined > 0 && (
+          <button onClick={onExtract} disabled={pending > 0} style={{ justifySelf: "start" }}>
+            Read {unmined} Filed {unmined === 1 ? "Story" : "Stories"} into the Ledger
+          </button>
+        )}
+        {error && <div style={{ fontSize: "0.8rem", color: "rgba(255,200,200,0.9)" }}>{error}</div>}
+        {LEDGER_KINDS.map((group) => {
+          const facts = ledger.facts.filter((fact) => fact.kind === group);
+          if (facts.length === 0) return null;
+          return (
+            <div key={group}>
+              <div
+                style={{
+                  fontSize: "0.7rem",
+                  letterSpacing: "0.12em",
+                  textTransform: "uppercase",
+                  opacity: 0.7,
+                  marginBottom: "0.35rem"
+                }}
+              >
+                {LEDGER_KIND_LABELS[group]}
+              </div>
+              <ul
+                style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: "0.5rem" }}
+              >
+                {facts.map((fact) => (
+                  <FactRow
+                    key={fact.id}
+                    fact={fact}
+                    onSave={(nextName, nextDetail) =>
+                      updateFact(fact.id, { name: nextName, detail: nextDetail, edited: true })
+                    }
+                    onDelete={() =>
+                      onChange({
+                        ...ledger,
+                        facts: ledger.facts.filter((item) => item.id !== fact.id)
+                      })
+                    }
+                  />
+                ))}
+              </ul>
+            </div>
+          );
+        })}
+        <form onSubmit={handleAdd} style={{ display: "grid", gap: "0.4rem" }}>
+          <div style={{ display: "flex", gap: "0.4rem" }}>
+            <select value={kind} onChange={(event) => setKind(event.target.value as LedgerKind)}>
+              {LEDGER_KINDS.map((option) => (
+                <option key={option} value={option}>
+                  {LEDGER_KIND_LABELS[option]}
+                </option>
+              ))}
+            </select>
+            <input
+              placeholder={kind === "quote" ? "Speaker" : "Name"}
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              style={{ flex: 1 }}
+            />
+          </div>
+          <input
+            placeholder={kind === "quote" ? "Quotation" : "Detail"}
+            value={detail}
+            onChange={(event) => setDetail(event.target.value)}
+          />
+          <button type="submit" disabled={!name.trim()} style={{ justifySelf: "end" }}>
+            Add Fact
+          </button>
+        </form>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,147 @@
+import { TimelineBounds, formatBoundsRange } from "../lib/dates";
+import { ThreadSummary } from "../lib/threads";
+
+export type ThreadFocus = "highlight" | "filter";
+
+type DeskBriefingProps = {
+  entryCount: number;
+  bounds: TimelineBounds | null;
+  threads: ThreadSummary[];
+  activeThread: string | null;
+  threadFocus: ThreadFocus;
+  onSelectThread: (thread: string | null) => void;
+  onFocusChange: (focus: ThreadFocus) => void;
+};
+
+export function DeskBriefing({
+  entryCount,
+  bounds,
+  threads,
+  activeThread,
+  threadFocus,
+  onSelectThread,
+  onFocusChange
+}: DeskBriefingProps) {
+  return (
+    <div
+      style={{
+        border: "1px solid rgba(245,241,230,0.15)",
+        padding: "1rem",
+        background: "rgba(10, 10, 14, 0.62)",
+        marginBottom: "1rem",
+        display: "grid",
+        gap: "0.75rem"
+      }}
+    >
+      <div
+        style={{
+          fontSize: "0.75rem",
+          letterSpacing: "0.12em",
+          textTransform: "uppercase",
+          opacity: 0.7
+        }}
+      >
+        Desk Briefing
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "0.5rem",
+          justifyContent: "space-between",
+          fontSize: "0.95rem",
+          opacity: 0.85
+        }}
+      >
+        <span>
+          {entryCount} recorded {entryCount === 1 ? "event" : "events"}
+        </span>
+        {bounds ? <span>Span {formatBoundsRange(bounds)}</span> : null}
+      </div>
+      {threads.length > 0 && (
+        <div>
+          <div
+            style={{
+              fontSize: "0.75rem",
+              letterSpacing: "0.12em",
+              textTransform: "uppercase",
+              opacity: 0.7,
+              marginBottom: "0.35rem"
+            }}
+          >
+            Threads
+          </div>
+          <div
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              gap: "0.35rem"
+            }}
+          >
+            {threads.map((thread) => {
+              const isSelected = thread.name === activeThread;
+              return (
+                <button
+                  key={thread.name}
+                  onClick={() => onSelectThread(isSelected ? null : thread.name)}
+                  aria-pressed={isSelected}
+                  style={{
+                    border: `1px solid ${
+                      isSelected ? "rgba(190,150,255,0.8)" : "rgba(245,241,230,0.2)"
+                    }`,
+                    background: isSelected ? "rgba(40, 15, 60, 0.6)" : "transparent",
+                    padding: "0.2rem 0.45rem",
+                    fontSize: "0.7rem",
+                    letterSpacing: "0.08em"
+                  }}
+                >
+                  {thread.name} · {thread.entryIds.length}
+                </button>
+              );
+            })}
+          </div>
+          {activeThread && (
+            <div
+              style={{
+                display: "flex",
+                gap: "0.4rem",
+                alignItems: "center",
+                marginTop: "0.5rem",
+                fontSize: "0.75rem"
+              }}
+            >
+              <button
+                onClick={() => onFocusChange("highlight")}
+                aria-pressed={threadFocus === "highlight"}
+                style={{
+                  fontSize: "0.7rem",
+                  padding: "0.2rem 0.5rem",
+                  borderWidth: threadFocus === "highlight" ? "2px" : "1px"
+                }}
+              >
+                Highlight
+              </button>
+              <button
+                onClick={() => onFocusChange("filter")}
+                aria-pressed={threadFocus === "filter"}
+                style={{
+                  fontSize: "0.7rem",
+                  padding: "0.2rem 0.5rem",
+                  borderWidth: threadFocus === "filter" ? "2px" : "1px"
+                }}
+              >
+                Filter
+              </button>
+              <button
+                onClick={() => onSelectThread(null)}
+                style={{ fontSize: "0.7rem", padding: "0.2rem 0.5rem" }}
+              >
+                Clear
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,265 @@
+import { ReactNode, useRef } from "react";
+import { GenerationCache } from "../hooks/useGenerationCache";
+import { GenerationSettings } from "../hooks/useGenerationSettings";
+import { TimelineGeneration } from "../hooks/useTimelineGeneration";
+import { UniverseSession } from "../hooks/useUniverseSession";
+import { AppError } from "../lib/errors";
+import { SeedDraft } from "../lib/seed";
+import { BranchTree } from "./BranchTree";
+import { GenerationCachePanel } from "./GenerationCachePanel";
+import { HouseStylePanel } from "./HouseStylePanel";
+import { MultiversePanel } from "./MultiversePanel";
+import { ProviderSettingsPanel } from "./ProviderSettingsPanel";
+import { SeedBuilder } from "./SeedBuilder";
+import { ValidationIssueList } from "./ValidationIssueList";
+
+type DeskSidebarProps = {
+  settings: GenerationSettings;
+  cache: GenerationCache;
+  generation: TimelineGeneration;
+  session: UniverseSession;
+  seedDraft: SeedDraft;
+  onSeedDraftChange: (draft: SeedDraft) => void;
+  error: AppError | null;
+  hasTimeline: boolean;
+  hasLineage: boolean;
+  currentUniverseId: string | null;
+  isLibraryOpen: boolean;
+  onToggleLibrary: () => void;
+  // The timeline desk, which sits below the instrument's controls.
+  children: ReactNode;
+};
+
+// The instrument's controls: keys, providers and styles, the seed, the relic shelf and the
+// branch tree.
+export function DeskSidebar({
+  settings,
+  cache,
+  generation,
+  session,
+  seedDraft,
+  onSeedDraftChange,
+  error,
+  hasTimeline,
+  hasLineage,
+  currentUniverseId,
+  isLibraryOpen,
+  onToggleLibrary,
+  children
+}: DeskSidebarProps) {
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
+
+  return (
+    <aside
+      className="no-print"
+      style={{
+        borderRight: "1px solid rgba(245,241,230,0.1)",
+        padding: "2rem 1.75rem",
+        overflowY: "auto",
+        height: "100vh"
+      }}
+    >
+      <header style={{ marginBottom: "2rem" }}>
+        <h1 style={{ fontSize: "2.5rem", textTransform: "uppercase" }}>HAUNTOLOSCOPE</h1>
+        <div
+          style={{
+            marginTop: "1rem",
+            fontSize: "0.85rem",
+            lineHeight: 1.6,
+            opacity: 0.8,
+            maxWidth: "24rem"
+          }}
+        >
+          <div>
+            <strong style={{ letterSpacing: "0.08em" }}>hauntology (noun):</strong> the study of how
+            unresolved pasts linger within the present, refusing to fully vanish even as new futures
+            emerge.
+          </div>
+          <div style={{ marginTop: "0.6rem" }}>
+            <strong style={{ letterSpacing: "0.08em" }}>hauntoloscope (noun):</strong> an instrument
+            for surveying counterfactual timelines, mapping the downstream headlines from a single
+            altered event.
+          </div>
+        </div>
+      </header>
+
+      {settings.showGroqKey && (
+        <section style={{ marginBottom: "2rem" }}>
+          <label
+            htmlFor="apiKey"
+            style={{
+              display: "block",
+              fontSize: "0.85rem",
+              letterSpacing: "0.08em",
+              opacity: 0.8
+            }}
+          >
+            Groq API Key
+          </label>
+          <input
+            id="apiKey"
+            type="password"
+            placeholder="gsk_..."
+            value={settings.apiKey}
+            onChange={(event) => settings.setApiKey(event.target.value)}
+            autoComplete="off"
+            style={{ marginTop: "0.5rem" }}
+          />
+        </section>
+      )}
+
+      <ProviderSettingsPanel
+        settings={settings.providerSettings}
+        keys={settings.providerKeys}
+        onSettingsChange={settings.setProviderSettings}
+        onKeyChange={settings.setProviderKey}
+      />
+
+      <HouseStylePanel
+        styles={settings.houseStyles}
+        activeId={settings.activeStyle.id}
+        onSelect={settings.selectStyle}
+        onChange={settings.updateStyle}
+        onCreate={settings.createStyle}
+        onDelete={settings.deleteStyle}
+        onImport={settings.importStyles}
+        onExport={settings.exportStyles}
+      />
+
+      <GenerationCachePanel
+        mode={cache.mode}
+        fixture={cache.fixture}
+        onModeChange={cache.setMode}
+        onLoad={cache.load}
+        onExport={cache.exportFixture}
+        onClear={cache.clear}
+      />
+
+      <section style={{ marginBottom: "1.5rem" }}>
+        <SeedBuilder
+          draft={seedDraft}
+          onChange={onSeedDraftChange}
+          onSubmit={generation.generate}
+        />
+        <button
+          onClick={generation.generate}
+          style={{
+            marginTop: "0.75rem",
+            width: "100%",
+            padding: "0.75rem",
+            fontFamily: "'Cormorant Garamond', 'Spectral', serif",
+            letterSpacing: "0.12em",
+            fontSize: "1.1rem",
+            textTransform: "uppercase"
+          }}
+          disabled={generation.isGenerating}
+        >
+          {generation.isGenerating ? "Scrying..." : "Bend the Axis"}
+        </button>
+      </section>
+
+      <MultiversePanel
+        baseConfig={settings.providerSettings.timeline}
+        activeStyleId={settings.activeStyle.id}
+        styles={settings.houseStyles}
+        branches={generation.branches}
+        onRun={generation.compare}
+        onPromote={generation.promote}
+        onClose={generation.stopComparison}
+      />
+
+      {error && (
+        <div
+          role="alert"
+          style={{
+            border: "1px solid rgba(220,90,90,0.6)",
+            padding: "0.75rem",
+            background: "rgba(60,10,10,0.35)",
+            color: "#f7dede",
+            fontSize: "0.9rem",
+            marginBottom: "1.5rem"
+          }}
+        >
+          {error.message}
+          {error.issues && <ValidationIssueList issues={error.issues} />}
+        </div>
+      )}
+
+      <section style={{ marginBottom: "1.5rem" }}>
+        <div
+          style={{
+            display: "flex",
+            gap: "0.75rem",
+            marginBottom: "0.5rem",
+            justifyContent: "center",
+            flexWrap: "wrap"
+          }}
+        >
+          <button
+            onClick={session.exportRelic}
+            disabled={!hasTimeline}
+            style={{ borderWidth: "2px" }}
+          >
+            Export Relic
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} style={{ borderWidth: "2px" }}>
+            Import Relic
+          </button>
+          <button
+            onClick={onToggleLibrary}
+            aria-pressed={isLibraryOpen}
+            style={{ borderWidth: "2px" }}
+          >
+            {isLibraryOpen ? "Close Archive" : "Open Archive"}
+          </button>
+        </div>
+        <div
+          style={{
+            display: "flex",
+            gap: "0.75rem",
+            marginBottom: "0.5rem",
+            justifyContent: "center",
+            flexWrap: "wrap"
+          }}
+        >
+          <button
+            onClick={() => session.exportChronicle("markdown")}
+            disabled={!hasTimeline}
+            style={{ borderWidth: "2px" }}
+          >
+            Chronicle (.md)
+          </button>
+          <button
+            onClick={() => session.exportChronicle("epub")}
+            disabled={!hasTimeline}
+            style={{ borderWidth: "2px" }}
+          >
+            Chronicle (.epub)
+          </button>
+        </div>
+        <input
+          type="file"
+          accept="application/json"
+          ref={fileInputRef}
+          style={{ display: "none" }}
+          onChange={(event) => {
+            const file = event.target.files?.[0];
+            if (file) session.importRelic(file);
+            event.target.value = "";
+          }}
+        />
+      </section>
+
+      {session.familyTree && (session.familyTree.children.length > 0 || hasLineage) && (
+        <BranchTree
+          tree={session.familyTree}
+          currentId={currentUniverseId}
+          onOpen={session.openUniverse}
+          onExportFamily={session.exportFamily}
+        />
+      )}
+
+      {children}
+    </aside>
+  );
+}
@@ -0,0 +1,235 @@
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import {
+  ClassifiedsPage,
+  EntryDocument,
+  LettersPage,
+  Obituary,
+  OpinionColumn,
+  PressRelease,
+  WireBrief
+} from "../types";
+import { DOCUMENT_LABELS } from "../lib/documents";
+
+const kickerStyle = {
+  fontSize: "0.8rem",
+  letterSpacing: "0.14em",
+  textTransform: "uppercase" as const,
+  opacity: 0.7
+};
+
+function Markdown({ children }: { children: string }) {
+  return (
+    <ReactMarkdown className="ledger-markdown" remarkPlugins={[remarkGfm]}>
+      {children}
+    </ReactMarkdown>
+  );
+}
+
+function Paragraphs({ paragraphs }: { paragraphs: string[] }) {
+  return (
+    <>
+      {paragraphs.map((paragraph, index) => (
+        <Markdown key={index}>{paragraph}</Markdown>
+      ))}
+    </>
+  );
+}
+
+function OpinionView({ document }: { document: OpinionColumn }) {
+  return (
+    <>
+      <header>
+        <div style={kickerStyle}>Opinion</div>
+        <h3 className="article-headline" style={{ margin: "0.6rem 0", fontSize: "1.8rem" }}>
+          {document.headline}
+        </h3>
+        {document.standfirst && (
+          <p style={{ fontWeight: 600, margin: "0 0 0.5rem" }}>{document.standfirst}</p>
+        )}
+        <div style={{ fontStyle: "italic", opacity: 0.8 }}>By {document.byline}</div>
+      </header>
+      <Paragraphs paragraphs={document.body} />
+    </>
+  );
+}
+
+function LettersView({ document }: { document: LettersPage }) {
+  return (
+    <>
+      <header>
+        <div style={kickerStyle}>Letters to the Editor</div>
+        <h3 className="article-headline" style={{ margin: "0.6rem 0 0", fontSize: "1.8rem" }}>
+          {document.heading}
+        </h3>
+      </header>
+      {document.letters.map((letter, index) => (
+        <section
+          key={index}
+          style={{ borderTop: "1px solid rgba(245,241,230,0.15)", paddingTop: "1rem" }}
+        >
+          {letter.headline && (
+            <h4 style={{ margin: "0 0 0.5rem", letterSpacing: "0.04em" }}>{letter.headline}</h4>
+          )}
+          <Markdown>{letter.body}</Markdown>
+          <div style={{ textAlign: "right" }}>
+            <strong>{letter.signature}</strong>
+            {letter.location && (
+              <div style={{ fontStyle: "italic", opacity: 0.75 }}>{letter.location}</div>
+            )}
+          </div>
+        </section>
+      ))}
+    </>
+  );
+}
+
+function ObituaryView({ document }: { document: Obituary }) {
+  return (
+    <>
+      <header style={{ textAlign: "center" }}>
+        <div style={kickerStyle}>Obituary</div>
+        <h3 className="article-headline" style={{ margin: "0.6rem 0 0.25rem", fontSize: "2rem" }}>
+          {document.name}
+        </h3>
+        {document.lifespan && (
+          <div style={{ fontFamily: "monospace", opacity: 0.7 }}>{document.lifespan}</div>
+        )}
+        <div style={{ fontStyle: "italic", marginTop: "0.6rem" }}>{document.headline}</div>
+      </header>
+      <Paragraphs paragraphs={document.body} />
+      {document.survived_by && (
+        <p style={{ fontStyle: "italic", opacity: 0.8, margin: 0 }}>
+          Survived by {document.survived_by.replace(/^survived by\s+/i, "")}
+        </p>
+      )}
+    </>
+  );
+}
+
+function WireView({ document }: { document: WireBrief }) {
+  const [first, ...rest] = document.body;
+  return (
+    <div style={{ fontFamily: "monospace", fontSize: "0.95rem", display: "grid", gap: "0.9rem" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", opacity: 0.75 }}>
+        <span>{document.agency.toUpperCase()}</span>
+        <span>{document.slug.toUpperCase()}</span>
+      </div>
+      <p style={{ margin: 0 }}>
+        {document.dateline && <strong>{document.dateline} </strong>}
+        {first}
+      </p>
+      {rest.map((paragraph, index) => (
+        <p key={index} style={{ margin: 0 }}>
+          {paragraph}
+        </p>
+      ))}
+      <div style={{ textAlign: "center", opacity: 0.6 }}>(ENDS)</div>
+    </div>
+  );
+}
+
+function ClassifiedsView({ document }: { document: ClassifiedsPage }) {
+  return (
+    <>
+      <header>
+        <div style={kickerStyle}>Classified Advertising</div>
+        <h3 className="article-headline" style={{ margin: "0.6rem 0 0", fontSize: "1.8rem" }}>
+          {document.heading}
+        </h3>
+      </header>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(14rem, 1fr))",
+          gap: "0.75rem"
+        }}
+      >
+        {document.ads.map((ad, index) => (
+          <div
+            key={index}
+            style={{
+              border: "1px solid rgba(245,241,230,0.25)",
+              padding: "0.6rem 0.75rem",
+              fontSize: "0.85rem",
+              lineHeight: 1.45
+            }}
+          >
+            <div style={{ ...kickerStyle, fontSize: "0.68rem", marginBottom: "0.35rem" }}>
+              {ad.category}
+            </div>
+            <div>{ad.text}</div>
+            {ad.contact && (
+              <div style={{ fontStyle: "italic", opacity: 0.75, marginTop: "0.35rem" }}>
+                {ad.contact}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
+
+function PressReleaseView({ document }: { document: PressRelease }) {
+  return (
+    <>
+      <header>
+        <div style={{ fontSize: "1.1rem", fontWeight: 700, letterSpacing: "0.08em" }}>
+          {document.issuer.toUpperCase()}
+        </div>
+        <div style={{ ...kickerStyle, marginTop: "0.35rem" }}>Press Release</div>
+        {document.release_date && (
+          <div style={{ fontFamily: "monospace", opacity: 0.7, marginTop: "0.35rem" }}>
+            {document.release_date}
+          </div>
+        )}
+        <h3 className="article-headline" style={{ margin: "0.85rem 0 0", fontSize: "1.6rem" }}>
+          {document.headline}
+        </h3>
+      </header>
+      <Paragraphs paragraphs={document.body} />
+      <div style={{ textAlign: "center", opacity: 0.6 }}>###</div>
+      {document.contact && (
+        <div style={{ fontSize: "0.85rem", opacity: 0.8 }}>Media contact: {document.contact}</div>
+      )}
+    </>
+  );
+}
+
+function DocumentBody({ document }: { document: EntryDocument }) {
+  switch (document.kind) {
+    case "opinion":
+      return <OpinionView document={document} />;
+    case "letters":
+      return <LettersView document={document} />;
+    case "obituary":
+      return <ObituaryView document={document} />;
+    case "wire":
+      return <WireView document={document} />;
+    case "classifieds":
+      return <ClassifiedsView document={document} />;
+    case "press_release":
+      return <PressReleaseView document={document} />;
+  }
+}
+
+export function DocumentView({ document }: { document: EntryDocument }) {
+  return (
+    <article
+      className="ledger-article"
+      aria-label={DOCUMENT_LABELS[document.kind]}
+      style={{
+        border: "1px solid rgba(245,241,230,0.15)",
+        padding: "2rem",
+        background: "rgba(10, 10, 14, 0.65)",
+        maxWidth: "60rem",
+        display: "grid",
+        gap: "1.25rem",
+        lineHeight: 1.7
+      }}
+    >
+      <DocumentBody document={document} />
+    </article>
+  );
+}
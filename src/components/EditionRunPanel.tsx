@@ -0,0 +1,233 @@
+import { useMemo, useState } from "react";
+import { TimelineEntry } from "../types";
+
+export type FilingStatus = "idle" | "queued" | "loading" | "ready" | "stale" | "error";
+
+export type EditionRunProgress = {
+  total: number;
+  filed: number;
+  failed: number;
+  running: boolean;
+};
+
+type EditionRunPanelProps = {
+  entries: TimelineEntry[];
+  statuses: Record<string, FilingStatus | undefined>;
+  progress: EditionRunProgress | null;
+  concurrency: number;
+  onConcurrencyChange: (concurrency: number) => void;
+  onStart: (entryIds: string[]) => void;
+  onCancel: () => void;
+};
+
+const CONCURRENCY_CHOICES = [1, 2, 3, 4];
+
+const STATUS_LABELS: Record<FilingStatus, string> = {
+  idle: "Unfiled",
+  queued: "Queued",
+  loading: "Filing…",
+  ready: "Filed",
+  stale: "Stale",
+  error: "Failed"
+};
+
+const STATUS_COLORS: Record<FilingStatus, string> = {
+  idle: "rgba(245,241,230,0.55)",
+  queued: "rgba(245,241,230,0.8)",
+  loading: "rgba(190,150,255,0.9)",
+  ready: "rgba(170,220,200,0.9)",
+  stale: "rgba(235,200,140,0.9)",
+  error: "rgba(255,160,160,0.9)"
+};
+
+export function EditionRunPanel({
+  entries,
+  statuses,
+  progress,
+  concurrency,
+  onConcurrencyChange,
+  onStart,
+  onCancel
+}: EditionRunPanelProps) {
+  // Track exclusions rather than inclusions so newly unfiled entries are picked up by default.
+  const [excluded, setExcluded] = useState<Set<string>>(() => new Set());
+  const isRunning = progress?.running ?? false;
+
+  const unfiledIds = useMemo(
+    () =>
+      entries
+        .filter((entry) => {
+          const status = statuses[entry.id] ?? "idle";
+          return status === "idle" || status === "stale" || status === "error";
+        })
+        .map((entry) => entry.id),
+    [entries, statuses]
+  );
+
+  const toggle = (id: string) =>
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const runnable = entries.filter(
+    (entry) => unfiledIds.includes(entry.id) && !excluded.has(entry.id)
+  );
+  const settled = progress ? progress.filed + progress.failed : 0;
+
+  return (
+    <details
+      className="no-print"
+      style={{
+        border: "1px solid rgba(245,241,230,0.2)",
+        padding: "0.85rem 1rem",
+        background: "rgba(10, 10, 14, 0.55)"
+      }}
+    >
+      <summary
+        style={{
+          cursor: "pointer",
+          fontSize: "0.75rem",
+          letterSpacing: "0.12em",
+          textTransform: "uppercase",
+          opacity: 0.8
+        }}
+      >
+        File Every Story
+        {progress && (
+          <span style={{ marginLeft: "0.5rem", opacity: 0.75, textTransform: "none" }}>
+            · {settled}/{progress.total} settled
+            {progress.failed > 0 ? ` · ${progress.failed} failed` : ""}
+          </span>
+        )}
+      </summary>
+      <div style={{ display: "grid", gap: "0.75rem", marginTop: "0.75rem" }}>
+        {progress && (
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={settled}
+            style={{ height: "4px", background: "rgba(245,241,230,0.12)" }}
+          >
+            <div
+              style={{
+                height: "100%",
+                width: `${progress.total ? (settled / progress.total) * 100 : 0}%`,
+                background: progress.failed ? "rgba(255,160,160,0.8)" : "rgba(190,150,255,0.85)",
+                transition: "width 0.3s ease"
+              }}
+            />
+          </div>
+        )}
+        <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap", fontSize: "0.75rem" }}>
+          <button
+            onClick={() => setExcluded(new Set())}
+            disabled={isRunning}
+            style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+          >
+            Select Unfiled
+          </button>
+          <button
+            onClick={() => setExcluded(new Set(entries.map((entry) => entry.id)))}
+            disabled={isRunning}
+            style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+          >
+            Clear
+          </button>
+        </div>
+        <ul
+          style={{
+            listStyle: "none",
+            padding: 0,
+            margin: 0,
+            display: "grid",
+            gap: "0.35rem",
+            maxHeight: "14rem",
+            overflowY: "auto"
+          }}
+        >
+          {entries.map((entry) => {
+            const status = statuses[entry.id] ?? "idle";
+            const selectable = unfiledIds.includes(entry.id);
+            return (
+              <li
+                key={entry.id}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: "0.75rem",
+                  fontSize: "0.85rem"
+                }}
+              >
+                <label style={{ display: "flex", gap: "0.5rem", alignItems: "center" }}>
+                  <input
+                    type="checkbox"
+                    checked={selectable && !excluded.has(entry.id)}
+                    disabled={isRunning || !selectable}
+                    onChange={() => toggle(entry.id)}
+                  />
+                  <span style={{ opacity: selectable ? 0.9 : 0.6 }}>{entry.title}</span>
+                </label>
+                <span
+                  style={{
+                    fontSize: "0.7rem",
+                    letterSpacing: "0.08em",
+                    textTransform: "uppercase",
+                    color: STATUS_COLORS[status],
+                    whiteSpace: "nowrap"
+                  }}
+                >
+                  {STATUS_LABELS[status]}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "0.75rem",
+            flexWrap: "wrap"
+          }}
+        >
+          <label
+            style={{ fontSize: "0.8rem", display: "flex", gap: "0.5rem", alignItems: "center" }}
+          >
+            At once
+            <select
+              value={concurrency}
+              disabled={isRunning}
+              onChange={(event) => onConcurrencyChange(Number(event.target.value))}
+            >
+              {CONCURRENCY_CHOICES.map((choice) => (
+                <option key={choice} value={choice}>
+                  {choice}
+                </option>
+              ))}
+            </select>
+          </label>
+          {isRunning ? (
+            <button onClick={onCancel} style={{ borderWidth: "2px" }}>
+              Stop the Presses
+            </button>
+          ) : (
+            <button
+              onClick={() => onStart(runnable.map((entry) => entry.id))}
+              disabled={runnable.length === 0}
+              className="primary-action"
+              style={{ borderWidth: "2px" }}
+            >
+              File {runnable.length} {runnable.length === 1 ? "Story" : "Stories"}
+            </button>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+}
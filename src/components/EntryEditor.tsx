@@ -0,0 +1,132 @@
+import { useState } from "react";
+import { TimelineEntry } from "../types";
+import { formatHistoricalDate, parseHistoricalDate } from "../lib/dates";
+
+export type EntryDraft = Omit<TimelineEntry, "id">;
+
+type EntryEditorProps = {
+  initial?: TimelineEntry;
+  onSave: (draft: EntryDraft) => void;
+  onCancel: () => void;
+};
+
+const fieldLabel = {
+  display: "grid",
+  gap: "0.3rem",
+  fontSize: "0.75rem",
+  letterSpacing: "0.08em",
+  textTransform: "uppercase" as const,
+  opacity: 0.85
+};
+
+function optional(value: string) {
+  const trimmed = value.trim();
+  return trimmed ? trimmed : undefined;
+}
+
+export function EntryEditor({ initial, onSave, onCancel }: EntryEditorProps) {
+  const [title, setTitle] = useState(initial?.title ?? "");
+  const [era, setEra] = useState(initial?.era ?? "");
+  const [anchorDate, setAnchorDate] = useState(initial?.anchorDate ?? "");
+  const [tone, setTone] = useState(initial?.tone ?? "");
+  const [summary, setSummary] = useState(initial?.summary ?? "");
+  const [threads, setThreads] = useState(initial?.threads?.join(", ") ?? "");
+
+  const parsedDate = anchorDate.trim() ? parseHistoricalDate(anchorDate) : null;
+  const canSave = Boolean(title.trim() && summary.trim());
+
+  return (
+    <form
+      onSubmit={(event) => {
+        event.preventDefault();
+        if (!canSave) return;
+        const threadList = Array.from(
+          new Set(
+            threads
+              .split(",")
+              .map((thread) => thread.trim())
+              .filter(Boolean)
+          )
+        );
+        onSave({
+          title: title.trim(),
+          era: era.trim(),
+          summary: summary.trim(),
+          anchorDate: optional(anchorDate),
+          tone: optional(tone),
+          threads: threadList.length ? threadList : undefined
+        });
+      }}
+      onKeyDown={(event) => {
+        if (event.key === "Escape") onCancel();
+      }}
+      style={{
+        border: "1px dashed rgba(190,150,255,0.5)",
+        padding: "0.75rem",
+        display: "grid",
+        gap: "0.6rem"
+      }}
+    >
+      <label style={fieldLabel}>
+        Title
+        <input value={title} onChange={(event) => setTitle(event.target.value)} autoFocus />
+      </label>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0.6rem" }}>
+        <label style={fieldLabel}>
+          Era
+          <input value={era} onChange={(event) => setEra(event.target.value)} />
+        </label>
+        <label style={fieldLabel}>
+          Anchor date
+          <input
+            value={anchorDate}
+            onChange={(event) => setAnchorDate(event.target.value)}
+            placeholder="1962-10-27, spring 1963, 1970s…"
+          />
+        </label>
+      </div>
+      {anchorDate.trim() && (
+        <div
+          style={{
+            fontSize: "0.75rem",
+            marginTop: "-0.3rem",
+            color: parsedDate ? "rgba(245,241,230,0.65)" : "rgba(255,160,160,0.9)"
+          }}
+        >
+          {parsedDate
+            ? `Reads as ${formatHistoricalDate(parsedDate)} (${parsedDate.precision})`
+            : "The scope cannot place this date; it will stay off the chronology."}
+        </div>
+      )}
+      <label style={fieldLabel}>
+        Tone
+        <input value={tone} onChange={(event) => setTone(event.target.value)} />
+      </label>
+      <label style={fieldLabel}>
+        Summary
+        <textarea
+          rows={4}
+          value={summary}
+          onChange={(event) => setSummary(event.target.value)}
+          style={{ resize: "vertical" }}
+        />
+      </label>
+      <label style={fieldLabel}>
+        Threads
+        <input
+          value={threads}
+          onChange={(event) => setThreads(event.target.value)}
+          placeholder="Comma-separated"
+        />
+      </label>
+      <div style={{ display: "flex", gap: "0.5rem", justifyContent: "flex-end" }}>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="generate-more-events" disabled={!canSave}>
+          {initial ? "Save Entry" : "Add Entry"}
+        </button>
+      </div>
+    </form>
+  );
+}
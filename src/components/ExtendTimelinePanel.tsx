@@ -0,0 +1,139 @@
+import { useState } from "react";
+import { TimelineEntry } from "../types";
+import { formatYear } from "../lib/dates";
+import { ExtensionDirection, findFrontier, planChunk, targetYear } from "../lib/extension";
+
+export type ExtensionProgress = {
+  direction: ExtensionDirection;
+  target: string;
+  chunks: number;
+  reached: number | null; // the frontier year after the latest chunk
+  running: boolean;
+};
+
+type ExtendTimelinePanelProps = {
+  entries: TimelineEntry[];
+  progress: ExtensionProgress | null;
+  onStart: (direction: ExtensionDirection, target: string) => void;
+  onCancel: () => void;
+};
+
+const DIRECTIONS: { value: ExtensionDirection; label: string }[] = [
+  { value: "before", label: "Extend Before" },
+  { value: "after", label: "Extend After" }
+];
+
+export function ExtendTimelinePanel({
+  entries,
+  progress,
+  onStart,
+  onCancel
+}: ExtendTimelinePanelProps) {
+  const [direction, setDirection] = useState<ExtensionDirection>("after");
+  const [target, setTarget] = useState("");
+  const isRunning = progress?.running ?? false;
+  const frontier = findFrontier(entries, direction);
+  const goal = target.trim() ? targetYear(target, direction) : null;
+
+  let problem: string | null = null;
+  if (frontier === null) problem = "The timeline needs at least one dated entry to extend from.";
+  else if (target.trim() && goal === null) problem = "That target date could not be read.";
+  else if (goal !== null && !planChunk(frontier, goal, direction)) {
+    problem = `The timeline already reaches ${formatYear(goal)} in that direction.`;
+  }
+
+  return (
+    <details
+      className="no-print"
+      style={{
+        border: "1px solid rgba(245,241,230,0.2)",
+        padding: "0.85rem 1rem",
+        background: "rgba(10, 10, 14, 0.55)"
+      }}
+    >
+      <summary
+        style={{
+          cursor: "pointer",
+          fontSize: "0.75rem",
+          letterSpacing: "0.12em",
+          textTransform: "uppercase",
+          opacity: 0.8
+        }}
+      >
+        Extend the Timeline
+        {progress && (
+          <span style={{ marginLeft: "0.5rem", opacity: 0.75, textTransform: "none" }}>
+            · {progress.chunks} {progress.chunks === 1 ? "chunk" : "chunks"} toward{" "}
+            {progress.target}
+            {progress.reached !== null ? ` · reached ${formatYear(progress.reached)}` : ""}
+            {progress.running ? "…" : ""}
+          </span>
+        )}
+      </summary>
+      <div style={{ display: "grid", gap: "0.75rem", marginTop: "0.75rem" }}>
+        <p style={{ fontSize: "0.8rem", opacity: 0.7, margin: 0 }}>
+          Grows the timeline past its earliest or latest entry a few years at a time, carrying its
+          existing threads, until it reaches the target date.
+        </p>
+        <div role="radiogroup" aria-label="Extension direction" style={{ display: "flex" }}>
+          {DIRECTIONS.map((item) => (
+            <button
+              key={item.value}
+              type="button"
+              role="radio"
+              aria-checked={item.value === direction}
+              disabled={isRunning}
+              onClick={() => setDirection(item.value)}
+              style={{
+                flex: 1,
+                fontSize: "0.75rem",
+                padding: "0.3rem 0.6rem",
+                background: item.value === direction ? "rgba(40, 15, 60, 0.5)" : undefined,
+                borderColor: item.value === direction ? "rgba(190,150,255,0.6)" : undefined
+              }}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "0.75rem",
+            flexWrap: "wrap"
+          }}
+        >
+          <label
+            style={{ fontSize: "0.8rem", display: "flex", gap: "0.5rem", alignItems: "center" }}
+          >
+            {direction === "after" ? "Through" : "Back to"}
+            <input
+              value={target}
+              disabled={isRunning}
+              onChange={(event) => setTarget(event.target.value)}
+              placeholder={frontier === null ? "e.g. 2040" : `beyond ${formatYear(frontier)}`}
+              style={{ width: "10rem", padding: "0.35rem 0.5rem" }}
+            />
+          </label>
+          {isRunning ? (
+            <button onClick={onCancel} style={{ borderWidth: "2px" }}>
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={() => onStart(direction, target.trim())}
+              disabled={goal === null || problem !== null}
+              className="primary-action"
+              style={{ borderWidth: "2px" }}
+            >
+              {direction === "after" ? "Extend After" : "Extend Before"}
+            </button>
+          )}
+        </div>
+        {problem && <p style={{ fontSize: "0.8rem", opacity: 0.7, margin: 0 }}>{problem}</p>}
+      </div>
+    </details>
+  );
+}
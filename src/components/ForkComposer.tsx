@@ -0,0 +1,52 @@
+import { useState } from "react";
+
+type ForkComposerProps = {
+  entryTitle: string;
+  isForking: boolean;
+  onSubmit: (divergence: string) => void;
+  onCancel: () => void;
+};
+
+export function ForkComposer({ entryTitle, isForking, onSubmit, onCancel }: ForkComposerProps) {
+  const [divergence, setDivergence] = useState("");
+  const trimmed = divergence.trim();
+
+  return (
+    <form
+      onSubmit={(event) => {
+        event.preventDefault();
+        if (trimmed) onSubmit(trimmed);
+      }}
+      style={{
+        border: "1px dashed rgba(190,150,255,0.5)",
+        padding: "0.75rem",
+        display: "grid",
+        gap: "0.5rem"
+      }}
+    >
+      <label style={{ fontSize: "0.8rem", letterSpacing: "0.06em", opacity: 0.85 }}>
+        From “{entryTitle}”, this happens instead:
+        <textarea
+          rows={3}
+          value={divergence}
+          onChange={(event) => setDivergence(event.target.value)}
+          placeholder="The committee vote is deadlocked and the programme is shelved..."
+          style={{ marginTop: "0.4rem", resize: "vertical" }}
+          disabled={isForking}
+        />
+      </label>
+      <div style={{ display: "flex", gap: "0.5rem", justifyContent: "flex-end" }}>
+        <button type="button" onClick={onCancel} disabled={isForking}>
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="generate-more-events"
+          disabled={isForking || !trimmed}
+        >
+          {isForking ? "Forking…" : "Fork Universe"}
+        </button>
+      </div>
+    </form>
+  );
+}
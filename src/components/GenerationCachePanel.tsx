@@ -0,0 +1,150 @@
+import { useRef, useState } from "react";
+import { CacheMode, FixtureError, GenerationFixture, parseFixture } from "../lib/cache";
+
+type GenerationCachePanelProps = {
+  mode: CacheMode;
+  fixture: GenerationFixture;
+  onModeChange: (mode: CacheMode) => void;
+  onLoad: (fixture: GenerationFixture) => void;
+  onExport: () => void;
+  onClear: () => void;
+};
+
+const CACHE_MODES: { mode: CacheMode; label: string; hint: string }[] = [
+  { mode: "live", label: "Live", hint: "Every request goes to the model." },
+  {
+    mode: "record",
+    label: "Record",
+    hint: "Requests go to the model and each reply is kept in the fixture."
+  },
+  {
+    mode: "replay",
+    label: "Replay",
+    hint: "Replies come only from the fixture. No API key is needed; unrecorded requests fail."
+  }
+];
+
+export function GenerationCachePanel({
+  mode,
+  fixture,
+  onModeChange,
+  onLoad,
+  onExport,
+  onClear
+}: GenerationCachePanelProps) {
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
+  const recorded = Object.keys(fixture.entries).length;
+  const recordedLabel = `${recorded} ${recorded === 1 ? "reply" : "replies"}`;
+  const current = CACHE_MODES.find((item) => item.mode === mode) ?? CACHE_MODES[0];
+
+  const handleLoadFile = async (file: File) => {
+    try {
+      const loaded = parseFixture(await file.text());
+      setLoadError(null);
+      onLoad(loaded);
+    } catch (error) {
+      if (!(error instanceof FixtureError)) throw error;
+      const detail = error.issues
+        .slice(0, 3)
+        .map((issue) => `${issue.path}: ${issue.message}`)
+        .join("; ");
+      setLoadError(detail ? `${error.message} — ${detail}` : error.message);
+    }
+  };
+
+  return (
+    <details style={{ marginBottom: "2rem" }}>
+      <summary
+        style={{
+          cursor: "pointer",
+          fontSize: "0.85rem",
+          letterSpacing: "0.08em",
+          opacity: 0.8,
+          textTransform: "uppercase"
+        }}
+      >
+        Recording · {current.label}
+      </summary>
+      <div style={{ display: "grid", gap: "1rem", marginTop: "0.75rem" }}>
+        <div role="radiogroup" aria-label="Generation cache mode" style={{ display: "flex" }}>
+          {CACHE_MODES.map((item) => (
+            <button
+              key={item.mode}
+              type="button"
+              role="radio"
+              aria-checked={item.mode === mode}
+              onClick={() => onModeChange(item.mode)}
+              style={{
+                flex: 1,
+                fontSize: "0.75rem",
+                padding: "0.3rem 0.6rem",
+                background: item.mode === mode ? "rgba(40, 15, 60, 0.5)" : undefined,
+                borderColor: item.mode === mode ? "rgba(190,150,255,0.6)" : undefined
+              }}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+        <p style={{ fontSize: "0.8rem", opacity: 0.7, margin: 0 }}>
+          {current.hint} {recordedLabel} recorded.
+        </p>
+
+        <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Load Fixture
+          </button>
+          <button
+            type="button"
+            onClick={onExport}
+            disabled={recorded === 0}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Export Fixture
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm(`Discard ${recordedLabel}?`)) onClear();
+            }}
+            disabled={recorded === 0}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Clear
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            style={{ display: "none" }}
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              if (file) handleLoadFile(file);
+              event.target.value = "";
+            }}
+          />
+        </div>
+
+        {loadError && (
+          <div
+            role="alert"
+            style={{
+              border: "1px solid rgba(255,160,160,0.4)",
+              padding: "0.5rem 0.75rem",
+              fontSize: "0.8rem",
+              color: "rgba(255,200,200,0.9)",
+              background: "rgba(60,10,10,0.35)"
+            }}
+          >
+            {loadError}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,408 @@
+import { useRef, useState } from "react";
+import { GENERATION_KINDS, GENERATION_LABELS, GenerationKind } from "../lib/providers";
+import {
+  DEFAULT_STYLE,
+  HouseStyle,
+  StyleImportError,
+  copyHouseStyle,
+  isBuiltInStyle,
+  parseHouseStyles
+} from "../lib/styles";
+
+type HouseStylePanelProps = {
+  styles: HouseStyle[]; // built-in styles first, then the reader's own
+  activeId: string;
+  onSelect: (id: string) => void;
+  onChange: (style: HouseStyle) => void;
+  onCreate: (style: HouseStyle) => void;
+  onDelete: (id: string) => void;
+  onImport: (styles: HouseStyle[]) => void;
+  onExport: () => void;
+};
+
+const fieldLabelStyle = {
+  display: "block",
+  fontSize: "0.75rem",
+  letterSpacing: "0.08em",
+  opacity: 0.7,
+  marginTop: "0.6rem"
+} as const;
+
+const legendStyle = {
+  fontSize: "0.75rem",
+  letterSpacing: "0.12em",
+  textTransform: "uppercase",
+  opacity: 0.8,
+  padding: "0 0.35rem"
+} as const;
+
+const fieldsetStyle = {
+  border: "1px solid rgba(245,241,230,0.15)",
+  padding: "0.75rem 0.9rem",
+  margin: 0
+} as const;
+
+function clampInteger(value: string, min: number, max: number) {
+  const parsed = Math.round(Number(value));
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : min;
+}
+
+// Colour inputs only take #rrggbb, so short and translucent hex codes are widened or trimmed.
+function toColorInput(value: string) {
+  const hex = value.replace(/^#/, "");
+  if (hex.length === 3 || hex.length === 4) {
+    return `#${hex
+      .slice(0, 3)
+      .split("")
+      .map((digit) => digit + digit)
+      .join("")}`;
+  }
+  return `#${hex.slice(0, 6)}`;
+}
+
+export function HouseStylePanel({
+  styles,
+  activeId,
+  onSelect,
+  onChange,
+  onCreate,
+  onDelete,
+  onImport,
+  onExport
+}: HouseStylePanelProps) {
+  const [importError, setImportError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement | null>(null);
+  const active = styles.find((style) => style.id === activeId) ?? DEFAULT_STYLE;
+  const editable = !isBuiltInStyle(active.id);
+  const customStyles = styles.filter((style) => !isBuiltInStyle(style.id));
+
+  const update = (patch: Partial<HouseStyle>) => onChange({ ...active, ...patch });
+  const updateArticle = (patch: Partial<HouseStyle["article"]>) =>
+    update({ article: { ...active.article, ...patch } });
+  const updateMasthead = (patch: Partial<HouseStyle["masthead"]>) =>
+    update({ masthead: { ...active.masthead, ...patch } });
+  const updatePrompt = (kind: GenerationKind, value: string) =>
+    update({ prompts: { ...active.prompts, [kind]: value } });
+  const updateRealism = (kind: GenerationKind, value: string) =>
+    update({ realism: { ...active.realism, [kind]: clampInteger(value, 1, 20) } });
+  // Required text left blank falls back to the bureau's wording when the field loses focus.
+  const requireText = (value: string, fallback: string) => (value.trim() ? value : fallback);
+
+  const handleImportFile = async (file: File) => {
+    try {
+      const imported = parseHouseStyles(await file.text(), customStyles);
+      setImportError(null);
+      onImport(imported);
+    } catch (error) {
+      if (!(error instanceof StyleImportError)) throw error;
+      const detail = error.issues
+        .slice(0, 3)
+        .map((issue) => `${issue.path}: ${issue.message}`)
+        .join("; ");
+      setImportError(detail ? `${error.message} — ${detail}` : error.message);
+    }
+  };
+
+  return (
+    <details style={{ marginBottom: "2rem" }}>
+      <summary
+        style={{
+          cursor: "pointer",
+          fontSize: "0.85rem",
+          letterSpacing: "0.08em",
+          opacity: 0.8,
+          textTransform: "uppercase"
+        }}
+      >
+        House Style · {active.name}
+      </summary>
+      <div style={{ display: "grid", gap: "1rem", marginTop: "0.75rem" }}>
+        <div>
+          <label htmlFor="house-style" style={{ ...fieldLabelStyle, marginTop: 0 }}>
+            Style
+          </label>
+          <select
+            id="house-style"
+            value={active.id}
+            onChange={(event) => onSelect(event.target.value)}
+            style={{ marginTop: "0.35rem", width: "100%" }}
+          >
+            {styles.map((style) => (
+              <option key={style.id} value={style.id}>
+                {style.name}
+                {isBuiltInStyle(style.id) ? "" : " (custom)"}
+              </option>
+            ))}
+          </select>
+          {active.description && (
+            <p style={{ fontSize: "0.8rem", opacity: 0.7, margin: "0.5rem 0 0" }}>
+              {active.description}
+            </p>
+          )}
+        </div>
+
+        <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+          <button
+            type="button"
+            onClick={() => onCreate(copyHouseStyle(active, styles, `${active.name} (copy)`))}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Duplicate
+          </button>
+          {editable && (
+            <button
+              type="button"
+              onClick={() => {
+                if (window.confirm(`Delete the house style "${active.name}"?`)) onDelete(active.id);
+              }}
+              style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+            >
+              Delete
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Import JSON
+          </button>
+          <button
+            type="button"
+            onClick={onExport}
+            disabled={customStyles.length === 0}
+            title={customStyles.length === 0 ? "Duplicate a style to make one of your own" : ""}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Export JSON
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            style={{ display: "none" }}
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              if (file) handleImportFile(file);
+              event.target.value = "";
+            }}
+          />
+        </div>
+
+        {importError && (
+          <div
+            role="alert"
+            style={{
+              border: "1px solid rgba(255,160,160,0.4)",
+              padding: "0.5rem 0.75rem",
+              fontSize: "0.8rem",
+              color: "rgba(255,200,200,0.9)",
+              background: "rgba(60,10,10,0.35)"
+            }}
+          >
+            {importError}
+          </div>
+        )}
+
+        {!editable ? (
+          <p style={{ fontSize: "0.8rem", opacity: 0.6, margin: 0 }}>
+            Built-in styles are read-only. Duplicate one to adjust its prompts, realism, structure
+            and masthead.
+          </p>
+        ) : (
+          <>
+            <fieldset style={fieldsetStyle}>
+              <legend style={legendStyle}>Identity</legend>
+              <label htmlFor="house-style-name" style={{ ...fieldLabelStyle, marginTop: 0 }}>
+                Name
+              </label>
+              <input
+                id="house-style-name"
+                value={active.name}
+                onChange={(event) => update({ name: event.target.value })}
+                onBlur={(event) =>
+                  update({ name: requireText(event.target.value, "Untitled style") })
+                }
+                style={{ marginTop: "0.35rem" }}
+              />
+              <label htmlFor="house-style-description" style={fieldLabelStyle}>
+                Description
+              </label>
+              <input
+                id="house-style-description"
+                value={active.description}
+                onChange={(event) => update({ description: event.target.value })}
+                style={{ marginTop: "0.35rem" }}
+              />
+            </fieldset>
+
+            {GENERATION_KINDS.map((kind) => (
+              <fieldset key={kind} style={fieldsetStyle}>
+                <legend style={legendStyle}>{GENERATION_LABELS[kind]}</legend>
+                <label
+                  htmlFor={`house-style-prompt-${kind}`}
+                  style={{ ...fieldLabelStyle, marginTop: 0 }}
+                >
+                  House voice
+                </label>
+                <textarea
+                  id={`house-style-prompt-${kind}`}
+                  rows={3}
+                  value={active.prompts[kind]}
+                  onChange={(event) => updatePrompt(kind, event.target.value)}
+                  placeholder="Blank keeps the desk's standard brief"
+                  style={{ marginTop: "0.35rem", resize: "vertical" }}
+                />
+                <label htmlFor={`house-style-realism-${kind}`} style={fieldLabelStyle}>
+                  Realism to uncanny ({active.realism[kind]}:1)
+                </label>
+                <input
+                  id={`house-style-realism-${kind}`}
+                  type="range"
+                  min={1}
+                  max={20}
+                  step={1}
+                  value={active.realism[kind]}
+                  onChange={(event) => updateRealism(kind, event.target.value)}
+                  style={{ marginTop: "0.35rem", width: "100%" }}
+                />
+              </fieldset>
+            ))}
+
+            <fieldset style={fieldsetStyle}>
+              <legend style={legendStyle}>Article Structure</legend>
+              <label htmlFor="house-style-desk" style={{ ...fieldLabelStyle, marginTop: 0 }}>
+                Desk
+              </label>
+              <input
+                id="house-style-desk"
+                value={active.article.desk}
+                onChange={(event) => updateArticle({ desk: event.target.value })}
+                onBlur={(event) =>
+                  updateArticle({
+                    desk: requireText(event.target.value, DEFAULT_STYLE.article.desk)
+                  })
+                }
+                style={{ marginTop: "0.35rem" }}
+              />
+              <label htmlFor="house-style-structure" style={fieldLabelStyle}>
+                Structure
+              </label>
+              <textarea
+                id="house-style-structure"
+                rows={2}
+                value={active.article.structure}
+                onChange={(event) => updateArticle({ structure: event.target.value })}
+                onBlur={(event) =>
+                  updateArticle({
+                    structure: requireText(event.target.value, DEFAULT_STYLE.article.structure)
+                  })
+                }
+                style={{ marginTop: "0.35rem", resize: "vertical" }}
+              />
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0.6rem" }}>
+                <div>
+                  <label htmlFor="house-style-segments-min" style={fieldLabelStyle}>
+                    Fewest segments
+                  </label>
+                  <input
+                    id="house-style-segments-min"
+                    type="number"
+                    min={1}
+                    max={12}
+                    value={active.article.segments.min}
+                    onChange={(event) => {
+                      const min = clampInteger(event.target.value, 1, 12);
+                      updateArticle({
+                        segments: { min, max: Math.max(min, active.article.segments.max) }
+                      });
+                    }}
+                    style={{ marginTop: "0.35rem" }}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="house-style-segments-max" style={fieldLabelStyle}>
+                    Most segments
+                  </label>
+                  <input
+                    id="house-style-segments-max"
+                    type="number"
+                    min={1}
+                    max={12}
+                    value={active.article.segments.max}
+                    onChange={(event) => {
+                      const max = clampInteger(event.target.value, 1, 12);
+                      updateArticle({
+                        segments: { min: Math.min(max, active.article.segments.min), max }
+                      });
+                    }}
+                    style={{ marginTop: "0.35rem" }}
+                  />
+                </div>
+              </div>
+            </fieldset>
+
+            <fieldset style={fieldsetStyle}>
+              <legend style={legendStyle}>Masthead</legend>
+              <label htmlFor="house-style-masthead" style={{ ...fieldLabelStyle, marginTop: 0 }}>
+                Nameplate
+              </label>
+              <input
+                id="house-style-masthead"
+                value={active.masthead.title}
+                onChange={(event) => updateMasthead({ title: event.target.value })}
+                onBlur={(event) =>
+                  updateMasthead({
+                    title: requireText(event.target.value, DEFAULT_STYLE.masthead.title)
+                  })
+                }
+                style={{ marginTop: "0.35rem", fontFamily: active.masthead.typeface }}
+              />
+              <label htmlFor="house-style-tagline" style={fieldLabelStyle}>
+                Tagline
+              </label>
+              <input
+                id="house-style-tagline"
+                value={active.masthead.tagline}
+                onChange={(event) => updateMasthead({ tagline: event.target.value })}
+                style={{ marginTop: "0.35rem" }}
+              />
+              <label htmlFor="house-style-typeface" style={fieldLabelStyle}>
+                Typeface (CSS font-family)
+              </label>
+              <input
+                id="house-style-typeface"
+                value={active.masthead.typeface}
+                onChange={(event) => updateMasthead({ typeface: event.target.value })}
+                onBlur={(event) =>
+                  updateMasthead({
+                    typeface: requireText(event.target.value, DEFAULT_STYLE.masthead.typeface)
+                  })
+                }
+                style={{ marginTop: "0.35rem" }}
+              />
+              <div style={{ display: "flex", gap: "1rem" }}>
+                <label style={{ ...fieldLabelStyle, display: "flex", gap: "0.4rem" }}>
+                  <input
+                    type="color"
+                    value={toColorInput(active.masthead.ink)}
+                    onChange={(event) => updateMasthead({ ink: event.target.value })}
+                  />
+                  Ink
+                </label>
+                <label style={{ ...fieldLabelStyle, display: "flex", gap: "0.4rem" }}>
+                  <input
+                    type="color"
+                    value={toColorInput(active.masthead.paper)}
+                    onChange={(event) => updateMasthead({ paper: event.target.value })}
+                  />
+                  Paper
+                </label>
+              </div>
+            </fieldset>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
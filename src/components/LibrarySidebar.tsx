@@ -0,0 +1,170 @@
+import { useMemo, useState } from "react";
+import { UniverseRecord } from "../lib/library";
+
+type LibrarySidebarProps = {
+  universes: UniverseRecord[];
+  currentId: string | null;
+  error: string | null;
+  onOpen: (record: UniverseRecord) => void;
+  onRename: (id: string, name: string) => void;
+  onDuplicate: (id: string) => void;
+  onDelete: (id: string) => void;
+  onClose: () => void;
+};
+
+function matchesQuery(record: UniverseRecord, query: string) {
+  const haystack = [
+    record.name,
+    record.bundle.seed_event,
+    record.bundle.timeline.timeline_title
+  ]
+    .join(" ")
+    .toLowerCase();
+  return haystack.includes(query);
+}
+
+export function LibrarySidebar({
+  universes,
+  currentId,
+  error,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onClose
+}: LibrarySidebarProps) {
+  const [query, setQuery] = useState("");
+  const [renamingId, setRenamingId] = useState<string | null>(null);
+  const [draftName, setDraftName] = useState("");
+
+  const visible = useMemo(() => {
+    const normalized = query.trim().toLowerCase();
+    if (!normalized) return universes;
+    return universes.filter((record) => matchesQuery(record, normalized));
+  }, [query, universes]);
+
+  const commitRename = (id: string) => {
+    if (draftName.trim()) onRename(id, draftName);
+    setRenamingId(null);
+  };
+
+  return (
+    <nav
+      aria-label="Universe library"
+      className="no-print"
+      style={{
+        borderRight: "1px solid rgba(245,241,230,0.1)",
+        padding: "2rem 1.25rem",
+        overflowY: "auto",
+        height: "100vh",
+        display: "grid",
+        alignContent: "start",
+        gap: "1rem"
+      }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h2 style={{ fontSize: "1.2rem", letterSpacing: "0.08em", textTransform: "uppercase" }}>
+          Archive
+        </h2>
+        <button onClick={onClose} aria-label="Close archive" style={{ padding: "0.3rem 0.6rem" }}>
+          ×
+        </button>
+      </div>
+      <input
+        type="search"
+        placeholder="Search universes…"
+        value={query}
+        onChange={(event) => setQuery(event.target.value)}
+      />
+      {error && (
+        <div style={{ fontSize: "0.8rem", color: "rgba(255,200,200,0.9)" }}>{error}</div>
+      )}
+      {visible.length === 0 ? (
+        <div style={{ opacity: 0.6, fontSize: "0.9rem" }}>
+          {universes.length === 0 ? "No universes archived yet." : "No universes match."}
+        </div>
+      ) : (
+        <ul style={{ listStyle: "none", padding: 0, margin: 0, display: "grid", gap: "0.75rem" }}>
+          {visible.map((record) => {
+            const isCurrent = record.id === currentId;
+            const entryCount = record.bundle.timeline.entries.length;
+            const articleCount = Object.keys(record.bundle.articles ?? {}).length;
+            return (
+              <li
+                key={record.id}
+                style={{
+                  border: `1px solid ${
+                    isCurrent ? "rgba(190,150,255,0.7)" : "rgba(245,241,230,0.2)"
+                  }`,
+                  background: isCurrent ? "rgba(40, 15, 60, 0.5)" : "rgba(10, 10, 14, 0.55)",
+                  padding: "0.75rem 0.85rem",
+                  display: "grid",
+                  gap: "0.5rem"
+                }}
+              >
+                {renamingId === record.id ? (
+                  <input
+                    autoFocus
+                    value={draftName}
+                    onChange={(event) => setDraftName(event.target.value)}
+                    onBlur={() => commitRename(record.id)}
+                    onKeyDown={(event) => {
+                      if (event.key === "Enter") commitRename(record.id);
+                      if (event.key === "Escape") setRenamingId(null);
+                    }}
+                    style={{ padding: "0.4rem" }}
+                  />
+                ) : (
+                  <button
+                    onClick={() => onOpen(record)}
+                    style={{
+                      border: "none",
+                      background: "none",
+                      padding: 0,
+                      textAlign: "left",
+                      fontWeight: 600
+                    }}
+                  >
+                    {record.name}
+                  </button>
+                )}
+                <div style={{ fontSize: "0.75rem", opacity: 0.65, letterSpacing: "0.04em" }}>
+                  {entryCount} {entryCount === 1 ? "event" : "events"} · {articleCount}{" "}
+                  {articleCount === 1 ? "article" : "articles"} ·{" "}
+                  {new Date(record.updatedAt).toLocaleString()}
+                </div>
+                <div style={{ display: "flex", gap: "0.4rem", flexWrap: "wrap" }}>
+                  <button
+                    onClick={() => {
+                      setDraftName(record.name);
+                      setRenamingId(record.id);
+                    }}
+                    style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => onDuplicate(record.id)}
+                    style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Delete "${record.name}" from the archive?`)) {
+                        onDelete(record.id);
+                      }
+                    }}
+                    style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </nav>
+  );
+}
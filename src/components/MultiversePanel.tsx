@@ -0,0 +1,363 @@
+import { useMemo, useState } from "react";
+import {
+  MULTIVERSE_LIMITS,
+  MultiverseBranch,
+  MultiverseVariant,
+  compareBranches,
+  createVariantId,
+  spreadVariants
+} from "../lib/multiverse";
+import {
+  PROVIDERS,
+  PROVIDER_KINDS,
+  ProviderConfig,
+  ProviderKind,
+  switchProvider
+} from "../lib/providers";
+import { HouseStyle, findHouseStyle } from "../lib/styles";
+
+type MultiversePanelProps = {
+  baseConfig: ProviderConfig; // the timeline model setting new variants start from
+  activeStyleId: string;
+  styles: HouseStyle[];
+  branches: MultiverseBranch[] | null;
+  onRun: (variants: MultiverseVariant[]) => void;
+  onPromote: (index: number) => void;
+  onClose: () => void; // the panel was collapsed; any run in flight should stop
+};
+
+const STATUS_LABELS: Record<MultiverseBranch["status"], string> = {
+  loading: "Scrying…",
+  ready: "Ready",
+  error: "Failed"
+};
+
+const STATUS_COLORS: Record<MultiverseBranch["status"], string> = {
+  loading: "rgba(190,150,255,0.9)",
+  ready: "rgba(170,220,200,0.9)",
+  error: "rgba(255,160,160,0.9)"
+};
+
+const controlStyle = { fontSize: "0.8rem", padding: "0.35rem 0.5rem" } as const;
+
+function truncate(value: string, length: number) {
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+export function MultiversePanel({
+  baseConfig,
+  activeStyleId,
+  styles,
+  branches,
+  onRun,
+  onPromote,
+  onClose
+}: MultiversePanelProps) {
+  const [variants, setVariants] = useState<MultiverseVariant[]>(() =>
+    spreadVariants(baseConfig, activeStyleId, 3)
+  );
+  const isRunning = branches?.some((branch) => branch.status === "loading") ?? false;
+  const comparison = useMemo(
+    () => (branches ? compareBranches(branches.map((branch) => branch.timeline)) : null),
+    [branches]
+  );
+
+  const updateVariant = (id: string, patch: Partial<MultiverseVariant>) =>
+    setVariants((prev) =>
+      prev.map((variant) => (variant.id === id ? { ...variant, ...patch } : variant))
+    );
+
+  const describe = (variant: MultiverseVariant) =>
+    [
+      variant.config.model,
+      `t ${variant.config.temperature.toFixed(2)}`,
+      findHouseStyle(styles, variant.styleId)?.name ?? variant.styleId
+    ].join(" · ");
+
+  return (
+    <details
+      className="no-print"
+      style={{ marginBottom: "1.5rem" }}
+      onToggle={(event) => {
+        if (!event.currentTarget.open) onClose();
+      }}
+    >
+      <summary
+        style={{
+          cursor: "pointer",
+          fontSize: "0.85rem",
+          letterSpacing: "0.08em",
+          opacity: 0.8,
+          textTransform: "uppercase"
+        }}
+      >
+        Compare Outcomes
+        {branches && (
+          <span style={{ marginLeft: "0.5rem", opacity: 0.75, textTransform: "none" }}>
+            · {branches.filter((branch) => branch.status !== "loading").length}/{branches.length}{" "}
+            settled
+          </span>
+        )}
+      </summary>
+      <div style={{ display: "grid", gap: "0.75rem", marginTop: "0.75rem" }}>
+        <p style={{ fontSize: "0.8rem", opacity: 0.7, margin: 0 }}>
+          Runs the seed above once per variant, then lines the timelines up by anchor date. Shared
+          threads are highlighted; entries no other branch echoes in the same period are marked as
+          divergent.
+        </p>
+        {variants.map((variant, index) => (
+          <div
+            key={variant.id}
+            style={{
+              display: "grid",
+              gridTemplateColumns:
+                "minmax(8rem, 1fr) minmax(10rem, 2fr) 5rem minmax(8rem, 1fr) auto",
+              gap: "0.5rem",
+              alignItems: "center"
+            }}
+          >
+            <select
+              aria-label={`Variant ${index + 1} provider`}
+              value={variant.config.provider}
+              disabled={isRunning}
+              onChange={(event) =>
+                updateVariant(variant.id, {
+                  config: switchProvider(variant.config, event.target.value as ProviderKind)
+                })
+              }
+              style={controlStyle}
+            >
+              {PROVIDER_KINDS.map((provider) => (
+                <option key={provider} value={provider}>
+                  {PROVIDERS[provider].label}
+                </option>
+              ))}
+            </select>
+            <input
+              aria-label={`Variant ${index + 1} model`}
+              value={variant.config.model}
+              disabled={isRunning}
+              onChange={(event) =>
+                updateVariant(variant.id, {
+                  config: { ...variant.config, model: event.target.value }
+                })
+              }
+              style={controlStyle}
+            />
+            <input
+              aria-label={`Variant ${index + 1} temperature`}
+              type="number"
+              min={0}
+              max={1.5}
+              step={0.05}
+              value={variant.config.temperature}
+              disabled={isRunning}
+              onChange={(event) => {
+                const temperature = Number(event.target.value);
+                if (!Number.isFinite(temperature)) return;
+                updateVariant(variant.id, {
+                  config: {
+                    ...variant.config,
+                    temperature: Math.min(Math.max(temperature, 0), 1.5)
+                  }
+                });
+              }}
+              style={controlStyle}
+            />
+            <select
+              aria-label={`Variant ${index + 1} house style`}
+              value={variant.styleId}
+              disabled={isRunning}
+              onChange={(event) => updateVariant(variant.id, { styleId: event.target.value })}
+              style={controlStyle}
+            >
+              {styles.map((style) => (
+                <option key={style.id} value={style.id}>
+                  {style.name}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setVariants((prev) => prev.filter((item) => item.id !== variant.id))}
+              disabled={isRunning || variants.length <= MULTIVERSE_LIMITS.min}
+              style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}>
+          <button
+            type="button"
+            onClick={() =>
+              setVariants((prev) => [...prev, { ...prev[prev.length - 1], id: createVariantId() }])
+            }
+            disabled={isRunning || variants.length >= MULTIVERSE_LIMITS.max}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Add Variant
+          </button>
+          <button
+            type="button"
+            onClick={() => setVariants(spreadVariants(baseConfig, activeStyleId, variants.length))}
+            disabled={isRunning}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+          >
+            Reset to Model Settings
+          </button>
+          <button
+            type="button"
+            className="primary-action"
+            onClick={() => onRun(variants)}
+            disabled={isRunning}
+            style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem", marginLeft: "auto" }}
+          >
+            {isRunning ? "Scrying..." : `Compare ${variants.length} Timelines`}
+          </button>
+        </div>
+
+        {branches && comparison && (
+          <>
+            {comparison.sharedThreads.length > 0 && (
+              <div style={{ fontSize: "0.75rem", opacity: 0.85 }}>
+                Shared threads:{" "}
+                {comparison.sharedThreads.map((thread) => (
+                  <span
+                    key={thread}
+                    style={{
+                      display: "inline-block",
+                      margin: "0.15rem 0.35rem 0.15rem 0",
+                      padding: "0.05rem 0.4rem",
+                      border: "1px solid rgba(190,150,255,0.6)",
+                      background: "rgba(40, 15, 60, 0.5)"
+                    }}
+                  >
+                    {thread}
+                  </span>
+                ))}
+              </div>
+            )}
+            <div style={{ overflowX: "auto" }}>
+              <div
+                role="table"
+                aria-label="Timelines aligned by anchor date"
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: `6rem repeat(${branches.length}, minmax(14rem, 1fr))`,
+                  gap: "0.5rem",
+                  fontSize: "0.8rem"
+                }}
+              >
+                <div role="columnheader" />
+                {branches.map((branch, index) => (
+                  <div
+                    key={branch.variant.id}
+                    role="columnheader"
+                    style={{
+                      display: "grid",
+                      gap: "0.3rem",
+                      alignContent: "start",
+                      paddingBottom: "0.5rem",
+                      borderBottom: "1px solid rgba(245,241,230,0.2)"
+                    }}
+                  >
+                    <span style={{ fontSize: "0.7rem", opacity: 0.7 }}>
+                      {describe(branch.variant)}
+                    </span>
+                    <strong style={{ fontSize: "0.9rem" }}>
+                      {branch.timeline?.timeline_title ?? `Variant ${index + 1}`}
+                    </strong>
+                    <span
+                      style={{
+                        fontSize: "0.7rem",
+                        letterSpacing: "0.08em",
+                        textTransform: "uppercase",
+                        color: STATUS_COLORS[branch.status]
+                      }}
+                      title={branch.error}
+                    >
+                      {STATUS_LABELS[branch.status]}
+                      {branch.error ? ` · ${truncate(branch.error, 80)}` : ""}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => onPromote(index)}
+                      disabled={branch.status !== "ready"}
+                      style={{ fontSize: "0.75rem", padding: "0.3rem 0.6rem" }}
+                    >
+                      Promote to Desk
+                    </button>
+                  </div>
+                ))}
+                {comparison.rows.map((row) => (
+                  <div key={row.label} role="row" style={{ display: "contents" }}>
+                    <div
+                      role="rowheader"
+                      style={{ fontSize: "0.75rem", letterSpacing: "0.08em", opacity: 0.7 }}
+                    >
+                      {row.label}
+                    </div>
+                    {row.cells.map((cell, branch) => (
+                      <div
+                        key={branches[branch].variant.id}
+                        role="cell"
+                        style={{ display: "grid", gap: "0.4rem", alignContent: "start" }}
+                      >
+                        {cell.map(({ entry, sharedThreads, divergent }) => (
+                          <div
+                            key={entry.id}
+                            style={{
+                              padding: "0.45rem 0.55rem",
+                              border: divergent
+                                ? "1px solid rgba(235,200,140,0.6)"
+                                : "1px solid rgba(245,241,230,0.15)",
+                              background: "rgba(10, 10, 14, 0.55)"
+                            }}
+                          >
+                            <div style={{ fontSize: "0.7rem", opacity: 0.65 }}>
+                              {entry.anchorDate}
+                              {divergent && (
+                                <span
+                                  style={{ marginLeft: "0.4rem", color: "rgba(235,200,140,0.9)" }}
+                                >
+                                  · Diverges
+                                </span>
+                              )}
+                            </div>
+                            <div style={{ fontWeight: 600, margin: "0.15rem 0" }}>
+                              {entry.title}
+                            </div>
+                            <div style={{ opacity: 0.75 }}>{truncate(entry.summary, 180)}</div>
+                            {(entry.threads?.length ?? 0) > 0 && (
+                              <div style={{ marginTop: "0.3rem", fontSize: "0.7rem" }}>
+                                {entry.threads?.map((thread) => (
+                                  <span
+                                    key={thread}
+                                    style={{
+                                      marginRight: "0.4rem",
+                                      color: sharedThreads.includes(thread)
+                                        ? "rgba(190,150,255,0.95)"
+                                        : undefined,
+                                      opacity: sharedThreads.includes(thread) ? 1 : 0.55
+                                    }}
+                                  >
+                                    #{thread}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
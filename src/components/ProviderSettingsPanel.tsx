@@ -0,0 +1,154 @@
+import {
+  GENERATION_KINDS,
+  GENERATION_LABELS,
+  GenerationKind,
+  PROVIDERS,
+  PROVIDER_KINDS,
+  ProviderConfig,
+  ProviderKeys,
+  ProviderKind,
+  ProviderSettings,
+  switchProvider
+} from "../lib/providers";
+
+type ProviderSettingsPanelProps = {
+  settings: ProviderSettings;
+  keys: ProviderKeys;
+  onSettingsChange: (settings: ProviderSettings) => void;
+  onKeyChange: (provider: ProviderKind, value: string) => void;
+};
+
+const fieldLabelStyle = {
+  display: "block",
+  fontSize: "0.75rem",
+  letterSpacing: "0.08em",
+  opacity: 0.7,
+  marginTop: "0.6rem"
+} as const;
+
+export function ProviderSettingsPanel({
+  settings,
+  keys,
+  onSettingsChange,
+  onKeyChange
+}: ProviderSettingsPanelProps) {
+  const updateKind = (kind: GenerationKind, next: ProviderConfig) => {
+    onSettingsChange({ ...settings, [kind]: next });
+  };
+
+  // Groq's key keeps its own field above; only surface keys for the other providers in use.
+  const keyedProviders = Array.from(
+    new Set(GENERATION_KINDS.map((kind) => settings[kind].provider))
+  ).filter((provider) => provider !== "groq" && !PROVIDERS[provider].keyless);
+
+  return (
+    <details style={{ marginBottom: "2rem" }}>
+      <summary
+        style={{
+          cursor: "pointer",
+          fontSize: "0.85rem",
+          letterSpacing: "0.08em",
+          opacity: 0.8,
+          textTransform: "uppercase"
+        }}
+      >
+        Model Settings
+      </summary>
+      <div style={{ display: "grid", gap: "1rem", marginTop: "0.75rem" }}>
+        {GENERATION_KINDS.map((kind) => {
+          const config = settings[kind];
+          const idPrefix = `provider-${kind}`;
+          return (
+            <fieldset
+              key={kind}
+              style={{
+                border: "1px solid rgba(245,241,230,0.15)",
+                padding: "0.75rem 0.9rem",
+                margin: 0
+              }}
+            >
+              <legend
+                style={{
+                  fontSize: "0.75rem",
+                  letterSpacing: "0.12em",
+                  textTransform: "uppercase",
+                  opacity: 0.8,
+                  padding: "0 0.35rem"
+                }}
+              >
+                {GENERATION_LABELS[kind]}
+              </legend>
+              <label htmlFor={`${idPrefix}-provider`} style={{ ...fieldLabelStyle, marginTop: 0 }}>
+                Provider
+              </label>
+              <select
+                id={`${idPrefix}-provider`}
+                value={config.provider}
+                onChange={(event) =>
+                  updateKind(kind, switchProvider(config, event.target.value as ProviderKind))
+                }
+                style={{ marginTop: "0.35rem", width: "100%" }}
+              >
+                {PROVIDER_KINDS.map((provider) => (
+                  <option key={provider} value={provider}>
+                    {PROVIDERS[provider].label}
+                  </option>
+                ))}
+              </select>
+              <label htmlFor={`${idPrefix}-baseUrl`} style={fieldLabelStyle}>
+                Base URL
+              </label>
+              <input
+                id={`${idPrefix}-baseUrl`}
+                value={config.baseUrl}
+                onChange={(event) => updateKind(kind, { ...config, baseUrl: event.target.value })}
+                style={{ marginTop: "0.35rem" }}
+              />
+              <label htmlFor={`${idPrefix}-model`} style={fieldLabelStyle}>
+                Model
+              </label>
+              <input
+                id={`${idPrefix}-model`}
+                value={config.model}
+                onChange={(event) => updateKind(kind, { ...config, model: event.target.value })}
+                style={{ marginTop: "0.35rem" }}
+              />
+              <label htmlFor={`${idPrefix}-temperature`} style={fieldLabelStyle}>
+                Temperature ({config.temperature.toFixed(2)})
+              </label>
+              <input
+                id={`${idPrefix}-temperature`}
+                type="range"
+                min={0}
+                max={1.5}
+                step={0.05}
+                value={config.temperature}
+                onChange={(event) =>
+                  updateKind(kind, { ...config, temperature: Number(event.target.value) })
+                }
+                style={{ marginTop: "0.35rem", width: "100%" }}
+              />
+            </fieldset>
+          );
+        })}
+
+        {keyedProviders.map((provider) => (
+          <div key={provider}>
+            <label htmlFor={`provider-key-${provider}`} style={{ ...fieldLabelStyle, marginTop: 0 }}>
+              {PROVIDERS[provider].label} API Key
+              {PROVIDERS[provider].requiresKey ? "" : " (optional)"}
+            </label>
+            <input
+              id={`provider-key-${provider}`}
+              type="password"
+              value={keys[provider] ?? ""}
+              onChange={(event) => onKeyChange(provider, event.target.value)}
+              autoComplete="off"
+              style={{ marginTop: "0.35rem" }}
+            />
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,70 @@
+import { useState } from "react";
+
+type RevisionComposerProps = {
+  subject: string;
+  isRevising: boolean;
+  submitLabel: string;
+  onSubmit: (note: string) => void;
+  onCancel: () => void;
+};
+
+const SUGGESTED_NOTES = ["More economic detail", "Less uncanny", "Tighter and more sober"];
+
+export function RevisionComposer({
+  subject,
+  isRevising,
+  submitLabel,
+  onSubmit,
+  onCancel
+}: RevisionComposerProps) {
+  const [note, setNote] = useState("");
+  const trimmed = note.trim();
+
+  return (
+    <form
+      onSubmit={(event) => {
+        event.preventDefault();
+        if (trimmed) onSubmit(trimmed);
+      }}
+      style={{
+        border: "1px dashed rgba(190,150,255,0.5)",
+        padding: "0.75rem",
+        display: "grid",
+        gap: "0.5rem"
+      }}
+    >
+      <label style={{ fontSize: "0.8rem", letterSpacing: "0.06em", opacity: 0.85 }}>
+        Editorial note on “{subject}”:
+        <textarea
+          rows={3}
+          value={note}
+          onChange={(event) => setNote(event.target.value)}
+          placeholder="Lean on the budget figures; cut the séance anecdote..."
+          style={{ marginTop: "0.4rem", resize: "vertical" }}
+          disabled={isRevising}
+        />
+      </label>
+      <div style={{ display: "flex", gap: "0.35rem", flexWrap: "wrap" }}>
+        {SUGGESTED_NOTES.map((suggestion) => (
+          <button
+            key={suggestion}
+            type="button"
+            onClick={() => setNote(suggestion)}
+            disabled={isRevising}
+            style={{ fontSize: "0.7rem", padding: "0.2rem 0.45rem" }}
+          >
+            {suggestion}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: "0.5rem", justifyContent: "flex-end" }}>
+        <button type="button" onClick={onCancel} disabled={isRevising}>
+          Cancel
+        </button>
+        <button type="submit" className="generate-more-events" disabled={isRevising || !trimmed}>
+          {isRevising ? "Revising…" : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
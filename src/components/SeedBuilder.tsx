@@ -0,0 +1,151 @@
+import { SeedInterpretation } from "../types";
+import { ENTRY_COUNT_LIMITS, SeedDraft, detectInterpretation } from "../lib/seed";
+
+type SeedBuilderProps = {
+  draft: SeedDraft;
+  onChange: (draft: SeedDraft) => void;
+  onSubmit: () => void;
+};
+
+const INTERPRETATIONS: { value: SeedInterpretation; label: string; hint: string }[] = [
+  {
+    value: "invert",
+    label: "Invert",
+    hint: "The event happened; the scope shows the world where it did not."
+  },
+  {
+    value: "affirm",
+    label: "Affirm",
+    hint: "The seed is taken as written: whatever it describes is what happened."
+  }
+];
+
+const fieldLabelStyle = {
+  display: "block",
+  fontSize: "0.75rem",
+  letterSpacing: "0.08em",
+  opacity: 0.7
+} as const;
+
+export function SeedBuilder({ draft, onChange, onSubmit }: SeedBuilderProps) {
+  const detected = detectInterpretation(draft.event);
+  const interpretation = draft.interpretation ?? detected.interpretation;
+  const current =
+    INTERPRETATIONS.find((item) => item.value === interpretation) ?? INTERPRETATIONS[0];
+  const update = (patch: Partial<SeedDraft>) => onChange({ ...draft, ...patch });
+
+  return (
+    <>
+      <label
+        htmlFor="seedEvent"
+        style={{ display: "block", fontSize: "0.85rem", letterSpacing: "0.08em", opacity: 0.8 }}
+      >
+        Seed Event
+      </label>
+      <textarea
+        id="seedEvent"
+        rows={5}
+        value={draft.event}
+        onChange={(event) => update({ event: event.target.value })}
+        onKeyDown={(event) => {
+          if ((event.metaKey || event.ctrlKey) && event.key === "Enter") {
+            event.preventDefault();
+            onSubmit();
+          }
+        }}
+        placeholder="Describe the moment you wish to disturb..."
+        style={{ marginTop: "0.5rem", resize: "vertical" }}
+      />
+
+      <div style={{ display: "grid", gap: "0.4rem", marginTop: "0.75rem" }}>
+        <div role="radiogroup" aria-label="Seed interpretation" style={{ display: "flex" }}>
+          {INTERPRETATIONS.map((item) => (
+            <button
+              key={item.value}
+              type="button"
+              role="radio"
+              aria-checked={item.value === interpretation}
+              onClick={() => update({ interpretation: item.value })}
+              style={{
+                flex: 1,
+                fontSize: "0.75rem",
+                padding: "0.3rem 0.6rem",
+                background: item.value === interpretation ? "rgba(40, 15, 60, 0.5)" : undefined,
+                borderColor: item.value === interpretation ? "rgba(190,150,255,0.6)" : undefined
+              }}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+        <p style={{ fontSize: "0.8rem", opacity: 0.7, margin: 0 }}>
+          {current.hint}{" "}
+          {draft.interpretation ? (
+            draft.interpretation !== detected.interpretation && (
+              <button
+                type="button"
+                onClick={() => update({ interpretation: undefined })}
+                style={{ fontSize: "0.7rem", padding: "0.1rem 0.4rem" }}
+              >
+                Follow detector
+              </button>
+            )
+          ) : detected.signal ? (
+            <>Detected from “{detected.signal}”.</>
+          ) : (
+            draft.event.trim() && <>No negation detected.</>
+          )}
+        </p>
+      </div>
+
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(9rem, 1fr))",
+          gap: "0.75rem",
+          marginTop: "0.75rem"
+        }}
+      >
+        <label style={fieldLabelStyle}>
+          Divergence Date
+          <input
+            value={draft.divergence_date ?? ""}
+            onChange={(event) => update({ divergence_date: event.target.value })}
+            placeholder="e.g. 9 November 1989"
+            style={{ marginTop: "0.3rem" }}
+          />
+        </label>
+        <label style={fieldLabelStyle}>
+          Region Focus
+          <input
+            value={draft.region ?? ""}
+            onChange={(event) => update({ region: event.target.value })}
+            placeholder="e.g. Central Europe"
+            style={{ marginTop: "0.3rem" }}
+          />
+        </label>
+        <label style={fieldLabelStyle}>
+          Time Horizon
+          <input
+            value={draft.horizon ?? ""}
+            onChange={(event) => update({ horizon: event.target.value })}
+            placeholder="e.g. through 2030"
+            style={{ marginTop: "0.3rem" }}
+          />
+        </label>
+        <label style={fieldLabelStyle}>
+          Entries
+          <input
+            type="number"
+            min={ENTRY_COUNT_LIMITS.min}
+            max={ENTRY_COUNT_LIMITS.max}
+            value={draft.entry_count ?? ""}
+            onChange={(event) => update({ entry_count: event.target.value })}
+            placeholder="Model decides"
+            style={{ marginTop: "0.3rem" }}
+          />
+        </label>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,296 @@
+import { useMemo, useState } from "react";
+import { TimelineEntry } from "../types";
+import {
+  ThreadSummary,
+  suggestThreadMerges,
+  threadCoOccurrence,
+  traceThreads
+} from "../lib/threads";
+
+type ThreadExplorerProps = {
+  entries: TimelineEntry[];
+  threads: ThreadSummary[];
+  spanLabel: string | null;
+  selectedThread: string | null;
+  onSelectThread: (thread: string | null) => void;
+  onOpenEntry: (entryId: string) => void;
+  onRename: (from: string[], to: string) => void;
+};
+
+const LABEL_WIDTH = 190;
+const TRACE_WIDTH = 820;
+const ROW_HEIGHT = 30;
+
+const sectionHeading = {
+  fontSize: "0.75rem",
+  letterSpacing: "0.12em",
+  textTransform: "uppercase" as const,
+  opacity: 0.7,
+  margin: "0 0 0.75rem"
+};
+
+function truncate(value: string, length: number) {
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function TraceView({
+  entries,
+  threads,
+  spanLabel,
+  selectedThread,
+  onSelectThread,
+  onOpenEntry
+}: Omit<ThreadExplorerProps, "onRename">) {
+  const traces = useMemo(() => traceThreads(entries, threads), [entries, threads]);
+  const plotWidth = TRACE_WIDTH - LABEL_WIDTH - 20;
+  const height = traces.length * ROW_HEIGHT + 10;
+
+  return (
+    <section>
+      <h3 style={sectionHeading}>Trace{spanLabel ? ` · ${spanLabel}` : ""}</h3>
+      <svg
+        viewBox={`0 0 ${TRACE_WIDTH} ${height}`}
+        style={{ width: "100%", height: "auto", display: "block" }}
+        role="img"
+        aria-label="Threads traced across the timeline"
+      >
+        {traces.map((trace, row) => {
+          const y = row * ROW_HEIGHT + ROW_HEIGHT / 2 + 5;
+          const isSelected = trace.name === selectedThread;
+          const dimmed = selectedThread !== null && !isSelected;
+          const xs = trace.points.map((point) => LABEL_WIDTH + point.position * plotWidth);
+          return (
+            <g key={trace.name} opacity={dimmed ? 0.35 : 1}>
+              <text
+                x={LABEL_WIDTH - 12}
+                y={y + 4}
+                textAnchor="end"
+                fontSize="12"
+                fill={isSelected ? "rgba(190,150,255,0.95)" : "rgba(245,241,230,0.85)"}
+                style={{ cursor: "pointer" }}
+                onClick={() => onSelectThread(isSelected ? null : trace.name)}
+              >
+                <title>{trace.name}</title>
+                {truncate(trace.name, 26)}
+              </text>
+              <line
+                x1={LABEL_WIDTH}
+                x2={LABEL_WIDTH + plotWidth}
+                y1={y}
+                y2={y}
+                stroke="rgba(245,241,230,0.08)"
+              />
+              {xs.length > 1 && (
+                <line
+                  x1={xs[0]}
+                  x2={xs[xs.length - 1]}
+                  y1={y}
+                  y2={y}
+                  stroke={isSelected ? "rgba(190,150,255,0.9)" : "rgba(245,241,230,0.5)"}
+                  strokeWidth={isSelected ? 3 : 2}
+                />
+              )}
+              {trace.points.map((point, index) => (
+                <circle
+                  key={point.entryId}
+                  cx={xs[index]}
+                  cy={y}
+                  r={isSelected ? 6 : 5}
+                  fill={isSelected ? "rgba(190,150,255,0.95)" : "rgba(245,241,230,0.85)"}
+                  stroke="rgba(10,10,14,0.9)"
+                  style={{ cursor: "pointer" }}
+                  onClick={() => onOpenEntry(point.entryId)}
+                >
+                  <title>{point.title}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+    </section>
+  );
+}
+
+function MatrixView({
+  entries,
+  threads,
+  selectedThread,
+  onSelectThread
+}: Pick<ThreadExplorerProps, "entries" | "threads" | "selectedThread" | "onSelectThread">) {
+  const names = useMemo(() => threads.map((thread) => thread.name), [threads]);
+  const matrix = useMemo(() => threadCoOccurrence(entries, names), [entries, names]);
+  const strongest = Math.max(
+    1,
+    ...matrix.flatMap((row, rowIndex) => row.filter((_, column) => column !== rowIndex))
+  );
+
+  return (
+    <section style={{ overflowX: "auto" }}>
+      <h3 style={sectionHeading}>Co-occurrence</h3>
+      <table style={{ borderCollapse: "collapse", fontSize: "0.75rem" }}>
+        <thead>
+          <tr>
+            <th />
+            {names.map((name, index) => (
+              <th
+                key={name}
+                title={name}
+                style={{ padding: "0.25rem", minWidth: "1.9rem", fontWeight: 400, opacity: 0.7 }}
+              >
+                {index + 1}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {names.map((name, row) => (
+            <tr key={name}>
+              <th
+                style={{
+                  textAlign: "left",
+                  fontWeight: name === selectedThread ? 700 : 400,
+                  padding: "0.25rem 0.6rem 0.25rem 0",
+                  whiteSpace: "nowrap",
+                  cursor: "pointer",
+                  color: name === selectedThread ? "rgba(190,150,255,0.95)" : undefined
+                }}
+                onClick={() => onSelectThread(name === selectedThread ? null : name)}
+              >
+                {row + 1}. {truncate(name, 32)}
+              </th>
+              {matrix[row].map((count, column) => {
+                const isDiagonal = row === column;
+                const alpha = isDiagonal ? 0 : count / strongest;
+                return (
+                  <td
+                    key={column}
+                    title={
+                      isDiagonal
+                        ? `${name}: ${count} ${count === 1 ? "entry" : "entries"}`
+                        : `${name} + ${names[column]}: ${count} shared`
+                    }
+                    style={{
+                      textAlign: "center",
+                      padding: "0.25rem",
+                      border: "1px solid rgba(245,241,230,0.08)",
+                      background: isDiagonal
+                        ? "rgba(245,241,230,0.06)"
+                        : `rgba(190,150,255,${(alpha * 0.7).toFixed(2)})`,
+                      opacity: count === 0 ? 0.35 : 1
+                    }}
+                  >
+                    {count}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
+function ThreadManager({ threads, onRename }: Pick<ThreadExplorerProps, "threads" | "onRename">) {
+  const [checked, setChecked] = useState<string[]>([]);
+  const [target, setTarget] = useState("");
+  const suggestions = useMemo(() => suggestThreadMerges(threads), [threads]);
+
+  const toggle = (name: string) => {
+    const next = checked.includes(name)
+      ? checked.filter((item) => item !== name)
+      : [...checked, name];
+    setChecked(next);
+    // Only replace the name while it is still a default taken from the checked threads.
+    if (!target.trim() || checked.includes(target)) setTarget(next[0] ?? "");
+  };
+
+  const apply = () => {
+    if (checked.length === 0 || !target.trim()) return;
+    onRename(checked, target.trim());
+    setChecked([]);
+    setTarget("");
+  };
+
+  return (
+    <section style={{ display: "grid", gap: "1rem" }}>
+      <h3 style={{ ...sectionHeading, margin: 0 }}>Rename &amp; Merge</h3>
+      {suggestions.length > 0 && (
+        <div style={{ display: "grid", gap: "0.4rem" }}>
+          <div style={{ fontSize: "0.8rem", opacity: 0.7 }}>Likely the same thread:</div>
+          {suggestions.map((group) => (
+            <div
+              key={group.join("|")}
+              style={{ display: "flex", gap: "0.6rem", alignItems: "center", flexWrap: "wrap" }}
+            >
+              <span style={{ fontSize: "0.85rem" }}>
+                {group.slice(1).join(", ")} → <strong>{group[0]}</strong>
+              </span>
+              <button
+                onClick={() => onRename(group.slice(1), group[0])}
+                style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+              >
+                Merge
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "0.4rem" }}>
+        {threads.map((thread) => (
+          <label
+            key={thread.name}
+            style={{
+              display: "flex",
+              gap: "0.35rem",
+              alignItems: "center",
+              border: "1px solid rgba(245,241,230,0.2)",
+              padding: "0.2rem 0.45rem",
+              fontSize: "0.75rem"
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={checked.includes(thread.name)}
+              onChange={() => toggle(thread.name)}
+            />
+            {thread.name}
+            <span style={{ opacity: 0.55 }}>({thread.entryIds.length})</span>
+          </label>
+        ))}
+      </div>
+      <form
+        onSubmit={(event) => {
+          event.preventDefault();
+          apply();
+        }}
+        style={{ display: "flex", gap: "0.5rem", flexWrap: "wrap" }}
+      >
+        <input
+          placeholder="New thread name"
+          value={target}
+          onChange={(event) => setTarget(event.target.value)}
+          disabled={checked.length === 0}
+          style={{ flex: 1, minWidth: "14rem" }}
+        />
+        <button type="submit" disabled={checked.length === 0 || !target.trim()}>
+          {checked.length > 1 ? `Merge ${checked.length} Threads` : "Rename Thread"}
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export function ThreadExplorer(props: ThreadExplorerProps) {
+  if (props.threads.length === 0) {
+    return <div style={{ opacity: 0.6 }}>No threads recorded on this timeline yet.</div>;
+  }
+  return (
+    <div style={{ display: "grid", gap: "2rem", width: "100%" }}>
+      <TraceView {...props} />
+      <MatrixView {...props} />
+      <ThreadManager threads={props.threads} onRename={props.onRename} />
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { AuditReport } from "../lib/audit";
+import { ArticleState } from "../lib/universe";
+import { ArticleDesk } from "../hooks/useArticleDesk";
+import { ThreadFocusState } from "../hooks/useThreadFocus";
+import { TimelineDesk } from "../hooks/useTimelineDesk";
+import { ContinuityLedger, EntryRevision, TimelineEntry } from "../types";
+import { ContinuityLedgerPanel } from "./ContinuityLedgerPanel";
+import { DeskBriefing } from "./DeskBriefing";
+import { EditionRunPanel } from "./EditionRunPanel";
+import { ExtendTimelinePanel } from "./ExtendTimelinePanel";
+import { TimelineEntryList } from "./TimelineEntryList";
+
+type TimelineDeskPanelProps = {
+  hasTimeline: boolean;
+  desk: TimelineDesk;
+  articleDesk: ArticleDesk;
+  threadFocus: ThreadFocusState;
+  entryAudits: Map<string, AuditReport>;
+  articles: Record<string, ArticleState>;
+  ledger: ContinuityLedger;
+  entryRevisions: Record<string, EntryRevision[]>;
+  activeEntryId: string | null;
+  forkingEntryId: string | null;
+  editionConcurrency: number;
+  onConcurrencyChange: (value: number) => void;
+  onFork: (entry: TimelineEntry, divergence: string) => void;
+  onOpen: (entry: TimelineEntry) => void;
+};
+
+// The sidebar's working copy of the timeline: undo, the desk's batch tools and the entry cards.
+export function TimelineDeskPanel({
+  hasTimeline,
+  desk,
+  articleDesk,
+  threadFocus,
+  entryAudits,
+  articles,
+  ledger,
+  entryRevisions,
+  activeEntryId,
+  forkingEntryId,
+  editionConcurrency,
+  onConcurrencyChange,
+  onFork,
+  onOpen
+}: TimelineDeskPanelProps) {
+  const { entries } = desk;
+  return (
+    <section>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: "0.5rem",
+          marginBottom: "0.5rem"
+        }}
+      >
+        <h2
+          style={{
+            fontSize: "1.2rem",
+            letterSpacing: "0.08em",
+            textTransform: "uppercase",
+            margin: 0
+          }}
+        >
+          Timeline Desk
+        </h2>
+        {hasTimeline && (
+          <div style={{ display: "flex", gap: "0.35rem" }}>
+            <button
+              onClick={desk.undo}
+              disabled={!desk.canUndo}
+              title="Undo (Ctrl+Z)"
+              style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+            >
+              Undo
+            </button>
+            <button
+              onClick={desk.redo}
+              disabled={!desk.canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+              style={{ fontSize: "0.75rem", padding: "0.25rem 0.5rem" }}
+            >
+              Redo
+            </button>
+          </div>
+        )}
+      </div>
+      {entries.length === 0 ? (
+        <div style={{ opacity: 0.6 }}>No echoes inscribed yet.</div>
+      ) : (
+        <>
+          <DeskBriefing
+            entryCount={entries.length}
+            bounds={desk.bounds}
+            threads={threadFocus.threads}
+            activeThread={threadFocus.activeThread}
+            threadFocus={threadFocus.focus}
+            onSelectThread={threadFocus.select}
+            onFocusChange={threadFocus.setFocus}
+          />
+          <EditionRunPanel
+            entries={entries}
+            statuses={articleDesk.articleStatuses}
+            progress={articleDesk.editionRun}
+            concurrency={editionConcurrency}
+            onConcurrencyChange={onConcurrencyChange}
+            onStart={articleDesk.fileEdition}
+            onCancel={articleDesk.stopEdition}
+          />
+          <ContinuityLedgerPanel
+            ledger={ledger}
+            pending={articleDesk.ledgerPending}
+            unmined={articleDesk.unminedEntries.length}
+            error={articleDesk.ledgerError}
+            onChange={articleDesk.editLedger}
+            onExtract={articleDesk.extractLedger}
+          />
+          <ExtendTimelinePanel
+            entries={entries}
+            progress={desk.extension}
+            onStart={desk.extend}
+            onCancel={desk.stopExtension}
+          />
+          <TimelineEntryList
+            entries={entries}
+            activeEntryId={activeEntryId}
+            articles={articles}
+            staleEntryIds={articleDesk.staleEntryIds}
+            outOfOrder={desk.outOfOrder}
+            entryAudits={entryAudits}
+            entryRevisions={entryRevisions}
+            interpolationStatus={desk.interpolationStatus}
+            interpolationErrors={desk.interpolationErrors}
+            activeThread={threadFocus.activeThread}
+            threadFocus={threadFocus.focus}
+            revisingEntryId={desk.revisingEntryId}
+            forkingEntryId={forkingEntryId}
+            onMove={desk.moveEntry}
+            onSave={desk.saveEntry}
+            onAdd={desk.addEntry}
+            onDelete={desk.deleteEntry}
+            onRevise={desk.revise}
+            onSelectVersion={desk.selectEntryVersion}
+            onFork={onFork}
+            onInterpolate={desk.interpolate}
+            onRefile={articleDesk.refileArticle}
+            onOpen={onOpen}
+          />
+        </>
+      )}
+    </section>
+  );
+}
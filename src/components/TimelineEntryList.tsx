@@ -0,0 +1,570 @@
+import { useState } from "react";
+import { AuditReport } from "../lib/audit";
+import { formatHistoricalDate, parseHistoricalDate } from "../lib/dates";
+import { AppError } from "../lib/errors";
+import { entryText, findEntryVersion } from "../lib/revisions";
+import { ArticleState } from "../lib/universe";
+import { EntryRevision, TimelineEntry } from "../types";
+import { ThreadFocus } from "./DeskBriefing";
+import { EntryDraft, EntryEditor } from "./EntryEditor";
+import { ForkComposer } from "./ForkComposer";
+import { RevisionComposer } from "./RevisionComposer";
+import { ValidationIssueList } from "./ValidationIssueList";
+import { VersionBrowser } from "./VersionBrowser";
+
+type EntryEditorState =
+  | { mode: "edit" | "revise"; entryId: string }
+  | { mode: "add"; afterId: string | null }
+  | null;
+
+type TimelineEntryListProps = {
+  entries: TimelineEntry[];
+  activeEntryId: string | null;
+  articles: Record<string, ArticleState>;
+  staleEntryIds: Set<string>;
+  outOfOrder: Set<string>;
+  entryAudits: Map<string, AuditReport>;
+  entryRevisions: Record<string, EntryRevision[]>;
+  interpolationStatus: Record<string, "idle" | "loading">;
+  interpolationErrors: Record<string, AppError | null>;
+  activeThread: string | null;
+  threadFocus: ThreadFocus;
+  revisingEntryId: string | null;
+  forkingEntryId: string | null;
+  onMove: (fromIndex: number, toIndex: number) => void;
+  onSave: (entryId: string, draft: EntryDraft) => void;
+  onAdd: (afterId: string | null, draft: EntryDraft) => void;
+  onDelete: (entryId: string) => void;
+  // Resolves true once the revision is on the timeline.
+  onRevise: (entry: TimelineEntry, note: string) => Promise<boolean>;
+  onSelectVersion: (entryId: string, index: number) => void;
+  onFork: (entry: TimelineEntry, divergence: string) => void;
+  onInterpolate: (entry: TimelineEntry) => void;
+  onRefile: (entry: TimelineEntry) => void;
+  onOpen: (entry: TimelineEntry) => void;
+};
+
+function formatDisplayDate(raw?: string) {
+  if (!raw) return "";
+  const parsed = parseHistoricalDate(raw);
+  return parsed ? formatHistoricalDate(parsed) : raw;
+}
+
+// The entry cards of the open timeline, with the editors, composers and drag handles that work
+// on them one at a time.
+export function TimelineEntryList({
+  entries,
+  activeEntryId,
+  articles,
+  staleEntryIds,
+  outOfOrder,
+  entryAudits,
+  entryRevisions,
+  interpolationStatus,
+  interpolationErrors,
+  activeThread,
+  threadFocus,
+  revisingEntryId,
+  forkingEntryId,
+  onMove,
+  onSave,
+  onAdd,
+  onDelete,
+  onRevise,
+  onSelectVersion,
+  onFork,
+  onInterpolate,
+  onRefile,
+  onOpen
+}: TimelineEntryListProps) {
+  const [entryEditor, setEntryEditor] = useState<EntryEditorState>(null);
+  const [dragIndex, setDragIndex] = useState<number | null>(null);
+  const [forkComposerEntryId, setForkComposerEntryId] = useState<string | null>(null);
+
+  const addEntry = (afterId: string | null, draft: EntryDraft) => {
+    onAdd(afterId, draft);
+    setEntryEditor(null);
+  };
+
+  const deleteEntry = (entryId: string) => {
+    onDelete(entryId);
+    setEntryEditor((current) =>
+      current?.mode === "edit" && current.entryId === entryId ? null : current
+    );
+  };
+
+  const reviseEntry = async (entry: TimelineEntry, note: string) => {
+    if (await onRevise(entry, note)) setEntryEditor(null);
+  };
+
+  return (
+    <>
+      <ol
+        style={{
+          listStyle: "none",
+          padding: 0,
+          margin: 0,
+          display: "grid",
+          gap: "1.25rem"
+        }}
+      >
+        {entries.map((entry, index) => {
+          const onThread = !activeThread || !!entry.threads?.includes(activeThread);
+          if (!onThread && threadFocus === "filter") return null;
+          const isActive = entry.id === activeEntryId;
+          const articleState = articles[entry.id];
+          const displayDate = formatDisplayDate(entry.anchorDate);
+          const ordinal = String(index + 1).padStart(2, "0");
+          const isInterpolating = interpolationStatus[entry.id] === "loading";
+          const interpolationError = interpolationErrors[entry.id] ?? null;
+          const isStale = staleEntryIds.has(entry.id);
+          const isEditing = entryEditor?.mode === "edit" && entryEditor.entryId === entry.id;
+          const isComposingRevision =
+            entryEditor?.mode === "revise" && entryEditor.entryId === entry.id;
+          const versions = entryRevisions[entry.id] ?? [];
+          const entryAudit = entryAudits.get(entry.id);
+
+          let statusLabel = "Awaiting inscription";
+          let statusColor = "rgba(245,241,230,0.6)";
+          if (isInterpolating) {
+            statusLabel = "Extending interval…";
+            statusColor = "rgba(190,150,255,0.85)";
+          } else if (articleState?.status === "queued") {
+            statusLabel = "Queued for the presses";
+            statusColor = "rgba(245,241,230,0.8)";
+          } else if (articleState?.status === "loading") {
+            statusLabel = "Scribing in progress…";
+            statusColor = "rgba(190,150,255,0.85)";
+          } else if (isStale) {
+            statusLabel = "Article stale — entry edited";
+            statusColor = "rgba(235,200,140,0.9)";
+          } else if (articleState?.status === "ready") {
+            statusLabel = "Broadsheet archived";
+            statusColor = "rgba(170,220,200,0.9)";
+          }
+
+          if (articleState?.status === "error") {
+            statusLabel = "Scribing failed — retry";
+            statusColor = "rgba(255,160,160,0.9)";
+          }
+          if (interpolationError) {
+            statusLabel = "Interval expansion failed — retry";
+            statusColor = "rgba(255,160,160,0.9)";
+          }
+
+          const openButtonLabel =
+            articleState?.status === "ready" ? "Open Chronicle" : "Summon Chronicle";
+          const generateButtonLabel = isInterpolating ? "Weaving…" : "Generate More Events";
+
+          return (
+            <li
+              key={entry.id}
+              onDragOver={(event) => {
+                if (dragIndex !== null) event.preventDefault();
+              }}
+              onDrop={(event) => {
+                event.preventDefault();
+                if (dragIndex !== null) onMove(dragIndex, index);
+                setDragIndex(null);
+              }}
+              style={{
+                listStyle: "none",
+                opacity: dragIndex === index ? 0.5 : onThread ? 1 : 0.35,
+                transition: "opacity 0.2s ease"
+              }}
+            >
+              <div
+                style={{
+                  display: "grid",
+                  gridTemplateColumns: "minmax(56px, 68px) 1fr",
+                  alignItems: "stretch",
+                  gap: "1rem"
+                }}
+              >
+                <div
+                  style={{
+                    position: "relative",
+                    display: "flex",
+                    flexDirection: "column",
+                    alignItems: "center",
+                    justifyContent: "space-between",
+                    padding: "1.4rem 0",
+                    textTransform: "uppercase",
+                    letterSpacing: "0.12em",
+                    fontSize: "0.6rem",
+                    color: "rgba(245,241,230,0.68)"
+                  }}
+                >
+                  <div
+                    style={{
+                      position: "absolute",
+                      top: "0.4rem",
+                      bottom: "0.4rem",
+                      width: "1px",
+                      background:
+                        "linear-gradient(180deg, rgba(245,241,230,0), rgba(245,241,230,0.45), rgba(245,241,230,0))",
+                      left: "50%",
+                      transform: "translateX(-50%)"
+                    }}
+                  />
+                  <span
+                    style={{
+                      background: "rgba(10,10,14,0.85)",
+                      padding: "0 0.4rem",
+                      zIndex: 1
+                    }}
+                  >
+                    Interval
+                  </span>
+                  <span
+                    style={{
+                      fontFamily: "monospace",
+                      fontSize: "0.85rem",
+                      letterSpacing: "0.04em",
+                      textTransform: "none",
+                      background: "rgba(10,10,14,0.9)",
+                      padding: "0.25rem 0.6rem",
+                      borderRadius: "999px",
+                      border: "1px solid rgba(245,241,230,0.25)",
+                      color: "rgba(245,241,230,0.85)",
+                      zIndex: 1
+                    }}
+                  >
+                    <span
+                      draggable
+                      onDragStart={(event) => {
+                        event.dataTransfer.effectAllowed = "move";
+                        event.dataTransfer.setData("text/plain", entry.id);
+                        setDragIndex(index);
+                      }}
+                      onDragEnd={() => setDragIndex(null)}
+                      title="Drag to reorder"
+                      style={{ cursor: "grab" }}
+                    >
+                      ⠿
+                    </span>{" "}
+                    #{ordinal}
+                  </span>
+                  <span
+                    style={{
+                      width: "8px",
+                      height: "8px",
+                      borderRadius: "50%",
+                      background: isActive ? "rgba(190,150,255,0.9)" : "rgba(245,241,230,0.75)",
+                      boxShadow: isActive
+                        ? "0 0 8px rgba(190,150,255,0.7)"
+                        : "0 0 6px rgba(245,241,230,0.35)",
+                      zIndex: 1
+                    }}
+                  />
+                </div>
+                <div
+                  style={{
+                    border: `1px solid ${
+                      isActive ? "rgba(190,150,255,0.7)" : "rgba(245,241,230,0.2)"
+                    }`,
+                    background: isActive ? "rgba(40, 15, 60, 0.5)" : "rgba(10, 10, 14, 0.55)",
+                    padding: "1.2rem 1.4rem",
+                    display: "grid",
+                    gap: "0.85rem",
+                    transition: "border-color 0.2s ease"
+                  }}
+                >
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "flex-start",
+                      flexWrap: "wrap",
+                      gap: "0.5rem"
+                    }}
+                  >
+                    <div
+                      style={{
+                        display: "flex",
+                        flexWrap: "wrap",
+                        gap: "0.5rem",
+                        fontSize: "0.85rem",
+                        letterSpacing: "0.08em",
+                        opacity: 0.75,
+                        textTransform: "uppercase"
+                      }}
+                    >
+                      <span>{entry.era || "Untethered era"}</span>
+                      {displayDate && <span>{displayDate}</span>}
+                      {outOfOrder.has(entry.id) && (
+                        <span
+                          title="This entry's date falls before an entry listed above it"
+                          style={{ color: "rgba(255,160,160,0.9)" }}
+                        >
+                          Out of order
+                        </span>
+                      )}
+                      {entryAudit && !entryAudit.passed && (
+                        <span
+                          title={entryAudit.findings.map((item) => item.message).join("\n")}
+                          style={{ color: "rgba(235,200,140,0.9)" }}
+                        >
+                          Audit {entryAudit.score}/10
+                        </span>
+                      )}
+                    </div>
+                    <div style={{ display: "flex", gap: "0.3rem" }}>
+                      <button
+                        onClick={() => onMove(index, index - 1)}
+                        disabled={index === 0}
+                        aria-label="Move up"
+                        style={{ fontSize: "0.7rem", padding: "0.2rem 0.45rem" }}
+                      >
+                        ↑
+                      </button>
+                      <button
+                        onClick={() => onMove(index, index + 1)}
+                        disabled={index === entries.length - 1}
+                        aria-label="Move down"
+                        style={{ fontSize: "0.7rem", padding: "0.2rem 0.45rem" }}
+                      >
+                        ↓
+                      </button>
+                      <button
+                        onClick={() =>
+                          setEntryEditor(isEditing ? null : { mode: "edit", entryId: entry.id })
+                        }
+                        aria-expanded={isEditing}
+                        style={{ fontSize: "0.7rem", padding: "0.2rem 0.45rem" }}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() =>
+                          setEntryEditor(
+                            isComposingRevision ? null : { mode: "revise", entryId: entry.id }
+                          )
+                        }
+                        disabled={revisingEntryId !== null}
+                        aria-expanded={isComposingRevision}
+                        title="Have the model rewrite this entry to an editorial note"
+                        style={{ fontSize: "0.7rem", padding: "0.2rem 0.45rem" }}
+                      >
+                        Revise
+                      </button>
+                      <button
+                        onClick={() => setEntryEditor({ mode: "add", afterId: entry.id })}
+                        title="Write a new entry after this one"
+                        style={{ fontSize: "0.7rem", padding: "0.2rem 0.45rem" }}
+                      >
+                        + After
+                      </button>
+                      <button
+                        onClick={() => deleteEntry(entry.id)}
+                        disabled={entries.length <= 1}
+                        title={
+                          entries.length <= 1
+                            ? "A timeline keeps at least one entry"
+                            : "Delete entry (undo restores it)"
+                        }
+                        style={{ fontSize: "0.7rem", padding: "0.2rem 0.45rem" }}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                  {isEditing ? (
+                    <EntryEditor
+                      initial={entry}
+                      onSave={(draft) => {
+                        onSave(entry.id, draft);
+                        setEntryEditor(null);
+                      }}
+                      onCancel={() => setEntryEditor(null)}
+                    />
+                  ) : (
+                    <>
+                      <div style={{ fontSize: "1.1rem", fontWeight: 600 }}>{entry.title}</div>
+                      <p style={{ margin: 0, lineHeight: 1.6, opacity: 0.9 }}>{entry.summary}</p>
+                    </>
+                  )}
+                  {isComposingRevision && (
+                    <RevisionComposer
+                      subject={entry.title}
+                      isRevising={revisingEntryId === entry.id}
+                      submitLabel="Revise Entry"
+                      onSubmit={(note) => reviseEntry(entry, note)}
+                      onCancel={() => setEntryEditor(null)}
+                    />
+                  )}
+                  {!isEditing && versions.length > 1 && (
+                    <VersionBrowser
+                      versions={versions.map((version) => ({
+                        note: version.note,
+                        text: entryText(version.entry)
+                      }))}
+                      current={findEntryVersion(versions, entry)}
+                      currentText={entryText(entry)}
+                      disabled={revisingEntryId === entry.id}
+                      onSelect={(versionIndex) => onSelectVersion(entry.id, versionIndex)}
+                    />
+                  )}
+                  {!isEditing && entry.threads && entry.threads.length > 0 && (
+                    <div
+                      style={{
+                        display: "flex",
+                        flexWrap: "wrap",
+                        gap: "0.35rem"
+                      }}
+                    >
+                      {entry.threads.map((thread) => (
+                        <span
+                          key={thread}
+                          style={{
+                            border: `1px solid ${
+                              thread === activeThread
+                                ? "rgba(190,150,255,0.8)"
+                                : "rgba(245,241,230,0.2)"
+                            }`,
+                            padding: "0.2rem 0.45rem",
+                            fontSize: "0.7rem",
+                            letterSpacing: "0.08em"
+                          }}
+                        >
+                          {thread}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      flexWrap: "wrap",
+                      gap: "0.75rem"
+                    }}
+                  >
+                    <span style={{ fontSize: "0.85rem", color: statusColor }}>{statusLabel}</span>
+                    <div
+                      style={{
+                        display: "flex",
+                        gap: "0.65rem",
+                        flexWrap: "wrap",
+                        justifyContent: "flex-end"
+                      }}
+                    >
+                      <button
+                        onClick={() =>
+                          setForkComposerEntryId((current) =>
+                            current === entry.id ? null : entry.id
+                          )
+                        }
+                        disabled={forkingEntryId !== null}
+                        aria-expanded={forkComposerEntryId === entry.id}
+                        style={{ borderWidth: "2px", padding: "0.65rem 1.2rem" }}
+                      >
+                        Fork Here
+                      </button>
+                      <button
+                        onClick={() => onInterpolate(entry)}
+                        disabled={isInterpolating}
+                        style={{
+                          borderWidth: "2px",
+                          padding: "0.65rem 1.2rem",
+                          minWidth: "12rem",
+                          justifyContent: "center"
+                        }}
+                        className="generate-more-events"
+                      >
+                        {generateButtonLabel}
+                      </button>
+                      {isStale && (
+                        <button
+                          onClick={() => onRefile(entry)}
+                          style={{ borderWidth: "2px", padding: "0.65rem 1.2rem" }}
+                        >
+                          Refile Story
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onOpen(entry)}
+                        disabled={
+                          articleState?.status === "loading" || articleState?.status === "queued"
+                        }
+                        style={{
+                          borderWidth: "2px",
+                          padding: "0.65rem 1.2rem",
+                          minWidth: "12rem",
+                          justifyContent: "center"
+                        }}
+                        className="primary-action"
+                      >
+                        {openButtonLabel}
+                      </button>
+                    </div>
+                  </div>
+                  {forkComposerEntryId === entry.id && (
+                    <ForkComposer
+                      entryTitle={entry.title}
+                      isForking={forkingEntryId === entry.id}
+                      onSubmit={(divergence) => onFork(entry, divergence)}
+                      onCancel={() => setForkComposerEntryId(null)}
+                    />
+                  )}
+                  {entryEditor?.mode === "add" && entryEditor.afterId === entry.id && (
+                    <EntryEditor
+                      onSave={(draft) => addEntry(entry.id, draft)}
+                      onCancel={() => setEntryEditor(null)}
+                    />
+                  )}
+                  {interpolationError && (
+                    <div
+                      style={{
+                        border: "1px solid rgba(255,160,160,0.4)",
+                        padding: "0.5rem 0.75rem",
+                        fontSize: "0.8rem",
+                        color: "rgba(255,200,200,0.9)",
+                        background: "rgba(60,10,10,0.35)"
+                      }}
+                    >
+                      {interpolationError.message}
+                      {interpolationError.issues && (
+                        <ValidationIssueList issues={interpolationError.issues} />
+                      )}
+                    </div>
+                  )}
+                  {articleState?.status === "error" && articleState.error && (
+                    <div
+                      style={{
+                        border: "1px solid rgba(255,160,160,0.4)",
+                        padding: "0.5rem 0.75rem",
+                        fontSize: "0.8rem",
+                        color: "rgba(255,200,200,0.9)",
+                        background: "rgba(60,10,10,0.35)"
+                      }}
+                    >
+                      {articleState.error}
+                      {articleState.issues && <ValidationIssueList issues={articleState.issues} />}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+      <div style={{ marginTop: "1.25rem" }}>
+        {entryEditor?.mode === "add" && entryEditor.afterId === null ? (
+          <EntryEditor
+            onSave={(draft) => addEntry(null, draft)}
+            onCancel={() => setEntryEditor(null)}
+          />
+        ) : (
+          <button
+            onClick={() => setEntryEditor({ mode: "add", afterId: null })}
+            style={{ width: "100%", borderWidth: "2px" }}
+          >
+            Add Entry
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
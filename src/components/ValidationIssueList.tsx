@@ -0,0 +1,22 @@
+import { ValidationIssue } from "../lib/schemas";
+
+export function ValidationIssueList({ issues }: { issues: ValidationIssue[] }) {
+  if (issues.length === 0) return null;
+  return (
+    <ul
+      style={{
+        margin: "0.5rem 0 0",
+        paddingLeft: "1.1rem",
+        fontSize: "0.8rem",
+        lineHeight: 1.5,
+        opacity: 0.9
+      }}
+    >
+      {issues.map((issue, index) => (
+        <li key={index}>
+          <code style={{ fontFamily: "monospace" }}>{issue.path}</code> — {issue.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,122 @@
+import { useMemo, useState } from "react";
+import { diffWords } from "../lib/revisions";
+
+export type VersionSummary = {
+  note?: string;
+  text: string;
+};
+
+type VersionBrowserProps = {
+  versions: VersionSummary[];
+  current: number; // -1 when the live copy matches no recorded version
+  currentText: string;
+  disabled?: boolean;
+  onSelect: (index: number) => void;
+};
+
+const DIFF_STYLES = {
+  same: {},
+  added: { background: "rgba(170,220,200,0.18)", color: "rgba(190,240,215,0.95)" },
+  removed: {
+    background: "rgba(255,160,160,0.12)",
+    color: "rgba(255,190,190,0.85)",
+    textDecoration: "line-through"
+  }
+};
+
+export function VersionBrowser({
+  versions,
+  current,
+  currentText,
+  disabled = false,
+  onSelect
+}: VersionBrowserProps) {
+  const [compareWith, setCompareWith] = useState<number | null>(null);
+  const base = compareWith !== null && compareWith !== current ? versions[compareWith] : null;
+  const segments = useMemo(
+    () => (base ? diffWords(base.text, currentText) : []),
+    [base, currentText]
+  );
+
+  return (
+    <div style={{ display: "grid", gap: "0.6rem", width: "100%" }}>
+      <div
+        style={{
+          display: "flex",
+          gap: "0.4rem",
+          alignItems: "center",
+          flexWrap: "wrap",
+          fontSize: "0.75rem"
+        }}
+      >
+        <span style={{ letterSpacing: "0.12em", textTransform: "uppercase", opacity: 0.7 }}>
+          Versions
+        </span>
+        {versions.map((version, index) => (
+          <button
+            key={index}
+            onClick={() => onSelect(index)}
+            disabled={disabled}
+            aria-pressed={index === current}
+            title={version.note ? `Note: ${version.note}` : "As first filed"}
+            style={{
+              fontSize: "0.7rem",
+              padding: "0.2rem 0.5rem",
+              borderWidth: index === current ? "2px" : "1px",
+              borderColor: index === current ? "rgba(190,150,255,0.8)" : undefined
+            }}
+          >
+            v{index + 1}
+          </button>
+        ))}
+        {current === -1 && <span style={{ opacity: 0.6 }}>(edited by hand)</span>}
+        <label style={{ marginLeft: "auto", display: "flex", gap: "0.4rem", alignItems: "center" }}>
+          Compare with
+          <select
+            value={compareWith ?? ""}
+            onChange={(event) =>
+              setCompareWith(event.target.value === "" ? null : Number(event.target.value))
+            }
+          >
+            <option value="">—</option>
+            {versions.map((_, index) =>
+              index === current ? null : (
+                <option key={index} value={index}>
+                  v{index + 1}
+                </option>
+              )
+            )}
+          </select>
+        </label>
+      </div>
+      {current >= 0 && versions[current].note && (
+        <div style={{ fontSize: "0.8rem", opacity: 0.7 }}>
+          v{current + 1} answered: “{versions[current].note}”
+        </div>
+      )}
+      {base && (
+        <div
+          style={{
+            border: "1px solid rgba(245,241,230,0.15)",
+            background: "rgba(10, 10, 14, 0.55)",
+            padding: "0.75rem 1rem",
+            fontSize: "0.85rem",
+            lineHeight: 1.6,
+            whiteSpace: "pre-wrap",
+            maxHeight: "24rem",
+            overflowY: "auto"
+          }}
+        >
+          <div style={{ fontSize: "0.75rem", opacity: 0.7, marginBottom: "0.5rem" }}>
+            v{(compareWith ?? 0) + 1} → {current >= 0 ? `v${current + 1}` : "current"}
+          </div>
+          {segments.map((segment, index) => (
+            <span key={index} style={DIFF_STYLES[segment.kind]}>
+              {segment.text}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
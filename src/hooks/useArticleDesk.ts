@@ -0,0 +1,408 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+import { EditionRunProgress } from "../components/EditionRunPanel";
+import { DOCUMENT_LABELS } from "../lib/documents";
+import { entryFingerprint } from "../lib/entries";
+import { AppError, toAppError } from "../lib/errors";
+import { extractContinuity, generateArticle, generateDocument } from "../lib/groq";
+import { selectRelevantFacts } from "../lib/ledger";
+import { toModelStamp } from "../lib/providers";
+import { runQueue } from "../lib/queue";
+import { HouseStyle, stampStyle } from "../lib/styles";
+import { selectTimeline } from "../lib/universe";
+import { ArticleResponse, ContinuityLedger, DocumentKind, TimelineEntry } from "../types";
+import { GenerationSettings } from "./useGenerationSettings";
+import { UniverseStore } from "./useUniverseStore";
+
+type ArticleDeskOptions = {
+  store: UniverseStore;
+  settings: GenerationSettings;
+  concurrency: number;
+  onError: (error: AppError) => void;
+};
+
+// Filing articles and documents for the open universe, singly or as an edition run, and reading
+// what they establish into the continuity ledger.
+export function useArticleDesk({ store, settings, concurrency, onError }: ArticleDeskOptions) {
+  const { state: universe, dispatch, getState } = store;
+  const { activeStyle, articleConnection, keyProblemFor, styleFor } = settings;
+  const timeline = selectTimeline(universe);
+  const { articles, seed, ledger } = universe;
+  const [editionRun, setEditionRun] = useState<EditionRunProgress | null>(null);
+  const [ledgerPending, setLedgerPending] = useState(0);
+  const [ledgerError, setLedgerError] = useState<string | null>(null);
+  // The kind of document each entry is waiting on; one commission per entry at a time.
+  const [commissions, setCommissions] = useState<Record<string, DocumentKind>>({});
+  const articleControllersRef = useRef<Record<string, AbortController>>({});
+  const editionRunControllerRef = useRef<AbortController | null>(null);
+  const documentControllersRef = useRef<Record<string, AbortController>>({});
+  const ledgerChainRef = useRef<Promise<void>>(Promise.resolve());
+  // Bumped whenever the desk switches universe so in-flight extractions are discarded.
+  const ledgerEpochRef = useRef(0);
+
+  // Returns true when the desk had a key for the article model, reporting the problem otherwise.
+  const hasArticleKey = useCallback(() => {
+    const keyProblem = keyProblemFor(articleConnection);
+    if (keyProblem) onError({ message: keyProblem });
+    return !keyProblem;
+  }, [articleConnection, keyProblemFor, onError]);
+
+  // Extractions run one at a time so a batch run does not double its request rate.
+  const queueLedgerExtraction = useCallback(
+    (entry: TimelineEntry, article: ArticleResponse) => {
+      const epoch = ledgerEpochRef.current;
+      setLedgerPending((count) => count + 1);
+      ledgerChainRef.current = ledgerChainRef.current.then(async () => {
+        if (ledgerEpochRef.current !== epoch) return;
+        try {
+          const { facts } = await extractContinuity(
+            articleConnection,
+            entry,
+            article,
+            getState().ledger.facts
+          );
+          if (ledgerEpochRef.current !== epoch) return;
+          dispatch({ type: "facts_extracted", entryId: entry.id, facts });
+          setLedgerError(null);
+        } catch (err) {
+          if (ledgerEpochRef.current !== epoch) return;
+          setLedgerError(
+            toAppError(err, `Could not read "${entry.title}" into the ledger`).message
+          );
+        } finally {
+          if (ledgerEpochRef.current === epoch) setLedgerPending((count) => count - 1);
+        }
+      });
+    },
+    [articleConnection, dispatch, getState]
+  );
+
+  const fileArticle = useCallback(
+    async (
+      entry: TimelineEntry,
+      options: {
+        signal?: AbortSignal;
+        revision?: { previous: ArticleResponse; note: string };
+        style?: HouseStyle;
+      } = {}
+    ) => {
+      const runSignal = options.signal;
+      const style = options.style ?? activeStyle;
+      if (!timeline) return false;
+
+      dispatch({ type: "article_requested", entryId: entry.id });
+
+      const controller = new AbortController();
+      const abort = () => controller.abort();
+      runSignal?.addEventListener("abort", abort);
+      // A second filing for the same story replaces the first instead of racing it.
+      articleControllersRef.current[entry.id]?.abort();
+      articleControllersRef.current[entry.id] = controller;
+      try {
+        const article = await generateArticle(articleConnection, seed, entry, timeline, {
+          signal: controller.signal,
+          ledger: selectRelevantFacts(getState().ledger, entry, timeline),
+          revision: options.revision,
+          style,
+          onPartial: (partial) => dispatch({ type: "article_streamed", entryId: entry.id, partial })
+        });
+        dispatch({
+          type: "article_filed",
+          entryId: entry.id,
+          article,
+          fingerprint: entryFingerprint(entry),
+          style: stampStyle(style),
+          model: toModelStamp(articleConnection),
+          note: options.revision?.note
+        });
+        queueLedgerExtraction(entry, article);
+        return true;
+      } catch (err) {
+        if (controller.signal.aborted) {
+          // A request replaced by a newer filing leaves the story to its replacement.
+          if (articleControllersRef.current[entry.id] === controller) {
+            dispatch({ type: "articles_released", entryIds: [entry.id], from: "loading" });
+          }
+          return false;
+        }
+        const failure = toAppError(err);
+        // A failed revision leaves the story as it was rather than blanking it.
+        if (options.revision) {
+          dispatch({ type: "articles_released", entryIds: [entry.id] });
+          onError(toAppError(err, `Could not revise "${entry.title}"`));
+          return false;
+        }
+        dispatch({
+          type: "article_failed",
+          entryId: entry.id,
+          error: failure.message,
+          issues: failure.issues
+        });
+        return false;
+      } finally {
+        runSignal?.removeEventListener("abort", abort);
+        if (articleControllersRef.current[entry.id] === controller) {
+          delete articleControllersRef.current[entry.id];
+        }
+      }
+    },
+    [
+      activeStyle,
+      articleConnection,
+      dispatch,
+      getState,
+      onError,
+      queueLedgerExtraction,
+      seed,
+      timeline
+    ]
+  );
+
+  // Files the entry's story unless it is already filed or on its way.
+  const summonArticle = useCallback(
+    async (entry: TimelineEntry) => {
+      if (!timeline) return;
+      const current = articles[entry.id];
+      if (current && current.status !== "idle" && current.status !== "error") return;
+      if (!hasArticleKey()) return;
+      await fileArticle(entry);
+    },
+    [articles, fileArticle, hasArticleKey, timeline]
+  );
+
+  const refileArticle = useCallback(
+    async (entry: TimelineEntry) => {
+      if (!hasArticleKey()) return;
+      await fileArticle(entry);
+    },
+    [fileArticle, hasArticleKey]
+  );
+
+  const reviseArticle = useCallback(
+    async (entry: TimelineEntry, note: string) => {
+      const previous = articles[entry.id]?.data;
+      if (!previous || articles[entry.id]?.status !== "ready") return;
+      if (!hasArticleKey()) return;
+      await fileArticle(entry, {
+        revision: { previous, note },
+        style: styleFor(articles[entry.id]?.style)
+      });
+    },
+    [articles, fileArticle, hasArticleKey, styleFor]
+  );
+
+  const cancelArticle = useCallback((entryId: string) => {
+    articleControllersRef.current[entryId]?.abort();
+  }, []);
+
+  const selectArticleVersion = useCallback(
+    (entryId: string, index: number) => {
+      dispatch({ type: "article_version_selected", entryId, index });
+    },
+    [dispatch]
+  );
+
+  const commissionDocument = useCallback(
+    async (entry: TimelineEntry, kind: DocumentKind) => {
+      if (!timeline || documentControllersRef.current[entry.id]) return;
+      if (!hasArticleKey()) return;
+
+      const controller = new AbortController();
+      documentControllersRef.current[entry.id] = controller;
+      setCommissions((prev) => ({ ...prev, [entry.id]: kind }));
+      try {
+        const document = await generateDocument(articleConnection, seed, entry, timeline, kind, {
+          signal: controller.signal,
+          article: articles[entry.id]?.data,
+          ledger: selectRelevantFacts(getState().ledger, entry, timeline),
+          style: activeStyle
+        });
+        dispatch({ type: "document_filed", entryId: entry.id, document });
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          onError(
+            toAppError(
+              err,
+              `Could not file the ${DOCUMENT_LABELS[kind].toLowerCase()} for "${entry.title}"`
+            )
+          );
+        }
+      } finally {
+        if (documentControllersRef.current[entry.id] === controller) {
+          delete documentControllersRef.current[entry.id];
+          setCommissions((prev) => {
+            const next = { ...prev };
+            delete next[entry.id];
+            return next;
+          });
+        }
+      }
+    },
+    [
+      activeStyle,
+      articleConnection,
+      articles,
+      dispatch,
+      getState,
+      hasArticleKey,
+      onError,
+      seed,
+      timeline
+    ]
+  );
+
+  const removeDocument = useCallback(
+    (entryId: string, documentId: string) => {
+      dispatch({ type: "document_removed", entryId, documentId });
+    },
+    [dispatch]
+  );
+
+  const fileEdition = useCallback(
+    async (entryIds: string[]) => {
+      if (!timeline || editionRunControllerRef.current) return;
+      if (!hasArticleKey()) return;
+      const queue = timeline.entries.filter((entry) => entryIds.includes(entry.id));
+      if (queue.length === 0) return;
+
+      const controller = new AbortController();
+      editionRunControllerRef.current = controller;
+      dispatch({ type: "articles_queued", entryIds: queue.map((entry) => entry.id) });
+      setEditionRun({ total: queue.length, filed: 0, failed: 0, running: true });
+
+      await runQueue(queue, (entry) => fileArticle(entry, { signal: controller.signal }), {
+        concurrency,
+        signal: controller.signal,
+        onSettled: (_, __, result) => {
+          const filed = result.status === "fulfilled" && result.value === true;
+          if (!filed && controller.signal.aborted) return;
+          setEditionRun((prev) =>
+            prev
+              ? {
+                  ...prev,
+                  filed: prev.filed + (filed ? 1 : 0),
+                  failed: prev.failed + (filed ? 0 : 1)
+                }
+              : prev
+          );
+        }
+      });
+
+      // A replaced universe has already cleared the desk; otherwise release anything never started.
+      if (editionRunControllerRef.current !== controller) return;
+      editionRunControllerRef.current = null;
+      dispatch({
+        type: "articles_released",
+        entryIds: queue.map((entry) => entry.id),
+        from: "queued"
+      });
+      setEditionRun((prev) => (prev ? { ...prev, running: false } : prev));
+    },
+    [concurrency, dispatch, fileArticle, hasArticleKey, timeline]
+  );
+
+  const stopEdition = useCallback(() => {
+    editionRunControllerRef.current?.abort();
+  }, []);
+
+  const unminedEntries = useMemo(
+    () =>
+      (timeline?.entries ?? []).filter(
+        (entry) => articles[entry.id]?.status === "ready" && !ledger.sources.includes(entry.id)
+      ),
+    [articles, ledger.sources, timeline]
+  );
+
+  const extractLedger = useCallback(() => {
+    if (!hasArticleKey()) return;
+    unminedEntries.forEach((entry) => {
+      const article = articles[entry.id]?.data;
+      if (article) queueLedgerExtraction(entry, article);
+    });
+  }, [articles, hasArticleKey, queueLedgerExtraction, unminedEntries]);
+
+  const editLedger = useCallback(
+    (next: ContinuityLedger) => {
+      dispatch({ type: "ledger_edited", ledger: next });
+    },
+    [dispatch]
+  );
+
+  // Abandons everything in flight, for when the desk switches universe.
+  const reset = useCallback(() => {
+    editionRunControllerRef.current?.abort();
+    editionRunControllerRef.current = null;
+    setEditionRun(null);
+    ledgerEpochRef.current += 1;
+    setLedgerPending(0);
+    setLedgerError(null);
+    Object.values(articleControllersRef.current).forEach((controller) => controller.abort());
+    articleControllersRef.current = {};
+    Object.values(documentControllersRef.current).forEach((controller) => controller.abort());
+    documentControllersRef.current = {};
+    setCommissions({});
+  }, []);
+
+  const filedArticles = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(articles)
+          .filter(([, value]) => value.data)
+          .map(([key, value]) => [key, value.data as ArticleResponse])
+      ),
+    [articles]
+  );
+
+  // A filed article is stale once its entry has been edited since it went to press.
+  const staleEntryIds = useMemo(
+    () =>
+      new Set(
+        (timeline?.entries ?? [])
+          .filter((entry) => {
+            const state = articles[entry.id];
+            return (
+              state?.status === "ready" &&
+              state.fingerprint !== undefined &&
+              state.fingerprint !== entryFingerprint(entry)
+            );
+          })
+          .map((entry) => entry.id)
+      ),
+    [articles, timeline]
+  );
+
+  const articleStatuses = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(articles).map(([id, state]) => [
+          id,
+          staleEntryIds.has(id) ? ("stale" as const) : state.status
+        ])
+      ),
+    [articles, staleEntryIds]
+  );
+
+  return {
+    editionRun,
+    ledgerPending,
+    ledgerError,
+    commissions,
+    unminedEntries,
+    filedArticles,
+    staleEntryIds,
+    articleStatuses,
+    summonArticle,
+    refileArticle,
+    reviseArticle,
+    cancelArticle,
+    selectArticleVersion,
+    commissionDocument,
+    removeDocument,
+    fileEdition,
+    stopEdition,
+    extractLedger,
+    editLedger,
+    reset
+  };
+}
+
+export type ArticleDesk = ReturnType<typeof useArticleDesk>;
@@ -0,0 +1,204 @@
+import { useCallback, useMemo, useRef, useState } from "react";
+import {
+  AuditReport,
+  StoredCritique,
+  auditKey,
+  auditRevisionNote,
+  auditUniverse,
+  critiqueContentKey,
+  needsNewId,
+  needsRevision
+} from "../lib/audit";
+import { uniqueEntryId } from "../lib/entries";
+import { AppError, toAppError } from "../lib/errors";
+import { critiqueArticle, critiqueEntries } from "../lib/groq";
+import { runQueue } from "../lib/queue";
+import { DEFAULT_STYLE, SegmentRange, findHouseStyle } from "../lib/styles";
+import { selectTimeline } from "../lib/universe";
+import { ArticleResponse } from "../types";
+import { ArticleDesk } from "./useArticleDesk";
+import { GenerationSettings } from "./useGenerationSettings";
+import { TimelineDesk } from "./useTimelineDesk";
+import { UniverseStore } from "./useUniverseStore";
+
+type AuditDeskOptions = {
+  store: UniverseStore;
+  settings: GenerationSettings;
+  articleDesk: ArticleDesk;
+  timelineDesk: TimelineDesk;
+  concurrency: number;
+  onError: (error: AppError) => void;
+};
+
+// The standards desk: rule checks on every entry and article, model critiques on request, and
+// regeneration of whatever fails them.
+export function useAuditDesk({
+  store,
+  settings,
+  articleDesk,
+  timelineDesk,
+  concurrency,
+  onError
+}: AuditDeskOptions) {
+  const { state: universe } = store;
+  const { articleConnection, houseStyles, keyProblemFor } = settings;
+  const { filedArticles, reviseArticle } = articleDesk;
+  const { entries, rekeyEntry, revise: reviseEntry, revisingEntryId } = timelineDesk;
+  const timeline = selectTimeline(universe);
+  const { articles, seed } = universe;
+  const [critiques, setCritiques] = useState<Record<string, StoredCritique>>({});
+  const [critiquePending, setCritiquePending] = useState(false);
+  const [critiqueError, setCritiqueError] = useState<string | null>(null);
+  const critiqueControllerRef = useRef<AbortController | null>(null);
+
+  const critique = useCallback(async () => {
+    if (!timeline || critiqueControllerRef.current) return;
+    const keyProblem = keyProblemFor(articleConnection);
+    if (keyProblem) {
+      onError({ message: keyProblem });
+      return;
+    }
+    const controller = new AbortController();
+    critiqueControllerRef.current = controller;
+    setCritiquePending(true);
+    setCritiqueError(null);
+
+    const record = (kind: AuditReport["kind"], entryId: string, stored: StoredCritique) =>
+      setCritiques((prev) => ({ ...prev, [auditKey(kind, entryId)]: stored }));
+    const filed = timeline.entries.filter((entry) => articles[entry.id]?.status === "ready");
+    const failures: string[] = [];
+
+    try {
+      const { critiques: graded } = await critiqueEntries(articleConnection, seed, timeline, {
+        signal: controller.signal
+      });
+      timeline.entries.forEach((entry) => {
+        const grade = graded.find((item) => item.id === entry.id);
+        if (grade) {
+          record("entry", entry.id, {
+            contentKey: critiqueContentKey(entry),
+            score: grade.score,
+            issues: grade.issues
+          });
+        }
+      });
+    } catch (err) {
+      if (!controller.signal.aborted) failures.push(toAppError(err, "Entries").message);
+    }
+
+    await runQueue(
+      filed,
+      async (entry) => {
+        const article = articles[entry.id]?.data as ArticleResponse;
+        const { critiques: graded } = await critiqueArticle(
+          articleConnection,
+          seed,
+          entry,
+          article,
+          { signal: controller.signal }
+        );
+        const grade = graded.find((item) => item.id === entry.id) ?? graded[0];
+        if (grade) {
+          record("article", entry.id, {
+            contentKey: critiqueContentKey(article),
+            score: grade.score,
+            issues: grade.issues
+          });
+        }
+      },
+      {
+        concurrency,
+        signal: controller.signal,
+        onSettled: (entry, _, result) => {
+          if (result.status === "rejected" && !controller.signal.aborted) {
+            failures.push(toAppError(result.reason, `"${entry.title}"`).message);
+          }
+        }
+      }
+    );
+
+    if (critiqueControllerRef.current !== controller) return;
+    critiqueControllerRef.current = null;
+    setCritiquePending(false);
+    if (failures.length > 0) {
+      setCritiqueError(`The critique did not cover everything. ${failures.join(" · ")}`);
+    }
+  }, [articleConnection, articles, concurrency, keyProblemFor, onError, seed, timeline]);
+
+  const regenerate = useCallback(
+    (report: AuditReport) => {
+      const entry = entries.find((item) => item.id === report.entryId);
+      if (!entry) return;
+      const note = auditRevisionNote(report);
+      if (report.kind === "entry") {
+        let revisable = entry;
+        if (needsNewId(report)) {
+          // The last holder of a duplicated id moves, leaving the first with what is filed under it.
+          const index = entries.map((item) => item.id).lastIndexOf(entry.id);
+          const rekeyed = rekeyEntry(
+            index,
+            uniqueEntryId(entry.id, new Set(entries.map((item) => item.id)))
+          );
+          if (!rekeyed || !needsRevision(report)) return;
+          revisable = rekeyed;
+        }
+        reviseEntry(revisable, note);
+      } else {
+        reviseArticle(entry, note);
+      }
+    },
+    [entries, rekeyEntry, reviseArticle, reviseEntry]
+  );
+
+  // Each article is audited against the body length of the style that filed it.
+  const segmentRanges = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(articles)
+          .filter(([, value]) => value.style)
+          .map(([key, value]): [string, SegmentRange] => [
+            key,
+            (findHouseStyle(houseStyles, value.style?.id) ?? DEFAULT_STYLE).article.segments
+          ])
+      ),
+    [articles, houseStyles]
+  );
+  const audit = useMemo(
+    () => auditUniverse(entries, filedArticles, critiques, segmentRanges),
+    [critiques, entries, filedArticles, segmentRanges]
+  );
+  const entryAudits = useMemo(
+    () => new Map(audit.entries.map((report) => [report.entryId, report])),
+    [audit]
+  );
+  const busyKeys = useMemo(() => {
+    const keys = new Set<string>();
+    if (revisingEntryId) keys.add(auditKey("entry", revisingEntryId));
+    Object.entries(articles).forEach(([entryId, state]) => {
+      if (state.status === "loading" || state.status === "queued") {
+        keys.add(auditKey("article", entryId));
+      }
+    });
+    return keys;
+  }, [articles, revisingEntryId]);
+
+  // Drops the critiques and any critique in flight, for when the desk switches universe.
+  const reset = useCallback(() => {
+    critiqueControllerRef.current?.abort();
+    critiqueControllerRef.current = null;
+    setCritiquePending(false);
+    setCritiques({});
+    setCritiqueError(null);
+  }, []);
+
+  return {
+    audit,
+    entryAudits,
+    busyKeys,
+    critiquePending,
+    critiqueError,
+    critique,
+    regenerate,
+    reset
+  };
+}
@@ -0,0 +1,62 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  CacheMode,
+  GenerationFixture,
+  createFixture,
+  mergeFixtures,
+  parseFixture,
+  serializeFixture
+} from "../lib/cache";
+import { downloadFile } from "../lib/download";
+import { AppError, toAppError } from "../lib/errors";
+import { setGenerationCache } from "../lib/groq";
+
+// The recording every model call goes through. `onError` must be stable (a state setter).
+export function useGenerationCache(onError: (error: AppError) => void) {
+  const [mode, setMode] = useState<CacheMode>("live");
+  const [fixture, setFixture] = useState<GenerationFixture>(createFixture);
+
+  useEffect(() => {
+    setGenerationCache(mode === "live" ? null : { mode, fixture, onRecord: setFixture });
+  }, [mode, fixture]);
+
+  // ?replay=<url> opens straight into replay mode with a published fixture, for offline demos.
+  useEffect(() => {
+    const source = new URLSearchParams(window.location.search).get("replay");
+    if (!source) return;
+    const controller = new AbortController();
+    fetch(source, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Fixture request failed (${response.status})`);
+        return response.text();
+      })
+      .then((text) => {
+        setFixture(parseFixture(text));
+        setMode("replay");
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        onError(toAppError(err, `Could not load the replay fixture from ${source}`));
+      });
+    return () => controller.abort();
+  }, [onError]);
+
+  const load = useCallback(
+    (loaded: GenerationFixture) => setFixture((prev) => mergeFixtures(prev, loaded)),
+    []
+  );
+  const clear = useCallback(() => setFixture(createFixture()), []);
+  const exportFixture = useCallback(
+    () =>
+      downloadFile(
+        serializeFixture(fixture),
+        "application/json",
+        `hauntoloscope-fixture-${Date.now()}.json`
+      ),
+    [fixture]
+  );
+
+  return { mode, setMode, fixture, load, clear, exportFixture };
+}
+
+export type GenerationCache = ReturnType<typeof useGenerationCache>;
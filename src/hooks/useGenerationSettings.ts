@@ -0,0 +1,155 @@
+import { useCallback, useMemo } from "react";
+import { CacheMode } from "../lib/cache";
+import { downloadFile } from "../lib/download";
+import {
+  DEFAULT_PROVIDER_SETTINGS,
+  GENERATION_KINDS,
+  PROXY_URL,
+  ProviderConnection,
+  ProviderKeys,
+  ProviderKind,
+  ProviderSettings,
+  missingKeyMessage,
+  normalizeProviderSettings,
+  resolveConnection
+} from "../lib/providers";
+import {
+  BUILT_IN_STYLES,
+  DEFAULT_STYLE,
+  DEFAULT_STYLE_ID,
+  HouseStyle,
+  findHouseStyle,
+  normalizeHouseStyles,
+  serializeHouseStyles
+} from "../lib/styles";
+import { StyleStamp } from "../types";
+import { useLocalStorage } from "./useLocalStorage";
+
+// The reader's models, keys and house styles, kept in localStorage, and the connections each
+// kind of generation resolves to.
+export function useGenerationSettings(cacheMode: CacheMode) {
+  const [apiKey, setApiKey] = useLocalStorage<string>("hauntoloscope.apiKey", "");
+  const [storedProviderKeys, setStoredProviderKeys] = useLocalStorage<ProviderKeys>(
+    "hauntoloscope.providerKeys",
+    {}
+  );
+  const [storedProviderSettings, setProviderSettings] = useLocalStorage<ProviderSettings>(
+    "hauntoloscope.providers",
+    DEFAULT_PROVIDER_SETTINGS
+  );
+  const [storedHouseStyles, setStoredHouseStyles] = useLocalStorage<HouseStyle[]>(
+    "hauntoloscope.houseStyles",
+    []
+  );
+  const [activeStyleId, setActiveStyleId] = useLocalStorage<string>(
+    "hauntoloscope.houseStyle",
+    DEFAULT_STYLE_ID
+  );
+
+  const providerSettings = useMemo(
+    () => normalizeProviderSettings(storedProviderSettings),
+    [storedProviderSettings]
+  );
+  const customStyles = useMemo(() => normalizeHouseStyles(storedHouseStyles), [storedHouseStyles]);
+  const houseStyles = useMemo(() => [...BUILT_IN_STYLES, ...customStyles], [customStyles]);
+  const activeStyle = findHouseStyle(houseStyles, activeStyleId) ?? DEFAULT_STYLE;
+  // An article keeps the style it was filed in; revisions follow it while the style still exists.
+  const styleFor = useCallback(
+    (stamp?: StyleStamp) => findHouseStyle(houseStyles, stamp?.id) ?? activeStyle,
+    [activeStyle, houseStyles]
+  );
+  // Behind the proxy there is no key to ask for unless a desk is pointed at Groq itself.
+  const showGroqKey =
+    !PROXY_URL || GENERATION_KINDS.some((kind) => providerSettings[kind].provider === "groq");
+  const providerKeys = useMemo<ProviderKeys>(
+    () => ({ ...storedProviderKeys, groq: apiKey }),
+    [storedProviderKeys, apiKey]
+  );
+  const timelineConnection = useMemo(
+    () => resolveConnection(providerSettings, providerKeys, "timeline"),
+    [providerSettings, providerKeys]
+  );
+  const articleConnection = useMemo(
+    () => resolveConnection(providerSettings, providerKeys, "article"),
+    [providerSettings, providerKeys]
+  );
+  const interpolationConnection = useMemo(
+    () => resolveConnection(providerSettings, providerKeys, "interpolation"),
+    [providerSettings, providerKeys]
+  );
+  // Replayed replies need no key; any other mode still has to reach the provider.
+  const keyProblemFor = useCallback(
+    (connection: ProviderConnection) =>
+      cacheMode === "replay" ? null : missingKeyMessage(connection),
+    [cacheMode]
+  );
+
+  const setProviderKey = useCallback(
+    (provider: ProviderKind, value: string) =>
+      setStoredProviderKeys((prev) => ({ ...prev, [provider]: value })),
+    [setStoredProviderKeys]
+  );
+
+  const updateStyle = useCallback(
+    (style: HouseStyle) =>
+      setStoredHouseStyles((prev) =>
+        normalizeHouseStyles(prev).map((item) => (item.id === style.id ? style : item))
+      ),
+    [setStoredHouseStyles]
+  );
+  const createStyle = useCallback(
+    (style: HouseStyle) => {
+      setStoredHouseStyles((prev) => [...normalizeHouseStyles(prev), style]);
+      setActiveStyleId(style.id);
+    },
+    [setActiveStyleId, setStoredHouseStyles]
+  );
+  const deleteStyle = useCallback(
+    (id: string) => {
+      setStoredHouseStyles((prev) => normalizeHouseStyles(prev).filter((item) => item.id !== id));
+      setActiveStyleId(DEFAULT_STYLE_ID);
+    },
+    [setActiveStyleId, setStoredHouseStyles]
+  );
+  const importStyles = useCallback(
+    (imported: HouseStyle[]) => {
+      setStoredHouseStyles((prev) => [...normalizeHouseStyles(prev), ...imported]);
+      setActiveStyleId(imported[0].id);
+    },
+    [setActiveStyleId, setStoredHouseStyles]
+  );
+  const exportStyles = useCallback(
+    () =>
+      downloadFile(
+        serializeHouseStyles(customStyles),
+        "application/json",
+        `hauntoloscope-house-styles-${Date.now()}.json`
+      ),
+    [customStyles]
+  );
+
+  return {
+    apiKey,
+    setApiKey,
+    showGroqKey,
+    providerSettings,
+    setProviderSettings,
+    providerKeys,
+    setProviderKey,
+    timelineConnection,
+    articleConnection,
+    interpolationConnection,
+    keyProblemFor,
+    houseStyles,
+    activeStyle,
+    styleFor,
+    selectStyle: setActiveStyleId,
+    updateStyle,
+    createStyle,
+    deleteStyle,
+    importStyles,
+    exportStyles
+  };
+}
+
+export type GenerationSettings = ReturnType<typeof useGenerationSettings>;
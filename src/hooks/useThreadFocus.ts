@@ -0,0 +1,32 @@
+import { useCallback, useMemo, useState } from "react";
+import { ThreadFocus } from "../components/DeskBriefing";
+import { catalogueThreads } from "../lib/threads";
+import { UniverseAction } from "../lib/universe";
+import { TimelineEntry } from "../types";
+
+// The thread the reader is following across the desk, and whether other entries are dimmed or
+// hidden while they do.
+export function useThreadFocus(
+  entries: TimelineEntry[],
+  dispatch: (action: UniverseAction) => void
+) {
+  const [selectedThread, setSelectedThread] = useState<string | null>(null);
+  const [focus, setFocus] = useState<ThreadFocus>("highlight");
+  const threads = useMemo(() => catalogueThreads(entries), [entries]);
+  // A thread renamed or edited away stops being followed.
+  const activeThread = threads.some((thread) => thread.name === selectedThread)
+    ? selectedThread
+    : null;
+
+  const rename = useCallback(
+    (from: string[], to: string) => {
+      dispatch({ type: "threads_renamed", from, to });
+      setSelectedThread((current) => (current && from.includes(current) ? to : current));
+    },
+    [dispatch]
+  );
+
+  return { threads, activeThread, focus, setFocus, select: setSelectedThread, rename };
+}
+
+export type ThreadFocusState = ReturnType<typeof useThreadFocus>;
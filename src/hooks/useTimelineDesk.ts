@@ -0,0 +1,350 @@
+import { Dispatch, SetStateAction, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { EntryDraft } from "../components/EntryEditor";
+import { ExtensionProgress } from "../components/ExtendTimelinePanel";
+import { deriveTimelineBounds, findOutOfOrderEntries } from "../lib/dates";
+import { createEntry } from "../lib/entries";
+import { AppError, toAppError } from "../lib/errors";
+import {
+  EXTENSION_MAX_CHUNKS,
+  ExtensionDirection,
+  extendEntries,
+  findFrontier,
+  frontierEntries,
+  planChunk,
+  targetYear
+} from "../lib/extension";
+import { generateExtension, generateInterpolations, reviseEntry } from "../lib/groq";
+import { selectRelevantFacts } from "../lib/ledger";
+import { toModelStamp } from "../lib/providers";
+import { selectCanRedo, selectCanUndo, selectTimeline } from "../lib/universe";
+import { TimelineEntry } from "../types";
+import { GenerationSettings } from "./useGenerationSettings";
+import { UniverseStore } from "./useUniverseStore";
+
+type TimelineDeskOptions = {
+  store: UniverseStore;
+  settings: GenerationSettings;
+  onError: (error: AppError | null) => void;
+  // The desk moves the selection when entries are added, deleted or re-keyed.
+  setActiveEntryId: Dispatch<SetStateAction<string | null>>;
+  // Called before an entry is deleted so a story still being written for it stops.
+  onDeleteEntry: (entryId: string) => void;
+};
+
+// Editing the open timeline: by hand, with undo, or by asking the model to interpolate, extend
+// or revise it.
+export function useTimelineDesk({
+  store,
+  settings,
+  onError,
+  setActiveEntryId,
+  onDeleteEntry
+}: TimelineDeskOptions) {
+  const { state: universe, dispatch, getState } = store;
+  const { activeStyle, interpolationConnection, keyProblemFor, timelineConnection } = settings;
+  const timeline = selectTimeline(universe);
+  const canUndo = selectCanUndo(universe);
+  const canRedo = selectCanRedo(universe);
+  const { articles, seed, entryRevisions } = universe;
+  const [interpolationStatus, setInterpolationStatus] = useState<
+    Record<string, "idle" | "loading">
+  >({});
+  const [interpolationErrors, setInterpolationErrors] = useState<Record<string, AppError | null>>(
+    {}
+  );
+  const [extension, setExtension] = useState<ExtensionProgress | null>(null);
+  const [revisingEntryId, setRevisingEntryId] = useState<string | null>(null);
+  const extensionControllerRef = useRef<AbortController | null>(null);
+  const interpolationControllersRef = useRef<Record<string, AbortController>>({});
+  const revisionControllerRef = useRef<AbortController | null>(null);
+
+  const entries = useMemo(() => timeline?.entries ?? [], [timeline]);
+  const bounds = useMemo(() => (entries.length ? deriveTimelineBounds(entries) : null), [entries]);
+  const outOfOrder = useMemo(() => findOutOfOrderEntries(entries), [entries]);
+
+  const interpolate = useCallback(
+    async (entry: TimelineEntry) => {
+      if (!timeline) return;
+      const keyProblem = keyProblemFor(interpolationConnection);
+      if (keyProblem) {
+        onError({ message: keyProblem });
+        return;
+      }
+      setInterpolationErrors((prev) => ({ ...prev, [entry.id]: null }));
+      setInterpolationStatus((prev) => ({ ...prev, [entry.id]: "loading" }));
+      const index = timeline.entries.findIndex((item) => item.id === entry.id);
+      const previous = index > 0 ? timeline.entries[index - 1] : undefined;
+      const next =
+        index >= 0 && index < timeline.entries.length - 1 ? timeline.entries[index + 1] : undefined;
+
+      const controller = new AbortController();
+      interpolationControllersRef.current[entry.id] = controller;
+      try {
+        const { entries: additions } = await generateInterpolations(interpolationConnection, seed, {
+          previous,
+          current: entry,
+          next,
+          timeline,
+          ledger: selectRelevantFacts(getState().ledger, entry, timeline),
+          style: activeStyle,
+          signal: controller.signal
+        });
+
+        if (!additions?.length) return;
+
+        // Spliced into the latest timeline: the desk may have been edited while the model worked.
+        dispatch({
+          type: "interpolated",
+          anchorId: entry.id,
+          entries: additions,
+          model: toModelStamp(interpolationConnection)
+        });
+      } catch (err) {
+        // Aborted because the universe changed; its desk has already been cleared.
+        if (controller.signal.aborted) return;
+        const failure = toAppError(err);
+        setInterpolationErrors((prev) => ({ ...prev, [entry.id]: failure }));
+        onError(failure);
+      } finally {
+        if (interpolationControllersRef.current[entry.id] === controller) {
+          delete interpolationControllersRef.current[entry.id];
+          setInterpolationStatus((prev) => ({ ...prev, [entry.id]: "idle" }));
+        }
+      }
+    },
+    [
+      activeStyle,
+      dispatch,
+      getState,
+      interpolationConnection,
+      keyProblemFor,
+      onError,
+      seed,
+      timeline
+    ]
+  );
+
+  const extend = useCallback(
+    async (direction: ExtensionDirection, target: string) => {
+      if (!timeline) return;
+      const keyProblem = keyProblemFor(interpolationConnection);
+      if (keyProblem) {
+        onError({ message: keyProblem });
+        return;
+      }
+      const goal = targetYear(target, direction);
+      if (goal === null) return;
+
+      const controller = new AbortController();
+      extensionControllerRef.current = controller;
+      // Each chunk is written from the entries as the previous chunk left them.
+      let current = timeline.entries;
+      let frontier = findFrontier(current, direction);
+      onError(null);
+      setExtension({ direction, target, chunks: 0, reached: frontier, running: true });
+      try {
+        for (let chunks = 1; chunks <= EXTENSION_MAX_CHUNKS && frontier !== null; chunks++) {
+          const chunk = planChunk(frontier, goal, direction);
+          if (!chunk) break;
+          const draft = { ...timeline, entries: current };
+          const edge = frontierEntries(current, direction, 1)[0];
+          const { entries: additions } = await generateExtension(interpolationConnection, seed, {
+            direction,
+            chunk,
+            target,
+            timeline: draft,
+            ledger: selectRelevantFacts(getState().ledger, edge, draft),
+            style: activeStyle,
+            signal: controller.signal
+          });
+          if (controller.signal.aborted) break;
+
+          dispatch({
+            type: "extended",
+            direction,
+            entries: additions,
+            model: toModelStamp(interpolationConnection)
+          });
+          current = extendEntries(current, direction, additions);
+          const reached = findFrontier(current, direction);
+          setExtension((prev) => prev && { ...prev, chunks, reached });
+          // A chunk that does not move the frontier would only be asked for again.
+          if (reached === frontier) break;
+          frontier = reached;
+        }
+      } catch (err) {
+        if (!controller.signal.aborted) onError(toAppError(err, "Could not extend the timeline"));
+      } finally {
+        if (extensionControllerRef.current === controller) {
+          extensionControllerRef.current = null;
+          setExtension((prev) => prev && { ...prev, running: false });
+        }
+      }
+    },
+    [
+      activeStyle,
+      dispatch,
+      getState,
+      interpolationConnection,
+      keyProblemFor,
+      onError,
+      seed,
+      timeline
+    ]
+  );
+
+  const stopExtension = useCallback(() => {
+    extensionControllerRef.current?.abort();
+  }, []);
+
+  // Resolves true once the revision is on the timeline.
+  const revise = useCallback(
+    async (entry: TimelineEntry, note: string) => {
+      if (!timeline) return false;
+      const keyProblem = keyProblemFor(timelineConnection);
+      if (keyProblem) {
+        onError({ message: keyProblem });
+        return false;
+      }
+      setRevisingEntryId(entry.id);
+      const controller = new AbortController();
+      revisionControllerRef.current = controller;
+      try {
+        const revised = await reviseEntry(timelineConnection, seed, {
+          entry,
+          timeline,
+          note,
+          signal: controller.signal
+        });
+        dispatch({ type: "entry_revised", original: entry, revised, note });
+        return true;
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          onError(toAppError(err, `Could not revise "${entry.title}"`));
+        }
+        return false;
+      } finally {
+        if (revisionControllerRef.current === controller) revisionControllerRef.current = null;
+        setRevisingEntryId(null);
+      }
+    },
+    [dispatch, keyProblemFor, onError, seed, timeline, timelineConnection]
+  );
+
+  const selectEntryVersion = useCallback(
+    (entryId: string, index: number) => {
+      const version = entryRevisions[entryId]?.[index];
+      if (!version) return;
+      dispatch({ type: "entry_saved", entryId, entry: version.entry });
+    },
+    [dispatch, entryRevisions]
+  );
+
+  const saveEntry = useCallback(
+    (entryId: string, draft: EntryDraft) => {
+      dispatch({ type: "entry_saved", entryId, entry: { ...draft, id: entryId } });
+    },
+    [dispatch]
+  );
+
+  const addEntry = useCallback(
+    (afterId: string | null, draft: EntryDraft) => {
+      if (!timeline) return;
+      const created = createEntry(timeline.entries, draft, Object.keys(articles));
+      dispatch({ type: "entry_added", afterId, entry: created });
+      setActiveEntryId(created.id);
+    },
+    [articles, dispatch, setActiveEntryId, timeline]
+  );
+
+  const deleteEntry = useCallback(
+    (entryId: string) => {
+      onDeleteEntry(entryId);
+      dispatch({ type: "entry_deleted", entryId });
+      setActiveEntryId((current) => (current === entryId ? null : current));
+    },
+    [dispatch, onDeleteEntry, setActiveEntryId]
+  );
+
+  const moveEntry = useCallback(
+    (fromIndex: number, toIndex: number) => {
+      dispatch({ type: "entry_moved", fromIndex, toIndex });
+    },
+    [dispatch]
+  );
+
+  // Gives the entry at `index` a fresh id, returning the entry as it now stands.
+  const rekeyEntry = useCallback(
+    (index: number, id: string) => {
+      const entry = timeline?.entries[index];
+      if (!entry) return null;
+      dispatch({ type: "entry_rekeyed", index, id });
+      setActiveEntryId((current) => (current === entry.id ? id : current));
+      return { ...entry, id };
+    },
+    [dispatch, setActiveEntryId, timeline]
+  );
+
+  const undo = useCallback(() => dispatch({ type: "undo" }), [dispatch]);
+
+  const redo = useCallback(() => dispatch({ type: "redo" }), [dispatch]);
+
+  useEffect(() => {
+    const onKeyDown = (event: KeyboardEvent) => {
+      if (!(event.metaKey || event.ctrlKey) || event.altKey) return;
+      // Text fields keep their own undo.
+      const target = event.target as HTMLElement | null;
+      if (target?.closest("input, textarea, select, [contenteditable='true']")) return;
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [redo, undo]);
+
+  // Abandons everything in flight, for when the desk switches universe.
+  const reset = useCallback(() => {
+    extensionControllerRef.current?.abort();
+    extensionControllerRef.current = null;
+    setExtension(null);
+    Object.values(interpolationControllersRef.current).forEach((controller) => controller.abort());
+    interpolationControllersRef.current = {};
+    setInterpolationStatus({});
+    setInterpolationErrors({});
+    revisionControllerRef.current?.abort();
+    revisionControllerRef.current = null;
+  }, []);
+
+  return {
+    entries,
+    bounds,
+    outOfOrder,
+    canUndo,
+    canRedo,
+    interpolationStatus,
+    interpolationErrors,
+    extension,
+    revisingEntryId,
+    interpolate,
+    extend,
+    stopExtension,
+    revise,
+    selectEntryVersion,
+    saveEntry,
+    addEntry,
+    deleteEntry,
+    moveEntry,
+    rekeyEntry,
+    undo,
+    redo,
+    reset
+  };
+}
+
+export type TimelineDesk = ReturnType<typeof useTimelineDesk>;
@@ -0,0 +1,179 @@
+import { useCallback, useRef, useState } from "react";
+import { AppError, toAppError } from "../lib/errors";
+import { generateTimeline } from "../lib/groq";
+import { MultiverseBranch, MultiverseVariant } from "../lib/multiverse";
+import { resolveConnection, toModelStamp } from "../lib/providers";
+import { runQueue } from "../lib/queue";
+import { SeedDraft, draftFromSeed, resolveSeed } from "../lib/seed";
+import { DEFAULT_STYLE, findHouseStyle } from "../lib/styles";
+import { ModelStamp, SeedParameters, TimelineResponse } from "../types";
+import { GenerationSettings } from "./useGenerationSettings";
+
+type TimelineGenerationOptions = {
+  settings: GenerationSettings;
+  seedDraft: SeedDraft;
+  setSeedDraft: (draft: SeedDraft) => void;
+  openTimeline: (seed: SeedParameters, response: TimelineResponse, model: ModelStamp) => void;
+  concurrency: number;
+  onError: (error: AppError | null) => void;
+};
+
+// Drawing a timeline from the seed, either straight onto the desk or as several side-by-side
+// branches the reader can compare before promoting one.
+export function useTimelineGeneration({
+  settings,
+  seedDraft,
+  setSeedDraft,
+  openTimeline,
+  concurrency,
+  onError
+}: TimelineGenerationOptions) {
+  const {
+    activeStyle,
+    houseStyles,
+    keyProblemFor,
+    providerKeys,
+    providerSettings,
+    selectStyle,
+    timelineConnection
+  } = settings;
+  const [isGenerating, setIsGenerating] = useState(false);
+  // Side-by-side runs of one seed; none of it touches the universe until a branch is promoted.
+  const [multiverse, setMultiverse] = useState<{
+    seed: SeedParameters;
+    branches: MultiverseBranch[];
+  } | null>(null);
+  // The comparison in flight; aborted when another run starts or the panel is closed.
+  const multiverseControllerRef = useRef<AbortController | null>(null);
+
+  const generate = useCallback(async () => {
+    const keyProblem = keyProblemFor(timelineConnection);
+    if (keyProblem) {
+      onError({ message: keyProblem });
+      return;
+    }
+    const draftSeed = resolveSeed(seedDraft);
+    if (!draftSeed.event) {
+      onError({ message: "Whisper an event from the past before invoking the scope." });
+      return;
+    }
+
+    try {
+      onError(null);
+      setIsGenerating(true);
+      const response = await generateTimeline(timelineConnection, draftSeed, activeStyle);
+      openTimeline(draftSeed, response, toModelStamp(timelineConnection));
+    } catch (err) {
+      onError(toAppError(err));
+    } finally {
+      setIsGenerating(false);
+    }
+  }, [activeStyle, keyProblemFor, onError, openTimeline, seedDraft, timelineConnection]);
+
+  const compare = useCallback(
+    async (variants: MultiverseVariant[]) => {
+      const draftSeed = resolveSeed(seedDraft);
+      if (!draftSeed.event) {
+        onError({ message: "Whisper an event from the past before invoking the scope." });
+        return;
+      }
+      const connections = variants.map((variant) =>
+        resolveConnection(
+          { ...providerSettings, timeline: variant.config },
+          providerKeys,
+          "timeline"
+        )
+      );
+      const keyProblem = connections.map(keyProblemFor).find(Boolean);
+      if (keyProblem) {
+        onError({ message: keyProblem });
+        return;
+      }
+
+      onError(null);
+      multiverseControllerRef.current?.abort();
+      const controller = new AbortController();
+      multiverseControllerRef.current = controller;
+      const settle = (index: number, branch: Partial<MultiverseBranch>) => {
+        if (controller.signal.aborted) return;
+        setMultiverse((prev) =>
+          prev
+            ? {
+                ...prev,
+                branches: prev.branches.map((item, position) =>
+                  position === index ? { ...item, ...branch } : item
+                )
+              }
+            : prev
+        );
+      };
+      setMultiverse({
+        seed: draftSeed,
+        branches: variants.map((variant) => ({ variant, status: "loading" }))
+      });
+      await runQueue(
+        variants,
+        async (variant, index) => {
+          try {
+            const style = findHouseStyle(houseStyles, variant.styleId) ?? DEFAULT_STYLE;
+            const response = await generateTimeline(connections[index], draftSeed, style, {
+              signal: controller.signal
+            });
+            settle(index, { status: "ready", timeline: response });
+          } catch (err) {
+            settle(index, { status: "error", error: toAppError(err).message });
+          }
+        },
+        { concurrency, signal: controller.signal }
+      );
+      if (multiverseControllerRef.current === controller) multiverseControllerRef.current = null;
+    },
+    [concurrency, houseStyles, keyProblemFor, onError, providerKeys, providerSettings, seedDraft]
+  );
+
+  // Stops the comparison in flight; branches already drawn stay up for promotion.
+  const stopComparison = useCallback(() => {
+    const controller = multiverseControllerRef.current;
+    if (!controller) return;
+    controller.abort();
+    multiverseControllerRef.current = null;
+    setMultiverse((prev) =>
+      prev
+        ? {
+            ...prev,
+            branches: prev.branches.map((branch) =>
+              branch.status === "loading"
+                ? { ...branch, status: "error", error: "Comparison stopped." }
+                : branch
+            )
+          }
+        : prev
+    );
+  }, []);
+
+  const promote = useCallback(
+    (index: number) => {
+      const branch = multiverse?.branches[index];
+      if (!multiverse || branch?.status !== "ready" || !branch.timeline) return;
+      // The promoted universe keeps writing in the style its timeline was drawn in.
+      if (findHouseStyle(houseStyles, branch.variant.styleId)) {
+        selectStyle(branch.variant.styleId);
+      }
+      setSeedDraft(draftFromSeed(multiverse.seed));
+      openTimeline(multiverse.seed, branch.timeline, toModelStamp(branch.variant.config));
+      onError(null);
+    },
+    [houseStyles, multiverse, onError, openTimeline, selectStyle, setSeedDraft]
+  );
+
+  return {
+    isGenerating,
+    generate,
+    branches: multiverse?.branches ?? null,
+    compare,
+    stopComparison,
+    promote
+  };
+}
+
+export type TimelineGeneration = ReturnType<typeof useTimelineGeneration>;
@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  UniverseRecord,
+  deleteUniverse,
+  duplicateUniverse,
+  listUniverses,
+  renameUniverse,
+  saveUniverse
+} from "../lib/library";
+import { HauntoloscopeBundle } from "../types";
+
+export function useUniverseLibrary() {
+  const [universes, setUniverses] = useState<UniverseRecord[]>([]);
+  const [libraryError, setLibraryError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setUniverses(await listUniverses());
+      setLibraryError(null);
+    } catch (error) {
+      setLibraryError(error instanceof Error ? error.message : String(error));
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const run = useCallback(
+    async <T>(action: () => Promise<T>) => {
+      try {
+        const result = await action();
+        await refresh();
+        return result;
+      } catch (error) {
+        setLibraryError(error instanceof Error ? error.message : String(error));
+        return null;
+      }
+    },
+    [refresh]
+  );
+
+  const save = useCallback(
+    (id: string, bundle: HauntoloscopeBundle) => run(() => saveUniverse(id, bundle)),
+    [run]
+  );
+  const rename = useCallback(
+    (id: string, name: string) => run(() => renameUniverse(id, name)),
+    [run]
+  );
+  const duplicate = useCallback((id: string) => run(() => duplicateUniverse(id)), [run]);
+  const remove = useCallback((id: string) => run(() => deleteUniverse(id)), [run]);
+
+  return { universes, libraryError, save, rename, duplicate, remove };
+}
+
+export type UniverseLibrary = ReturnType<typeof useUniverseLibrary>;
@@ -0,0 +1,258 @@
+import { Dispatch, SetStateAction, useCallback, useEffect, useMemo, useState } from "react";
+import { createFamilyRelic, parseBundle, parseRelicText } from "../lib/bundle";
+import { composeChronicle, renderChronicleMarkdown } from "../lib/chronicle";
+import { downloadFile, downloadJson } from "../lib/download";
+import { createSeedSummary, withUniqueIds } from "../lib/entries";
+import { buildChronicleEpub } from "../lib/epub";
+import { AppError, toAppError } from "../lib/errors";
+import { generateFork } from "../lib/groq";
+import { restrictLedger } from "../lib/ledger";
+import { UniverseRecord, createUniverseId } from "../lib/library";
+import { buildFamilyTree, flattenFamily } from "../lib/lineage";
+import { toModelStamp } from "../lib/providers";
+import { SeedDraft, draftFromSeed, seedFromBundle } from "../lib/seed";
+import { createBundle, selectTimeline } from "../lib/universe";
+import {
+  HauntoloscopeBundle,
+  ModelStamp,
+  SeedParameters,
+  TimelineEntry,
+  TimelineResponse,
+  UniverseLineage
+} from "../types";
+import { GenerationSettings } from "./useGenerationSettings";
+import { UniverseLibrary } from "./useUniverseLibrary";
+import { UniverseStore } from "./useUniverseStore";
+
+type UniverseSessionOptions = {
+  store: UniverseStore;
+  library: UniverseLibrary;
+  settings: GenerationSettings;
+  onError: (error: AppError | null) => void;
+  setSeedDraft: Dispatch<SetStateAction<SeedDraft>>;
+  // Clears the desk of the universe being left: work in flight, selections, open editors.
+  resetDesk: () => void;
+};
+
+// Which universe the desk holds and how it got there: generated, opened from the archive,
+// imported from a relic or forked from another. Also saves it and exports it.
+export function useUniverseSession({
+  store,
+  library,
+  settings,
+  onError,
+  setSeedDraft,
+  resetDesk
+}: UniverseSessionOptions) {
+  const { state: universe, dispatch, getState } = store;
+  const { universes, save: saveUniverse, remove: removeUniverse } = library;
+  const { activeStyle, keyProblemFor, timelineConnection } = settings;
+  const timeline = selectTimeline(universe);
+  const { seed } = universe;
+  const currentUniverseId = universe.universeId;
+  const [forkingEntryId, setForkingEntryId] = useState<string | null>(null);
+
+  // Makes a freshly drawn timeline the working universe, whether generated or promoted.
+  const openTimeline = useCallback(
+    (timelineSeed: SeedParameters, response: TimelineResponse, model: ModelStamp) => {
+      resetDesk();
+      dispatch({
+        type: "generated",
+        universeId: createUniverseId(),
+        seed: timelineSeed,
+        timeline: response,
+        model
+      });
+    },
+    [dispatch, resetDesk]
+  );
+
+  const restoreBundle = useCallback(
+    (bundle: HauntoloscopeBundle, universeId: string | null, unsaved = false) => {
+      resetDesk();
+      setSeedDraft(draftFromSeed(seedFromBundle(bundle), Boolean(bundle.seed)));
+      dispatch({ type: "loaded", bundle, universeId, unsaved });
+      onError(null);
+    },
+    [dispatch, onError, resetDesk, setSeedDraft]
+  );
+
+  const importRelic = useCallback(
+    async (file: File) => {
+      try {
+        const text = await file.text();
+        const [first, ...relatives] = parseRelicText(text);
+        // Family relics land in the archive whole so the branch tree can be browsed at once.
+        for (const bundle of relatives) {
+          await saveUniverse(bundle.universe_id ?? createUniverseId(), bundle);
+        }
+        restoreBundle(first, first.universe_id ?? createUniverseId(), true);
+      } catch (err) {
+        onError(toAppError(err, "Failed to import bundle"));
+      }
+    },
+    [onError, restoreBundle, saveUniverse]
+  );
+
+  const openUniverse = useCallback(
+    (record: UniverseRecord) => {
+      try {
+        restoreBundle(parseBundle(record.bundle), record.id);
+      } catch (err) {
+        onError(toAppError(err, `Failed to open "${record.name}"`));
+      }
+    },
+    [onError, restoreBundle]
+  );
+
+  const deleteUniverse = useCallback(
+    async (id: string) => {
+      await removeUniverse(id);
+      if (id === currentUniverseId) dispatch({ type: "universe_closed" });
+    },
+    [currentUniverseId, dispatch, removeUniverse]
+  );
+
+  const snapshotBundle = useCallback(() => createBundle(universe), [universe]);
+
+  // Autosave: every successful generation or interpolation bumps the revision.
+  useEffect(() => {
+    const bundle = snapshotBundle();
+    if (universe.revision === 0 || !bundle || !currentUniverseId) return;
+    saveUniverse(currentUniverseId, bundle);
+    // Only the revision counter should trigger a save; typing in the seed field must not.
+  }, [universe.revision]);
+
+  const exportRelic = useCallback(() => {
+    const bundle = snapshotBundle();
+    if (!bundle) return;
+    downloadJson(bundle, `hauntoloscope-${Date.now()}.json`);
+  }, [snapshotBundle]);
+
+  const exportChronicle = useCallback(
+    (format: "markdown" | "epub") => {
+      const bundle = snapshotBundle();
+      if (!bundle) return;
+      const chronicle = composeChronicle(bundle);
+      const stamp = Date.now();
+      if (format === "markdown") {
+        downloadFile(
+          renderChronicleMarkdown(chronicle),
+          "text/markdown",
+          `hauntoloscope-chronicle-${stamp}.md`
+        );
+        return;
+      }
+      downloadFile(
+        buildChronicleEpub(chronicle, bundle.universe_id ?? createUniverseId()),
+        "application/epub+zip",
+        `hauntoloscope-chronicle-${stamp}.epub`
+      );
+    },
+    [snapshotBundle]
+  );
+
+  const familyTree = useMemo(
+    () => (currentUniverseId ? buildFamilyTree(universes, currentUniverseId) : null),
+    [currentUniverseId, universes]
+  );
+
+  const exportFamily = useCallback(() => {
+    if (!familyTree) return;
+    const current = snapshotBundle();
+    const bundles = flattenFamily(familyTree).map((record) =>
+      record.id === currentUniverseId && current ? current : record.bundle
+    );
+    downloadJson(createFamilyRelic(bundles), `hauntoloscope-family-${Date.now()}.json`);
+  }, [currentUniverseId, familyTree, snapshotBundle]);
+
+  const fork = useCallback(
+    async (entry: TimelineEntry, divergence: string) => {
+      if (!timeline) return;
+      const keyProblem = keyProblemFor(timelineConnection);
+      if (keyProblem) {
+        onError({ message: keyProblem });
+        return;
+      }
+
+      setForkingEntryId(entry.id);
+      try {
+        const parentId = currentUniverseId ?? createUniverseId();
+        const response = await generateFork(timelineConnection, seed, {
+          timeline,
+          forkEntry: entry,
+          divergence,
+          style: activeStyle
+        });
+        const forkIndex = timeline.entries.findIndex((item) => item.id === entry.id);
+        const preserved = timeline.entries.slice(0, Math.max(forkIndex, 0));
+        const childTimeline: TimelineResponse = {
+          ...response,
+          entries: [...preserved, ...withUniqueIds(preserved, response.entries)]
+        };
+        const preservedIds = new Set(preserved.map((item) => item.id));
+        const childId = createUniverseId();
+        const childLineage: UniverseLineage = {
+          parent_id: parentId,
+          fork_entry_id: entry.id,
+          divergence
+        };
+        // Read after the await so articles filed while the branch was drawn come along, on both
+        // the branch and the parent's own record.
+        const parent = getState();
+        // Another universe was opened while the branch was drawn; it is not this one's parent.
+        if (parent.universeId !== currentUniverseId) return;
+        const parentBundle = createBundle(parent) as HauntoloscopeBundle;
+        const keep = <T>(record: Record<string, T>) =>
+          Object.fromEntries(Object.entries(record).filter(([key]) => preservedIds.has(key)));
+        const child = createBundle({
+          ...parent,
+          universeId: childId,
+          lineage: childLineage,
+          seedSummary: createSeedSummary(seed.event, childTimeline),
+          timeline: { past: [], present: childTimeline, future: [] },
+          articles: keep(parent.articles),
+          provenance: { ...parent.provenance, timeline: toModelStamp(timelineConnection) },
+          ledger: restrictLedger(parent.ledger, preservedIds),
+          entryRevisions: keep(parent.entryRevisions),
+          documents: keep(parent.documents)
+        }) as HauntoloscopeBundle;
+
+        await saveUniverse(parentId, { ...parentBundle, universe_id: parentId });
+        await saveUniverse(childId, child);
+        restoreBundle(child, childId);
+      } catch (err) {
+        onError(toAppError(err, "Failed to fork universe"));
+      } finally {
+        setForkingEntryId(null);
+      }
+    },
+    [
+      activeStyle,
+      currentUniverseId,
+      getState,
+      keyProblemFor,
+      onError,
+      restoreBundle,
+      saveUniverse,
+      seed,
+      timeline,
+      timelineConnection
+    ]
+  );
+
+  return {
+    familyTree,
+    forkingEntryId,
+    openTimeline,
+    importRelic,
+    openUniverse,
+    deleteUniverse,
+    exportRelic,
+    exportChronicle,
+    exportFamily,
+    fork
+  };
+}
+
+export type UniverseSession = ReturnType<typeof useUniverseSession>;
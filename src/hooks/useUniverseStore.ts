@@ -0,0 +1,19 @@
+import { useCallback, useEffect, useReducer, useRef } from "react";
+import { EMPTY_UNIVERSE, universeReducer } from "../lib/universe";
+
+// The open universe as a reducer. `getState` reads the latest committed state, for async work
+// that needs the ledger or timeline as they stand after an await rather than when it started.
+export function useUniverseStore() {
+  const [state, dispatch] = useReducer(universeReducer, EMPTY_UNIVERSE);
+  const stateRef = useRef(state);
+
+  useEffect(() => {
+    stateRef.current = state;
+  }, [state]);
+
+  const getState = useCallback(() => stateRef.current, []);
+
+  return { state, dispatch, getState };
+}
+
+export type UniverseStore = ReturnType<typeof useUniverseStore>;
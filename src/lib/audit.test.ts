@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "../test/fixtures";
+import { ArticleResponse } from "../types";
+import {
+  AuditFinding,
+  auditArticle,
+  auditEntry,
+  auditKey,
+  auditUniverse,
+  critiqueContentKey,
+  needsNewId,
+  needsRevision
+} from "./audit";
+
+const segment =
+  "Freight volumes at the Helmstedt crossing fell 12 percent. Officials blamed the weather. Hauliers were less sure.";
+
+function cleanArticle(overrides: Partial<ArticleResponse> = {}): ArticleResponse {
+  return {
+    headline: "Wall Holds Another Winter",
+    dateline: "BERLIN — November 9, 1989",
+    lede: "The border stayed shut for a 28th winter.",
+    body: [segment, segment, segment, "Economists dismissed the drop as a coincidence. " + segment],
+    ...overrides
+  };
+}
+
+const rules = (findings: AuditFinding[]) => findings.map((item) => `${item.rule}:${item.severity}`);
+
+describe("auditEntry", () => {
+  it("passes an entry that meets the brief", () => {
+    const entry = makeEntry("volkskammer-vote");
+    expect(auditEntry(entry, [entry])).toEqual([]);
+  });
+
+  it("flags malformed and repeated ids as errors", () => {
+    const entries = [makeEntry("Vote_1"), makeEntry("Vote_1")];
+    expect(rules(auditEntry(entries[0], entries))).toEqual(["id-format:error", "id-unique:error"]);
+  });
+
+  it("warns about summary length, missing detail, dates and threads", () => {
+    const entry = makeEntry("quiet-year", {
+      title: "a quiet year",
+      summary: "nothing much happened.",
+      anchorDate: "sometime",
+      threads: []
+    });
+    expect(rules(auditEntry(entry, [entry]))).toEqual([
+      "summary-length:warning",
+      "verifiable-detail:warning",
+      "anchor-date:warning",
+      "threads:warning"
+    ]);
+  });
+
+  it("allows one uncanny sentence but not two", () => {
+    const one = makeEntry("one", {
+      summary: "Turnout reaches 91 percent. The count runs eerily quiet."
+    });
+    const two = makeEntry("two", {
+      summary: "Turnout reaches 91 percent. The count runs eerily quiet. Ghostly ballots appear."
+    });
+    expect(auditEntry(one, [one])).toEqual([]);
+    expect(rules(auditEntry(two, [two]))).toEqual(["uncanny-limit:warning"]);
+  });
+
+  it("rejects out-of-world references but only questions a bare counterfactual", () => {
+    const meta = makeEntry("meta", {
+      summary: "Unlike in our timeline, the Volkskammer votes no. Turnout reaches 91 percent."
+    });
+    const scholarly = makeEntry("scholarly", {
+      summary:
+        "Historians at the Humboldt University debate a counterfactual reunification. Turnout reaches 91 percent."
+    });
+    expect(rules(auditEntry(meta, [meta]))).toEqual(["diegetic:error"]);
+    expect(rules(auditEntry(scholarly, [scholarly]))).toEqual(["diegetic:warning"]);
+  });
+
+  it("rejects HTML", () => {
+    const entry = makeEntry("markup", { title: "<b>Vote</b>" });
+    expect(rules(auditEntry(entry, [entry]))).toEqual(["no-html:error"]);
+  });
+});
+
+describe("auditArticle", () => {
+  it("passes an article that meets the brief", () => {
+    expect(auditArticle(cleanArticle())).toEqual([]);
+  });
+
+  it("holds the body to the style's segment range", () => {
+    const article = cleanArticle();
+    expect(rules(auditArticle(article, { min: 5, max: 6 }))).toEqual(["body-length:error"]);
+    expect(auditArticle(article, { min: 3, max: 4 })).toEqual([]);
+  });
+
+  it("checks segment length, dateline, figures and a conventional voice", () => {
+    const article = cleanArticle({
+      dateline: "Somewhere",
+      lede: "The border stayed shut.",
+      body: ["Guards held the line.", segment, segment, segment].map((text) =>
+        text.replace(/\d+/g, "many")
+      )
+    });
+    expect(rules(auditArticle(article))).toEqual([
+      "segment-length:warning",
+      "dateline:warning",
+      "verifiable-detail:warning",
+      "conventional-viewpoint:warning"
+    ]);
+  });
+
+  it("rejects references to the real history", () => {
+    const article = cleanArticle({ lede: "In the real history, the border opened in 1989." });
+    expect(rules(auditArticle(article))).toEqual(["diegetic:error"]);
+  });
+});
+
+describe("needsNewId and needsRevision", () => {
+  const entries = [
+    makeEntry("Bad_Id"),
+    makeEntry("undated", { anchorDate: undefined }),
+    makeEntry("fine")
+  ];
+  const [badId, undated, fine] = auditUniverse(entries, {}, {}).entries;
+
+  it("routes id problems to re-keying and everything else to revision", () => {
+    expect([needsNewId(badId), needsRevision(badId)]).toEqual([true, false]);
+    expect([needsNewId(undated), needsRevision(undated)]).toEqual([false, true]);
+    expect([needsNewId(fine), needsRevision(fine)]).toEqual([false, false]);
+  });
+
+  it("counts a critique's issues as grounds for revision", () => {
+    const entry = entries[2];
+    const critiques = {
+      [auditKey("entry", entry.id)]: {
+        contentKey: critiqueContentKey(entry),
+        score: 6,
+        issues: ["Too tidy."]
+      }
+    };
+    const [critiqued] = auditUniverse([entry], {}, critiques).entries;
+    expect(critiqued).toMatchObject({ score: 6, passed: false, critiqued: true });
+    expect([needsNewId(critiqued), needsRevision(critiqued)]).toEqual([false, true]);
+  });
+});
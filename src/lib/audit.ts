@@ -0,0 +1,311 @@
+import { ArticleResponse, TimelineEntry } from "../types";
+import { parseHistoricalDate } from "./dates";
+import { entryFingerprint, hashText } from "./entries";
+import { articleText } from "./revisions";
+import { DEFAULT_STYLE, SegmentRange, formatSegmentRange } from "./styles";
+
+export type AuditSeverity = "error" | "warning";
+
+export type AuditFinding = {
+  rule: string;
+  severity: AuditSeverity;
+  message: string;
+  source: "check" | "model";
+};
+
+// A model-graded critique, remembered against the exact content it graded.
+export type StoredCritique = {
+  contentKey: string;
+  score: number;
+  issues: string[];
+};
+
+export type AuditReport = {
+  kind: "entry" | "article";
+  entryId: string;
+  title: string;
+  score: number; // 0–10
+  passed: boolean;
+  critiqued: boolean;
+  findings: AuditFinding[];
+};
+
+// The prompts demand a simulation fidelity of at least 8/10; the audit holds them to it.
+export const PASSING_SCORE = 8;
+
+const ERROR_PENALTY = 3;
+const WARNING_PENALTY = 1;
+
+const KEBAB_CASE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const HTML_TAG = /<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>/i;
+const MARKDOWN_TABLE = /^\s*\|?\s*:?-{3,}:?\s*\|/m;
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\([^)]*\)/;
+const META_REFERENCE =
+  /\b(?:real|actual|baseline) (?:timeline|history)\b|\bour timeline\b|\balternate (?:timeline|history)\b/i;
+// Historians inside the world can argue counterfactuals, so the bare word is only a warning.
+const COUNTERFACTUAL = /\bcounterfactual\b/i;
+const UNCANNY_TERMS =
+  /\b(?:uncann\w*|eerie|eerily|ghost\w*|spectral|phantom\w*|inexplicab\w*|unexplain\w*|anomal\w*|haunt\w*|mysterious\w*|otherworldly|impossib\w*|déjà vu|deja vu)\b/i;
+const CONVENTIONAL_EXPLANATION =
+  /\b(?:explain\w*|attribut\w*|dismiss\w*|coinciden\w*|sceptic\w*|skeptic\w*|rational\w*|statistical noise|measurement error|mundane)\b/i;
+const DATELINE = /^[^—–-]+\s[—–-]+\s.*\d{3,4}\s*$/;
+const ABBREVIATIONS =
+  /\b(?:Mr|Mrs|Ms|Dr|St|Gen|Col|Lt|Sen|Rep|Gov|Prof|Jr|Sr|No|vs|Inc|Ltd|Co|Corp|Dept|approx)\./g;
+
+export function auditKey(kind: AuditReport["kind"], entryId: string) {
+  return `${kind}:${entryId}`;
+}
+
+export function critiqueContentKey(content: TimelineEntry | ArticleResponse) {
+  return "headline" in content ? hashText(articleText(content)) : entryFingerprint(content);
+}
+
+function stripMarkdown(value: string) {
+  return value
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/[*_`>]/g, "")
+    .replace(/^\s*[-+]\s+/gm, "");
+}
+
+export function countSentences(value: string) {
+  const text = stripMarkdown(value)
+    .replace(ABBREVIATIONS, (match) => match.slice(0, -1))
+    .replace(/\b(?:[A-Z]\.){2,}/g, (match) => match.replace(/\./g, ""))
+    .trim();
+  if (!text) return 0;
+  const sentences = text.split(/(?<=[.!?…]["”’)]?)\s+(?=["“‘(]?[A-Z0-9])/);
+  return sentences.filter((part) => part.trim()).length;
+}
+
+// A figure, an acronym, or a run of capitalised words ("Ministry of Finance") is taken as a
+// checkable detail.
+function hasVerifiableDetail(value: string) {
+  return (
+    /\d/.test(value) ||
+    /\b[A-Z]{2,}\b/.test(value) ||
+    /\b[A-Z][a-z]+(?:\s+(?:of|for|and|de|du)?\s*[A-Z][a-z]+)+/.test(value)
+  );
+}
+
+function uncannySentences(value: string) {
+  return stripMarkdown(value)
+    .split(/(?<=[.!?])\s+/)
+    .filter((sentence) => UNCANNY_TERMS.test(sentence)).length;
+}
+
+function finding(rule: string, severity: AuditSeverity, message: string): AuditFinding {
+  return { rule, severity, message, source: "check" };
+}
+
+function diegeticFindings(text: string) {
+  if (META_REFERENCE.test(text)) {
+    return [finding("diegetic", "error", "Steps outside the world to mention another history.")];
+  }
+  if (COUNTERFACTUAL.test(text)) {
+    return [
+      finding("diegetic", "warning", 'Calls something "counterfactual"; check it stays in-world.')
+    ];
+  }
+  return [];
+}
+
+export function auditEntry(entry: TimelineEntry, entries: TimelineEntry[]) {
+  const findings: AuditFinding[] = [];
+  if (!KEBAB_CASE.test(entry.id)) {
+    findings.push(finding("id-format", "error", `Id "${entry.id}" is not lowercase kebab-case.`));
+  }
+  if (entries.filter((item) => item.id === entry.id).length > 1) {
+    findings.push(finding("id-unique", "error", `Id "${entry.id}" is used by another entry.`));
+  }
+  const text = [entry.title, entry.era, entry.summary, entry.tone ?? ""].join("\n");
+  if (HTML_TAG.test(text)) {
+    findings.push(finding("no-html", "error", "Contains HTML markup."));
+  }
+  const sentences = countSentences(entry.summary);
+  if (sentences < 2 || sentences > 3) {
+    findings.push(
+      finding(
+        "summary-length",
+        "warning",
+        `Summary runs ${sentences} sentences; the brief asks for 2-3.`
+      )
+    );
+  }
+  if (!hasVerifiableDetail(`${entry.title} ${entry.summary}`)) {
+    findings.push(
+      finding(
+        "verifiable-detail",
+        "warning",
+        "No verifiable detail (statistic, proper noun, legislative title or technical term)."
+      )
+    );
+  }
+  const uncanny = uncannySentences(`${entry.title}. ${entry.summary}`);
+  if (uncanny > 1) {
+    findings.push(
+      finding(
+        "uncanny-limit",
+        "warning",
+        `${uncanny} sentences carry an uncanny note; the brief allows one.`
+      )
+    );
+  }
+  findings.push(...diegeticFindings(text));
+  if (!entry.anchorDate || !parseHistoricalDate(entry.anchorDate)) {
+    findings.push(finding("anchor-date", "warning", "Anchor date is missing or cannot be read."));
+  }
+  if (!entry.threads?.length) {
+    findings.push(finding("threads", "warning", "Touches no named thread."));
+  }
+  return findings;
+}
+
+// Body length is held to the range of the house style the article was filed in.
+export function auditArticle(
+  article: ArticleResponse,
+  segments: SegmentRange = DEFAULT_STYLE.article.segments
+) {
+  const findings: AuditFinding[] = [];
+  const text = articleText(article);
+  if (HTML_TAG.test(text)) {
+    findings.push(finding("no-html", "error", "Contains HTML markup."));
+  }
+  if (article.body.length < segments.min || article.body.length > segments.max) {
+    findings.push(
+      finding(
+        "body-length",
+        "error",
+        `Body has ${article.body.length} segments; the brief asks for ${formatSegmentRange(segments)}.`
+      )
+    );
+  }
+  const offLength = article.body
+    .map((segment, index) => ({ index, sentences: countSentences(segment) }))
+    .filter(({ sentences }) => sentences < 3 || sentences > 5);
+  if (offLength.length > 0) {
+    findings.push(
+      finding(
+        "segment-length",
+        "warning",
+        `Segments ${offLength
+          .map(({ index, sentences }) => `${index + 1} (${sentences})`)
+          .join(", ")} fall outside 3-5 sentences.`
+      )
+    );
+  }
+  if (MARKDOWN_TABLE.test(text) || MARKDOWN_IMAGE.test(text)) {
+    findings.push(finding("markdown", "warning", "Uses a Markdown table or image."));
+  }
+  if (!DATELINE.test(article.dateline.trim())) {
+    findings.push(
+      finding(
+        "dateline",
+        "warning",
+        `Dateline "${article.dateline}" is not "CITY — Month Day, Year".`
+      )
+    );
+  }
+  if (!/\d/.test([article.lede, ...article.body].join(" "))) {
+    findings.push(finding("verifiable-detail", "warning", "Cites no figure anywhere in the copy."));
+  }
+  if (!CONVENTIONAL_EXPLANATION.test(text)) {
+    findings.push(
+      finding(
+        "conventional-viewpoint",
+        "warning",
+        "No voice offers a conventional explanation for the anomalies."
+      )
+    );
+  }
+  findings.push(...diegeticFindings(text));
+  return findings;
+}
+
+function compileReport(
+  kind: AuditReport["kind"],
+  entry: TimelineEntry,
+  checks: AuditFinding[],
+  critique?: StoredCritique
+): AuditReport {
+  const penalty = checks.reduce(
+    (total, item) => total + (item.severity === "error" ? ERROR_PENALTY : WARNING_PENALTY),
+    0
+  );
+  const checkScore = Math.max(0, 10 - penalty);
+  const score = critique ? Math.min(checkScore, critique.score) : checkScore;
+  const findings = [
+    ...checks,
+    ...(critique?.issues ?? []).map<AuditFinding>((message) => ({
+      rule: "critique",
+      severity: "warning",
+      message,
+      source: "model"
+    }))
+  ];
+  return {
+    kind,
+    entryId: entry.id,
+    title: entry.title,
+    score,
+    passed: score >= PASSING_SCORE && !checks.some((item) => item.severity === "error"),
+    critiqued: Boolean(critique),
+    findings
+  };
+}
+
+// Critiques whose content has since changed are ignored rather than shown against new text.
+export function auditUniverse(
+  entries: TimelineEntry[],
+  articles: Record<string, ArticleResponse>,
+  critiques: Record<string, StoredCritique>,
+  segmentRanges: Record<string, SegmentRange> = {}
+) {
+  const current = (kind: AuditReport["kind"], entryId: string, contentKey: string) => {
+    const critique = critiques[auditKey(kind, entryId)];
+    return critique?.contentKey === contentKey ? critique : undefined;
+  };
+  return {
+    entries: entries.map((entry) =>
+      compileReport(
+        "entry",
+        entry,
+        auditEntry(entry, entries),
+        current("entry", entry.id, critiqueContentKey(entry))
+      )
+    ),
+    articles: entries
+      .filter((entry) => articles[entry.id])
+      .map((entry) => {
+        const article = articles[entry.id];
+        return compileReport(
+          "article",
+          entry,
+          auditArticle(article, segmentRanges[entry.id]),
+          current("article", entry.id, critiqueContentKey(article))
+        );
+      })
+  };
+}
+
+// Revision pins an entry's id, so id findings are fixed by re-keying the entry instead.
+const ID_RULES = new Set(["id-format", "id-unique"]);
+
+export function needsNewId(report: AuditReport) {
+  return report.findings.some((item) => ID_RULES.has(item.rule));
+}
+
+function revisableFindings(report: AuditReport) {
+  return report.findings.filter((item) => !ID_RULES.has(item.rule));
+}
+
+export function needsRevision(report: AuditReport) {
+  return revisableFindings(report).length > 0;
+}
+
+// The editorial note handed to the revision desk when a failing item is regenerated.
+export function auditRevisionNote(report: AuditReport) {
+  const problems = revisableFindings(report).map((item) => item.message);
+  return `The standards desk flagged these problems; fix every one while keeping what already works: ${problems
+    .map((problem, index) => `(${index + 1}) ${problem}`)
+    .join(" ")}`;
+}
@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import { makeArticle, makeTimeline } from "../test/fixtures";
+import {
+  BUNDLE_VERSION,
+  BundleValidationError,
+  createFamilyRelic,
+  migrateBundle,
+  parseBundle,
+  parseRelicText
+} from "./bundle";
+
+function rawBundle(overrides: Record<string, unknown> = {}): Record<string, unknown> {
+  return {
+    version: BUNDLE_VERSION,
+    seed_event: "The Berlin Wall fell in 1989",
+    generated_at: "2024-01-01T00:00:00.000Z",
+    timeline: makeTimeline(),
+    articles: { first: makeArticle() },
+    ...overrides
+  };
+}
+
+function rejection(run: () => unknown) {
+  try {
+    run();
+  } catch (error) {
+    expect(error).toBeInstanceOf(BundleValidationError);
+    return error as BundleValidationError;
+  }
+  throw new Error("expected a BundleValidationError");
+}
+
+describe("migrateBundle", () => {
+  it("reads a bundle without a version as version 1 and carries it forward", () => {
+    const { version, ...legacy } = rawBundle();
+    expect(version).toBe(BUNDLE_VERSION);
+    expect(migrateBundle(legacy).version).toBe(BUNDLE_VERSION);
+  });
+
+  it("migrates a version 2 bundle without losing fields", () => {
+    const migrated = migrateBundle(rawBundle({ version: 2, seed_summary: "KEPT" }));
+    expect(migrated).toMatchObject({ version: BUNDLE_VERSION, seed_summary: "KEPT" });
+  });
+
+  it("refuses bundles from a newer build", () => {
+    expect(
+      rejection(() => migrateBundle(rawBundle({ version: BUNDLE_VERSION + 1 }))).message
+    ).toMatch(/newer HAUNTOLOSCOPE/);
+  });
+
+  it("refuses unreadable versions and non-objects", () => {
+    expect(rejection(() => migrateBundle(rawBundle({ version: "2" }))).issues[0].path).toBe(
+      "version"
+    );
+    expect(rejection(() => migrateBundle([])).message).toBe("Bundle is not a JSON object");
+    expect(rejection(() => migrateBundle(null)).message).toBe("Bundle is not a JSON object");
+  });
+});
+
+describe("parseBundle", () => {
+  it("accepts a current bundle", () => {
+    const bundle = parseBundle(rawBundle());
+    expect(bundle.version).toBe(BUNDLE_VERSION);
+    expect(bundle.articles.first).toEqual(makeArticle());
+  });
+
+  it("lists every schema problem with its path", () => {
+    const timeline = { ...makeTimeline(), entries: [] };
+    const error = rejection(() => parseBundle(rawBundle({ timeline, seed_event: 7 })));
+    expect(error.issues.map((issue) => issue.path)).toEqual(
+      expect.arrayContaining(["seed_event", "timeline.entries"])
+    );
+  });
+
+  it("rejects duplicate entry ids", () => {
+    const timeline = makeTimeline(["first", "first"]);
+    const error = rejection(() => parseBundle(rawBundle({ timeline })));
+    expect(error.issues[0]).toMatchObject({ path: "timeline.entries[1].id" });
+  });
+
+  it("rejects articles and documents for entries that do not exist", () => {
+    const error = rejection(() =>
+      parseBundle(rawBundle({ articles: { ghost: makeArticle() }, documents: { phantom: [] } }))
+    );
+    expect(error.message).toMatch(/inconsistent \(2 problems\)/);
+    expect(error.issues.map((issue) => issue.path)).toEqual([
+      "articles.ghost",
+      "documents.phantom"
+    ]);
+  });
+});
+
+describe("parseRelicText", () => {
+  it("reads a single bundle", () => {
+    expect(parseRelicText(JSON.stringify(rawBundle()))).toHaveLength(1);
+  });
+
+  it("reads every universe in a family relic", () => {
+    const bundle = parseBundle(rawBundle());
+    const relic = createFamilyRelic([bundle, { ...bundle, universe_id: "second" }]);
+    expect(parseRelicText(JSON.stringify(relic)).map((item) => item.universe_id)).toEqual([
+      undefined,
+      "second"
+    ]);
+  });
+
+  it("prefixes each family member's problems with its place", () => {
+    const relic = createFamilyRelic([parseBundle(rawBundle())]);
+    const text = JSON.stringify({
+      ...relic,
+      universes: [rawBundle(), rawBundle({ seed_event: 1 })]
+    });
+    expect(rejection(() => parseRelicText(text)).issues[0].path).toBe("universes[1].seed_event");
+  });
+
+  it("rejects empty families and text that is not JSON", () => {
+    const relic = { ...createFamilyRelic([]), universes: [] };
+    expect(rejection(() => parseRelicText(JSON.stringify(relic))).message).toBe(
+      "Family relic holds no universes"
+    );
+    expect(rejection(() => parseRelicText("{not json")).message).toBe("Bundle is not valid JSON");
+  });
+});
@@ -0,0 +1,283 @@
+import { z } from "zod";
+import { HauntoloscopeBundle } from "../types";
+import {
+  ValidationIssue,
+  articleResponseSchema,
+  collectIssues,
+  entryDocumentSchema,
+  timelineEntrySchema,
+  timelineResponseSchema
+} from "./schemas";
+
+// Bump whenever the bundle shape changes, and add a migration from the previous version.
+export const BUNDLE_VERSION = 9;
+
+export class BundleValidationError extends Error {
+  readonly issues: ValidationIssue[];
+
+  constructor(message: string, issues: ValidationIssue[]) {
+    super(message);
+    this.name = "BundleValidationError";
+    this.issues = issues;
+  }
+}
+
+type RawBundle = Record<string, unknown>;
+
+// MIGRATIONS[n] upgrades a version-n bundle to version n + 1.
+const MIGRATIONS: Record<number, (bundle: RawBundle) => RawBundle> = {
+  // Version 1 bundles predate the version field and carry no provenance.
+  1: (bundle) => ({ ...bundle, version: 2 }),
+  // Version 3 adds the universe id and fork lineage. Both are optional, so the step only moves
+  // the version; it is there so builds that predate them refuse these bundles rather than drop them.
+  2: (bundle) => ({ ...bundle, version: 3 }),
+  // Version 4 adds the continuity ledger.
+  3: (bundle) => ({ ...bundle, version: 4 }),
+  // Version 5 adds article fingerprints.
+  4: (bundle) => ({ ...bundle, version: 5 }),
+  // Version 6 adds entry and article revisions.
+  5: (bundle) => ({ ...bundle, version: 6 }),
+  // Version 7 adds the house style each article was filed in.
+  6: (bundle) => ({ ...bundle, version: 7 }),
+  // Version 8 adds entry documents.
+  7: (bundle) => ({ ...bundle, version: 8 }),
+  // Version 9 adds the structured seed.
+  8: (bundle) => ({ ...bundle, version: 9 })
+};
+
+const modelStampSchema = z.object({
+  provider: z.string(),
+  model: z.string(),
+  temperature: z.number()
+});
+
+const styleStampSchema = z.object({
+  id: z.string(),
+  name: z.string()
+});
+
+const seedSchema = z.object({
+  event: z.string(),
+  interpretation: z.enum(["invert", "affirm"]),
+  divergence_date: z.string().optional(),
+  region: z.string().optional(),
+  horizon: z.string().optional(),
+  entry_count: z.number().int().positive().optional()
+});
+
+export const FAMILY_KIND = "hauntoloscope.family";
+
+export type FamilyRelic = {
+  kind: typeof FAMILY_KIND;
+  version: number;
+  generated_at: string;
+  universes: HauntoloscopeBundle[];
+};
+
+const bundleSchema = z.object({
+  version: z.literal(BUNDLE_VERSION),
+  universe_id: z.string().optional(),
+  lineage: z
+    .object({
+      parent_id: z.string(),
+      fork_entry_id: z.string(),
+      divergence: z.string()
+    })
+    .optional(),
+  seed_event: z.string(),
+  seed: seedSchema.optional(),
+  seed_summary: z.string().optional(),
+  generated_at: z.string(),
+  timeline: timelineResponseSchema,
+  articles: z.record(articleResponseSchema),
+  article_fingerprints: z.record(z.string()).optional(),
+  provenance: z
+    .object({
+      prompt_version: z.string(),
+      timeline: modelStampSchema.optional(),
+      article: modelStampSchema.optional(),
+      interpolation: modelStampSchema.optional()
+    })
+    .optional(),
+  ledger: z
+    .object({
+      facts: z.array(
+        z.object({
+          id: z.string(),
+          kind: z.enum(["person", "organization", "statistic", "place", "quote"]),
+          name: z.string(),
+          detail: z.string(),
+          entry_ids: z.array(z.string()),
+          edited: z.boolean().optional()
+        })
+      ),
+      sources: z.array(z.string())
+    })
+    .optional(),
+  article_revisions: z
+    .record(
+      z.array(
+        z.object({
+          article: articleResponseSchema,
+          note: z.string().optional(),
+          filed_at: z.string(),
+          fingerprint: z.string().optional(),
+          style: styleStampSchema.optional()
+        })
+      )
+    )
+    .optional(),
+  entry_revisions: z
+    .record(
+      z.array(
+        z.object({
+          entry: timelineEntrySchema,
+          note: z.string().optional(),
+          revised_at: z.string()
+        })
+      )
+    )
+    .optional(),
+  article_styles: z.record(styleStampSchema).optional(),
+  documents: z
+    .record(
+      z.array(
+        z.object({
+          id: z.string(),
+          filed_at: z.string(),
+          document: entryDocumentSchema
+        })
+      )
+    )
+    .optional()
+});
+
+function readVersion(bundle: RawBundle) {
+  if (!("version" in bundle)) return 1;
+  const { version } = bundle;
+  if (typeof version !== "number" || !Number.isInteger(version) || version < 1) {
+    throw new BundleValidationError("Bundle has an unreadable version", [
+      { path: "version", message: `expected a positive integer, got ${JSON.stringify(version)}` }
+    ]);
+  }
+  return version;
+}
+
+export function migrateBundle(raw: unknown): RawBundle {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new BundleValidationError("Bundle is not a JSON object", [
+      { path: "(root)", message: "expected an object" }
+    ]);
+  }
+
+  let bundle = raw as RawBundle;
+  let version = readVersion(bundle);
+  if (version > BUNDLE_VERSION) {
+    throw new BundleValidationError(
+      `Bundle was written by a newer HAUNTOLOSCOPE (version ${version}, this build reads up to ${BUNDLE_VERSION})`,
+      []
+    );
+  }
+  while (version < BUNDLE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new BundleValidationError(`No migration from bundle version ${version}`, []);
+    }
+    bundle = migrate(bundle);
+    version = readVersion(bundle);
+  }
+  return bundle;
+}
+
+function checkIntegrity(bundle: HauntoloscopeBundle): ValidationIssue[] {
+  const entryIds = new Set(bundle.timeline.entries.map((entry) => entry.id));
+  const orphans = (section: string, record: Record<string, unknown> | undefined, what: string) =>
+    Object.keys(record ?? {})
+      .filter((key) => !entryIds.has(key))
+      .map((key) => ({
+        path: `${section}.${key}`,
+        message: `orphaned ${what}: no timeline entry has this id`
+      }));
+  return [
+    ...orphans("articles", bundle.articles, "article"),
+    ...orphans("documents", bundle.documents, "documents")
+  ];
+}
+
+export function parseBundle(raw: unknown): HauntoloscopeBundle {
+  const migrated = migrateBundle(raw);
+  const result = bundleSchema.safeParse(migrated);
+  if (!result.success) {
+    const issues = collectIssues(result.error);
+    throw new BundleValidationError(
+      `Bundle failed validation (${issues.length} ${issues.length === 1 ? "problem" : "problems"})`,
+      issues
+    );
+  }
+
+  const issues = checkIntegrity(result.data);
+  if (issues.length > 0) {
+    throw new BundleValidationError(
+      `Bundle is inconsistent (${issues.length} ${issues.length === 1 ? "problem" : "problems"})`,
+      issues
+    );
+  }
+  return result.data;
+}
+
+export function createFamilyRelic(universes: HauntoloscopeBundle[]): FamilyRelic {
+  return {
+    kind: FAMILY_KIND,
+    version: BUNDLE_VERSION,
+    generated_at: new Date().toISOString(),
+    universes
+  };
+}
+
+function parseFamily(raw: RawBundle) {
+  const { universes } = raw;
+  if (!Array.isArray(universes) || universes.length === 0) {
+    throw new BundleValidationError("Family relic holds no universes", [
+      { path: "universes", message: "expected a non-empty array of bundles" }
+    ]);
+  }
+
+  const bundles: HauntoloscopeBundle[] = [];
+  const issues: ValidationIssue[] = [];
+  universes.forEach((universe, index) => {
+    try {
+      bundles.push(parseBundle(universe));
+    } catch (error) {
+      if (!(error instanceof BundleValidationError)) throw error;
+      const prefix = `universes[${index}]`;
+      issues.push(
+        ...(error.issues.length
+          ? error.issues.map((issue) => ({ ...issue, path: `${prefix}.${issue.path}` }))
+          : [{ path: prefix, message: error.message }])
+      );
+    }
+  });
+  if (issues.length > 0) {
+    throw new BundleValidationError(
+      `Family relic failed validation (${issues.length} ${issues.length === 1 ? "problem" : "problems"})`,
+      issues
+    );
+  }
+  return bundles;
+}
+
+// Accepts a single bundle or a family relic and always returns the bundles it holds.
+export function parseRelicText(text: string): HauntoloscopeBundle[] {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new BundleValidationError("Bundle is not valid JSON", [
+      { path: "(root)", message: error instanceof Error ? error.message : String(error) }
+    ]);
+  }
+  if (raw && typeof raw === "object" && (raw as RawBundle).kind === FAMILY_KIND) {
+    return parseFamily(raw as RawBundle);
+  }
+  return [parseBundle(raw)];
+}
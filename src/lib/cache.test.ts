@@ -0,0 +1,53 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { requestKey } from "./cache";
+import { ChatRequest, ProviderConnection } from "./providers";
+
+const connection: ProviderConnection = {
+  provider: "groq",
+  baseUrl: "https://api.groq.com/openai/v1",
+  model: "test-model",
+  temperature: 0.7
+};
+
+const request: ChatRequest = {
+  messages: [
+    { role: "system", content: "You are a counterfactual analyst." },
+    { role: "user", content: "The Berlin Wall fell in 1989" }
+  ],
+  json: true
+};
+
+describe("requestKey", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("hashes the request with SHA-256", async () => {
+    const key = await requestKey(connection, request);
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await requestKey(connection, request)).toBe(key);
+  });
+
+  it("ignores the endpoint and key but not the model, sampling or messages", async () => {
+    const key = await requestKey(connection, request);
+    expect(
+      await requestKey({ ...connection, baseUrl: "http://localhost:8787/v1", apiKey: "k" }, request)
+    ).toBe(key);
+    expect(await requestKey({ ...connection, model: "other" }, request)).not.toBe(key);
+    expect(await requestKey({ ...connection, temperature: 0.2 }, request)).not.toBe(key);
+    expect(
+      await requestKey(connection, {
+        ...request,
+        messages: [...request.messages, { role: "user", content: "again" }]
+      })
+    ).not.toBe(key);
+  });
+
+  it("falls back to a synchronous hash outside a secure context", async () => {
+    vi.stubGlobal("crypto", {});
+    const key = await requestKey(connection, request);
+    expect(key).toMatch(/^fnv1a-[0-9a-f]{8}$/);
+    expect(await requestKey(connection, request)).toBe(key);
+    expect(await requestKey({ ...connection, model: "other" }, request)).not.toBe(key);
+  });
+});
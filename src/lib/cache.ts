@@ -0,0 +1,122 @@
+import { z } from "zod";
+import { hashText } from "./entries";
+import { ChatRequest, ProviderConnection } from "./providers";
+import { ValidationIssue, collectIssues } from "./schemas";
+
+// "record" calls the model and keeps every reply; "replay" answers only from the recording.
+export type CacheMode = "live" | "record" | "replay";
+
+export const FIXTURE_KIND = "hauntoloscope.fixture";
+
+export type FixtureEntry = {
+  label: string; // what was being generated, e.g. "timeline" or "article critique"
+  provider: string;
+  model: string;
+  content: string; // the raw model reply, before validation
+  recorded_at: string;
+};
+
+export type GenerationFixture = {
+  kind: typeof FIXTURE_KIND;
+  version: 1;
+  entries: Record<string, FixtureEntry>;
+};
+
+export class FixtureError extends Error {
+  readonly issues: ValidationIssue[];
+
+  constructor(message: string, issues: ValidationIssue[]) {
+    super(message);
+    this.name = "FixtureError";
+    this.issues = issues;
+  }
+}
+
+// Thrown in replay mode when the recording holds no reply for a request.
+export class CacheMissError extends Error {
+  readonly key: string;
+
+  constructor(label: string, key: string) {
+    super(
+      `No recorded ${label} matches this request (key ${key.slice(0, 12)}). Record it first or switch replay off.`
+    );
+    this.name = "CacheMissError";
+    this.key = key;
+  }
+}
+
+const fixtureSchema = z.object({
+  kind: z.literal(FIXTURE_KIND),
+  version: z.literal(1),
+  entries: z.record(
+    z.object({
+      label: z.string(),
+      provider: z.string(),
+      model: z.string(),
+      content: z.string(),
+      recorded_at: z.string()
+    })
+  )
+});
+
+export function createFixture(): GenerationFixture {
+  return { kind: FIXTURE_KIND, version: 1, entries: {} };
+}
+
+// The key covers everything that shapes the reply: provider, model, sampling and the exact
+// messages. Endpoints and API keys are left out so a recording replays against any deployment.
+// `crypto.subtle` only exists in secure contexts (HTTPS or localhost); served over plain HTTP the
+// scope falls back to a short synchronous hash, whose keys only match recordings made that way.
+export async function requestKey(connection: ProviderConnection, request: ChatRequest) {
+  const canonical = JSON.stringify([
+    connection.provider,
+    connection.model,
+    connection.temperature,
+    request.json,
+    request.messages.map((message) => [message.role, message.content])
+  ]);
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) return `fnv1a-${hashText(canonical)}`;
+  const digest = await subtle.digest("SHA-256", new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export function recordReply(
+  fixture: GenerationFixture,
+  key: string,
+  entry: Omit<FixtureEntry, "recorded_at">
+): GenerationFixture {
+  return {
+    ...fixture,
+    entries: { ...fixture.entries, [key]: { ...entry, recorded_at: new Date().toISOString() } }
+  };
+}
+
+// Later recordings win when the same request appears in both.
+export function mergeFixtures(base: GenerationFixture, addition: GenerationFixture) {
+  return { ...base, entries: { ...base.entries, ...addition.entries } };
+}
+
+export function parseFixture(text: string): GenerationFixture {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new FixtureError("Fixture is not valid JSON", [
+      { path: "(root)", message: error instanceof Error ? error.message : String(error) }
+    ]);
+  }
+  const result = fixtureSchema.safeParse(raw);
+  if (!result.success) {
+    const issues = collectIssues(result.error);
+    throw new FixtureError(
+      `Fixture failed validation (${issues.length} ${issues.length === 1 ? "problem" : "problems"})`,
+      issues
+    );
+  }
+  return result.data;
+}
+
+export function serializeFixture(fixture: GenerationFixture) {
+  return JSON.stringify(fixture, null, 2);
+}
@@ -0,0 +1,90 @@
+import { ArticleResponse, HauntoloscopeBundle, TimelineEntry } from "../types";
+import { sortEntriesChronologically } from "./dates";
+
+export type ChronicleSection = {
+  id: string;
+  title: string;
+  markdown: string;
+};
+
+export type Chronicle = {
+  title: string;
+  sections: ChronicleSection[];
+};
+
+// Article Markdown uses ## and ### freely; push it below the chronicle's own headings.
+function demoteHeadings(markdown: string, levels: number) {
+  return markdown.replace(/^(#{1,6})(\s)/gm, (_, hashes: string, space: string) =>
+    `${"#".repeat(Math.min(hashes.length + levels, 6))}${space}`
+  );
+}
+
+function quote(text: string) {
+  return text
+    .split("\n")
+    .map((line) => `> ${line}`.trimEnd())
+    .join("\n");
+}
+
+function renderArticle(article: ArticleResponse) {
+  const blocks = [`### ${article.headline}`];
+  if (article.dateline) blocks.push(`*${article.dateline}*`);
+  blocks.push(demoteHeadings(article.lede, 2));
+  article.body.forEach((segment) => blocks.push(demoteHeadings(segment, 2)));
+  if (article.pull_quote) blocks.push(quote(`“${article.pull_quote}”`));
+  if (article.sidebar && article.sidebar.items.length > 0) {
+    blocks.push(
+      `#### ${article.sidebar.title}`,
+      article.sidebar.items.map((item) => `- ${item}`).join("\n")
+    );
+  }
+  return blocks.join("\n\n");
+}
+
+function renderEntry(entry: TimelineEntry, article?: ArticleResponse) {
+  const blocks = [`## ${entry.era ? `${entry.era} — ` : ""}${entry.title}`];
+  const meta = [entry.anchorDate, entry.tone].filter(Boolean).join(" · ");
+  if (meta) blocks.push(`*${meta}*`);
+  blocks.push(entry.summary);
+  if (entry.threads && entry.threads.length > 0) {
+    blocks.push(`**Threads:** ${entry.threads.join(", ")}`);
+  }
+  if (article) blocks.push(renderArticle(article));
+  return blocks.join("\n\n");
+}
+
+export function composeChronicle(bundle: HauntoloscopeBundle): Chronicle {
+  const { timeline } = bundle;
+  const frontMatter = [`# ${timeline.timeline_title}`];
+  if (timeline.guiding_principle.trim()) {
+    frontMatter.push(`*${timeline.guiding_principle.trim()}*`);
+  }
+  frontMatter.push(quote(`Seed event: ${bundle.seed_event}`));
+  if (bundle.lineage) {
+    frontMatter.push(quote(`Branch: ${bundle.lineage.divergence}`));
+  }
+
+  const entries = sortEntriesChronologically(timeline.entries);
+  frontMatter.push(
+    "## Contents",
+    entries
+      .map((entry, index) => `${index + 1}. ${entry.era ? `${entry.era} — ` : ""}${entry.title}`)
+      .join("\n")
+  );
+
+  return {
+    title: timeline.timeline_title,
+    sections: [
+      { id: "front-matter", title: timeline.timeline_title, markdown: frontMatter.join("\n\n") },
+      ...entries.map((entry) => ({
+        id: entry.id,
+        title: entry.title,
+        markdown: renderEntry(entry, bundle.articles[entry.id])
+      }))
+    ]
+  };
+}
+
+export function renderChronicleMarkdown(chronicle: Chronicle) {
+  return `${chronicle.sections.map((section) => section.markdown).join("\n\n---\n\n")}\n`;
+}
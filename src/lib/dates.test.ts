@@ -0,0 +1,155 @@
+import { describe, expect, it } from "vitest";
+import { TimelineEntry } from "../types";
+import {
+  deriveTimelineBounds,
+  formatBoundsRange,
+  formatHistoricalDate,
+  parseHistoricalDate
+} from "./dates";
+
+const utc = (year: number, month = 0, day = 1) => Date.UTC(year, month, day);
+
+function entry(id: string, anchorDate?: string): TimelineEntry {
+  return { id, era: "", title: id, summary: "", anchorDate };
+}
+
+describe("parseHistoricalDate", () => {
+  it("reads plain years as a whole year", () => {
+    expect(parseHistoricalDate("1962")).toMatchObject({
+      start: utc(1962),
+      end: utc(1963),
+      precision: "year",
+      approximate: false,
+      range: false
+    });
+  });
+
+  it("reads ISO days and months", () => {
+    expect(parseHistoricalDate("1989-11-09")).toMatchObject({
+      start: utc(1989, 10, 9),
+      end: utc(1989, 10, 10),
+      precision: "day"
+    });
+    expect(parseHistoricalDate("1989-11")).toMatchObject({
+      start: utc(1989, 10),
+      end: utc(1989, 11),
+      precision: "month"
+    });
+    expect(parseHistoricalDate("2003-11")).toMatchObject({
+      start: utc(2003, 10),
+      end: utc(2003, 11),
+      precision: "month",
+      range: false
+    });
+    expect(parseHistoricalDate("2001-05")).toMatchObject({
+      start: utc(2001, 4),
+      end: utc(2001, 5),
+      precision: "month",
+      range: false
+    });
+  });
+
+  it("reads written days in either order", () => {
+    const expected = { start: utc(1962, 9, 27), precision: "day" };
+    expect(parseHistoricalDate("27 October 1962")).toMatchObject(expected);
+    expect(parseHistoricalDate("October 27th, 1962")).toMatchObject(expected);
+  });
+
+  it("reads seasons, quarters, decades and centuries", () => {
+    expect(parseHistoricalDate("Summer 1968")).toMatchObject({
+      start: utc(1968, 5),
+      end: utc(1968, 8),
+      precision: "season"
+    });
+    expect(parseHistoricalDate("Q3 1971")).toMatchObject({
+      start: utc(1971, 6),
+      end: utc(1971, 9),
+      precision: "quarter"
+    });
+    expect(parseHistoricalDate("the 1970s")).toMatchObject({
+      start: utc(1970),
+      end: utc(1980),
+      precision: "decade"
+    });
+    expect(parseHistoricalDate("20th century")).toMatchObject({
+      start: utc(1901),
+      end: utc(2001),
+      precision: "century"
+    });
+  });
+
+  it("counts BCE years astronomically", () => {
+    const date = parseHistoricalDate("44 BC");
+    expect(date?.start).toBe(new Date(utc(2000)).setUTCFullYear(-43, 0, 1));
+    expect(date && formatHistoricalDate(date)).toBe("44 BCE");
+  });
+
+  it("marks circa and phased dates as approximate", () => {
+    expect(parseHistoricalDate("c. 1850")).toMatchObject({ approximate: true, precision: "year" });
+    const late = parseHistoricalDate("late 1960s");
+    expect(late).toMatchObject({ approximate: true, phase: "late", precision: "decade" });
+    expect(late && formatHistoricalDate(late)).toBe("late 1960s");
+  });
+
+  it("reads ranges, borrowing a missing year from the second half", () => {
+    expect(parseHistoricalDate("1962–1964")).toMatchObject({
+      start: utc(1962),
+      end: utc(1965),
+      range: true
+    });
+    expect(parseHistoricalDate("March to May 1962")).toMatchObject({
+      start: utc(1962, 2),
+      end: utc(1962, 5),
+      precision: "month",
+      range: true
+    });
+    expect(parseHistoricalDate("between 1962 and 1965")).toMatchObject({ range: true });
+    expect(parseHistoricalDate("1962-65")).toMatchObject({
+      start: utc(1962),
+      end: utc(1966),
+      range: true
+    });
+    expect(parseHistoricalDate("2003-2011")).toMatchObject({ end: utc(2012), range: true });
+  });
+
+  it("rejects ranges that run backwards and text that is not a date", () => {
+    expect(parseHistoricalDate("1970–1960")).toBeNull();
+    expect(parseHistoricalDate("the day the music died")).toBeNull();
+    expect(parseHistoricalDate("")).toBeNull();
+    expect(parseHistoricalDate(undefined)).toBeNull();
+  });
+});
+
+describe("deriveTimelineBounds", () => {
+  it("spans the earliest start to the latest end", () => {
+    const bounds = deriveTimelineBounds([
+      entry("b", "1970s"),
+      entry("a", "March 1962"),
+      entry("c", "1975")
+    ]);
+    expect(bounds?.start.start).toBe(utc(1962, 2));
+    expect(bounds?.end.end).toBe(utc(1980));
+  });
+
+  it("skips entries without a readable date", () => {
+    const bounds = deriveTimelineBounds([entry("a"), entry("b", "soon"), entry("c", "1989")]);
+    expect(bounds?.start.start).toBe(utc(1989));
+  });
+
+  it("returns null when nothing can be dated", () => {
+    expect(deriveTimelineBounds([entry("a"), entry("b", "someday")])).toBeNull();
+    expect(deriveTimelineBounds([])).toBeNull();
+  });
+});
+
+describe("formatBoundsRange", () => {
+  it("names the first and last month covered", () => {
+    const bounds = deriveTimelineBounds([entry("a", "March 1962"), entry("b", "1975")]);
+    expect(bounds && formatBoundsRange(bounds)).toBe("Mar 1962 → Dec 1975");
+  });
+
+  it("collapses to one month when both ends fall in it", () => {
+    const bounds = deriveTimelineBounds([entry("a", "1962-10-16"), entry("b", "1962-10-28")]);
+    expect(bounds && formatBoundsRange(bounds)).toBe("Oct 1962");
+  });
+});
@@ -0,0 +1,412 @@
+import { TimelineEntry } from "../types";
+
+export type DatePrecision = "day" | "month" | "season" | "quarter" | "year" | "decade" | "century";
+
+// Every anchor date is read as an interval; `start` and `end` are UTC milliseconds and `end` is
+// exclusive. Years are astronomical (1 BCE is year 0).
+export type HistoricalDate = {
+  start: number;
+  end: number;
+  midpoint: number;
+  precision: DatePrecision;
+  phase?: DatePhase;
+  approximate: boolean;
+  range: boolean;
+};
+
+export type DatePhase = "early" | "mid" | "late";
+
+export type TimelineBounds = {
+  start: HistoricalDate;
+  end: HistoricalDate;
+};
+
+type Span = {
+  start: number;
+  end: number;
+  precision: DatePrecision;
+  phase?: DatePhase;
+  approximate: boolean;
+};
+
+const PRECISION_RANK: Record<DatePrecision, number> = {
+  day: 0,
+  month: 1,
+  season: 2,
+  quarter: 2,
+  year: 3,
+  decade: 4,
+  century: 5
+};
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december"
+];
+
+const MONTH_PATTERN =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?";
+
+// Northern-hemisphere meteorological seasons as [first month, length in months].
+const SEASONS: Record<string, [number, number]> = {
+  spring: [2, 3],
+  summer: [5, 3],
+  autumn: [8, 3],
+  fall: [8, 3],
+  winter: [11, 3]
+};
+
+const APPROXIMATE_PREFIX = /^(?:c\.|ca\.|circa|around|about|approximately|approx\.|~)\s*/;
+const PHASE_PATTERN = "(?:(early|mid|middle|late)[\\s-]+)?";
+const QUARTER_WORDS = ["first", "second", "third", "fourth"];
+
+// Date.UTC maps years 0–99 onto the 1900s, so set the year separately; months past December
+// roll into the following year.
+function utc(year: number, month = 0, day = 1) {
+  const date = new Date(Date.UTC(2000, 0, 1));
+  date.setUTCFullYear(year + Math.floor(month / 12), ((month % 12) + 12) % 12, day);
+  return date.getTime();
+}
+
+function monthIndex(token: string) {
+  const key = token.toLowerCase().replace(/\.$/, "").slice(0, 3);
+  return MONTHS.findIndex((month) => month.startsWith(key));
+}
+
+// Reads a year with an optional era: "1962", "44 BC", "300 BCE", "AD 79", "79 CE".
+function readYear(token: string) {
+  const match = token
+    .trim()
+    .match(/^(?:(ad|ce)\s*)?(-?\d{1,4})(?:\s*(bce|bc|b\.c\.e?\.?|ce|ad|a\.d\.))?$/i);
+  if (!match) return null;
+  const value = Number(match[2]);
+  const era = (match[3] ?? match[1] ?? "").toLowerCase();
+  if (era.startsWith("b")) return 1 - value;
+  return value;
+}
+
+// "early" keeps the first third of a span, "mid" the middle third, "late" the final third.
+function applyPhase(start: number, end: number, token?: string) {
+  if (!token) return { start, end };
+  const third = (end - start) / 3;
+  if (token === "early") return { start, end: start + third, phase: "early" as const };
+  if (token === "late") return { start: end - third, end, phase: "late" as const };
+  return { start: start + third, end: end - third, phase: "mid" as const };
+}
+
+function parseSpan(raw: string): Span | null {
+  let text = raw.trim().toLowerCase().replace(/[,]/g, " ").replace(/\s+/g, " ");
+  let approximate = false;
+  if (APPROXIMATE_PREFIX.test(text)) {
+    approximate = true;
+    text = text.replace(APPROXIMATE_PREFIX, "");
+  }
+  text = text.replace(/^(?:in |the )+/, "");
+
+  const iso = text.match(/^(-?\d{4})-(\d{2})(?:-(\d{2}))?(?:t[\d:.]+z?)?$/);
+  if (iso) {
+    const year = Number(iso[1]);
+    const month = Number(iso[2]) - 1;
+    if (month < 0 || month > 11) return null;
+    if (iso[3]) {
+      const start = utc(year, month, Number(iso[3]));
+      return { start, end: start + 86_400_000, precision: "day", approximate };
+    }
+    return { start: utc(year, month), end: utc(year, month + 1), precision: "month", approximate };
+  }
+
+  const dayFirst = text.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)? ${MONTH_PATTERN} (.+)$`));
+  const monthFirst = text.match(new RegExp(`^${MONTH_PATTERN} (\\d{1,2})(?:st|nd|rd|th)? (.+)$`));
+  const dayMatch = dayFirst
+    ? { day: dayFirst[1], month: dayFirst[2], year: dayFirst[3] }
+    : monthFirst
+      ? { day: monthFirst[2], month: monthFirst[1], year: monthFirst[3] }
+      : null;
+  if (dayMatch) {
+    const year = readYear(dayMatch.year);
+    const month = monthIndex(dayMatch.month);
+    if (year === null || month < 0) return null;
+    const start = utc(year, month, Number(dayMatch.day));
+    return { start, end: start + 86_400_000, precision: "day", approximate };
+  }
+
+  const monthOnly = text.match(new RegExp(`^${PHASE_PATTERN}${MONTH_PATTERN} (.+)$`));
+  if (monthOnly) {
+    const year = readYear(monthOnly[3]);
+    const month = monthIndex(monthOnly[2]);
+    if (year !== null && month >= 0) {
+      const span = applyPhase(utc(year, month), utc(year, month + 1), monthOnly[1]);
+      return { ...span, precision: "month", approximate: approximate || Boolean(monthOnly[1]) };
+    }
+  }
+
+  const season = text.match(
+    new RegExp(`^${PHASE_PATTERN}(spring|summer|autumn|fall|winter) (?:of )?(.+)$`)
+  );
+  if (season) {
+    const year = readYear(season[3]);
+    if (year === null) return null;
+    const [first, length] = SEASONS[season[2]];
+    const span = applyPhase(utc(year, first), utc(year, first + length), season[1]);
+    return { ...span, precision: "season", approximate: approximate || Boolean(season[1]) };
+  }
+
+  const leadingQuarter = text.match(/^q([1-4]) (.+)$/);
+  const trailingQuarter = text.match(/^(.+?)[\s-]q([1-4])$/);
+  const wordQuarter = text.match(/^(first|second|third|fourth) quarter (?:of )?(.+)$/);
+  const quarter = leadingQuarter
+    ? { index: Number(leadingQuarter[1]) - 1, year: leadingQuarter[2] }
+    : trailingQuarter
+      ? { index: Number(trailingQuarter[2]) - 1, year: trailingQuarter[1] }
+      : wordQuarter
+        ? { index: QUARTER_WORDS.indexOf(wordQuarter[1]), year: wordQuarter[2] }
+        : null;
+  if (quarter) {
+    const year = readYear(quarter.year);
+    if (year === null) return null;
+    const first = quarter.index * 3;
+    return {
+      start: utc(year, first),
+      end: utc(year, first + 3),
+      precision: "quarter",
+      approximate
+    };
+  }
+
+  const decade = text.match(new RegExp(`^${PHASE_PATTERN}(\\d{1,3}0)'?s(?: (bce|bc))?$`));
+  if (decade) {
+    const base = Number(decade[2]);
+    const bce = Boolean(decade[3]);
+    // "the 40s BCE" runs from 49 BCE down to 40 BCE.
+    const first = bce ? 1 - (base + 9) : base;
+    const span = applyPhase(utc(first), utc(first + 10), decade[1]);
+    return { ...span, precision: "decade", approximate: approximate || Boolean(decade[1]) };
+  }
+
+  const century = text.match(
+    new RegExp(`^${PHASE_PATTERN}(\\d{1,2})(?:st|nd|rd|th) century(?: (bce|bc|ce|ad))?$`)
+  );
+  if (century) {
+    const ordinal = Number(century[2]);
+    const bce = century[3]?.startsWith("b");
+    const first = bce ? 1 - ordinal * 100 : (ordinal - 1) * 100 + 1;
+    const span = applyPhase(utc(first), utc(first + 100), century[1]);
+    return { ...span, precision: "century", approximate: approximate || Boolean(century[1]) };
+  }
+
+  const yearOnly = text.match(new RegExp(`^${PHASE_PATTERN}(.+)$`));
+  if (yearOnly) {
+    const year = readYear(yearOnly[2]);
+    if (year !== null) {
+      const span = applyPhase(utc(year), utc(year + 1), yearOnly[1]);
+      return { ...span, precision: "year", approximate: approximate || Boolean(yearOnly[1]) };
+    }
+  }
+
+  const fallback = new Date(raw);
+  if (!Number.isNaN(fallback.getTime())) {
+    const start = fallback.getTime();
+    return { start, end: start + 86_400_000, precision: "day", approximate };
+  }
+  return null;
+}
+
+// Splits "1962–1964", "March to May 1962" or "between 1962 and 1965" into two halves. A bare
+// hyphen only counts when it is surrounded by spaces or joins two plain years, so ISO dates
+// survive intact.
+function splitRange(text: string) {
+  const between = text.match(/^between (.+) and (.+)$/i);
+  if (between) return [between[1], between[2]];
+  const parts = text.split(/\s*[–—]\s*|\s+-\s+|\s+(?:to|until|through)\s+/i);
+  if (parts.length === 2) return parts;
+  const years = text.match(/^(\d{3,4})-(\d{2,4})(\s*(?:bce|bc|ce|ad))?$/i);
+  // "2003-11" is an ISO month, not 2003–2011; only a second half that can't be a month is a year.
+  const isoMonth =
+    years && !years[3] && years[1].length === 4 && /^(0[1-9]|1[0-2])$/.test(years[2]);
+  if (years && !isoMonth) {
+    const end =
+      years[2].length < years[1].length ? years[1].slice(0, -years[2].length) + years[2] : years[2];
+    return [`${years[1]}${years[3] ?? ""}`, `${end}${years[3] ?? ""}`];
+  }
+  return null;
+}
+
+function toHistoricalDate(span: Span, range: boolean): HistoricalDate {
+  return { ...span, midpoint: span.start + (span.end - span.start) / 2, range };
+}
+
+function parseRange(text: string) {
+  const halves = splitRange(text);
+  if (!halves) return null;
+  let first = parseSpan(halves[0]);
+  const second = parseSpan(halves[1]);
+  if (!second) return null;
+  // "March–May 1962": borrow the year from the second half.
+  if (!first) {
+    const year = halves[1].match(/(\d{1,4}(?:\s*(?:bce|bc|ce|ad))?)\s*$/i)?.[1];
+    first = year ? parseSpan(`${halves[0]} ${year}`) : null;
+  }
+  if (!first || first.start > second.end) return null;
+  const precision =
+    PRECISION_RANK[first.precision] >= PRECISION_RANK[second.precision]
+      ? first.precision
+      : second.precision;
+  return toHistoricalDate(
+    {
+      start: first.start,
+      end: second.end,
+      precision,
+      approximate: first.approximate || second.approximate
+    },
+    true
+  );
+}
+
+// Ranges are tried first: the lenient `new Date` fallback would otherwise read "March to May
+// 1962" as a single day.
+export function parseHistoricalDate(raw?: string): HistoricalDate | null {
+  if (!raw?.trim()) return null;
+  const range = parseRange(raw.trim());
+  if (range) return range;
+  const single = parseSpan(raw);
+  return single ? toHistoricalDate(single, false) : null;
+}
+
+export function formatYear(year: number) {
+  return year <= 0 ? `${1 - year} BCE` : String(year);
+}
+
+function ordinalSuffix(value: number) {
+  if (value % 100 >= 11 && value % 100 <= 13) return "th";
+  return ["th", "st", "nd", "rd"][value % 10] ?? "th";
+}
+
+function describeInstant(time: number, precision: DatePrecision) {
+  const date = new Date(time);
+  const year = date.getUTCFullYear();
+  const month = MONTHS[date.getUTCMonth()];
+  const shortMonth = month.charAt(0).toUpperCase() + month.slice(1, 3);
+  switch (precision) {
+    case "day":
+      return `${date.getUTCDate()} ${shortMonth} ${formatYear(year)}`;
+    case "month":
+      return `${shortMonth} ${formatYear(year)}`;
+    case "season": {
+      const index = date.getUTCMonth();
+      // Winter straddles the new year; name it after the December that opens it.
+      if (index === 11 || index < 2) {
+        const opening = index === 11 ? year : year - 1;
+        return `Winter ${formatYear(opening)}–${String(opening + 1).slice(-2)}`;
+      }
+      const name = index < 5 ? "Spring" : index < 8 ? "Summer" : "Autumn";
+      return `${name} ${formatYear(year)}`;
+    }
+    case "quarter":
+      return `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${formatYear(year)}`;
+    case "decade":
+      return year > 0 ? `${year - (year % 10)}s` : formatYear(year);
+    case "century": {
+      const ordinal = year > 0 ? Math.floor((year - 1) / 100) + 1 : Math.floor(-year / 100) + 1;
+      return `${ordinal}${ordinalSuffix(ordinal)} century${year > 0 ? "" : " BCE"}`;
+    }
+    default:
+      return formatYear(year);
+  }
+}
+
+export function formatHistoricalDate(date: HistoricalDate) {
+  if (!date.range) {
+    // The midpoint names the period even when a phase has shaved its edges.
+    const label = describeInstant(date.midpoint, date.precision);
+    if (date.phase) return `${date.phase} ${label}`;
+    return date.approximate ? `c. ${label}` : label;
+  }
+  const start = describeInstant(date.start, date.precision);
+  // `end` is exclusive, so step back a millisecond to name the last instant actually covered.
+  const end = describeInstant(date.end - 1, date.precision);
+  const label = start === end ? start : `${start} – ${end}`;
+  return date.approximate ? `c. ${label}` : label;
+}
+
+export function deriveTimelineBounds(entries: TimelineEntry[]): TimelineBounds | null {
+  const dates = entries
+    .map((entry) => parseHistoricalDate(entry.anchorDate))
+    .filter((value): value is HistoricalDate => value !== null);
+  if (dates.length === 0) return null;
+  return {
+    start: dates.reduce((earliest, date) => (date.start < earliest.start ? date : earliest)),
+    end: dates.reduce((latest, date) => (date.end > latest.end ? date : latest))
+  };
+}
+
+export function formatBoundsRange(bounds: TimelineBounds) {
+  const startLabel = describeInstant(bounds.start.start, "month");
+  const endLabel = describeInstant(bounds.end.end - 1, "month");
+  return startLabel === endLabel ? startLabel : `${startLabel} → ${endLabel}`;
+}
+
+// Stable: entries without a readable date keep their place relative to their neighbours.
+export function sortEntriesChronologically(entries: TimelineEntry[]) {
+  let lastKnown = Number.NEGATIVE_INFINITY;
+  return entries
+    .map((entry, index) => {
+      const date = parseHistoricalDate(entry.anchorDate);
+      if (date) lastKnown = date.midpoint;
+      return { entry, index, key: date ? date.midpoint : lastKnown };
+    })
+    .sort((a, b) => a.key - b.key || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+// Finds the entries whose place in the list contradicts their dates: keep the longest run of
+// dated entries that already reads in order and flag the rest, but only when the clash is real
+// (the two date intervals do not overlap), so "1960s" before "1962" is not an error.
+export function findOutOfOrderEntries(entries: TimelineEntry[]) {
+  const dated = entries
+    .map((entry) => ({ id: entry.id, date: parseHistoricalDate(entry.anchorDate) }))
+    .filter((item): item is { id: string; date: HistoricalDate } => item.date !== null);
+
+  const length = dated.map(() => 1);
+  const previous = dated.map(() => -1);
+  dated.forEach((item, index) => {
+    for (let earlier = 0; earlier < index; earlier++) {
+      if (
+        dated[earlier].date.midpoint <= item.date.midpoint &&
+        length[earlier] + 1 > length[index]
+      ) {
+        length[index] = length[earlier] + 1;
+        previous[index] = earlier;
+      }
+    }
+  });
+
+  const kept = new Set<number>();
+  let cursor = length.indexOf(Math.max(0, ...length));
+  while (cursor >= 0) {
+    kept.add(cursor);
+    cursor = previous[cursor];
+  }
+
+  const flagged = new Set<string>();
+  dated.forEach((item, index) => {
+    if (kept.has(index)) return;
+    const clashes = dated.some((other, otherIndex) => {
+      if (!kept.has(otherIndex)) return false;
+      return otherIndex < index
+        ? other.date.start >= item.date.end
+        : other.date.end <= item.date.start;
+    });
+    if (clashes) flagged.add(item.id);
+  });
+  return flagged;
+}
@@ -0,0 +1,46 @@
+import { DocumentKind, EntryDocument, FiledDocument } from "../types";
+import { uniqueEntryId } from "./entries";
+
+export const DOCUMENT_KINDS: DocumentKind[] = [
+  "opinion",
+  "letters",
+  "obituary",
+  "wire",
+  "classifieds",
+  "press_release"
+];
+
+export const DOCUMENT_LABELS: Record<DocumentKind, string> = {
+  opinion: "Opinion Column",
+  letters: "Letters to the Editor",
+  obituary: "Obituary",
+  wire: "Wire Brief",
+  classifieds: "Classifieds",
+  press_release: "Press Release"
+};
+
+export function documentTitle(document: EntryDocument) {
+  switch (document.kind) {
+    case "opinion":
+    case "obituary":
+    case "press_release":
+      return document.headline;
+    case "letters":
+    case "classifieds":
+      return document.heading;
+    case "wire":
+      return document.slug;
+  }
+}
+
+export function fileDocument(existing: FiledDocument[], document: EntryDocument): FiledDocument[] {
+  const taken = new Set(existing.map((item) => item.id));
+  return [
+    ...existing,
+    {
+      id: uniqueEntryId(document.kind, taken),
+      filed_at: new Date().toISOString(),
+      document
+    }
+  ];
+}
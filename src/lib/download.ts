@@ -0,0 +1,15 @@
+export function downloadFile(contents: BlobPart, type: string, filename: string) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export function downloadJson(data: unknown, filename: string) {
+  downloadFile(JSON.stringify(data, null, 2), "application/json", filename);
+}
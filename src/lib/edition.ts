@@ -0,0 +1,242 @@
+import { ArticleResponse, TimelineEntry, TimelineResponse } from "../types";
+
+export type EditionStory = {
+  entry: TimelineEntry;
+  article: ArticleResponse;
+};
+
+export type EditionMasthead = {
+  title: string;
+  tagline: string;
+  typeface: string; // CSS font-family for the nameplate
+  ink: string;
+  paper: string;
+};
+
+export type Edition = {
+  title: string;
+  masthead: EditionMasthead;
+  editionLine: string;
+  seedSummary: string;
+  lead: EditionStory;
+  stories: EditionStory[];
+};
+
+export const EDITION_MASTHEAD: EditionMasthead = {
+  title: "The Hauntoloscope Courier",
+  tagline: "",
+  typeface: '"Cormorant Garamond", Georgia, "Times New Roman", serif',
+  ink: "#1d1a16",
+  paper: "#f4efe3"
+};
+
+// Orders filed articles as the timeline does; the lead is the chosen entry when it has one.
+export function composeEdition(
+  timeline: TimelineResponse,
+  articles: Record<string, ArticleResponse>,
+  seedSummary: string,
+  leadEntryId?: string | null,
+  masthead: EditionMasthead = EDITION_MASTHEAD
+): Edition | null {
+  const stories = timeline.entries
+    .filter((entry) => articles[entry.id])
+    .map((entry) => ({ entry, article: articles[entry.id] }));
+  if (stories.length === 0) return null;
+
+  const leadIndex = Math.max(
+    stories.findIndex((story) => story.entry.id === leadEntryId),
+    0
+  );
+  const [lead] = stories.splice(leadIndex, 1);
+  const eras = [timeline.entries[0]?.era, timeline.entries[timeline.entries.length - 1]?.era]
+    .filter(Boolean)
+    .filter((era, index, list) => list.indexOf(era) === index);
+
+  return {
+    title: timeline.timeline_title,
+    masthead,
+    editionLine: eras.join(" — "),
+    seedSummary,
+    lead,
+    stories
+  };
+}
+
+// Kept as a string so the exported HTML carries exactly what the app renders.
+export const BROADSHEET_CSS = `
+.broadsheet {
+  --ink: #1d1a16;
+  --paper: #f4efe3;
+  --rule: rgba(29, 26, 22, 0.35);
+  background: var(--paper);
+  color: var(--ink);
+  font-family: "Spectral", Georgia, "Times New Roman", serif;
+  padding: 2.5rem 3rem 3rem;
+  max-width: 1200px;
+  margin: 0 auto;
+  line-height: 1.5;
+}
+.broadsheet h1, .broadsheet h2, .broadsheet h3, .broadsheet h4 {
+  font-family: "Cormorant Garamond", Georgia, "Times New Roman", serif;
+  margin: 0;
+  color: var(--ink);
+}
+.broadsheet-masthead {
+  text-align: center;
+  border-bottom: 4px double var(--ink);
+  padding-bottom: 0.75rem;
+  margin-bottom: 0.5rem;
+}
+.broadsheet-masthead h1 {
+  font-size: 3.6rem;
+  letter-spacing: 0.04em;
+  text-transform: none;
+  font-weight: 700;
+}
+.broadsheet-tagline {
+  font-size: 0.8rem;
+  font-style: italic;
+  letter-spacing: 0.06em;
+  margin-top: 0.2rem;
+}
+.broadsheet-folio {
+  display: flex;
+  justify-content: space-between;
+  gap: 1rem;
+  font-size: 0.75rem;
+  letter-spacing: 0.12em;
+  text-transform: uppercase;
+  border-bottom: 1px solid var(--ink);
+  padding: 0.35rem 0;
+  margin-bottom: 1.5rem;
+}
+.broadsheet-story { break-inside: avoid-column; }
+.broadsheet-headline {
+  font-size: 1.6rem;
+  line-height: 1.15;
+  margin-bottom: 0.35rem;
+}
+.broadsheet-lead .broadsheet-headline {
+  font-size: 2.8rem;
+  text-align: center;
+}
+.broadsheet-dateline {
+  font-size: 0.72rem;
+  letter-spacing: 0.1em;
+  text-transform: uppercase;
+  opacity: 0.75;
+  margin-bottom: 0.6rem;
+}
+.broadsheet-lead .broadsheet-dateline { text-align: center; }
+.broadsheet-columns {
+  column-count: 3;
+  column-gap: 1.75rem;
+  column-rule: 1px solid var(--rule);
+  text-align: justify;
+  hyphens: auto;
+}
+.broadsheet-columns p { margin: 0 0 0.8rem; }
+.broadsheet-columns h2, .broadsheet-columns h3 {
+  font-size: 1.1rem;
+  text-transform: uppercase;
+  letter-spacing: 0.05em;
+  margin: 0.8rem 0 0.4rem;
+}
+.broadsheet-lede p { font-weight: 600; }
+.broadsheet-lede p:first-of-type::first-letter {
+  float: left;
+  font-family: "Cormorant Garamond", Georgia, serif;
+  font-size: 3.4rem;
+  line-height: 0.8;
+  padding: 0.3rem 0.4rem 0 0;
+}
+.broadsheet-pullquote {
+  column-span: all;
+  border-top: 2px solid var(--ink);
+  border-bottom: 2px solid var(--ink);
+  margin: 1rem 10%;
+  padding: 0.75rem 1rem;
+  font-size: 1.45rem;
+  font-style: italic;
+  text-align: center;
+  font-family: "Cormorant Garamond", Georgia, serif;
+}
+.broadsheet-sidebar {
+  break-inside: avoid;
+  border: 1px solid var(--ink);
+  background: rgba(29, 26, 22, 0.05);
+  padding: 0.75rem 0.9rem;
+  margin: 0 0 0.9rem;
+  font-size: 0.88rem;
+  text-align: left;
+}
+.broadsheet-sidebar h4 {
+  font-size: 0.95rem;
+  text-transform: uppercase;
+  letter-spacing: 0.08em;
+  border-bottom: 1px solid var(--rule);
+  padding-bottom: 0.3rem;
+  margin-bottom: 0.4rem;
+}
+.broadsheet-sidebar ul { margin: 0; padding-left: 1.1rem; }
+.broadsheet-lead {
+  border-bottom: 3px solid var(--ink);
+  padding-bottom: 1.25rem;
+  margin-bottom: 1.5rem;
+}
+.broadsheet-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+  gap: 1.5rem 2rem;
+}
+.broadsheet-grid .broadsheet-story {
+  border-top: 1px solid var(--ink);
+  padding-top: 0.75rem;
+}
+.broadsheet-grid .broadsheet-columns { column-count: 2; }
+.broadsheet-kicker {
+  font-size: 0.7rem;
+  letter-spacing: 0.14em;
+  text-transform: uppercase;
+  margin-bottom: 0.3rem;
+  opacity: 0.7;
+}
+.broadsheet blockquote {
+  margin: 0.6rem 0;
+  padding-left: 0.75rem;
+  border-left: 2px solid var(--rule);
+  font-style: italic;
+}
+@media print {
+  @page { size: A3 portrait; margin: 12mm; }
+  .broadsheet { padding: 0; max-width: none; background: #fff; }
+}
+`;
+
+function escapeHtml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function wrapEditionDocument(title: string, markup: string) {
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { margin: 0; background: #d9d3c4; padding: 2rem 0; }
+      @media print { body { background: #fff; padding: 0; } }
+${BROADSHEET_CSS}
+    </style>
+  </head>
+  <body>
+${markup}
+  </body>
+</html>
+`;
+}
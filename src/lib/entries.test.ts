@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry, makeTimeline } from "../test/fixtures";
+import { createSeedSummary, spliceInterpolations } from "./entries";
+
+describe("createSeedSummary", () => {
+  it("joins the seed, title and first anchor in capitals", () => {
+    const timeline = makeTimeline();
+    timeline.entries[0].anchorDate = "November 1989";
+    expect(createSeedSummary("  The Wall   fell ", timeline)).toBe(
+      "THE WALL FELL • THE WALL HOLDS • NOVEMBER 1989"
+    );
+  });
+
+  it("falls back to the era and a placeholder seed", () => {
+    const timeline = makeTimeline();
+    timeline.entries[0].anchorDate = undefined;
+    expect(createSeedSummary("", timeline)).toBe(
+      "UNSPECIFIED COUNTERFACTUAL • THE WALL HOLDS • LATE COLD WAR"
+    );
+  });
+});
+
+describe("spliceInterpolations", () => {
+  const entries = makeTimeline().entries;
+
+  it("inserts additions straight after their anchor, in order", () => {
+    const next = spliceInterpolations(entries, "first", [makeEntry("a"), makeEntry("b")]);
+    expect(next.map((entry) => entry.id)).toEqual(["first", "a", "b", "second", "third"]);
+  });
+
+  it("skips additions whose ids are already on the timeline", () => {
+    const next = spliceInterpolations(entries, "second", [makeEntry("third"), makeEntry("c")]);
+    expect(next.map((entry) => entry.id)).toEqual(["first", "second", "c", "third"]);
+  });
+
+  it("adds nothing when the anchor is gone", () => {
+    expect(spliceInterpolations(entries, "missing", [makeEntry("a")])).toBe(entries);
+  });
+});
@@ -0,0 +1,103 @@
+import { TimelineEntry, TimelineResponse } from "../types";
+
+export function toKebabCase(value: string) {
+  return value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function uniqueEntryId(candidate: string, taken: Set<string>) {
+  const base = toKebabCase(candidate) || "entry";
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+}
+
+// Re-keys incoming entries so none collides with an id already in `existing`.
+export function withUniqueIds(existing: TimelineEntry[], incoming: TimelineEntry[]) {
+  const taken = new Set(existing.map((entry) => entry.id));
+  return incoming.map((entry) => {
+    const id = uniqueEntryId(entry.id, taken);
+    taken.add(id);
+    return id === entry.id ? entry : { ...entry, id };
+  });
+}
+
+// `reserved` keeps ids that are out of the list but may come back (an undoable deletion's
+// article, say) from being handed to a new entry.
+export function createEntry(
+  existing: TimelineEntry[],
+  draft: Omit<TimelineEntry, "id">,
+  reserved: Iterable<string> = []
+) {
+  const taken = new Set([...existing.map((entry) => entry.id), ...reserved]);
+  return { ...draft, id: uniqueEntryId(draft.title, taken) };
+}
+
+// Interpolated entries go straight after their anchor, in order; ids already on the timeline are
+// skipped so a repeated request cannot duplicate an entry. Without the anchor there is nowhere
+// they belong, so nothing is added.
+export function spliceInterpolations(
+  entries: TimelineEntry[],
+  anchorId: string,
+  additions: TimelineEntry[]
+) {
+  const position = entries.findIndex((item) => item.id === anchorId);
+  if (position === -1) return entries;
+  const next = [...entries];
+  let insertIndex = position + 1;
+  additions.forEach((addition) => {
+    if (next.some((existing) => existing.id === addition.id)) return;
+    next.splice(insertIndex, 0, addition);
+    insertIndex += 1;
+  });
+  return next;
+}
+
+export function moveEntry(entries: TimelineEntry[], fromIndex: number, toIndex: number) {
+  if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= entries.length) return entries;
+  const next = [...entries];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(Math.max(0, Math.min(toIndex, next.length)), 0, moved);
+  return next;
+}
+
+// 32-bit FNV-1a, as hex. Cheap change detection, not a content address.
+export function hashText(source: string) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < source.length; index++) {
+    hash ^= source.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Hash of the fields an article is written from. An article whose recorded fingerprint no
+// longer matches its entry is stale.
+export function entryFingerprint(entry: TimelineEntry) {
+  return hashText(
+    JSON.stringify([
+      entry.era,
+      entry.title,
+      entry.summary,
+      entry.anchorDate ?? "",
+      entry.tone ?? "",
+      entry.threads ?? []
+    ])
+  );
+}
+
+export function createSeedSummary(seedEvent: string, timeline: TimelineResponse) {
+  const normalizedSeed = seedEvent.trim().replace(/\s+/g, " ");
+  const base = normalizedSeed || "Unspecified Counterfactual";
+  const headline = timeline.timeline_title?.trim() ?? "";
+  const firstEntry = timeline.entries[0];
+  const anchor = firstEntry?.anchorDate || firstEntry?.era || "";
+  const parts = [base, headline, anchor].filter(Boolean);
+  return parts.join(" • ").toUpperCase();
+}
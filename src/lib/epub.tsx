@@ -0,0 +1,114 @@
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { renderToStaticMarkup } from "react-dom/server";
+import { Chronicle } from "./chronicle";
+import { createZip } from "./zip";
+
+const EPUB_CSS = `
+body { font-family: Georgia, "Times New Roman", serif; line-height: 1.55; margin: 0 5%; }
+h1, h2, h3, h4 { font-family: Georgia, serif; line-height: 1.2; }
+h1 { text-align: center; margin-top: 3em; }
+h2 { border-bottom: 1px solid #999; padding-bottom: 0.2em; }
+blockquote { font-style: italic; margin: 1em 2em; }
+`;
+
+function escapeXml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// React serialises void elements as <br/> and escapes text, so its output is valid XHTML.
+function renderXhtmlBody(markdown: string) {
+  return renderToStaticMarkup(
+    <ReactMarkdown remarkPlugins={[remarkGfm]}>{markdown}</ReactMarkdown>
+  );
+}
+
+function xhtmlDocument(title: string, body: string) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+export function buildChronicleEpub(chronicle: Chronicle, identifier: string) {
+  const chapters = chronicle.sections.map((section, index) => ({
+    ...section,
+    file: `chapter-${String(index + 1).padStart(3, "0")}.xhtml`
+  }));
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`;
+
+  const manifest = chapters
+    .map(
+      (chapter, index) =>
+        `    <item id="chapter-${index + 1}" href="${chapter.file}" media-type="application/xhtml+xml" />`
+    )
+    .join("\n");
+  const spine = chapters
+    .map((_, index) => `    <itemref idref="chapter-${index + 1}" />`)
+    .join("\n");
+
+  const packageDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:uuid:${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(chronicle.title)}</dc:title>
+    <dc:creator>HAUNTOLOSCOPE Counterfactual Bureau</dc:creator>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+    <item id="style" href="style.css" media-type="text/css" />
+${manifest}
+  </manifest>
+  <spine>
+${spine}
+  </spine>
+</package>
+`;
+
+  const navigation = xhtmlDocument(
+    chronicle.title,
+    `<nav epub:type="toc" id="toc">
+  <h1>${escapeXml(chronicle.title)}</h1>
+  <ol>
+${chapters
+  .map((chapter) => `    <li><a href="${chapter.file}">${escapeXml(chapter.title)}</a></li>`)
+  .join("\n")}
+  </ol>
+</nav>`
+  );
+
+  return createZip([
+    { path: "mimetype", data: "application/epub+zip" },
+    { path: "META-INF/container.xml", data: container },
+    { path: "OEBPS/content.opf", data: packageDocument },
+    { path: "OEBPS/nav.xhtml", data: navigation },
+    { path: "OEBPS/style.css", data: EPUB_CSS },
+    ...chapters.map((chapter) => ({
+      path: `OEBPS/${chapter.file}`,
+      data: xhtmlDocument(chapter.title, renderXhtmlBody(chapter.markdown))
+    }))
+  ]);
+}
@@ -0,0 +1,26 @@
+import { BundleValidationError } from "./bundle";
+import { FixtureError } from "./cache";
+import { ResponseValidationError, ValidationIssue } from "./schemas";
+
+// What the desk shows when something fails: a message and, for rejected replies, the problems.
+export type AppError = {
+  message: string;
+  issues?: ValidationIssue[];
+};
+
+export function formatError(error: unknown) {
+  if (error instanceof Error) return error.message;
+  return String(error);
+}
+
+export function toAppError(error: unknown, prefix?: string): AppError {
+  const message = prefix ? `${prefix}: ${formatError(error)}` : formatError(error);
+  if (
+    error instanceof ResponseValidationError ||
+    error instanceof BundleValidationError ||
+    error instanceof FixtureError
+  ) {
+    return { message, issues: error.issues };
+  }
+  return { message };
+}
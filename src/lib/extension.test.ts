@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "../test/fixtures";
+import {
+  EXTENSION_CHUNK_ENTRIES,
+  EXTENSION_CHUNK_YEARS,
+  EXTENSION_MAX_CHUNKS,
+  ExtensionDirection,
+  extendEntries,
+  findFrontier,
+  frontierEntries,
+  planChunk,
+  targetYear
+} from "./extension";
+import { ENTRY_COUNT_LIMITS } from "./seed";
+
+const entries = [
+  makeEntry("wall", { anchorDate: "1961" }),
+  makeEntry("accord", { anchorDate: "1970s" }),
+  makeEntry("undated", { anchorDate: "Some winter" }),
+  makeEntry("strike", { anchorDate: "1989-11" })
+];
+
+// Every chunk the desk would ask for on the way from `frontier` to `target`.
+function planAll(frontier: number, target: number, direction: ExtensionDirection) {
+  const chunks = [];
+  for (let chunk = planChunk(frontier, target, direction); chunk; ) {
+    chunks.push(chunk);
+    chunk = planChunk(chunk.to, target, direction);
+  }
+  return chunks;
+}
+
+describe("findFrontier", () => {
+  it("reaches the last year the latest entry covers when extending after", () => {
+    expect(findFrontier(entries, "after")).toBe(1989);
+    expect(findFrontier([makeEntry("decade", { anchorDate: "1970s" })], "after")).toBe(1979);
+  });
+
+  it("reaches the first year of the earliest entry when extending before", () => {
+    expect(findFrontier(entries, "before")).toBe(1961);
+  });
+
+  it("has no frontier without a dated entry", () => {
+    expect(findFrontier([makeEntry("undated", { anchorDate: "Some winter" })], "after")).toBeNull();
+    expect(findFrontier([], "before")).toBeNull();
+  });
+});
+
+describe("targetYear", () => {
+  it("reads the far edge of the target in the direction of travel", () => {
+    expect(targetYear("2010s", "after")).toBe(2019);
+    expect(targetYear("2010s", "before")).toBe(2010);
+    expect(targetYear("March 1953", "before")).toBe(1953);
+  });
+
+  it("rejects a target that is not a date", () => {
+    expect(targetYear("the end of history", "after")).toBeNull();
+  });
+});
+
+describe("planChunk", () => {
+  it("steps at most the chunk's span of years and stops at the target", () => {
+    expect(planChunk(1989, 2030, "after")).toEqual({
+      from: 1989,
+      to: 1989 + EXTENSION_CHUNK_YEARS
+    });
+    expect(planChunk(1989, 1995, "after")).toEqual({ from: 1989, to: 1995 });
+    expect(planChunk(1961, 1900, "before")).toEqual({
+      from: 1961,
+      to: 1961 - EXTENSION_CHUNK_YEARS
+    });
+    expect(planChunk(1961, 1955, "before")).toEqual({ from: 1961, to: 1955 });
+  });
+
+  it("plans nothing once the frontier has reached or passed the target", () => {
+    expect(planChunk(1989, 1989, "after")).toBeNull();
+    expect(planChunk(1989, 1980, "after")).toBeNull();
+    expect(planChunk(1961, 1970, "before")).toBeNull();
+  });
+
+  it("covers a long horizon in contiguous chunks", () => {
+    const chunks = planAll(1989, 2050, "after");
+    expect(chunks.map((chunk) => [chunk.from, chunk.to])).toEqual([
+      [1989, 2004],
+      [2004, 2019],
+      [2019, 2034],
+      [2034, 2049],
+      [2049, 2050]
+    ]);
+    expect(planAll(1961, 1900, "before").at(-1)).toEqual({ from: 1901, to: 1900 });
+  });
+
+  it("keeps each chunk within the entry counts a timeline may be asked for", () => {
+    // A chunk is a small timeline of its own, so it must fit the bounds `--entries` accepts.
+    expect(EXTENSION_CHUNK_ENTRIES).toBeGreaterThanOrEqual(ENTRY_COUNT_LIMITS.min);
+    expect(EXTENSION_CHUNK_ENTRIES).toBeLessThanOrEqual(ENTRY_COUNT_LIMITS.max);
+    // The longest run the desk allows fills its chunks to the full span and no further.
+    const chunks = planAll(1989, 1989 + EXTENSION_CHUNK_YEARS * EXTENSION_MAX_CHUNKS, "after");
+    expect(chunks).toHaveLength(EXTENSION_MAX_CHUNKS);
+    chunks.forEach((chunk) => expect(chunk.to - chunk.from).toBe(EXTENSION_CHUNK_YEARS));
+  });
+});
+
+describe("frontierEntries", () => {
+  it("takes the entries nearest the edge being extended, oldest first", () => {
+    const ids = (list: typeof entries) => list.map((entry) => entry.id);
+    expect(ids(frontierEntries(entries, "after", 2))).toEqual(["undated", "strike"]);
+    expect(ids(frontierEntries(entries, "before", 2))).toEqual(["wall", "accord"]);
+    expect(ids(frontierEntries(entries, "after"))).toHaveLength(3);
+  });
+});
+
+describe("extendEntries", () => {
+  it("puts a chunk at the matching end in date order", () => {
+    const later = [
+      makeEntry("reunion", { anchorDate: "1995" }),
+      makeEntry("treaty", { anchorDate: "1992" })
+    ];
+    expect(extendEntries(entries, "after", later).map((entry) => entry.id)).toEqual([
+      "wall",
+      "accord",
+      "undated",
+      "strike",
+      "treaty",
+      "reunion"
+    ]);
+    const earlier = [makeEntry("airlift", { anchorDate: "1948" })];
+    expect(extendEntries(entries, "before", earlier)[0].id).toBe("airlift");
+  });
+
+  it("re-keys an addition that reuses an id already on the desk", () => {
+    const extended = extendEntries(entries, "after", [makeEntry("wall", { anchorDate: "1999" })]);
+    expect(extended).toHaveLength(entries.length + 1);
+    expect(extended[0]).toBe(entries[0]);
+    expect(extended.at(-1)?.id).not.toBe("wall");
+    expect(new Set(extended.map((entry) => entry.id)).size).toBe(extended.length);
+  });
+});
@@ -0,0 +1,75 @@
+import { TimelineEntry } from "../types";
+import { HistoricalDate, parseHistoricalDate, sortEntriesChronologically } from "./dates";
+import { withUniqueIds } from "./entries";
+
+export type ExtensionDirection = "before" | "after";
+
+// Each request covers at most this many years with this many entries, so a long horizon is
+// grown in steps the model can keep continuous rather than in one sprawling completion.
+export const EXTENSION_CHUNK_YEARS = 15;
+export const EXTENSION_CHUNK_ENTRIES = 3;
+export const EXTENSION_MAX_CHUNKS = 12;
+
+export type ExtensionChunk = {
+  from: number; // the frontier year the chunk starts at
+  to: number; // the year it reaches, never past the target
+};
+
+function yearOf(time: number) {
+  return new Date(time).getUTCFullYear();
+}
+
+// The year the timeline currently reaches in `direction`: the start of its earliest dated
+// entry, or the last year its latest dated entry covers.
+export function findFrontier(entries: TimelineEntry[], direction: ExtensionDirection) {
+  const dates = entries
+    .map((entry) => parseHistoricalDate(entry.anchorDate))
+    .filter((date): date is HistoricalDate => date !== null);
+  if (dates.length === 0) return null;
+  return direction === "after"
+    ? Math.max(...dates.map((date) => yearOf(date.end - 1)))
+    : Math.min(...dates.map((date) => yearOf(date.start)));
+}
+
+export function targetYear(target: string, direction: ExtensionDirection) {
+  const date = parseHistoricalDate(target);
+  if (!date) return null;
+  return direction === "after" ? yearOf(date.end - 1) : yearOf(date.start);
+}
+
+// The next stretch to fill, or null once the frontier has reached the target.
+export function planChunk(
+  frontier: number,
+  target: number,
+  direction: ExtensionDirection
+): ExtensionChunk | null {
+  if (direction === "after") {
+    return frontier < target
+      ? { from: frontier, to: Math.min(target, frontier + EXTENSION_CHUNK_YEARS) }
+      : null;
+  }
+  return frontier > target
+    ? { from: frontier, to: Math.max(target, frontier - EXTENSION_CHUNK_YEARS) }
+    : null;
+}
+
+// The entries nearest the edge being extended, oldest first, as context for the model.
+export function frontierEntries(
+  entries: TimelineEntry[],
+  direction: ExtensionDirection,
+  count = 3
+) {
+  const sorted = sortEntriesChronologically(entries);
+  return direction === "after" ? sorted.slice(-count) : sorted.slice(0, count);
+}
+
+// Puts a chunk at the matching end of the list in date order, re-keying any id the model
+// reused so nothing already on the desk is dropped or overwritten.
+export function extendEntries(
+  entries: TimelineEntry[],
+  direction: ExtensionDirection,
+  additions: TimelineEntry[]
+) {
+  const placed = sortEntriesChronologically(withUniqueIds(entries, additions));
+  return direction === "after" ? [...entries, ...placed] : [...placed, ...entries];
+}
@@ -0,0 +1,143 @@
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { makeEntry, makeTimeline } from "../test/fixtures";
+import { RunningServer, startMockServer } from "../test/servers";
+import { GenerationFixture, createFixture } from "./cache";
+import { PartialArticle, generateArticle, generateTimeline, setGenerationCache } from "./groq";
+import { ProviderConnection } from "./providers";
+
+// Articles stream from scripts/mock-llm-server.mjs; the slow one gives an abort time to land.
+let mock: RunningServer;
+let slow: RunningServer;
+
+beforeAll(async () => {
+  [mock, slow] = await Promise.all([startMockServer(), startMockServer(40)]);
+});
+
+afterAll(() => Promise.all([mock.stop(), slow.stop()]));
+
+afterEach(() => setGenerationCache(null));
+
+const seed = { event: "The Berlin Wall fell in 1989", interpretation: "invert" as const };
+const entry = makeEntry("first", { title: "Commission convenes" });
+const timeline = makeTimeline();
+
+function connection(server: RunningServer): ProviderConnection {
+  return { provider: "llamacpp", baseUrl: `${server.url}/v1`, model: "mock", temperature: 0.7 };
+}
+
+const streamedRequests = (server: RunningServer) =>
+  server.output().match(/ article \(stream\)/g)?.length ?? 0;
+
+describe("generateArticle streaming", () => {
+  it("hands over each partial article as it grows and returns the whole one", async () => {
+    const partials: PartialArticle[] = [];
+    const article = await generateArticle(connection(mock), seed, entry, timeline, {
+      onPartial: (partial) => partials.push(partial)
+    });
+
+    expect(article.headline).toBe("Commission convenes: what the record shows");
+    expect(article.body).toHaveLength(3);
+    expect(partials.length).toBeGreaterThan(3);
+    expect(partials[0].body ?? []).toHaveLength(0);
+    // Segments only ever arrive; a partial never loses one the previous partial showed.
+    const segments = partials.map((partial) => partial.body?.length ?? 0);
+    expect(segments).toEqual([...segments].sort((a, b) => a - b));
+    expect(partials.at(-1)).toMatchObject({ headline: article.headline, lede: article.lede });
+  });
+
+  it("stops mid-stream when aborted and does not retry", async () => {
+    const before = streamedRequests(slow);
+    const controller = new AbortController();
+    const onPartial = vi.fn(() => controller.abort());
+    await expect(
+      generateArticle(connection(slow), seed, entry, timeline, {
+        signal: controller.signal,
+        onPartial
+      })
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(onPartial).toHaveBeenCalledTimes(1);
+    await vi.waitFor(() => expect(streamedRequests(slow)).toBe(before + 1));
+  });
+
+  it("sends nothing when aborted before it starts", async () => {
+    const before = streamedRequests(mock);
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      generateArticle(connection(mock), seed, entry, timeline, {
+        signal: controller.signal,
+        onPartial: () => {}
+      })
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(streamedRequests(mock)).toBe(before);
+  });
+});
+
+describe("generateTimeline", () => {
+  const timelineRequests = (server: RunningServer) =>
+    server.output().match(/ timeline\n/g)?.length ?? 0;
+
+  it("draws a timeline for the seed", async () => {
+    const before = timelineRequests(mock);
+    const drawn = await generateTimeline(connection(mock), seed);
+    expect(drawn.entries.length).toBeGreaterThan(0);
+    await vi.waitFor(() => expect(timelineRequests(mock)).toBe(before + 1));
+  });
+
+  it("sends nothing when aborted before it starts", async () => {
+    const before = timelineRequests(mock);
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      generateTimeline(connection(mock), seed, undefined, { signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(timelineRequests(mock)).toBe(before);
+  });
+});
+
+describe("generateArticle through a recording", () => {
+  it("replays a streamed reply as one chunk without reaching the model", async () => {
+    let fixture: GenerationFixture = createFixture();
+    setGenerationCache({ mode: "record", fixture, onRecord: (next) => (fixture = next) });
+    const recording = streamedRequests(mock);
+    const recorded = await generateArticle(connection(mock), seed, entry, timeline, {
+      onPartial: () => {}
+    });
+    expect(Object.keys(fixture.entries)).toHaveLength(1);
+    // The server's log can trail its reply; count from after the recorded request lands.
+    await vi.waitFor(() => expect(streamedRequests(mock)).toBe(recording + 1));
+
+    const before = streamedRequests(mock);
+    setGenerationCache({ mode: "replay", fixture });
+    const partials: PartialArticle[] = [];
+    const replayed = await generateArticle(connection(mock), seed, entry, timeline, {
+      onPartial: (partial) => partials.push(partial)
+    });
+    expect(replayed).toEqual(recorded);
+    expect(partials).toHaveLength(1);
+    expect(streamedRequests(mock)).toBe(before);
+  });
+
+  it("honours an abort in replay as it would a live request", async () => {
+    setGenerationCache({ mode: "replay", fixture: createFixture() });
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      generateArticle(connection(mock), seed, entry, timeline, { signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+describe("retries", () => {
+  it("fails at once when the server asks for a longer wait than the desk will give", async () => {
+    const fetch = vi
+      .spyOn(globalThis, "fetch")
+      .mockResolvedValue(
+        new Response('{"error":"slow down"}', { status: 429, headers: { "Retry-After": "120" } })
+      );
+    await expect(generateArticle(connection(mock), seed, entry, timeline)).rejects.toThrow(
+      /request failed: 429 .*asked to wait 120s before retrying/
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,14 +1,60 @@
-import { ArticleResponse, TimelineEntry, TimelineResponse } from "../types";
+import type { z } from "zod";
+import {
+  ArticleResponse,
+  DocumentKind,
+  SeedParameters,
+  TimelineEntry,
+  TimelineResponse
+} from "../types";
+import {
+  ExtractedFact,
+  ResponseValidationError,
+  articleResponseSchema,
+  critiqueResponseSchema,
+  documentResponseSchema,
+  interpolationResponseSchema,
+  ledgerExtractionSchema,
+  parseModelJson,
+  timelineEntrySchema,
+  timelineResponseSchema
+} from "./schemas";
+import { parsePartialJson } from "./partialJson";
+import {
+  ChatOptions,
+  ChatRequest,
+  GenerationKind,
+  ProviderConnection,
+  ProviderRequestError,
+  requestChatCompletion
+} from "./providers";
+import { DEFAULT_STYLE, HouseStyle, formatSegmentRange, realismRatio } from "./styles";
+import { DOCUMENT_LABELS } from "./documents";
+import { CacheMissError, CacheMode, GenerationFixture, recordReply, requestKey } from "./cache";
+import { interpretationDirective, seedParameters } from "./seed";
+import {
+  EXTENSION_CHUNK_ENTRIES,
+  ExtensionChunk,
+  ExtensionDirection,
+  frontierEntries
+} from "./extension";
+import { formatYear } from "./dates";
+import { catalogueThreads } from "./threads";
 
-const GROQ_ENDPOINT = "https://api.groq.com/openai/v1/chat/completions";
+// Recorded in every bundle's provenance; bump whenever a system prompt or directive changes.
+export const PROMPT_VERSION = "7";
 
 const TIMELINE_SYSTEM_PROMPT = `
-You are a counterfactual analyst for a major newspaper. Given a seed event, first determine whether it describes something that actually occurred in baseline history or a fictional/non-occurring scenario. You must spin an alternate timeline that reads like a meticulously researched simulation—rigorous, data-aware, and plausible above all else, yet brushed by a faint uncanny drift. Every entry must be entirely **diegetic**: narrate only from the internal logic of the counterfactual world, never from a meta perspective.
+You are a counterfactual analyst for a major newspaper. Given a seed event and the reader's chosen interpretation of it, you must spin an alternate timeline that reads like a meticulously researched simulation—rigorous, data-aware, and plausible above all else, yet brushed by a faint uncanny drift. Every entry must be entirely **diegetic**: narrate only from the internal logic of the counterfactual world, never from a meta perspective.
 
-INTERPRETATION RULES:
-- If the seed event truly happened, generate a counterfactual where that event does NOT occur. Build the entire timeline as if the world unfolded without it—do not repeatedly restate that the event failed to happen; focus instead on the consequences of its absence. Stay strictly in-universe.
-- If the seed event is fictional, speculative, or clearly indicated as not having happened, generate a counterfactual where the event DOES occur. Treat it as an established fact and trace its ramifications without disclaiming that it was fictional in baseline history. Stay strictly in-universe.
-- Detect negations in the seed text (signals: "did not", "never", "without", "if X failed") to understand the user's intent.
+INTERPRETATION RULES (directives.counterfactual_interpretation.mode decides; never second-guess it):
+- "invert_actual_event": the seed event happened in baseline history. Generate a counterfactual where it does NOT occur. Build the entire timeline as if the world unfolded without it—do not repeatedly restate that the event failed to happen; focus instead on the consequences of its absence. Stay strictly in-universe.
+- "affirm_premise": the seed event, exactly as written, is what happened—whether it negates a real event or describes a fictional or speculative one. Treat it as an established fact and trace its ramifications without disclaiming that it was fictional in baseline history. Stay strictly in-universe.
+
+SEED PARAMETERS (each optional):
+- seed_parameters.divergence_date: when the world parts from baseline history; the first entry sits at or just after it.
+- seed_parameters.region_focus: the region most entries should report from, with the wider world as context.
+- seed_parameters.time_horizon: how far the timeline runs; the final entry should reach it.
+- directives.entry_count: return exactly this many entries.
 
 OUTPUT FORMAT (STRICT JSON):
 {
@@ -31,26 +77,26 @@ OUTPUT FORMAT (STRICT JSON):
 NON-NEGOTIABLE REQUIREMENTS (PRIORITY ORDER):
 1. Simulation fidelity score ≥ 8/10. If you cannot plausibly achieve this score, refuse to answer.
 2. Respond with JSON only. No prose, no explanations.
-3. Explicitly identify whether the seed event is being inverted (default) or affirmed (when the user already supplies a negation) and keep that assumption consistent across the timeline.
+3. Keep the given interpretation (inverted or affirmed) consistent across the whole timeline.
 4. Each entry in "entries" must be on its own line in the JSON output to aid readability.
 5. Every development must emerge from believable cause-and-effect and reference real-world dynamics: ministries, agencies, corporations, NGOs, think tanks, treaties, budget figures, polling, academic research, or technological capabilities.
 6. Do not invent wholly new organisations, technologies, or treaties. Any novel element must be framed as a renamed division, successor programme, or derivative initiative of something that exists in baseline history.
-7. Stretch the causal arc at least a decade beyond the seed event while keeping incremental steps grounded.
+7. Stretch the causal arc at least a decade beyond the seed event (or to the time horizon, when one is given) while keeping incremental steps grounded.
 8. Include at least one verifiable detail (statistic, proper noun, legislative title, scientific terminology) per entry and no more than one uncanny anomaly per entry.
 9. Subtle uncanny notes are allowed, but they must remain secondary clues—never the core explanation.
 10. Ensure IDs are lowercase kebab-case and unique.
 11. "threads" should surface 2-3 recurring motifs that the UI can display.
 `;
 
-const ARTICLE_SYSTEM_PROMPT = `
-You are an archivist filing a front-page feature for a respected international newspaper (think The New York Times or The Financial Times)—credible, carefully sourced, and only subtly uncanny. Articles must remain fully **diegetic**: write as if you inhabit the counterfactual world, referencing the events as established facts. Assume the counterfactual hinge follows the same interpretation rule: if the original historical event actually happened, you're reporting on a world where it was averted; if the user already negated it or described a fictional scenario, treat the described premise as the world you inhabit. Do not editorialise about the "real" timeline, mention baseline history, or repeat that the event was averted/imagined—reference it only as it exists (or fails to exist) in the counterfactual world.
+const articleSystemPrompt = (structure: HouseStyle["article"]) => `
+You are an archivist filing a front-page feature for a respected international newspaper (think The New York Times or The Financial Times)—credible, carefully sourced, and only subtly uncanny. Articles must remain fully **diegetic**: write as if you inhabit the counterfactual world, referencing the events as established facts. The counterfactual hinge follows directives.counterfactual_interpretation: under "invert_actual_event" you are reporting on a world where the seed event was averted; under "affirm_premise" the seed as written is the world you inhabit. Do not editorialise about the "real" timeline, mention baseline history, or repeat that the event was averted/imagined—reference it only as it exists (or fails to exist) in the counterfactual world.
 
 OUTPUT FORMAT (STRICT JSON):
 {
   "headline": string (newsroom polish with a hint of intrigue),
   "dateline": string ("CITY — Month Day, Year"),
   "lede": string (fact-forward opening paragraph anchoring the reader, Markdown allowed),
-  "body": [string, ...] (4-6 entries, each a Markdown segment 3-5 sentences long in newsroom cadence),
+  "body": [string, ...] (${formatSegmentRange(structure.segments)} entries, each a Markdown segment 3-5 sentences long in newsroom cadence),
   "sidebar": {
     "title": string,
     "items": [string, ...]
@@ -62,11 +108,13 @@ NON-NEGOTIABLE REQUIREMENTS (PRIORITY ORDER):
 2. Treat the counterfactual world as real; cite ministries, companies, polling data, budget figures, regulatory filings, academic research, or expert interviews where appropriate.
 3. Reference only real organisations, legislation, technologies, and geographies. If a renamed or successor entity appears, explicitly anchor it to its real-world origin (e.g., "the former Ministry of ___").
 4. Prioritise **diegetic realism**: narrate as a correspondent immersed in the counterfactual world. Never mention or allude to a "real" timeline; refer to the seed event only as it stands in this reality.
-5. Maintain inverted-pyramid structure: lede, nut graf, context, sourced quotes, societal impact, forward-looking close.
+5. Maintain ${structure.structure}.
 6. Include at least one viewpoint attempting to rationalise events with conventional explanations—scientists, bureaucrats, or analysts pushing back against the uncanny.
 7. Let the uncanny surface only as unsettling discrepancies, eyewitness detail, or data outliers, never as overt mystical declarations from the narrator.
 8. Use light Markdown where helpful: headings (##, ###), bullet lists, bold, italics, pull quotes. Avoid tables or images.
 9. No HTML.
+10. When a "continuity_ledger" is supplied, it records people, organisations, figures, places and quotes already printed elsewhere in this newspaper. Reuse those names, titles and numbers exactly when they are relevant, never contradict them, and do not invent a rival official where the ledger already names one.
+11. When a "revision" is supplied, it holds your previous draft and the editor's note on it. Rewrite that draft so it answers the note, keeping its reporting, names and figures wherever the note does not ask for a change.
 `;
 
 const INTERPOLATION_SYSTEM_PROMPT = `
@@ -87,115 +135,484 @@ Return STRICT JSON in this shape:
   ]
 }
 
-Ensure the micro-events meaningfully bridge the causal gap, referencing relevant threads when possible. Simulation fidelity score must be ≥ 8/10. Reference only real organisations, programmes, or treaties (novel initiatives must be explicitly tied to an existing body). Each insertion should read like a policy memo or news brief with only faint anomalies. No commentary outside JSON.
+Ensure the micro-events meaningfully bridge the causal gap, referencing relevant threads when possible. When a "continuity_ledger" is supplied, keep its people, organisations and figures consistent and prefer them over inventing new ones. Simulation fidelity score must be ≥ 8/10. Reference only real organisations, programmes, or treaties (novel initiatives must be explicitly tied to an existing body). Each insertion should read like a policy memo or news brief with only faint anomalies. No commentary outside JSON.
 `;
 
-async function groqChat<T>(apiKey: string, body: unknown): Promise<T> {
-  const response = await fetch(GROQ_ENDPOINT, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`
-    },
-    body: JSON.stringify(body)
-  });
+const EXTENSION_SYSTEM_PROMPT = `
+You are HAUNTOLOSCOPE's frontier chronicler. You extend an existing counterfactual timeline beyond its outermost entry, one stretch of years at a time, so that a long horizon grows without losing its causal thread.
 
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Groq request failed: ${response.status} ${text}`);
-  }
+- direction "after": continue past the latest entries in "frontier". Every new entry is dated after chunk.from and no later than chunk.to.
+- direction "before": trace what led up to the earliest entries in "frontier". Every new entry is dated no earlier than chunk.to and before chunk.from, and together they must set up the frontier entries as they already stand.
 
-  const json = (await response.json()) as {
-    choices: { message: { content: string } }[];
-  };
+Return STRICT JSON in this shape:
+{
+  "entries": [
+    {
+      "id": string (lowercase kebab-case),
+      "era": string,
+      "title": string,
+      "summary": string (2 sentences),
+      "anchorDate": string,
+      "tone": string,
+      "threads": [string, ...]
+    }
+  ]
+}
+
+Return exactly directives.entry_count entries in chronological order, spread across the chunk. Carry the story on through "threads_catalogue": reuse its thread names exactly as written, favouring the threads that run through the most entries, and introduce a new thread only for a genuinely new development. When a "continuity_ledger" is supplied, keep its people, organisations and figures consistent and prefer them over inventing new ones. Simulation fidelity score must be ≥ 8/10. Reference only real organisations, programmes, or treaties (novel initiatives must be explicitly tied to an existing body). Each entry should read like a policy memo or news brief with only faint anomalies. No commentary outside JSON.
+`;
+
+const FORK_SYSTEM_PROMPT = `
+You are HAUNTOLOSCOPE's branch cartographer. You receive an existing counterfactual timeline, the entry where it forks, and a divergence: something that happens instead at that moment. Keep every entry before the fork exactly as established history and rewrite everything from the fork onward so that it follows from the divergence.
+
+Return STRICT JSON in this shape:
+{
+  "timeline_title": string (title for the new branch),
+  "guiding_principle": string,
+  "entries": [
+    {
+      "id": string (lowercase kebab-case, not reusing any id in "preserved_entries"),
+      "era": string,
+      "title": string,
+      "summary": string (2-3 sentences),
+      "anchorDate": string,
+      "tone": string,
+      "threads": [string, ...]
+    }
+  ]
+}
+
+The first entry must depict the divergence itself, dated at or just after the fork entry's anchor. Continue the causal arc across at least as much time as the original entries after the fork covered. Reuse threads from the catalogue where they still apply and let new ones emerge where the divergence demands. Simulation fidelity score must be ≥ 8/10. Reference only real organisations, programmes, or treaties (novel initiatives must be explicitly tied to an existing body). Stay fully diegetic. No commentary outside JSON.
+`;
 
-  const content = json.choices[0]?.message?.content;
-  if (!content) {
-    throw new Error("Groq response missing content");
+const ENTRY_REVISION_SYSTEM_PROMPT = `
+You are HAUNTOLOSCOPE's revision desk. You receive one entry from a counterfactual timeline, the entries either side of it, and an editorial note. Rewrite the entry so it answers the note while staying consistent with its neighbours.
+
+Return STRICT JSON in this shape:
+{
+  "id": string (unchanged),
+  "era": string,
+  "title": string,
+  "summary": string (2-3 sentences),
+  "anchorDate": string,
+  "tone": string,
+  "threads": [string, ...]
+}
+
+Change only what the note asks for: keep the date, era and threads unless the note concerns them, and prefer threads from the catalogue. Simulation fidelity score must be ≥ 8/10. Reference only real organisations, programmes, or treaties (novel initiatives must be explicitly tied to an existing body). Stay fully diegetic. No commentary outside JSON.
+`;
+
+const LEDGER_SYSTEM_PROMPT = `
+You are the copy desk's continuity editor. Read one filed article and list the facts later stories must stay consistent with.
+
+Return STRICT JSON in this shape:
+{
+  "facts": [
+    {
+      "kind": "person" | "organization" | "statistic" | "place" | "quote",
+      "name": string,
+      "detail": string
+    }
+  ]
+}
+
+- person: "name" is the full name as printed; "detail" is their title, role and affiliation.
+- organization: "name" is the body as printed; "detail" says what it is and its stance or role in the story.
+- statistic: "name" labels the measure (e.g. "Unemployment rate, March 1962"); "detail" is the exact figure with units.
+- place: "name" is the place; "detail" is what happened there.
+- quote: "name" is the speaker; "detail" is the quotation verbatim without surrounding quote marks.
+
+List only facts stated in the article, at most 20, most consequential first. When a fact matches one in "known_facts", reuse its name exactly. No commentary outside JSON.
+`;
+
+const DOCUMENT_SYSTEM_PROMPT = `
+You are the features desk of a newspaper in a counterfactual world, commissioning the documents that run beside a front-page story: columns, readers' letters, obituaries, agency copy, classified advertising and official releases. Every document must be fully **diegetic**: written by someone who lives in this world, about events they take as settled fact. Never mention or allude to a "real" timeline or baseline history.
+
+You receive the seed event, the timeline entry, the front-page article already filed about it (when there is one), and a "document" brief naming the kind to write and the JSON shape to return.
+
+NON-NEGOTIABLE REQUIREMENTS (PRIORITY ORDER):
+1. Simulation fidelity score ≥ 8/10. If you cannot plausibly achieve this score, refuse to answer.
+2. Respond with the JSON object the brief describes and nothing else.
+3. Agree with the entry and the filed article: the same names, offices, figures and dates. When a "continuity_ledger" is supplied, reuse its people, organisations and numbers exactly.
+4. Reference only real organisations, legislation, technologies and geographies. Anchor any successor body to its real-world origin.
+5. Write in the register the document kind demands—a columnist argues, a reader complains, an agency reports, a ministry announces—never in the voice of a feature writer.
+6. Let the uncanny surface at most once, as an odd detail the writer does not remark upon.
+7. Use light Markdown only in fields the brief marks as Markdown. No HTML, tables or images.
+`;
+
+const DOCUMENT_BRIEFS: Record<DocumentKind, string> = {
+  opinion: `An opinion column by a named columnist taking a clear position on the entry's events.
+{
+  "headline": string (an argument, not a report),
+  "byline": string (the columnist's name and standing, e.g. "Margaret Hale, former Treasury economist"),
+  "standfirst": string (one sentence stating the argument),
+  "body": [string, ...] (4-6 Markdown paragraphs in the first person, building to a recommendation)
+}`,
+  letters: `A letters page: 3-5 readers responding to the newspaper's coverage, with differing views and at least one pedant.
+{
+  "heading": string (page heading),
+  "letters": [
+    {
+      "headline": string (the editor's short title for the letter),
+      "body": string (Markdown, 80-180 words, addressed "Sir," or "To the Editor:" as the period suits),
+      "signature": string (name, with title or profession where relevant),
+      "location": string (town or city)
+    }
+  ]
+}`,
+  obituary: `An obituary for a person whose life shaped, or was shaped by, the entry's events. They must have died plausibly at or after the entry's date.
+{
+  "name": string,
+  "lifespan": string (e.g. "1911–1963"),
+  "headline": string (name, comma, what they were known for),
+  "body": [string, ...] (4-6 Markdown paragraphs: cause and place of death, career, the events, private life, a colleague's tribute),
+  "survived_by": string (optional)
+}`,
+  wire: `A wire-service brief as an agency would move it to subscribers.
+{
+  "agency": string (a real news agency of the period),
+  "slug": string (one or two uppercase keywords, e.g. "TREASURY-BONDS"),
+  "dateline": string ("CITY, Month Day (AGENCY) -"),
+  "body": [string, ...] (3-5 short paragraphs, the news first, every claim attributed, no adjectives)
+}`,
+  classifieds: `A classified advertising page of 6-10 small advertisements placed by people and businesses whose lives the events touched: situations vacant, notices, items for sale, lost and found, personal messages.
+{
+  "heading": string (page heading),
+  "ads": [
+    {
+      "category": string (e.g. "Situations Vacant"),
+      "text": string (terse classified prose with period abbreviations),
+      "contact": string (optional; box number, telephone exchange or address)
+    }
+  ]
+}`,
+  press_release: `A press release issued by a real ministry, agency, company or NGO responding to the entry's events, in bureaucratic register.
+{
+  "issuer": string (the issuing body),
+  "headline": string,
+  "release_date": string (e.g. "For immediate release — 14 March 1964"),
+  "body": [string, ...] (3-6 Markdown paragraphs, including one quoted official by name and title),
+  "contact": string (optional; the press office line)
+}`
+};
+
+const CRITIQUE_SYSTEM_PROMPT = `
+You are the standards editor of HAUNTOLOSCOPE's counterfactual newspaper. You receive items written for a counterfactual world (timeline entries or filed articles) and grade each against the house brief.
+
+Return STRICT JSON in this shape:
+{
+  "critiques": [
+    {
+      "id": string (the item's id, unchanged),
+      "score": number (0-10 simulation fidelity),
+      "issues": [string, ...] (each a specific breach of the brief, quoting the offending words; empty when there are none)
+    }
+  ]
+}
+
+THE BRIEF:
+- Developments follow believable cause and effect and reference real-world institutions, figures, legislation or research.
+- Only real organisations, technologies and treaties; anything novel is framed as a renamed division or successor of a real body.
+- Entries: at least one verifiable detail and no more than one uncanny anomaly each.
+- Articles: inverted-pyramid structure, at least one viewpoint offering a conventional explanation, the uncanny only as discrepancies or outliers.
+- Everything stays diegetic: no mention of a "real" or baseline history.
+
+Grade strictly; a score of 8 or more means the item could run as written. Do not rewrite the items. No commentary outside JSON.
+`;
+
+// A house style adds its voice after the desk's brief; the JSON contract and the requirements
+// above it still win.
+function withHouseStyle(prompt: string, style: HouseStyle, kind: GenerationKind) {
+  const voice = style.prompts[kind].trim();
+  if (!voice) return prompt.trim();
+  return `${prompt.trim()}
+
+HOUSE STYLE (${style.name}):
+${voice}
+The house style governs voice, register and structure only. It never relaxes the output format, the simulation fidelity floor or the rule to stay diegetic.`;
+}
+
+type GenerationCache = {
+  mode: Exclude<CacheMode, "live">;
+  fixture: GenerationFixture;
+  onRecord?: (fixture: GenerationFixture) => void;
+};
+
+let generationCache: GenerationCache | null = null;
+
+// Routes every model call made here through a recording, for offline demos and for tests that
+// drive the app against known replies. Pass null to go back to live calls.
+export function setGenerationCache(cache: GenerationCache | null) {
+  generationCache = cache ? { ...cache } : null;
+}
+
+async function completeChat(
+  connection: ProviderConnection,
+  request: ChatRequest,
+  label: string,
+  options: ChatOptions
+) {
+  const cache = generationCache;
+  if (!cache) return requestChatCompletion(connection, request, options);
+
+  const key = await requestKey(connection, request);
+  if (cache.mode === "replay") {
+    if (options.signal?.aborted) throw options.signal.reason;
+    const recorded = cache.fixture.entries[key];
+    if (!recorded) throw new CacheMissError(label, key);
+    // Streaming callers get the whole reply as a single chunk.
+    options.onContent?.(recorded.content);
+    return recorded.content;
+  }
+
+  const content = await requestChatCompletion(connection, request, options);
+  // Concurrent requests finish in any order and the recording may have been swapped meanwhile,
+  // so the reply goes into whichever recording is current when it lands.
+  const current = generationCache;
+  if (current?.mode === "record") {
+    current.fixture = recordReply(current.fixture, key, {
+      label,
+      provider: connection.provider,
+      model: connection.model,
+      content
+    });
+    current.onRecord?.(current.fixture);
   }
+  return content;
+}
+
+const REPAIR_INSTRUCTIONS =
+  "Your previous reply did not match the required JSON shape. Return the corrected JSON object only, keeping every valid field as it was and fixing each listed problem.";
 
-  try {
-    return JSON.parse(content) as T;
-  } catch (error) {
-    console.error("Failed to parse Groq JSON:", content);
-    throw error;
+async function groqChat<T>(
+  connection: ProviderConnection,
+  request: ChatRequest,
+  schema: z.ZodType<T, z.ZodTypeDef, unknown>,
+  label: string,
+  options: ChatOptions
+): Promise<T> {
+  const content = await completeChat(connection, request, label, options);
+  const first = parseModelJson(content, schema);
+  if (first.success) return first.data;
+
+  console.warn(`Model ${label} failed validation, requesting repair:`, first.issues);
+  const repaired = await completeChat(
+    connection,
+    {
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: "assistant", content },
+        {
+          role: "user",
+          content: JSON.stringify({
+            instruction: REPAIR_INSTRUCTIONS,
+            validation_errors: first.issues
+          })
+        }
+      ]
+    },
+    label,
+    { signal: options.signal }
+  );
+  const second = parseModelJson(repaired, schema);
+  if (second.success) return second.data;
+
+  console.error(`Model ${label} still invalid after repair:`, repaired);
+  throw new ResponseValidationError(label, second.issues);
+}
+
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30_000;
+
+function sleep(ms: number, signal?: AbortSignal) {
+  return new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Exponential backoff with jitter, deferring to the server's Retry-After when it sends one.
+function retryDelay(error: unknown, attempt: number) {
+  if (error instanceof ProviderRequestError && error.retryAfterMs !== null) {
+    return error.retryAfterMs;
   }
+  const base = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+  const rateLimitFactor = error instanceof ProviderRequestError && error.isRateLimited ? 2 : 1;
+  return Math.min(base * rateLimitFactor * (0.75 + Math.random() * 0.5), RETRY_MAX_DELAY_MS);
 }
 
-async function groqChatWithRetry<T>(apiKey: string, body: unknown, attempts = 3) {
+async function groqChatWithRetry<T>(
+  connection: ProviderConnection,
+  schema: z.ZodType<T, z.ZodTypeDef, unknown>,
+  label: string,
+  request: ChatRequest,
+  options: ChatOptions = {},
+  attempts = 4
+) {
   let lastError: unknown;
   for (let attempt = 1; attempt <= attempts; attempt++) {
     try {
-      return await groqChat<T>(apiKey, body);
+      return await groqChat(connection, request, schema, label, options);
     } catch (error) {
       lastError = error;
+      if (options.signal?.aborted) break;
+      // A repair round-trip has already been spent; resending the prompt rarely helps.
+      if (error instanceof ResponseValidationError) break;
+      // Replaying the same request cannot find a recording that was not there a moment ago.
+      if (error instanceof CacheMissError) break;
+      if (error instanceof ProviderRequestError && !error.isRetryable) break;
       if (attempt === attempts) break;
-      const delay = 200 * attempt;
-      await new Promise((resolve) => setTimeout(resolve, delay));
+      const delay = retryDelay(error, attempt);
+      // Retrying before the server's Retry-After only spends attempts, and waiting longer than
+      // the cap would leave the desk hanging, so the request fails with the wait it was given.
+      if (delay > RETRY_MAX_DELAY_MS && error instanceof ProviderRequestError) {
+        lastError = new ProviderRequestError(
+          `${error.message} (the provider asked to wait ${Math.ceil(delay / 1000)}s before retrying; try again later)`,
+          error.status,
+          error.retryAfterMs
+        );
+        break;
+      }
+      try {
+        await sleep(delay, options.signal);
+      } catch {
+        break;
+      }
     }
   }
   throw lastError instanceof Error ? lastError : new Error(String(lastError));
 }
 
-export async function generateTimeline(apiKey: string, seedEvent: string) {
-  return groqChatWithRetry<TimelineResponse>(apiKey, {
-    model: "moonshotai/kimi-k2-instruct-0905",
-    temperature: 0.75,
-    response_format: { type: "json_object" },
-    messages: [
-      { role: "system", content: TIMELINE_SYSTEM_PROMPT.trim() },
-      {
-        role: "user",
-        content: JSON.stringify({
-          seed_event: seedEvent,
-          directives: {
-            priority_stack: [
-              "simulation_fidelity",
-              "institutional_detail",
-              "macro_history_continuity",
-              "measured_uncanny_texture"
-            ],
-            realism_ratio: "4:1 realism_to_uncanny",
-            minimum_institutional_references_per_entry: 1,
-            counterfactual_interpretation: {
-              default: "invert_actual_event",
-              negation_tokens: ["did not", "never", "without", "failed to", "absence of", "if X failed"],
-              description:
-                "Assume seed_event describes a real event that is prevented unless negation tokens indicate the user already flipped it."
-            }
-          },
-          emphasise: [
-            "Counterfactual plausibility",
-            "Credible causal chains",
-            "Named sources, agencies, datasets",
-            "Signal over noise",
-            "Recurrence of narrative threads"
-          ]
-        })
-      }
-    ]
-  });
+export async function generateTimeline(
+  connection: ProviderConnection,
+  seed: SeedParameters,
+  style: HouseStyle = DEFAULT_STYLE,
+  options: { signal?: AbortSignal } = {}
+) {
+  return groqChatWithRetry(
+    connection,
+    timelineResponseSchema,
+    "timeline",
+    {
+      json: true,
+      messages: [
+        { role: "system", content: withHouseStyle(TIMELINE_SYSTEM_PROMPT, style, "timeline") },
+        {
+          role: "user",
+          content: JSON.stringify({
+            seed_event: seed.event,
+            seed_parameters: seedParameters(seed),
+            directives: {
+              priority_stack: [
+                "simulation_fidelity",
+                "institutional_detail",
+                "macro_history_continuity",
+                "measured_uncanny_texture"
+              ],
+              realism_ratio: realismRatio(style, "timeline"),
+              minimum_institutional_references_per_entry: 1,
+              entry_count: seed.entry_count,
+              counterfactual_interpretation: interpretationDirective(seed)
+            },
+            emphasise: [
+              "Counterfactual plausibility",
+              "Credible causal chains",
+              "Named sources, agencies, datasets",
+              "Signal over noise",
+              "Recurrence of narrative threads"
+            ]
+          })
+        }
+      ]
+    },
+    { signal: options.signal }
+  );
+}
+
+export type PartialArticle = Partial<Omit<ArticleResponse, "sidebar">> & {
+  sidebar?: Partial<NonNullable<ArticleResponse["sidebar"]>>;
+};
+
+function pickStrings(value: unknown) {
+  return Array.isArray(value)
+    ? value.filter((item): item is string => typeof item === "string")
+    : undefined;
+}
+
+function toPartialArticle(value: unknown): PartialArticle {
+  if (!value || typeof value !== "object") return {};
+  const raw = value as Record<string, unknown>;
+  const text = (key: string) => (typeof raw[key] === "string" ? (raw[key] as string) : undefined);
+  const sidebar =
+    raw.sidebar && typeof raw.sidebar === "object"
+      ? (raw.sidebar as Record<string, unknown>)
+      : undefined;
+  return {
+    headline: text("headline"),
+    dateline: text("dateline"),
+    lede: text("lede"),
+    body: pickStrings(raw.body),
+    pull_quote: text("pull_quote"),
+    sidebar: sidebar
+      ? {
+          title: typeof sidebar.title === "string" ? sidebar.title : undefined,
+          items: pickStrings(sidebar.items)
+        }
+      : undefined
+  };
 }
 
 export async function generateArticle(
-  apiKey: string,
-  seedEvent: string,
+  connection: ProviderConnection,
+  seed: SeedParameters,
   entry: TimelineEntry,
-  timeline: TimelineResponse
+  timeline: TimelineResponse,
+  options: {
+    signal?: AbortSignal;
+    onPartial?: (article: PartialArticle) => void;
+    ledger?: ExtractedFact[];
+    revision?: { previous: ArticleResponse; note: string };
+    style?: HouseStyle;
+  } = {}
 ) {
-  return groqChatWithRetry<ArticleResponse>(apiKey, {
-    model: "moonshotai/kimi-k2-instruct-0905",
-    temperature: 0.7,
-    response_format: { type: "json_object" },
+  const { onPartial, style = DEFAULT_STYLE } = options;
+  const chatOptions: ChatOptions = {
+    signal: options.signal,
+    onContent: onPartial
+      ? (content) => onPartial(toPartialArticle(parsePartialJson(content)))
+      : undefined
+  };
+  const request: ChatRequest = {
+    json: true,
     messages: [
-      { role: "system", content: ARTICLE_SYSTEM_PROMPT.trim() },
+      {
+        role: "system",
+        content: withHouseStyle(articleSystemPrompt(style.article), style, "article")
+      },
       {
         role: "user",
         content: JSON.stringify({
-          seed_event: seedEvent,
+          seed_event: seed.event,
+          seed_parameters: seedParameters(seed),
           timeline_title: timeline.timeline_title,
           guiding_principle: timeline.guiding_principle,
           entry,
+          continuity_ledger: options.ledger?.length ? options.ledger : undefined,
+          revision: options.revision
+            ? { previous_draft: options.revision.previous, editorial_note: options.revision.note }
+            : undefined,
           directives: {
             priority_stack: [
               "simulation_fidelity",
@@ -203,60 +620,338 @@ export async function generateArticle(
               "balanced_viewpoints",
               "controlled_uncanny"
             ],
-            newsroom_style: "front_page_analysis",
+            newsroom_style: style.article.desk,
             markdown_usage: "headlines_and_callouts_only",
-            realism_ratio: "5:1 realism_to_uncanny",
-            counterfactual_interpretation: {
-              default: "invert_actual_event",
-              negation_tokens: ["did not", "never", "without", "failed to", "absence of", "if X failed"],
-              description:
-                "Assume seed_event describes a real event that is prevented unless negation tokens indicate the user already flipped it."
-            }
+            realism_ratio: realismRatio(style, "article"),
+            body_segments: style.article.segments,
+            counterfactual_interpretation: interpretationDirective(seed)
           }
         })
       }
     ]
-  });
+  };
+  return groqChatWithRetry(connection, articleResponseSchema, "article", request, chatOptions);
 }
 
 export async function generateInterpolations(
-  apiKey: string,
-  seedEvent: string,
+  connection: ProviderConnection,
+  seed: SeedParameters,
   context: {
     previous?: TimelineEntry;
     current: TimelineEntry;
     next?: TimelineEntry;
     timeline: TimelineResponse;
+    ledger?: ExtractedFact[];
+    style?: HouseStyle;
+    signal?: AbortSignal;
   }
 ) {
-  return groqChatWithRetry<{ entries: TimelineEntry[] }>(apiKey, {
-    model: "moonshotai/kimi-k2-instruct-0905",
-    temperature: 0.7,
-    response_format: { type: "json_object" },
+  const style = context.style ?? DEFAULT_STYLE;
+  return groqChatWithRetry(
+    connection,
+    interpolationResponseSchema,
+    "interpolation",
+    {
+      json: true,
+      messages: [
+        {
+          role: "system",
+          content: withHouseStyle(INTERPOLATION_SYSTEM_PROMPT, style, "interpolation")
+        },
+        {
+          role: "user",
+          content: JSON.stringify({
+            seed_event: seed.event,
+            seed_parameters: seedParameters(seed),
+            previous: context.previous,
+            anchor: context.current,
+            next: context.next,
+            guiding_principle: context.timeline.guiding_principle,
+            continuity_ledger: context.ledger?.length ? context.ledger : undefined,
+            directives: {
+              priority_stack: ["simulation_fidelity", "institutional_detail", "subtle_uncanny"],
+              realism_ratio: realismRatio(style, "interpolation"),
+              counterfactual_interpretation: interpretationDirective(seed)
+            },
+            threads_catalogue: Array.from(
+              new Set(context.timeline.entries.flatMap((entry) => entry.threads ?? []))
+            )
+          })
+        }
+      ]
+    },
+    { signal: context.signal }
+  );
+}
+
+export async function generateExtension(
+  connection: ProviderConnection,
+  seed: SeedParameters,
+  context: {
+    direction: ExtensionDirection;
+    chunk: ExtensionChunk;
+    target: string;
+    timeline: TimelineResponse;
+    ledger?: ExtractedFact[];
+    style?: HouseStyle;
+    signal?: AbortSignal;
+  }
+) {
+  const style = context.style ?? DEFAULT_STYLE;
+  const entries = context.timeline.entries;
+  return groqChatWithRetry(
+    connection,
+    interpolationResponseSchema,
+    "extension",
+    {
+      json: true,
+      messages: [
+        {
+          role: "system",
+          content: withHouseStyle(EXTENSION_SYSTEM_PROMPT, style, "interpolation")
+        },
+        {
+          role: "user",
+          content: JSON.stringify({
+            seed_event: seed.event,
+            seed_parameters: seedParameters(seed),
+            timeline_title: context.timeline.timeline_title,
+            guiding_principle: context.timeline.guiding_principle,
+            direction: context.direction,
+            frontier: frontierEntries(entries, context.direction),
+            chunk: { from: formatYear(context.chunk.from), to: formatYear(context.chunk.to) },
+            target_date: context.target,
+            continuity_ledger: context.ledger?.length ? context.ledger : undefined,
+            directives: {
+              priority_stack: ["simulation_fidelity", "causal_continuity", "thread_continuity"],
+              realism_ratio: realismRatio(style, "interpolation"),
+              entry_count: EXTENSION_CHUNK_ENTRIES,
+              counterfactual_interpretation: interpretationDirective(seed)
+            },
+            threads_catalogue: catalogueThreads(entries).map((thread) => ({
+              name: thread.name,
+              entries: thread.entryIds.length
+            }))
+          })
+        }
+      ]
+    },
+    { signal: context.signal }
+  );
+}
+
+export async function reviseEntry(
+  connection: ProviderConnection,
+  seed: SeedParameters,
+  context: {
+    entry: TimelineEntry;
+    timeline: TimelineResponse;
+    note: string;
+    signal?: AbortSignal;
+  }
+) {
+  const entries = context.timeline.entries;
+  const index = entries.findIndex((item) => item.id === context.entry.id);
+  const revised = await groqChatWithRetry(
+    connection,
+    timelineEntrySchema,
+    "entry revision",
+    {
+      json: true,
+      messages: [
+        { role: "system", content: ENTRY_REVISION_SYSTEM_PROMPT.trim() },
+        {
+          role: "user",
+          content: JSON.stringify({
+            seed_event: seed.event,
+            seed_parameters: seedParameters(seed),
+            counterfactual_interpretation: interpretationDirective(seed),
+            timeline_title: context.timeline.timeline_title,
+            guiding_principle: context.timeline.guiding_principle,
+            previous: index > 0 ? entries[index - 1] : undefined,
+            entry: context.entry,
+            next: index >= 0 ? entries[index + 1] : undefined,
+            editorial_note: context.note,
+            threads_catalogue: Array.from(new Set(entries.flatMap((entry) => entry.threads ?? [])))
+          })
+        }
+      ]
+    },
+    { signal: context.signal }
+  );
+  // The entry keeps its place and its filed articles whatever id the model sends back.
+  return { ...revised, id: context.entry.id };
+}
+
+export async function critiqueEntries(
+  connection: ProviderConnection,
+  seed: SeedParameters,
+  timeline: TimelineResponse,
+  options: { signal?: AbortSignal } = {}
+) {
+  return groqChatWithRetry(
+    connection,
+    critiqueResponseSchema,
+    "entry critique",
+    {
+      json: true,
+      messages: [
+        { role: "system", content: CRITIQUE_SYSTEM_PROMPT.trim() },
+        {
+          role: "user",
+          content: JSON.stringify({
+            seed_event: seed.event,
+            seed_parameters: seedParameters(seed),
+            counterfactual_interpretation: interpretationDirective(seed),
+            timeline_title: timeline.timeline_title,
+            item_kind: "timeline_entries",
+            items: timeline.entries
+          })
+        }
+      ]
+    },
+    { signal: options.signal }
+  );
+}
+
+export async function critiqueArticle(
+  connection: ProviderConnection,
+  seed: SeedParameters,
+  entry: TimelineEntry,
+  article: ArticleResponse,
+  options: { signal?: AbortSignal } = {}
+) {
+  return groqChatWithRetry(
+    connection,
+    critiqueResponseSchema,
+    "article critique",
+    {
+      json: true,
+      messages: [
+        { role: "system", content: CRITIQUE_SYSTEM_PROMPT.trim() },
+        {
+          role: "user",
+          content: JSON.stringify({
+            seed_event: seed.event,
+            seed_parameters: seedParameters(seed),
+            counterfactual_interpretation: interpretationDirective(seed),
+            item_kind: "articles",
+            items: [
+              { id: entry.id, entry: { title: entry.title, anchorDate: entry.anchorDate }, article }
+            ]
+          })
+        }
+      ]
+    },
+    { signal: options.signal }
+  );
+}
+
+export async function generateDocument(
+  connection: ProviderConnection,
+  seed: SeedParameters,
+  entry: TimelineEntry,
+  timeline: TimelineResponse,
+  kind: DocumentKind,
+  options: {
+    signal?: AbortSignal;
+    article?: ArticleResponse;
+    ledger?: ExtractedFact[];
+    style?: HouseStyle;
+  } = {}
+) {
+  const style = options.style ?? DEFAULT_STYLE;
+  return groqChatWithRetry(
+    connection,
+    documentResponseSchema(kind),
+    DOCUMENT_LABELS[kind].toLowerCase(),
+    {
+      json: true,
+      messages: [
+        { role: "system", content: DOCUMENT_SYSTEM_PROMPT.trim() },
+        {
+          role: "user",
+          content: JSON.stringify({
+            seed_event: seed.event,
+            seed_parameters: seedParameters(seed),
+            timeline_title: timeline.timeline_title,
+            guiding_principle: timeline.guiding_principle,
+            newspaper: style.masthead.title,
+            entry,
+            front_page_article: options.article,
+            continuity_ledger: options.ledger?.length ? options.ledger : undefined,
+            document: { kind, brief: DOCUMENT_BRIEFS[kind] },
+            directives: {
+              priority_stack: ["simulation_fidelity", "continuity", "document_register"],
+              realism_ratio: realismRatio(style, "article"),
+              counterfactual_interpretation: interpretationDirective(seed)
+            }
+          })
+        }
+      ]
+    },
+    { signal: options.signal }
+  );
+}
+
+export async function extractContinuity(
+  connection: ProviderConnection,
+  entry: TimelineEntry,
+  article: ArticleResponse,
+  knownFacts: ExtractedFact[] = []
+) {
+  return groqChatWithRetry(connection, ledgerExtractionSchema, "continuity ledger", {
+    json: true,
+    messages: [
+      { role: "system", content: LEDGER_SYSTEM_PROMPT.trim() },
+      {
+        role: "user",
+        content: JSON.stringify({
+          entry: { id: entry.id, title: entry.title, anchorDate: entry.anchorDate },
+          article,
+          known_facts: knownFacts.map(({ kind, name }) => ({ kind, name }))
+        })
+      }
+    ]
+  });
+}
+
+export async function generateFork(
+  connection: ProviderConnection,
+  seed: SeedParameters,
+  context: {
+    timeline: TimelineResponse;
+    forkEntry: TimelineEntry;
+    divergence: string;
+    style?: HouseStyle;
+  }
+) {
+  const style = context.style ?? DEFAULT_STYLE;
+  const forkIndex = context.timeline.entries.findIndex((entry) => entry.id === context.forkEntry.id);
+  const preserved = forkIndex >= 0 ? context.timeline.entries.slice(0, forkIndex) : [];
+  const superseded = forkIndex >= 0 ? context.timeline.entries.slice(forkIndex) : [];
+  return groqChatWithRetry(connection, timelineResponseSchema, "fork", {
+    json: true,
     messages: [
-      { role: "system", content: INTERPOLATION_SYSTEM_PROMPT.trim() },
+      { role: "system", content: withHouseStyle(FORK_SYSTEM_PROMPT, style, "timeline") },
       {
         role: "user",
         content: JSON.stringify({
-          seed_event: seedEvent,
-          previous: context.previous,
-          anchor: context.current,
-          next: context.next,
+          seed_event: seed.event,
+          seed_parameters: seedParameters(seed),
+          timeline_title: context.timeline.timeline_title,
           guiding_principle: context.timeline.guiding_principle,
+          preserved_entries: preserved,
+          fork_entry: context.forkEntry,
+          divergence: context.divergence,
+          superseded_entries: superseded.map(({ id, anchorDate, title }) => ({ id, anchorDate, title })),
           directives: {
-            priority_stack: ["simulation_fidelity", "institutional_detail", "subtle_uncanny"],
-            realism_ratio: "5:1 realism_to_uncanny",
-            counterfactual_interpretation: {
-              default: "invert_actual_event",
-              negation_tokens: ["did not", "never", "without", "failed to", "absence of", "if X failed"],
-              description:
-                "Assume seed_event describes a real event that is prevented unless negation tokens indicate the user already flipped it."
-            }
+            priority_stack: ["simulation_fidelity", "causal_continuity", "institutional_detail"],
+            realism_ratio: realismRatio(style, "timeline"),
+            counterfactual_interpretation: interpretationDirective(seed)
           },
           threads_catalogue: Array.from(
-            new Set(
-              context.timeline.entries.flatMap((entry) => entry.threads ?? [])
-            )
+            new Set(context.timeline.entries.flatMap((entry) => entry.threads ?? []))
           )
         })
       }
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { sanitizeGuidingPrinciple } from "./guidingPrinciple";
+
+describe("sanitizeGuidingPrinciple", () => {
+  it("keeps a principle written in the universe's own voice", () => {
+    expect(sanitizeGuidingPrinciple("The Wall stands because the Politburo never blinked.")).toBe(
+      "The Wall stands because the Politburo never blinked."
+    );
+  });
+
+  it("drops sentences that echo the prompt's directives", () => {
+    expect(
+      sanitizeGuidingPrinciple(
+        "Respond with JSON only. Berlin stays divided; the economy bends around the border."
+      )
+    ).toBe("Berlin stays divided; the economy bends around the border.");
+  });
+
+  it("hides a principle that is nothing but directives", () => {
+    expect(sanitizeGuidingPrinciple("Simulate the world. Assume the worst.")).toBeNull();
+    expect(sanitizeGuidingPrinciple("Maintain simulation fidelity score ≥ 8.")).toBeNull();
+  });
+
+  it("returns null for empty input", () => {
+    expect(sanitizeGuidingPrinciple("")).toBeNull();
+    expect(sanitizeGuidingPrinciple(null)).toBeNull();
+    expect(sanitizeGuidingPrinciple(undefined)).toBeNull();
+  });
+
+  it("joins the surviving lines into one sentence run", () => {
+    expect(
+      sanitizeGuidingPrinciple("Priority stack: institutions first.\nTrade follows the tanks.\n")
+    ).toBe("Trade follows the tanks.");
+  });
+});
@@ -0,0 +1,34 @@
+const GUIDING_PRINCIPLE_FILTERS = [
+  /counterfactual step institutionally and economically traceable/i,
+  /simulation fidelity/i,
+  /uncanny anomaly per entry/i,
+  /priority stack/i,
+  /respond with json only/i,
+  /score\s*≥/i,
+  /negating the/i,
+  /simulate/i,
+  /assume the/i,
+  /allowing only/i,
+  /^by\s+/i,
+  /minimum institutional/i
+];
+
+// Models sometimes echo the prompt's directives back as the guiding principle; those sentences
+// are dropped, and a principle that is nothing but directives is not shown at all.
+export function sanitizeGuidingPrinciple(raw?: string | null) {
+  if (!raw) return null;
+  const segments = raw
+    .split(/\s*\n+\s*|(?<=[.?!])\s+/)
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .filter(
+      (segment) => !GUIDING_PRINCIPLE_FILTERS.some((pattern) => pattern.test(segment.toLowerCase()))
+    )
+    .filter((segment) => segment.length > 8);
+  if (segments.length === 0) return null;
+  const joined = segments.join(" ");
+  if (/simulate|negating|score|priority|minimum institutional/i.test(joined)) {
+    return null;
+  }
+  return joined;
+}
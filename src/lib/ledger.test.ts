@@ -0,0 +1,163 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "../test/fixtures";
+import { ContinuityLedger, LedgerFact, TimelineResponse } from "../types";
+import { EMPTY_LEDGER, mergeExtractedFacts, restrictLedger, selectRelevantFacts } from "./ledger";
+
+function fact(
+  id: string,
+  kind: LedgerFact["kind"],
+  name: string,
+  entryIds: string[],
+  extra: Partial<LedgerFact> = {}
+): LedgerFact {
+  return { id, kind, name, detail: `${name} detail`, entry_ids: entryIds, ...extra };
+}
+
+describe("mergeExtractedFacts", () => {
+  it("adds new facts and records the article as read", () => {
+    const ledger = mergeExtractedFacts(EMPTY_LEDGER, "first", [
+      { kind: "person", name: " Egon Krenz ", detail: "General Secretary" }
+    ]);
+    expect(ledger.facts).toEqual([
+      {
+        id: "person-egon-krenz",
+        kind: "person",
+        name: "Egon Krenz",
+        detail: "General Secretary",
+        entry_ids: ["first"]
+      }
+    ]);
+    expect(ledger.sources).toEqual(["first"]);
+  });
+
+  it("takes the newest detail for a known name and notes where it appeared", () => {
+    const first = mergeExtractedFacts(EMPTY_LEDGER, "first", [
+      { kind: "person", name: "Egon Krenz", detail: "General Secretary" }
+    ]);
+    const second = mergeExtractedFacts(first, "second", [
+      { kind: "person", name: "egon  KRENZ", detail: "Chairman of the Council of State" }
+    ]);
+    expect(second.facts).toHaveLength(1);
+    expect(second.facts[0]).toMatchObject({
+      name: "Egon Krenz",
+      detail: "Chairman of the Council of State",
+      entry_ids: ["first", "second"]
+    });
+    expect(second.sources).toEqual(["first", "second"]);
+  });
+
+  it("keeps the wording of a fact the reader edited", () => {
+    const ledger: ContinuityLedger = {
+      facts: [
+        fact("person-egon-krenz", "person", "Egon Krenz", ["first"], {
+          detail: "Acting head of state",
+          edited: true
+        })
+      ],
+      sources: ["first"]
+    };
+    const merged = mergeExtractedFacts(ledger, "second", [
+      { kind: "person", name: "Egon Krenz", detail: "General Secretary" }
+    ]);
+    expect(merged.facts[0]).toMatchObject({
+      detail: "Acting head of state",
+      edited: true,
+      entry_ids: ["first", "second"]
+    });
+  });
+
+  it("keys quotes by their wording so a speaker can have several", () => {
+    const quote = (detail: string) => ({ kind: "quote" as const, name: "Egon Krenz", detail });
+    const first = mergeExtractedFacts(EMPTY_LEDGER, "first", [quote("The border stays shut.")]);
+    const second = mergeExtractedFacts(first, "second", [
+      quote("The border stays shut."),
+      quote("Nobody intends to open it.")
+    ]);
+    expect(second.facts.map((item) => [item.id, item.detail, item.entry_ids])).toEqual([
+      ["quote-egon-krenz", "The border stays shut.", ["first", "second"]],
+      ["quote-egon-krenz-2", "Nobody intends to open it.", ["second"]]
+    ]);
+  });
+
+  it("gives a fact whose id is taken a fresh one", () => {
+    const ledger: ContinuityLedger = {
+      facts: [fact("person-egon-krenz", "place", "Elsewhere", ["first"])],
+      sources: []
+    };
+    const merged = mergeExtractedFacts(ledger, "second", [
+      { kind: "person", name: "Egon Krenz", detail: "General Secretary" }
+    ]);
+    expect(merged.facts.map((item) => item.id)).toEqual([
+      "person-egon-krenz",
+      "person-egon-krenz-2"
+    ]);
+  });
+});
+
+describe("restrictLedger", () => {
+  const ledger: ContinuityLedger = {
+    facts: [
+      fact("kept", "person", "Egon Krenz", ["first", "third"]),
+      fact("dropped", "place", "Leipzig", ["third"]),
+      fact("by-hand", "organization", "Ministry of Records", [], { edited: true })
+    ],
+    sources: ["first", "third"]
+  };
+
+  it("keeps what the given entries established and facts added by hand", () => {
+    const restricted = restrictLedger(ledger, new Set(["first", "second"]));
+    expect(restricted.facts.map((item) => [item.id, item.entry_ids])).toEqual([
+      ["kept", ["first"]],
+      ["by-hand", []]
+    ]);
+    expect(restricted.sources).toEqual(["first"]);
+  });
+});
+
+describe("selectRelevantFacts", () => {
+  const timeline: TimelineResponse = {
+    timeline_title: "The Wall Holds",
+    guiding_principle: "",
+    entries: [
+      makeEntry("e1", { threads: ["border"] }),
+      makeEntry("e2", { threads: ["press"] }),
+      makeEntry("e3", { threads: ["border"] }),
+      makeEntry("e4", {
+        title: "Krenz addresses the chamber",
+        summary: "Egon Krenz speaks for an hour.",
+        threads: ["border"]
+      })
+    ]
+  };
+  const target = timeline.entries[3];
+  const ledger: ContinuityLedger = {
+    facts: [
+      fact("leipzig", "place", "Leipzig", ["e2"]),
+      fact("stasi", "organization", "Stasi", ["e1"]),
+      fact("dresden", "place", "Dresden", [], { edited: true }),
+      fact("visas", "statistic", "Exit visas issued", ["e3"]),
+      fact("krenz", "person", "Egon Krenz", ["e2"])
+    ],
+    sources: ["e1", "e2", "e3"]
+  };
+
+  it("ranks named facts, then shared threads and recency, then hand-added facts", () => {
+    expect(selectRelevantFacts(ledger, target, timeline).map((item) => item.name)).toEqual([
+      "Egon Krenz", // named in the entry
+      "Exit visas issued", // shared thread, the entry just before
+      "Stasi", // shared thread, further back
+      "Dresden", // added by hand
+      "Leipzig" // only recency
+    ]);
+  });
+
+  it("hands over at most `limit` facts without their bookkeeping", () => {
+    expect(selectRelevantFacts(ledger, target, timeline, 1)).toEqual([
+      { kind: "person", name: "Egon Krenz", detail: "Egon Krenz detail" }
+    ]);
+  });
+
+  it("returns nothing for an empty ledger", () => {
+    expect(selectRelevantFacts(EMPTY_LEDGER, target, timeline)).toEqual([]);
+  });
+});
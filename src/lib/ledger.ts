@@ -0,0 +1,125 @@
+import {
+  ContinuityLedger,
+  LedgerFact,
+  LedgerKind,
+  TimelineEntry,
+  TimelineResponse
+} from "../types";
+import { uniqueEntryId } from "./entries";
+import { ExtractedFact } from "./schemas";
+
+export const LEDGER_KINDS: LedgerKind[] = ["person", "organization", "statistic", "place", "quote"];
+
+export const LEDGER_KIND_LABELS: Record<LedgerKind, string> = {
+  person: "People",
+  organization: "Organisations",
+  statistic: "Figures",
+  place: "Places",
+  quote: "Quotes"
+};
+
+export const EMPTY_LEDGER: ContinuityLedger = { facts: [], sources: [] };
+
+// How many facts a single prompt may carry; enough for a cast list without crowding the entry.
+const PROMPT_FACT_LIMIT = 24;
+
+function normalizeName(value: string) {
+  return value.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+// Quotes are keyed by their words so one speaker can accumulate several.
+function factKey(fact: Pick<LedgerFact, "kind" | "name" | "detail">) {
+  const subject = fact.kind === "quote" ? `${fact.name} ${fact.detail}` : fact.name;
+  return `${fact.kind}:${normalizeName(subject)}`;
+}
+
+export function addLedgerFact(
+  ledger: ContinuityLedger,
+  fact: Omit<LedgerFact, "id">
+): ContinuityLedger {
+  const taken = new Set(ledger.facts.map((item) => item.id));
+  const id = uniqueEntryId(`${fact.kind}-${fact.name}`, taken);
+  return { ...ledger, facts: [...ledger.facts, { ...fact, id }] };
+}
+
+// Folds facts extracted from one article into the ledger. Facts the user has edited keep their
+// wording; everything else takes the newest detail the newsroom printed.
+export function mergeExtractedFacts(
+  ledger: ContinuityLedger,
+  entryId: string,
+  extracted: ExtractedFact[]
+): ContinuityLedger {
+  const facts = [...ledger.facts];
+  const taken = new Set(facts.map((fact) => fact.id));
+  const indexByKey = new Map(facts.map((fact, index) => [factKey(fact), index]));
+
+  extracted.forEach((incoming) => {
+    const name = incoming.name.trim();
+    const detail = incoming.detail.trim();
+    const key = factKey({ kind: incoming.kind, name, detail });
+    const index = indexByKey.get(key);
+    if (index === undefined) {
+      const id = uniqueEntryId(`${incoming.kind}-${name}`, taken);
+      taken.add(id);
+      indexByKey.set(key, facts.length);
+      facts.push({ id, kind: incoming.kind, name, detail, entry_ids: [entryId] });
+      return;
+    }
+    const existing = facts[index];
+    facts[index] = {
+      ...existing,
+      detail: existing.edited || !detail ? existing.detail : detail,
+      entry_ids: existing.entry_ids.includes(entryId)
+        ? existing.entry_ids
+        : [...existing.entry_ids, entryId]
+    };
+  });
+
+  return {
+    facts,
+    sources: ledger.sources.includes(entryId) ? ledger.sources : [...ledger.sources, entryId]
+  };
+}
+
+// Keeps only what the given entries established, plus facts the user added by hand.
+export function restrictLedger(ledger: ContinuityLedger, entryIds: Set<string>): ContinuityLedger {
+  return {
+    facts: ledger.facts
+      .map((fact) => ({ ...fact, entry_ids: fact.entry_ids.filter((id) => entryIds.has(id)) }))
+      .filter((fact) => fact.entry_ids.length > 0 || fact.edited),
+    sources: ledger.sources.filter((id) => entryIds.has(id))
+  };
+}
+
+// Ranks facts by how likely the story for `entry` is to need them: named in the entry itself,
+// established by a story on a shared thread, or established shortly before it.
+export function selectRelevantFacts(
+  ledger: ContinuityLedger,
+  entry: TimelineEntry,
+  timeline: TimelineResponse,
+  limit = PROMPT_FACT_LIMIT
+) {
+  if (ledger.facts.length === 0) return [];
+  const position = new Map(timeline.entries.map((item, index) => [item.id, index]));
+  const entryIndex = position.get(entry.id) ?? timeline.entries.length;
+  const threads = new Set(entry.threads ?? []);
+  const text = `${entry.title} ${entry.summary}`.toLowerCase();
+
+  const scored = ledger.facts.map((fact) => {
+    let score = fact.edited ? 1 : 0;
+    if (text.includes(normalizeName(fact.name))) score += 4;
+    fact.entry_ids.forEach((id) => {
+      const source = timeline.entries[position.get(id) ?? -1];
+      if (!source) return;
+      if (source.threads?.some((thread) => threads.has(thread))) score += 2;
+      const distance = entryIndex - (position.get(id) ?? 0);
+      if (distance > 0) score += 1 / distance;
+    });
+    return { fact, score };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ fact }) => ({ kind: fact.kind, name: fact.name, detail: fact.detail }));
+}
@@ -0,0 +1,135 @@
+import { HauntoloscopeBundle } from "../types";
+
+const DATABASE_NAME = "hauntoloscope";
+const DATABASE_VERSION = 1;
+const UNIVERSE_STORE = "universes";
+
+export type UniverseRecord = {
+  id: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+  bundle: HauntoloscopeBundle;
+};
+
+let databasePromise: Promise<IDBDatabase> | null = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise<IDBDatabase>((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(UNIVERSE_STORE)) {
+          const store = database.createObjectStore(UNIVERSE_STORE, { keyPath: "id" });
+          store.createIndex("updatedAt", "updatedAt");
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error ?? new Error("Failed to open the library"));
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+function promisify<T>(request: IDBRequest<T>) {
+  return new Promise<T>((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error("Library request failed"));
+  });
+}
+
+async function withStore<T>(
+  mode: IDBTransactionMode,
+  run: (store: IDBObjectStore) => Promise<T>
+): Promise<T> {
+  const database = await openDatabase();
+  const transaction = database.transaction(UNIVERSE_STORE, mode);
+  const done = new Promise<void>((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error ?? new Error("Library transaction aborted"));
+    transaction.onerror = () => reject(transaction.error ?? new Error("Library transaction failed"));
+  });
+  const result = await run(transaction.objectStore(UNIVERSE_STORE));
+  await done;
+  return result;
+}
+
+export function createUniverseId() {
+  if (typeof crypto !== "undefined" && "randomUUID" in crypto) {
+    return crypto.randomUUID();
+  }
+  return `universe-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function defaultUniverseName(bundle: HauntoloscopeBundle) {
+  return bundle.timeline.timeline_title?.trim() || bundle.seed_event.trim() || "Untitled universe";
+}
+
+export async function listUniverses() {
+  const records = await withStore("readonly", (store) =>
+    promisify(store.getAll() as IDBRequest<UniverseRecord[]>)
+  );
+  return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function getUniverse(id: string) {
+  return withStore("readonly", (store) =>
+    promisify(store.get(id) as IDBRequest<UniverseRecord | undefined>)
+  );
+}
+
+// Autosave path: keeps the record's name and creation time when it already exists.
+export async function saveUniverse(id: string, bundle: HauntoloscopeBundle) {
+  return withStore("readwrite", async (store) => {
+    const existing = await promisify(store.get(id) as IDBRequest<UniverseRecord | undefined>);
+    const now = new Date().toISOString();
+    const record: UniverseRecord = {
+      id,
+      name: existing?.name ?? defaultUniverseName(bundle),
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+      bundle
+    };
+    await promisify(store.put(record));
+    return record;
+  });
+}
+
+export async function renameUniverse(id: string, name: string) {
+  return withStore("readwrite", async (store) => {
+    const existing = await promisify(store.get(id) as IDBRequest<UniverseRecord | undefined>);
+    if (!existing) throw new Error("That universe is no longer in the library");
+    const record = { ...existing, name: name.trim() || existing.name };
+    await promisify(store.put(record));
+    return record;
+  });
+}
+
+export async function duplicateUniverse(id: string) {
+  return withStore("readwrite", async (store) => {
+    const existing = await promisify(store.get(id) as IDBRequest<UniverseRecord | undefined>);
+    if (!existing) throw new Error("That universe is no longer in the library");
+    const now = new Date().toISOString();
+    const record: UniverseRecord = {
+      ...existing,
+      id: createUniverseId(),
+      name: `${existing.name} (copy)`,
+      createdAt: now,
+      updatedAt: now
+    };
+    await promisify(store.put(record));
+    return record;
+  });
+}
+
+export async function deleteUniverse(id: string) {
+  await withStore("readwrite", (store) => promisify(store.delete(id)));
+}
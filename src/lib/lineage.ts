@@ -0,0 +1,45 @@
+import { UniverseRecord } from "./library";
+
+export type BranchNode = {
+  record: UniverseRecord;
+  children: BranchNode[];
+};
+
+function parentOf(record: UniverseRecord) {
+  return record.bundle.lineage?.parent_id;
+}
+
+// Walks up to the oldest ancestor still in the archive, then gathers every descendant.
+export function buildFamilyTree(records: UniverseRecord[], universeId: string): BranchNode | null {
+  const byId = new Map(records.map((record) => [record.id, record]));
+  let root = byId.get(universeId);
+  if (!root) return null;
+
+  const visited = new Set<string>([root.id]);
+  for (let parentId = parentOf(root); parentId && byId.has(parentId); parentId = parentOf(root)) {
+    if (visited.has(parentId)) break;
+    visited.add(parentId);
+    root = byId.get(parentId) as UniverseRecord;
+  }
+
+  const childrenOf = new Map<string, UniverseRecord[]>();
+  records.forEach((record) => {
+    const parentId = parentOf(record);
+    if (!parentId) return;
+    childrenOf.set(parentId, [...(childrenOf.get(parentId) ?? []), record]);
+  });
+
+  const seen = new Set<string>();
+  const grow = (record: UniverseRecord): BranchNode => {
+    seen.add(record.id);
+    const children = (childrenOf.get(record.id) ?? [])
+      .filter((child) => !seen.has(child.id))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return { record, children: children.map(grow) };
+  };
+  return grow(root);
+}
+
+export function flattenFamily(node: BranchNode): UniverseRecord[] {
+  return [node.record, ...node.children.flatMap(flattenFamily)];
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "../test/fixtures";
+import { TimelineResponse } from "../types";
+import { compareBranches, spreadVariants } from "./multiverse";
+
+function branch(...entries: TimelineResponse["entries"]): TimelineResponse {
+  return { timeline_title: "Branch", guiding_principle: "", entries };
+}
+
+describe("spreadVariants", () => {
+  it("fans the reader's setting out across temperatures", () => {
+    const base = { provider: "groq" as const, baseUrl: "", model: "m", temperature: 0.7 };
+    const variants = spreadVariants(base, "broadsheet", 3);
+    expect(variants.map((variant) => variant.config.temperature)).toEqual([0.4, 0.7, 1]);
+    expect(new Set(variants.map((variant) => variant.id)).size).toBe(3);
+    expect(variants.every((variant) => variant.styleId === "broadsheet")).toBe(true);
+  });
+});
+
+describe("compareBranches", () => {
+  const comparison = compareBranches([
+    branch(
+      makeEntry("a1", { anchorDate: "1989", threads: ["Grid Anomalies"] }),
+      makeEntry("a2", { anchorDate: "1991", threads: ["border"] })
+    ),
+    branch(
+      makeEntry("b1", { anchorDate: "March 1989", threads: ["grid anomaly"] }),
+      makeEntry("b2", { anchorDate: undefined, threads: ["press"] })
+    ),
+    undefined
+  ]);
+
+  it("lines entries up by period, with undated entries last", () => {
+    expect(comparison.rows.map((row) => row.label)).toEqual(["1988–1989", "1990–1991", "Undated"]);
+    expect(
+      comparison.rows.map((row) => row.cells.map((cell) => cell.map(({ entry }) => entry.id)))
+    ).toEqual([
+      [["a1"], ["b1"], []],
+      [["a2"], [], []],
+      [[], ["b2"], []]
+    ]);
+  });
+
+  it("matches threads across spellings and marks entries no other branch echoes", () => {
+    expect(comparison.sharedThreads).toEqual(["Grid Anomalies"]);
+    const [first, second] = comparison.rows;
+    expect(first.cells[0][0]).toMatchObject({
+      sharedThreads: ["Grid Anomalies"],
+      divergent: false
+    });
+    expect(first.cells[1][0]).toMatchObject({ sharedThreads: ["grid anomaly"], divergent: false });
+    expect(second.cells[0][0]).toMatchObject({ sharedThreads: [], divergent: true });
+  });
+});
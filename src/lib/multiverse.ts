@@ -0,0 +1,145 @@
+import { TimelineEntry, TimelineResponse } from "../types";
+import { formatYear, parseHistoricalDate } from "./dates";
+import { ProviderConfig } from "./providers";
+import { threadKey } from "./threads";
+
+export const MULTIVERSE_LIMITS = { min: 2, max: 6 };
+
+// One way of asking for the same seed: a timeline model setting and a house style.
+export type MultiverseVariant = {
+  id: string;
+  config: ProviderConfig;
+  styleId: string;
+};
+
+export type MultiverseBranch = {
+  variant: MultiverseVariant;
+  status: "loading" | "ready" | "error";
+  timeline?: TimelineResponse;
+  error?: string;
+};
+
+export type AlignedEntry = {
+  entry: TimelineEntry;
+  sharedThreads: string[]; // this entry's threads that another branch also carries
+  divergent: boolean; // no other branch has an entry in this period on any of its threads
+};
+
+export type MultiverseRow = {
+  label: string;
+  cells: AlignedEntry[][]; // one list per branch, in branch order
+};
+
+export type MultiverseComparison = {
+  rows: MultiverseRow[];
+  sharedThreads: string[];
+};
+
+const TEMPERATURE_SPREAD = 0.3;
+
+export function createVariantId() {
+  return `variant-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Starts the comparison from the reader's timeline setting, fanned out across temperatures.
+export function spreadVariants(base: ProviderConfig, styleId: string, count: number) {
+  const low = Math.max(0, base.temperature - TEMPERATURE_SPREAD);
+  const high = Math.min(1.5, base.temperature + TEMPERATURE_SPREAD);
+  return Array.from({ length: count }, (_, index): MultiverseVariant => {
+    const temperature = count > 1 ? low + ((high - low) * index) / (count - 1) : base.temperature;
+    return {
+      id: createVariantId(),
+      config: { ...base, temperature: Math.round(temperature * 100) / 100 },
+      styleId
+    };
+  });
+}
+
+function entryYear(entry: TimelineEntry) {
+  const date = parseHistoricalDate(entry.anchorDate);
+  return date ? new Date(date.midpoint).getUTCFullYear() : null;
+}
+
+const BUCKET_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+
+// The narrowest period that keeps the row count near the longest branch's entry count, so
+// entries about the same moment tend to share a row even when the models date them differently.
+function bucketSize(years: number[], rowTarget: number) {
+  const span = Math.max(...years) - Math.min(...years) + 1;
+  return (
+    BUCKET_STEPS.find((step) => span / step <= Math.max(rowTarget, 1)) ??
+    BUCKET_STEPS[BUCKET_STEPS.length - 1]
+  );
+}
+
+function bucketLabel(start: number, size: number) {
+  if (size === 1) return formatYear(start);
+  if (size === 10 && start > 0) return `${start}s`;
+  return `${formatYear(start)}–${formatYear(start + size - 1)}`;
+}
+
+// Lines the branches up by anchor date. Threads are compared by `threadKey`, so one model's
+// "Grid Anomalies" meets another's "grid anomaly"; undated entries share a final row.
+export function compareBranches(timelines: (TimelineResponse | undefined)[]): MultiverseComparison {
+  const entriesByBranch = timelines.map((timeline) => timeline?.entries ?? []);
+  const spellings = new Map<string, string>();
+  const branchesByKey = new Map<string, Set<number>>();
+  entriesByBranch.forEach((entries, branch) =>
+    entries.forEach((entry) =>
+      entry.threads?.forEach((thread) => {
+        const key = threadKey(thread);
+        if (!key) return;
+        if (!spellings.has(key)) spellings.set(key, thread);
+        branchesByKey.set(key, (branchesByKey.get(key) ?? new Set()).add(branch));
+      })
+    )
+  );
+  const isShared = (key: string) => (branchesByKey.get(key)?.size ?? 0) > 1;
+
+  const years = entriesByBranch.flat().map(entryYear);
+  const known = years.filter((year): year is number => year !== null);
+  const rowTarget = Math.max(...entriesByBranch.map((entries) => entries.length));
+  const size = known.length > 0 ? bucketSize(known, rowTarget) : 1;
+  const bucketOf = (entry: TimelineEntry) => {
+    const year = entryYear(entry);
+    return year === null ? null : Math.floor(year / size) * size;
+  };
+
+  const buckets = Array.from(new Set(known.map((year) => Math.floor(year / size) * size))).sort(
+    (a, b) => a - b
+  );
+  const hasUndated = years.some((year) => year === null);
+  const rowKeys: (number | null)[] = hasUndated ? [...buckets, null] : buckets;
+
+  const rows = rowKeys.map((bucket): MultiverseRow => {
+    const placed = entriesByBranch.map((entries) =>
+      entries.filter((entry) => bucketOf(entry) === bucket)
+    );
+    const keysByBranch = placed.map(
+      (entries) => new Set(entries.flatMap((entry) => (entry.threads ?? []).map(threadKey)))
+    );
+    return {
+      label: bucket === null ? "Undated" : bucketLabel(bucket, size),
+      cells: placed.map((entries, branch) =>
+        entries.map((entry) => {
+          const keys = (entry.threads ?? []).map(threadKey).filter(Boolean);
+          const echoed = keys.some((key) =>
+            keysByBranch.some((others, other) => other !== branch && others.has(key))
+          );
+          return {
+            entry,
+            sharedThreads: (entry.threads ?? []).filter((thread) => isShared(threadKey(thread))),
+            divergent: !echoed
+          };
+        })
+      )
+    };
+  });
+
+  return {
+    rows,
+    sharedThreads: Array.from(spellings)
+      .filter(([key]) => isShared(key))
+      .map(([, thread]) => thread)
+  };
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { parsePartialJson } from "./partialJson";
+
+describe("parsePartialJson", () => {
+  it("reads complete JSON as JSON.parse would", () => {
+    const text = '{"headline":"Wall Holds","segments":["One.","Two."],"score":9,"final":true}';
+    expect(parsePartialJson(text)).toEqual(JSON.parse(text));
+  });
+
+  it("returns unterminated strings as they stand", () => {
+    expect(parsePartialJson('{"headline":"Wall Ho')).toEqual({ headline: "Wall Ho" });
+  });
+
+  it("closes unfinished arrays and objects", () => {
+    expect(parsePartialJson('{"segments":["One.","Tw')).toEqual({ segments: ["One.", "Tw"] });
+    expect(parsePartialJson('{"a":{"b":[1,2')).toEqual({ a: { b: [1] } });
+  });
+
+  it("leaves out keys whose values have not started", () => {
+    expect(parsePartialJson('{"headline":"Wall","dateline":')).toEqual({ headline: "Wall" });
+    expect(parsePartialJson('{"headline":"Wall","date')).toEqual({ headline: "Wall" });
+  });
+
+  it("holds back literals that may still be growing", () => {
+    expect(parsePartialJson('{"final":tr')).toEqual({});
+    expect(parsePartialJson('{"score":12')).toEqual({});
+    expect(parsePartialJson('{"score":12,')).toEqual({ score: 12 });
+  });
+
+  it("decodes escapes, waiting for a complete unicode escape", () => {
+    expect(parsePartialJson('{"quote":"\\"No\\" \\u00e9')).toEqual({ quote: '"No" é' });
+    expect(parsePartialJson('{"quote":"caf\\u00')).toEqual({ quote: "caf" });
+  });
+
+  it("returns undefined for empty or malformed text", () => {
+    expect(parsePartialJson("")).toBeUndefined();
+    expect(parsePartialJson("   ")).toBeUndefined();
+    expect(parsePartialJson("{headline: 1}")).toBeUndefined();
+    expect(parsePartialJson('{"a" 1}')).toBeUndefined();
+  });
+});
@@ -0,0 +1,141 @@
+// Tolerant JSON reader for streamed completions. It returns whatever value the text
+// describes so far: unterminated strings are returned as-is, unfinished containers are
+// closed, and keys whose values have not started yet are left out.
+
+const INCOMPLETE = Symbol("incomplete");
+
+type Parsed = unknown | typeof INCOMPLETE;
+
+class PartialJsonReader {
+  private pos = 0;
+
+  constructor(private readonly text: string) {}
+
+  read(): unknown {
+    const value = this.value();
+    return value === INCOMPLETE ? undefined : value;
+  }
+
+  private skipWhitespace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  private atEnd() {
+    return this.pos >= this.text.length;
+  }
+
+  private value(): Parsed {
+    this.skipWhitespace();
+    if (this.atEnd()) return INCOMPLETE;
+    const char = this.text[this.pos];
+    if (char === "{") return this.object();
+    if (char === "[") return this.array();
+    if (char === '"') return this.string();
+    return this.literal();
+  }
+
+  private object(): Parsed {
+    const result: Record<string, unknown> = {};
+    this.pos++;
+    for (;;) {
+      this.skipWhitespace();
+      if (this.atEnd()) return result;
+      if (this.text[this.pos] === "}") {
+        this.pos++;
+        return result;
+      }
+      if (this.text[this.pos] === ",") {
+        this.pos++;
+        continue;
+      }
+      if (this.text[this.pos] !== '"') {
+        throw new SyntaxError(`Unexpected "${this.text[this.pos]}" at ${this.pos}`);
+      }
+      const key = this.string();
+      this.skipWhitespace();
+      if (key === INCOMPLETE || this.atEnd()) return result;
+      if (this.text[this.pos] !== ":") {
+        throw new SyntaxError(`Expected ":" at ${this.pos}`);
+      }
+      this.pos++;
+      const value = this.value();
+      if (value !== INCOMPLETE) {
+        result[key as string] = value;
+      }
+      if (this.atEnd()) return result;
+    }
+  }
+
+  private array(): Parsed {
+    const result: unknown[] = [];
+    this.pos++;
+    for (;;) {
+      this.skipWhitespace();
+      if (this.atEnd()) return result;
+      if (this.text[this.pos] === "]") {
+        this.pos++;
+        return result;
+      }
+      if (this.text[this.pos] === ",") {
+        this.pos++;
+        continue;
+      }
+      const value = this.value();
+      if (value !== INCOMPLETE) {
+        result.push(value);
+      }
+      if (this.atEnd()) return result;
+    }
+  }
+
+  private string(): Parsed {
+    let result = "";
+    this.pos++;
+    while (!this.atEnd()) {
+      const char = this.text[this.pos];
+      if (char === '"') {
+        this.pos++;
+        return result;
+      }
+      if (char === "\\") {
+        const escape = this.text.slice(this.pos, this.pos + 6);
+        if (escape.length < 2) break;
+        if (escape[1] === "u") {
+          if (escape.length < 6) break;
+          result += String.fromCharCode(parseInt(escape.slice(2), 16));
+          this.pos += 6;
+          continue;
+        }
+        result += JSON.parse(`"${escape.slice(0, 2)}"`) as string;
+        this.pos += 2;
+        continue;
+      }
+      result += char;
+      this.pos++;
+    }
+    this.pos = this.text.length;
+    return result;
+  }
+
+  private literal(): Parsed {
+    const match = /^-?[\w.+-]*/.exec(this.text.slice(this.pos));
+    const token = match?.[0] ?? "";
+    if (!token) {
+      throw new SyntaxError(`Unexpected "${this.text[this.pos]}" at ${this.pos}`);
+    }
+    this.pos += token.length;
+    // A literal running into the end of the text may still be growing ("tr", "12.").
+    if (this.atEnd()) return INCOMPLETE;
+    return JSON.parse(token) as unknown;
+  }
+}
+
+export function parsePartialJson(text: string): unknown {
+  try {
+    return new PartialJsonReader(text).read();
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,318 @@
+import { ModelStamp } from "../types";
+import { readJsonLines, readServerSentEvents } from "./sse";
+
+export type ProviderKind = "groq" | "openai" | "ollama" | "llamacpp" | "proxy";
+
+export type GenerationKind = "timeline" | "article" | "interpolation";
+
+export const GENERATION_KINDS: GenerationKind[] = ["timeline", "article", "interpolation"];
+
+export const GENERATION_LABELS: Record<GenerationKind, string> = {
+  timeline: "Timelines",
+  article: "Articles",
+  interpolation: "Interpolations"
+};
+
+export type ProviderConfig = {
+  provider: ProviderKind;
+  baseUrl: string;
+  model: string;
+  temperature: number;
+};
+
+export type ProviderSettings = Record<GenerationKind, ProviderConfig>;
+
+export type ProviderKeys = Partial<Record<ProviderKind, string>>;
+
+export type ProviderConnection = ProviderConfig & {
+  apiKey?: string;
+};
+
+export type ChatMessage = { role: "system" | "user" | "assistant"; content: string };
+
+export type ChatRequest = {
+  messages: ChatMessage[];
+  json: boolean;
+};
+
+export type ChatOptions = {
+  signal?: AbortSignal;
+  onContent?: (content: string) => void;
+};
+
+export class ProviderRequestError extends Error {
+  readonly status: number;
+  readonly retryAfterMs: number | null;
+
+  constructor(message: string, status: number, retryAfterMs: number | null) {
+    super(message);
+    this.name = "ProviderRequestError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get isRateLimited() {
+    return this.status === 429;
+  }
+
+  // Timeouts, conflicts, rate limits and server faults can succeed on a later attempt.
+  get isRetryable() {
+    return this.status === 408 || this.status === 409 || this.status === 429 || this.status >= 500;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(header: string | null) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Set at build time (VITE_PROXY_URL) when the app is deployed behind scripts/proxy-server.mjs.
+// Every desk then defaults to the proxy and the browser is never asked for a key.
+export const PROXY_URL: string | undefined = import.meta.env?.VITE_PROXY_URL?.trim() || undefined;
+
+const DEFAULT_PROVIDER: ProviderKind = PROXY_URL ? "proxy" : "groq";
+
+type ProviderAdapter = {
+  endpoint: (baseUrl: string) => string;
+  buildBody: (connection: ProviderConnection, request: ChatRequest, stream: boolean) => unknown;
+  readContent: (payload: unknown) => string | undefined;
+  streamFormat: "sse" | "ndjson";
+  readDelta: (payload: unknown) => string | undefined;
+};
+
+type ProviderPreset = {
+  label: string;
+  adapter: ProviderAdapter;
+  defaultBaseUrl: string;
+  defaultModel: string;
+  requiresKey: boolean;
+  keyless?: boolean; // the server holds the key; the browser never sends one
+};
+
+function trimSlash(url: string) {
+  return url.trim().replace(/\/+$/, "");
+}
+
+const openAiCompatibleAdapter: ProviderAdapter = {
+  endpoint: (baseUrl) => `${trimSlash(baseUrl)}/chat/completions`,
+  buildBody: (connection, request, stream) => ({
+    model: connection.model,
+    temperature: connection.temperature,
+    ...(request.json ? { response_format: { type: "json_object" } } : {}),
+    ...(stream ? { stream: true } : {}),
+    messages: request.messages
+  }),
+  readContent: (payload) =>
+    (payload as { choices?: { message?: { content?: string } }[] }).choices?.[0]?.message
+      ?.content,
+  streamFormat: "sse",
+  readDelta: (payload) =>
+    (payload as { choices?: { delta?: { content?: string } }[] }).choices?.[0]?.delta?.content
+};
+
+// Ollama's native chat API honours `format: "json"` more reliably than its OpenAI shim.
+const ollamaAdapter: ProviderAdapter = {
+  endpoint: (baseUrl) => `${trimSlash(baseUrl)}/api/chat`,
+  buildBody: (connection, request, stream) => ({
+    model: connection.model,
+    stream,
+    ...(request.json ? { format: "json" } : {}),
+    options: { temperature: connection.temperature },
+    messages: request.messages
+  }),
+  readContent: (payload) => (payload as { message?: { content?: string } }).message?.content,
+  streamFormat: "ndjson",
+  readDelta: (payload) => (payload as { message?: { content?: string } }).message?.content
+};
+
+export const PROVIDERS: Record<ProviderKind, ProviderPreset> = {
+  groq: {
+    label: "Groq",
+    adapter: openAiCompatibleAdapter,
+    defaultBaseUrl: "https://api.groq.com/openai/v1",
+    defaultModel: "moonshotai/kimi-k2-instruct-0905",
+    requiresKey: true
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    adapter: openAiCompatibleAdapter,
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+    requiresKey: false
+  },
+  ollama: {
+    label: "Ollama (local)",
+    adapter: ollamaAdapter,
+    defaultBaseUrl: "http://localhost:11434",
+    defaultModel: "llama3.1",
+    requiresKey: false
+  },
+  llamacpp: {
+    label: "llama.cpp server (local)",
+    adapter: openAiCompatibleAdapter,
+    defaultBaseUrl: "http://localhost:8080/v1",
+    defaultModel: "local-model",
+    requiresKey: false
+  },
+  proxy: {
+    label: "Hauntoloscope proxy",
+    adapter: openAiCompatibleAdapter,
+    defaultBaseUrl: PROXY_URL ?? "http://localhost:8788/groq/v1",
+    defaultModel: "moonshotai/kimi-k2-instruct-0905",
+    requiresKey: false,
+    keyless: true
+  }
+};
+
+export const PROVIDER_KINDS = Object.keys(PROVIDERS) as ProviderKind[];
+
+function presetConfig(provider: ProviderKind, temperature: number): ProviderConfig {
+  return {
+    provider,
+    baseUrl: PROVIDERS[provider].defaultBaseUrl,
+    model: PROVIDERS[provider].defaultModel,
+    temperature
+  };
+}
+
+export const DEFAULT_PROVIDER_SETTINGS: ProviderSettings = {
+  timeline: presetConfig(DEFAULT_PROVIDER, 0.75),
+  article: presetConfig(DEFAULT_PROVIDER, 0.7),
+  interpolation: presetConfig(DEFAULT_PROVIDER, 0.7)
+};
+
+export function switchProvider(config: ProviderConfig, provider: ProviderKind): ProviderConfig {
+  return presetConfig(provider, config.temperature);
+}
+
+// Settings come back from localStorage, so fill in anything an older build didn't store.
+export function normalizeProviderSettings(raw: unknown): ProviderSettings {
+  const stored = (raw && typeof raw === "object" ? raw : {}) as Partial<
+    Record<GenerationKind, Partial<ProviderConfig>>
+  >;
+  return Object.fromEntries(
+    GENERATION_KINDS.map((kind) => {
+      const fallback = DEFAULT_PROVIDER_SETTINGS[kind];
+      const candidate = stored[kind] ?? {};
+      const provider =
+        candidate.provider && candidate.provider in PROVIDERS ? candidate.provider : fallback.provider;
+      const base = provider === fallback.provider ? fallback : presetConfig(provider, fallback.temperature);
+      return [
+        kind,
+        {
+          provider,
+          baseUrl: candidate.baseUrl?.trim() || base.baseUrl,
+          model: candidate.model?.trim() || base.model,
+          temperature:
+            typeof candidate.temperature === "number" && Number.isFinite(candidate.temperature)
+              ? candidate.temperature
+              : base.temperature
+        }
+      ];
+    })
+  ) as ProviderSettings;
+}
+
+export function resolveConnection(
+  settings: ProviderSettings,
+  keys: ProviderKeys,
+  kind: GenerationKind
+): ProviderConnection {
+  const config = settings[kind];
+  if (PROVIDERS[config.provider].keyless) return { ...config };
+  return { ...config, apiKey: keys[config.provider]?.trim() || undefined };
+}
+
+export function toModelStamp(config: ProviderConfig): ModelStamp {
+  return { provider: config.provider, model: config.model, temperature: config.temperature };
+}
+
+export function missingKeyMessage(connection: ProviderConnection) {
+  const preset = PROVIDERS[connection.provider];
+  if (preset.requiresKey && !connection.apiKey) {
+    return `Provide your ${preset.label} API key first.`;
+  }
+  return null;
+}
+
+async function postChat(
+  connection: ProviderConnection,
+  request: ChatRequest,
+  stream: boolean,
+  signal?: AbortSignal
+) {
+  const preset = PROVIDERS[connection.provider];
+  const headers: Record<string, string> = { "Content-Type": "application/json" };
+  if (connection.apiKey) {
+    headers.Authorization = `Bearer ${connection.apiKey}`;
+  }
+
+  const response = await fetch(preset.adapter.endpoint(connection.baseUrl), {
+    method: "POST",
+    headers,
+    body: JSON.stringify(preset.adapter.buildBody(connection, request, stream)),
+    signal
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new ProviderRequestError(
+      `${preset.label} request failed: ${response.status} ${text}`,
+      response.status,
+      parseRetryAfter(response.headers.get("retry-after"))
+    );
+  }
+  return response;
+}
+
+export async function requestChatCompletion(
+  connection: ProviderConnection,
+  request: ChatRequest,
+  options: ChatOptions = {}
+) {
+  if (options.onContent) {
+    return streamChatCompletion(connection, request, options);
+  }
+
+  const preset = PROVIDERS[connection.provider];
+  const response = await postChat(connection, request, false, options.signal);
+  const content = preset.adapter.readContent(await response.json());
+  if (!content) {
+    throw new Error(`${preset.label} response missing content`);
+  }
+  return content;
+}
+
+async function streamChatCompletion(
+  connection: ProviderConnection,
+  request: ChatRequest,
+  options: ChatOptions
+) {
+  const preset = PROVIDERS[connection.provider];
+  const response = await postChat(connection, request, true, options.signal);
+  if (!response.body) {
+    throw new Error(`${preset.label} response missing stream body`);
+  }
+
+  const events =
+    preset.adapter.streamFormat === "sse"
+      ? readServerSentEvents(response.body)
+      : readJsonLines(response.body);
+  let content = "";
+  for await (const event of events) {
+    if (event === "[DONE]") break;
+    const delta = preset.adapter.readDelta(JSON.parse(event));
+    if (!delta) continue;
+    content += delta;
+    options.onContent?.(content);
+  }
+
+  if (!content) {
+    throw new Error(`${preset.label} stream ended without content`);
+  }
+  return content;
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { runQueue } from "./queue";
+
+function deferred() {
+  let resolve!: () => void;
+  const promise = new Promise<void>((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+describe("runQueue", () => {
+  it("keeps at most `concurrency` workers in flight", async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runQueue(
+      [1, 2, 3, 4, 5],
+      async (item) => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running -= 1;
+        return item * 2;
+      },
+      { concurrency: 2 }
+    );
+    expect(peak).toBe(2);
+    expect(results.map((result) => result.status === "fulfilled" && result.value)).toEqual([
+      2, 4, 6, 8, 10
+    ]);
+  });
+
+  it("reports failures in place without stopping the rest", async () => {
+    const settled: number[] = [];
+    const results = await runQueue(
+      ["a", "b", "c"],
+      async (item) => {
+        if (item === "b") throw new Error("no copy");
+        return item;
+      },
+      { concurrency: 1, onSettled: (_, index) => settled.push(index) }
+    );
+    expect(results[0]).toEqual({ status: "fulfilled", value: "a" });
+    expect(results[1]).toMatchObject({ status: "rejected", reason: new Error("no copy") });
+    expect(results[2]).toEqual({ status: "fulfilled", value: "c" });
+    expect(settled).toEqual([0, 1, 2]);
+  });
+
+  it("skips items not yet started when the signal aborts", async () => {
+    const controller = new AbortController();
+    const first = deferred();
+    const started: string[] = [];
+    const run = runQueue(
+      ["a", "b", "c"],
+      async (item) => {
+        if (item === "a") await first.promise;
+        return item;
+      },
+      { concurrency: 1, signal: controller.signal, onStart: (item) => started.push(item) }
+    );
+    controller.abort(new Error("cancelled"));
+    first.resolve();
+    const results = await run;
+    expect(started).toEqual(["a"]);
+    expect(results[0]).toEqual({ status: "fulfilled", value: "a" });
+    expect(results[1]).toMatchObject({ status: "rejected", reason: new Error("cancelled") });
+    expect(results[2]).toMatchObject({ status: "rejected" });
+  });
+
+  it("finishes at once with nothing to do", async () => {
+    expect(await runQueue([], async () => 1, { concurrency: 3 })).toEqual([]);
+  });
+});
@@ -0,0 +1,39 @@
+export type QueueOptions<T> = {
+  concurrency: number;
+  signal?: AbortSignal;
+  onStart?: (item: T, index: number) => void;
+  onSettled?: (item: T, index: number, result: PromiseSettledResult<unknown>) => void;
+};
+
+// Runs `worker` over `items` with at most `concurrency` in flight. Items not yet started
+// when the signal aborts are skipped and reported as rejected.
+export async function runQueue<T, R>(
+  items: T[],
+  worker: (item: T, index: number) => Promise<R>,
+  { concurrency, signal, onStart, onSettled }: QueueOptions<T>
+): Promise<PromiseSettledResult<R>[]> {
+  const results: PromiseSettledResult<R>[] = new Array(items.length);
+  let next = 0;
+
+  const drain = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      if (signal?.aborted) {
+        results[index] = { status: "rejected", reason: signal.reason };
+        continue;
+      }
+      onStart?.(item, index);
+      try {
+        results[index] = { status: "fulfilled", value: await worker(item, index) };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+      onSettled?.(item, index, results[index]);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(Math.floor(concurrency), items.length));
+  await Promise.all(Array.from({ length: lanes }, drain));
+  return results;
+}
@@ -0,0 +1,101 @@
+import { ArticleResponse, ArticleRevision, EntryRevision, TimelineEntry } from "../types";
+import { entryFingerprint } from "./entries";
+
+export type DiffSegment = {
+  kind: "same" | "added" | "removed";
+  text: string;
+};
+
+export function articleText(article: ArticleResponse) {
+  return [
+    article.headline,
+    article.dateline,
+    article.lede,
+    ...article.body,
+    article.pull_quote ?? "",
+    article.sidebar?.title ?? "",
+    ...(article.sidebar?.items ?? [])
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function entryText(entry: TimelineEntry) {
+  return [
+    entry.title,
+    [entry.era, entry.anchorDate, entry.tone].filter(Boolean).join(" · "),
+    entry.summary,
+    entry.threads?.length ? `Threads: ${entry.threads.join(", ")}` : ""
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export function findArticleVersion(versions: ArticleRevision[], article: ArticleResponse) {
+  const text = articleText(article);
+  return versions.findIndex((version) => articleText(version.article) === text);
+}
+
+// Appends the article unless an identical version is already on file.
+export function recordArticleVersion(
+  versions: ArticleRevision[],
+  article: ArticleResponse,
+  details: Omit<ArticleRevision, "article">
+) {
+  if (findArticleVersion(versions, article) >= 0) return versions;
+  return [...versions, { article, ...details }];
+}
+
+export function findEntryVersion(versions: EntryRevision[], entry: TimelineEntry) {
+  const fingerprint = entryFingerprint(entry);
+  return versions.findIndex((version) => entryFingerprint(version.entry) === fingerprint);
+}
+
+export function recordEntryVersion(
+  versions: EntryRevision[],
+  entry: TimelineEntry,
+  details: Omit<EntryRevision, "entry">
+) {
+  if (findEntryVersion(versions, entry) >= 0) return versions;
+  return [...versions, { entry, ...details }];
+}
+
+// Word-level diff via longest common subsequence. Whitespace runs are kept as tokens so the
+// output reassembles into the original paragraphs.
+export function diffWords(before: string, after: string): DiffSegment[] {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const segments: DiffSegment[] = [];
+  const push = (kind: DiffSegment["kind"], text: string) => {
+    const last = segments[segments.length - 1];
+    if (last?.kind === kind) last.text += text;
+    else segments.push({ kind, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return segments;
+}
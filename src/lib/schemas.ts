@@ -0,0 +1,249 @@
+import { z } from "zod";
+import {
+  ArticleResponse,
+  DocumentKind,
+  EntryDocument,
+  LedgerKind,
+  TimelineEntry,
+  TimelineResponse
+} from "../types";
+
+export type ValidationIssue = {
+  path: string;
+  message: string;
+};
+
+export class ResponseValidationError extends Error {
+  readonly issues: ValidationIssue[];
+  readonly label: string;
+
+  constructor(label: string, issues: ValidationIssue[]) {
+    const count = `${issues.length} ${issues.length === 1 ? "problem" : "problems"}`;
+    super(`The model returned an invalid ${label} (${count} remained after repair)`);
+    this.name = "ResponseValidationError";
+    this.label = label;
+    this.issues = issues;
+  }
+}
+
+// Models routinely send `null` for fields they chose to omit; treat that as absent.
+const optionalText = z
+  .string()
+  .nullish()
+  .transform((value) => value ?? undefined);
+
+const requiredText = z.string().trim().min(1, "must be a non-empty string");
+
+export const timelineEntrySchema = z.object({
+  id: requiredText,
+  era: z.string(),
+  title: requiredText,
+  summary: requiredText,
+  tone: optionalText,
+  anchorDate: optionalText,
+  threads: z
+    .array(z.string())
+    .nullish()
+    .transform((value) => value ?? undefined)
+});
+
+function uniqueEntryIds(entries: TimelineEntry[], context: z.RefinementCtx) {
+  const seen = new Set<string>();
+  entries.forEach((entry, index) => {
+    if (seen.has(entry.id)) {
+      context.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["entries", index, "id"],
+        message: `duplicate id "${entry.id}"`
+      });
+    }
+    seen.add(entry.id);
+  });
+}
+
+export const timelineResponseSchema: z.ZodType<TimelineResponse, z.ZodTypeDef, unknown> = z
+  .object({
+    timeline_title: requiredText,
+    guiding_principle: z.string(),
+    entries: z.array(timelineEntrySchema).min(1, "must contain at least one entry"),
+    example: z.unknown().optional()
+  })
+  .superRefine((value, context) => uniqueEntryIds(value.entries, context));
+
+export const interpolationResponseSchema: z.ZodType<
+  { entries: TimelineEntry[] },
+  z.ZodTypeDef,
+  unknown
+> = z
+  .object({
+    entries: z.array(timelineEntrySchema)
+  })
+  .superRefine((value, context) => uniqueEntryIds(value.entries, context));
+
+export const articleResponseSchema: z.ZodType<ArticleResponse, z.ZodTypeDef, unknown> = z.object({
+  headline: requiredText,
+  dateline: z.string(),
+  lede: requiredText,
+  body: z.array(requiredText).min(1, "must contain at least one segment"),
+  sidebar: z
+    .object({
+      title: z.string(),
+      items: z.array(z.string())
+    })
+    .nullish()
+    .transform((value) => value ?? undefined),
+  pull_quote: optionalText
+});
+
+const paragraphs = z.array(requiredText).min(1, "must contain at least one paragraph");
+
+const documentFields = {
+  opinion: z.object({
+    headline: requiredText,
+    byline: requiredText,
+    standfirst: z.string(),
+    body: paragraphs
+  }),
+  letters: z.object({
+    heading: requiredText,
+    letters: z
+      .array(
+        z.object({
+          headline: z.string(),
+          body: requiredText,
+          signature: requiredText,
+          location: z.string()
+        })
+      )
+      .min(1, "must contain at least one letter")
+  }),
+  obituary: z.object({
+    name: requiredText,
+    lifespan: z.string(),
+    headline: requiredText,
+    body: paragraphs,
+    survived_by: optionalText
+  }),
+  wire: z.object({
+    agency: requiredText,
+    slug: requiredText,
+    dateline: z.string(),
+    body: paragraphs
+  }),
+  classifieds: z.object({
+    heading: requiredText,
+    ads: z
+      .array(z.object({ category: requiredText, text: requiredText, contact: optionalText }))
+      .min(1, "must contain at least one advertisement")
+  }),
+  press_release: z.object({
+    issuer: requiredText,
+    headline: requiredText,
+    release_date: z.string(),
+    body: paragraphs,
+    contact: optionalText
+  })
+};
+
+// Models answer without the discriminator; it is stamped on from the kind that was commissioned.
+export function documentResponseSchema(
+  kind: DocumentKind
+): z.ZodType<EntryDocument, z.ZodTypeDef, unknown> {
+  const fields: z.ZodType<Record<string, unknown>, z.ZodTypeDef, unknown> = documentFields[kind];
+  return fields.transform((value) => ({ ...value, kind }) as EntryDocument);
+}
+
+export const entryDocumentSchema: z.ZodType<EntryDocument, z.ZodTypeDef, unknown> =
+  z.discriminatedUnion("kind", [
+    documentFields.opinion.extend({ kind: z.literal("opinion") }),
+    documentFields.letters.extend({ kind: z.literal("letters") }),
+    documentFields.obituary.extend({ kind: z.literal("obituary") }),
+    documentFields.wire.extend({ kind: z.literal("wire") }),
+    documentFields.classifieds.extend({ kind: z.literal("classifieds") }),
+    documentFields.press_release.extend({ kind: z.literal("press_release") })
+  ]);
+
+export type ExtractedFact = {
+  kind: LedgerKind;
+  name: string;
+  detail: string;
+};
+
+export const ledgerExtractionSchema: z.ZodType<{ facts: ExtractedFact[] }, z.ZodTypeDef, unknown> =
+  z.object({
+    facts: z.array(
+      z.object({
+        kind: z.enum(["person", "organization", "statistic", "place", "quote"]),
+        name: requiredText,
+        detail: z.string().trim()
+      })
+    )
+  });
+
+export type ModelCritique = {
+  id: string;
+  score: number;
+  issues: string[];
+};
+
+export const critiqueResponseSchema: z.ZodType<
+  { critiques: ModelCritique[] },
+  z.ZodTypeDef,
+  unknown
+> = z.object({
+  critiques: z.array(
+    z.object({
+      id: requiredText,
+      score: z.coerce.number().min(0, "must be 0-10").max(10, "must be 0-10"),
+      issues: z
+        .array(z.string())
+        .nullish()
+        .transform((value) => value ?? [])
+    })
+  )
+});
+
+export function formatIssuePath(path: (string | number)[]) {
+  if (path.length === 0) return "(root)";
+  return path.reduce<string>((label, segment) => {
+    if (typeof segment === "number") return `${label}[${segment}]`;
+    return label ? `${label}.${segment}` : segment;
+  }, "");
+}
+
+export function collectIssues(error: z.ZodError): ValidationIssue[] {
+  return error.issues.map((issue) => ({
+    path: formatIssuePath(issue.path),
+    message: issue.message
+  }));
+}
+
+export type ParseOutcome<T> =
+  | { success: true; data: T }
+  | { success: false; issues: ValidationIssue[] };
+
+export function parseModelJson<T>(
+  content: string,
+  schema: z.ZodType<T, z.ZodTypeDef, unknown>
+): ParseOutcome<T> {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(content);
+  } catch (error) {
+    return {
+      success: false,
+      issues: [
+        {
+          path: "(root)",
+          message: `not valid JSON: ${error instanceof Error ? error.message : String(error)}`
+        }
+      ]
+    };
+  }
+
+  const result = schema.safeParse(raw);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, issues: collectIssues(result.error) };
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { makeTimeline } from "../test/fixtures";
+import { HauntoloscopeBundle } from "../types";
+import { detectInterpretation, draftFromSeed, resolveSeed, seedFromBundle } from "./seed";
+
+describe("detectInterpretation", () => {
+  it("inverts a plain historical event", () => {
+    expect(detectInterpretation("The Berlin Wall fell in 1989")).toEqual({
+      interpretation: "invert"
+    });
+  });
+
+  it("affirms a seed that already negates its event and names the signal", () => {
+    expect(detectInterpretation("The Wall never fell")).toEqual({
+      interpretation: "affirm",
+      signal: "never"
+    });
+    expect(detectInterpretation("Apollo 11 didn't launch").signal).toBe("n't");
+  });
+});
+
+describe("resolveSeed", () => {
+  it("follows the detector unless the reader pinned a reading", () => {
+    expect(resolveSeed({ event: "The Wall never fell" }).interpretation).toBe("affirm");
+    expect(
+      resolveSeed({ event: "The Wall never fell", interpretation: "invert" }).interpretation
+    ).toBe("invert");
+  });
+
+  it("trims the text, drops blank framing and clamps the entry count", () => {
+    expect(
+      resolveSeed({
+        event: "  The Wall fell  ",
+        region: " ",
+        horizon: " 1990s ",
+        entry_count: "40"
+      })
+    ).toEqual({
+      event: "The Wall fell",
+      interpretation: "invert",
+      divergence_date: undefined,
+      region: undefined,
+      horizon: "1990s",
+      entry_count: 15
+    });
+    expect(resolveSeed({ event: "x", entry_count: "1" }).entry_count).toBe(3);
+    expect(resolveSeed({ event: "x", entry_count: "many" }).entry_count).toBeUndefined();
+  });
+});
+
+describe("seedFromBundle", () => {
+  it("reads the detector's choice into bundles from before the builder", () => {
+    const bundle = {
+      seed_event: "The Wall never fell",
+      timeline: makeTimeline()
+    } as HauntoloscopeBundle;
+    expect(seedFromBundle(bundle)).toMatchObject({
+      event: "The Wall never fell",
+      interpretation: "affirm"
+    });
+  });
+});
+
+describe("draftFromSeed", () => {
+  it("leaves the reading to the detector when the seed is not pinned", () => {
+    const seed = resolveSeed({ event: "The Wall fell", entry_count: "6" });
+    expect(draftFromSeed(seed)).toMatchObject({ interpretation: "invert", entry_count: "6" });
+    expect(draftFromSeed(seed, false).interpretation).toBeUndefined();
+  });
+});
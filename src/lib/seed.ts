@@ -0,0 +1,97 @@
+import { HauntoloscopeBundle, SeedInterpretation, SeedParameters } from "../types";
+
+export const ENTRY_COUNT_LIMITS = { min: 3, max: 15 };
+
+export const INTERPRETATION_LABELS: Record<SeedInterpretation, string> = {
+  invert: "Inversion of",
+  affirm: "Affirmation of"
+};
+
+// What the builder holds while the reader types. An unset interpretation follows the detector.
+export type SeedDraft = Omit<SeedParameters, "interpretation" | "entry_count"> & {
+  interpretation?: SeedInterpretation;
+  entry_count?: string;
+};
+
+export const EMPTY_SEED_DRAFT: SeedDraft = { event: "" };
+
+// A seed that already negates its event ("the Wall never fell") is affirmed as written; anything
+// else is taken as a real event to be prevented.
+const NEGATION_SIGNALS: { pattern: RegExp; label: string }[] = [
+  { pattern: /\bnever\b/, label: "never" },
+  { pattern: /\bwithout\b/, label: "without" },
+  { pattern: /\bfail(?:ed|s)? to\b/, label: "failed to" },
+  { pattern: /\babsence of\b/, label: "absence of" },
+  { pattern: /\bno longer\b/, label: "no longer" },
+  { pattern: /\binstead of\b/, label: "instead of" },
+  { pattern: /\bif\b.+\bfail(?:ed|s)?\b/, label: "if … failed" },
+  { pattern: /\b\w+n['’]t\b/, label: "n't" },
+  { pattern: /\bnot\b/, label: "not" }
+];
+
+export function detectInterpretation(text: string): {
+  interpretation: SeedInterpretation;
+  signal?: string;
+} {
+  const lowered = text.toLowerCase();
+  const match = NEGATION_SIGNALS.find(({ pattern }) => pattern.test(lowered));
+  return match ? { interpretation: "affirm", signal: match.label } : { interpretation: "invert" };
+}
+
+function clampEntryCount(raw?: string) {
+  const value = Number.parseInt(raw ?? "", 10);
+  if (!Number.isFinite(value)) return undefined;
+  return Math.min(Math.max(value, ENTRY_COUNT_LIMITS.min), ENTRY_COUNT_LIMITS.max);
+}
+
+export function resolveSeed(draft: SeedDraft): SeedParameters {
+  const event = draft.event.trim();
+  const optional = (value?: string) => value?.trim() || undefined;
+  return {
+    event,
+    interpretation: draft.interpretation ?? detectInterpretation(event).interpretation,
+    divergence_date: optional(draft.divergence_date),
+    region: optional(draft.region),
+    horizon: optional(draft.horizon),
+    entry_count: clampEntryCount(draft.entry_count)
+  };
+}
+
+// Bundles from before the builder only carry the text; the detector stands in for the choice.
+export function seedFromBundle(bundle: HauntoloscopeBundle): SeedParameters {
+  return bundle.seed ?? resolveSeed({ event: bundle.seed_event });
+}
+
+export function draftFromSeed(seed: SeedParameters, pinned = true): SeedDraft {
+  return {
+    ...seed,
+    interpretation: pinned ? seed.interpretation : undefined,
+    entry_count: seed.entry_count ? String(seed.entry_count) : undefined
+  };
+}
+
+// Sent with every prompt in place of the old negation-token heuristic, so the model no longer
+// has to guess which way the reader meant the seed.
+export function interpretationDirective(seed: SeedParameters) {
+  return seed.interpretation === "invert"
+    ? {
+        mode: "invert_actual_event",
+        description:
+          "seed_event happened in baseline history. This world is the one where it did not; trace the consequences of its absence."
+      }
+    : {
+        mode: "affirm_premise",
+        description:
+          "seed_event, exactly as written, is established fact in this world, whether it negates a real event or describes one that never happened."
+      };
+}
+
+// The optional framing the reader set, or undefined when they left it all to the model.
+export function seedParameters(seed: SeedParameters) {
+  const parameters = {
+    divergence_date: seed.divergence_date,
+    region_focus: seed.region,
+    time_horizon: seed.horizon
+  };
+  return Object.values(parameters).some(Boolean) ? parameters : undefined;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { readJsonLines, readServerSentEvents } from "./sse";
+
+// A body delivered in exactly these pieces, so tests can split lines and characters anywhere.
+function body(...chunks: string[]) {
+  const encoder = new TextEncoder();
+  return new ReadableStream<Uint8Array>({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+async function collect(events: AsyncIterable<string>) {
+  const seen: string[] = [];
+  for await (const event of events) seen.push(event);
+  return seen;
+}
+
+describe("readServerSentEvents", () => {
+  it("yields one payload per event, however the body is chunked", async () => {
+    const events = await collect(
+      readServerSentEvents(body('data: {"a"', ":1}\n", "\ndata: [DO", "NE]\n\n"))
+    );
+    expect(events).toEqual(['{"a":1}', "[DONE]"]);
+  });
+
+  it("joins multi-line data and reads CRLF line endings", async () => {
+    const events = await collect(readServerSentEvents(body("data: one\r\ndata: two\r\n\r\n")));
+    expect(events).toEqual(["one\ntwo"]);
+  });
+
+  it("skips comments and fields other than data", async () => {
+    const events = await collect(
+      readServerSentEvents(body(": keep-alive\n\nevent: delta\nid: 7\ndata:tight\n\n"))
+    );
+    expect(events).toEqual(["tight"]);
+  });
+
+  it("keeps a final event the server did not terminate", async () => {
+    expect(await collect(readServerSentEvents(body("data: first\n\ndata: last")))).toEqual([
+      "first",
+      "last"
+    ]);
+  });
+
+  it("decodes characters split across chunks", async () => {
+    const bytes = new TextEncoder().encode("data: Zürich — 1989\n\n");
+    const split = bytes.indexOf(0xc3) + 1;
+    const stream = new ReadableStream<Uint8Array>({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, split));
+        controller.enqueue(bytes.slice(split));
+        controller.close();
+      }
+    });
+    expect(await collect(readServerSentEvents(stream))).toEqual(["Zürich — 1989"]);
+  });
+});
+
+describe("readJsonLines", () => {
+  it("yields each non-blank line", async () => {
+    expect(await collect(readJsonLines(body('{"a":1}\n\n{"b"', ":2}\n")))).toEqual([
+      '{"a":1}',
+      '{"b":2}'
+    ]);
+  });
+});
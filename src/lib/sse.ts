@@ -0,0 +1,48 @@
+async function* readLines(body: ReadableStream<Uint8Array>) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let newline = buffer.search(/\r?\n/);
+      while (newline >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(buffer[newline] === "\r" ? newline + 2 : newline + 1);
+        yield line;
+        newline = buffer.search(/\r?\n/);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer) yield buffer;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Yields the `data` payload of each server-sent event, joining multi-line data fields.
+export async function* readServerSentEvents(body: ReadableStream<Uint8Array>) {
+  let data: string[] = [];
+  for await (const line of readLines(body)) {
+    if (line === "") {
+      if (data.length) yield data.join("\n");
+      data = [];
+      continue;
+    }
+    if (line.startsWith(":")) continue;
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    if (field !== "data") continue;
+    const value = separator === -1 ? "" : line.slice(separator + 1);
+    data.push(value.startsWith(" ") ? value.slice(1) : value);
+  }
+  if (data.length) yield data.join("\n");
+}
+
+export async function* readJsonLines(body: ReadableStream<Uint8Array>) {
+  for await (const line of readLines(body)) {
+    if (line.trim()) yield line;
+  }
+}
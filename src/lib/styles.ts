@@ -0,0 +1,326 @@
+import { z } from "zod";
+import { StyleStamp } from "../types";
+import { EDITION_MASTHEAD, EditionMasthead } from "./edition";
+import { uniqueEntryId } from "./entries";
+import { GenerationKind } from "./providers";
+import { ValidationIssue, collectIssues } from "./schemas";
+
+export type SegmentRange = {
+  min: number;
+  max: number;
+};
+
+export type HouseStyle = {
+  id: string;
+  name: string;
+  description: string;
+  // House voice appended to each desk's system prompt; blank leaves the desk's brief as it is.
+  prompts: Record<GenerationKind, string>;
+  // Parts realism to one part uncanny, per desk.
+  realism: Record<GenerationKind, number>;
+  article: {
+    desk: string; // newsroom_style directive
+    structure: string; // completes "Maintain …" in the article brief
+    segments: SegmentRange; // body segments per article
+  };
+  masthead: EditionMasthead;
+};
+
+export const STYLES_KIND = "hauntoloscope.house-styles";
+
+export const DEFAULT_STYLE_ID = "bureau";
+
+export const DEFAULT_STYLE: HouseStyle = {
+  id: DEFAULT_STYLE_ID,
+  name: "Hauntoloscope Bureau",
+  description: "The scope's own front-page analysis: sober, sourced and faintly uncanny.",
+  prompts: { timeline: "", article: "", interpolation: "" },
+  realism: { timeline: 4, article: 5, interpolation: 5 },
+  article: {
+    desk: "front_page_analysis",
+    structure:
+      "inverted-pyramid structure: lede, nut graf, context, sourced quotes, societal impact, forward-looking close",
+    segments: { min: 4, max: 6 }
+  },
+  masthead: EDITION_MASTHEAD
+};
+
+export const BUILT_IN_STYLES: HouseStyle[] = [
+  DEFAULT_STYLE,
+  {
+    id: "tabloid",
+    name: "Tabloid",
+    description: "A mass-market daily that shouts first and checks its sources second.",
+    prompts: {
+      timeline:
+        "Title every entry like a tabloid splash: short, punning and breathless. Favour scandal, celebrity, public panic and human-interest angles while keeping each development causally sound.",
+      article:
+        "Write for a mass-market tabloid rather than a paper of record: punchy one-sentence paragraphs, exclamatory headlines, named eyewitnesses, outraged officials and sources 'close to' the story. Keep every figure and institution checkable.",
+      interpolation:
+        "Frame each insertion as a tabloid brief: a splash-style title and two quick-fire sentences."
+    },
+    realism: { timeline: 3, article: 3, interpolation: 3 },
+    article: {
+      desk: "tabloid_splash",
+      structure:
+        "tabloid structure: a splash lede, eyewitness colour, the named source, public reaction, a cliffhanger close",
+      segments: { min: 3, max: 4 }
+    },
+    masthead: {
+      title: "The Evening Shout",
+      tagline: "Every story they didn't want you to read",
+      typeface: 'Anton, Impact, "Arial Black", sans-serif',
+      ink: "#141010",
+      paper: "#fbf6ee"
+    }
+  },
+  {
+    id: "wire-service",
+    name: "Wire Service",
+    description: "Terse agency copy filed for other newspapers to run.",
+    prompts: {
+      timeline:
+        "Write every entry as an agency slug would read: plain, dated, attributed, with no adjectives that a subscriber desk would cut.",
+      article:
+        "File as a wire agency correspondent: short declarative sentences, attribution on every claim ('officials said', 'according to'), no first person, no flourishes. Editors downstream must be able to cut from the bottom.",
+      interpolation: "Write each insertion as a one-paragraph agency flash with attribution."
+    },
+    realism: { timeline: 6, article: 7, interpolation: 7 },
+    article: {
+      desk: "wire_dispatch",
+      structure:
+        "wire structure: the news in the first sentence, attribution, background, reaction, what happens next",
+      segments: { min: 4, max: 5 }
+    },
+    masthead: {
+      title: "Hauntoloscope Wire",
+      tagline: "Filed for subscribers · Not for broadcast before release",
+      typeface: '"Helvetica Neue", Arial, sans-serif',
+      ink: "#202124",
+      paper: "#f7f7f4"
+    }
+  },
+  {
+    id: "1920s-broadsheet",
+    name: "1920s Broadsheet",
+    description: "A grand interwar paper of record with stacked decks and long paragraphs.",
+    prompts: {
+      timeline:
+        "Give entries the diction of an interwar paper of record: formal titles, honorifics, and references to cables, wireless bulletins and correspondents abroad.",
+      article:
+        "Write as a correspondent of a 1920s broadsheet: ornate, formal prose, honorifics ('Mr.', 'Sir'), long reported paragraphs, quoted correspondence and measured editorial gravity. Keep period vocabulary even when the events are later.",
+      interpolation: "Word each insertion as a period news paragraph in formal interwar diction."
+    },
+    realism: { timeline: 4, article: 4, interpolation: 4 },
+    article: {
+      desk: "period_broadsheet",
+      structure:
+        "1920s broadsheet structure: stacked decks beneath the headline, a discursive lede, long reported paragraphs, quoted correspondence, a closing remark",
+      segments: { min: 5, max: 6 }
+    },
+    masthead: {
+      title: "The Morning Chronicle & Gazette",
+      tagline: "Established in the reign of tradition · All the cables fit to print",
+      typeface: '"UnifrakturMaguntia", "Old English Text MT", "Cormorant Garamond", Georgia, serif',
+      ink: "#2a2118",
+      paper: "#ede3c8"
+    }
+  },
+  {
+    id: "scientific-journal",
+    name: "Scientific Journal",
+    description: "A peer-reviewed report where every anomaly is a data point.",
+    prompts: {
+      timeline:
+        "Phrase entries as findings a research community would log: studies, trials, datasets, replication efforts and funding decisions, each with a figure.",
+      article:
+        "Write as a peer-reviewed report rather than a news story: passive, hedged, precise. Cite sample sizes, confidence intervals, institutions and prior studies; treat anomalies as unexplained residuals. The headline reads as a paper title and the dateline as the submitting institution's city and date.",
+      interpolation:
+        "Frame each insertion as an abstract of a study or report published in the interval."
+    },
+    realism: { timeline: 8, article: 8, interpolation: 8 },
+    article: {
+      desk: "journal_report",
+      structure:
+        "research-report structure: abstract-like lede, background, methods, results with figures, discussion of limitations, conclusion",
+      segments: { min: 4, max: 6 }
+    },
+    masthead: {
+      title: "Proceedings of the Hauntoloscope Society",
+      tagline: "Peer-reviewed · Volume XII",
+      typeface: '"Source Serif Pro", "Spectral", Georgia, serif',
+      ink: "#1a1a1a",
+      paper: "#ffffff"
+    }
+  }
+];
+
+const BUILT_IN_IDS = new Set(BUILT_IN_STYLES.map((style) => style.id));
+
+export function isBuiltInStyle(id: string) {
+  return BUILT_IN_IDS.has(id);
+}
+
+export class StyleImportError extends Error {
+  readonly issues: ValidationIssue[];
+
+  constructor(message: string, issues: ValidationIssue[]) {
+    super(message);
+    this.name = "StyleImportError";
+    this.issues = issues;
+  }
+}
+
+const COLOUR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const ratioSchema = z.number().int().min(1).max(20);
+
+// Missing fields fall back to the bureau's. Blank text is tolerated here because a style is
+// stored on every keystroke while it is being edited.
+const houseStyleSchema = z.object({
+  id: z.string().optional(),
+  name: z.string(),
+  description: z.string().default(""),
+  prompts: z
+    .object({
+      timeline: z.string().default(""),
+      article: z.string().default(""),
+      interpolation: z.string().default("")
+    })
+    .default({}),
+  realism: z
+    .object({
+      timeline: ratioSchema.default(DEFAULT_STYLE.realism.timeline),
+      article: ratioSchema.default(DEFAULT_STYLE.realism.article),
+      interpolation: ratioSchema.default(DEFAULT_STYLE.realism.interpolation)
+    })
+    .default({}),
+  article: z
+    .object({
+      desk: z.string().default(DEFAULT_STYLE.article.desk),
+      structure: z.string().default(DEFAULT_STYLE.article.structure),
+      segments: z
+        .object({ min: z.number().int().min(1).max(12), max: z.number().int().min(1).max(12) })
+        .refine((range) => range.min <= range.max, "min must not exceed max")
+        .default(DEFAULT_STYLE.article.segments)
+    })
+    .default({}),
+  masthead: z
+    .object({
+      title: z.string().default(EDITION_MASTHEAD.title),
+      tagline: z.string().default(""),
+      typeface: z.string().default(EDITION_MASTHEAD.typeface),
+      ink: z.string().regex(COLOUR, "expected a hex colour").default(EDITION_MASTHEAD.ink),
+      paper: z.string().regex(COLOUR, "expected a hex colour").default(EDITION_MASTHEAD.paper)
+    })
+    .default({})
+});
+
+// An imported style must at least be named; other blank text takes the bureau's.
+const importedStyleSchema = houseStyleSchema
+  .extend({ name: z.string().trim().min(1) })
+  .transform((style) => {
+    const fill = (value: string, fallback: string) => (value.trim() ? value : fallback);
+    return {
+      ...style,
+      article: {
+        ...style.article,
+        desk: fill(style.article.desk, DEFAULT_STYLE.article.desk),
+        structure: fill(style.article.structure, DEFAULT_STYLE.article.structure)
+      },
+      masthead: {
+        ...style.masthead,
+        title: fill(style.masthead.title, EDITION_MASTHEAD.title),
+        typeface: fill(style.masthead.typeface, EDITION_MASTHEAD.typeface)
+      }
+    };
+  });
+
+function assignId(style: z.infer<typeof houseStyleSchema>, taken: Set<string>): HouseStyle {
+  const preferred = style.id && !taken.has(style.id) ? style.id : style.name;
+  const id = uniqueEntryId(preferred, taken);
+  taken.add(id);
+  return { ...style, id };
+}
+
+// Custom styles come back from localStorage; drop anything an older or edited copy broke.
+export function normalizeHouseStyles(raw: unknown): HouseStyle[] {
+  if (!Array.isArray(raw)) return [];
+  const taken = new Set(BUILT_IN_IDS);
+  return raw.flatMap((item) => {
+    const result = houseStyleSchema.safeParse(item);
+    return result.success ? [assignId(result.data, taken)] : [];
+  });
+}
+
+// Accepts one style, an array of styles, or an export file, and gives each an id not in use.
+export function parseHouseStyles(text: string, existing: HouseStyle[]): HouseStyle[] {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new StyleImportError("Style file is not valid JSON", [
+      { path: "(root)", message: error instanceof Error ? error.message : String(error) }
+    ]);
+  }
+  const items =
+    raw && typeof raw === "object" && (raw as { kind?: unknown }).kind === STYLES_KIND
+      ? (raw as { styles?: unknown }).styles
+      : Array.isArray(raw)
+        ? raw
+        : [raw];
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new StyleImportError("Style file holds no styles", [
+      { path: "styles", message: "expected a non-empty array of styles" }
+    ]);
+  }
+
+  const taken = new Set([...BUILT_IN_IDS, ...existing.map((style) => style.id)]);
+  const styles: HouseStyle[] = [];
+  const issues: ValidationIssue[] = [];
+  items.forEach((item, index) => {
+    const result = importedStyleSchema.safeParse(item);
+    if (result.success) {
+      styles.push(assignId(result.data, taken));
+    } else {
+      issues.push(
+        ...collectIssues(result.error).map((issue) => ({
+          ...issue,
+          path: `styles[${index}].${issue.path}`
+        }))
+      );
+    }
+  });
+  if (issues.length > 0) {
+    throw new StyleImportError(
+      `Style file failed validation (${issues.length} ${issues.length === 1 ? "problem" : "problems"})`,
+      issues
+    );
+  }
+  return styles;
+}
+
+export function serializeHouseStyles(styles: HouseStyle[]) {
+  return JSON.stringify({ kind: STYLES_KIND, version: 1, styles }, null, 2);
+}
+
+export function copyHouseStyle(style: HouseStyle, existing: HouseStyle[], name: string) {
+  const taken = new Set([...BUILT_IN_IDS, ...existing.map((item) => item.id)]);
+  return { ...style, id: uniqueEntryId(name, taken), name };
+}
+
+export function findHouseStyle(styles: HouseStyle[], id?: string) {
+  return styles.find((style) => style.id === id);
+}
+
+export function stampStyle(style: HouseStyle): StyleStamp {
+  return { id: style.id, name: style.name };
+}
+
+export function realismRatio(style: HouseStyle, kind: GenerationKind) {
+  return `${style.realism[kind]}:1 realism_to_uncanny`;
+}
+
+export function formatSegmentRange(range: SegmentRange) {
+  return range.min === range.max ? String(range.min) : `${range.min}-${range.max}`;
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { makeEntry } from "../test/fixtures";
+import {
+  catalogueThreads,
+  renameThreads,
+  suggestThreadMerges,
+  threadCoOccurrence,
+  threadKey
+} from "./threads";
+
+const entries = [
+  makeEntry("a", { threads: ["Grid Anomalies", "border"] }),
+  makeEntry("b", { threads: ["grid-anomaly"] }),
+  makeEntry("c", { threads: ["grid anomaly", "Grid Anomalies", "press"] }),
+  makeEntry("d", { threads: ["press"] }),
+  makeEntry("e", { threads: undefined })
+];
+
+describe("catalogueThreads", () => {
+  it("lists threads in order of first appearance with the entries carrying them", () => {
+    expect(catalogueThreads(entries)).toEqual([
+      { name: "Grid Anomalies", entryIds: ["a", "c"] },
+      { name: "border", entryIds: ["a"] },
+      { name: "grid-anomaly", entryIds: ["b"] },
+      { name: "grid anomaly", entryIds: ["c"] },
+      { name: "press", entryIds: ["c", "d"] }
+    ]);
+  });
+});
+
+describe("threadCoOccurrence", () => {
+  it("counts entries that carry both threads", () => {
+    expect(threadCoOccurrence(entries, ["Grid Anomalies", "press", "border"])).toEqual([
+      [2, 1, 1],
+      [1, 2, 0],
+      [1, 0, 1]
+    ]);
+  });
+});
+
+describe("renameThreads", () => {
+  it("renames a thread everywhere it appears and leaves other entries untouched", () => {
+    const renamed = renameThreads(entries, ["press"], " Newsroom ");
+    expect(renamed.map((entry) => entry.threads)).toEqual([
+      ["Grid Anomalies", "border"],
+      ["grid-anomaly"],
+      ["grid anomaly", "Grid Anomalies", "Newsroom"],
+      ["Newsroom"],
+      undefined
+    ]);
+    expect(renamed[0]).toBe(entries[0]);
+    expect(renamed[4]).toBe(entries[4]);
+  });
+
+  it("merges several spellings into one, without duplicating it on an entry", () => {
+    const merged = renameThreads(
+      entries,
+      ["grid-anomaly", "grid anomaly", "Grid Anomalies"],
+      "Grid Anomalies"
+    );
+    expect(merged.map((entry) => entry.threads)).toEqual([
+      ["Grid Anomalies", "border"],
+      ["Grid Anomalies"],
+      ["Grid Anomalies", "press"],
+      ["press"],
+      undefined
+    ]);
+    expect(catalogueThreads(merged)).toEqual([
+      { name: "Grid Anomalies", entryIds: ["a", "b", "c"] },
+      { name: "border", entryIds: ["a"] },
+      { name: "press", entryIds: ["c", "d"] }
+    ]);
+  });
+
+  it("ignores a blank target name", () => {
+    expect(renameThreads(entries, ["press"], "  ")).toBe(entries);
+  });
+});
+
+describe("suggestThreadMerges", () => {
+  it("folds spelling differences", () => {
+    expect(threadKey("The Grid Anomalies")).toBe("grid anomaly");
+    expect(threadKey("grid-anomaly")).toBe("grid anomaly");
+    expect(threadKey("Café Press")).toBe("cafe press");
+    expect(threadKey("Congress")).toBe("congress");
+  });
+
+  it("groups threads with the same key, most-used spelling first", () => {
+    expect(suggestThreadMerges(catalogueThreads(entries))).toEqual([
+      ["Grid Anomalies", "grid-anomaly", "grid anomaly"]
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+import { TimelineEntry } from "../types";
+import { parseHistoricalDate } from "./dates";
+
+export type ThreadSummary = {
+  name: string;
+  entryIds: string[];
+};
+
+export type ThreadTracePoint = {
+  entryId: string;
+  title: string;
+  position: number; // 0–1 across the timeline's dated span
+};
+
+export type ThreadTrace = {
+  name: string;
+  points: ThreadTracePoint[];
+};
+
+// Threads in order of first appearance, each with the entries that touch it.
+export function catalogueThreads(entries: TimelineEntry[]): ThreadSummary[] {
+  const registry = new Map<string, string[]>();
+  entries.forEach((entry) =>
+    entry.threads?.forEach((thread) => {
+      const entryIds = registry.get(thread) ?? [];
+      if (!entryIds.includes(entry.id)) entryIds.push(entry.id);
+      registry.set(thread, entryIds);
+    })
+  );
+  return Array.from(registry, ([name, entryIds]) => ({ name, entryIds }));
+}
+
+// matrix[i][j] counts entries carrying both threads[i] and threads[j]; the diagonal is each
+// thread's own entry count.
+export function threadCoOccurrence(entries: TimelineEntry[], threads: string[]) {
+  const index = new Map(threads.map((thread, position) => [thread, position]));
+  const matrix = threads.map(() => threads.map(() => 0));
+  entries.forEach((entry) => {
+    const present = Array.from(new Set(entry.threads ?? []))
+      .map((thread) => index.get(thread))
+      .filter((position): position is number => position !== undefined);
+    present.forEach((row) => present.forEach((column) => (matrix[row][column] += 1)));
+  });
+  return matrix;
+}
+
+// Places entries on a shared 0–1 axis: by anchor date when at least two distinct dates can be
+// read, otherwise by position in the list. Undated entries sit between their dated neighbours.
+function timelinePositions(entries: TimelineEntry[]) {
+  const times = entries.map((entry) => parseHistoricalDate(entry.anchorDate)?.midpoint ?? null);
+  const known = times.filter((time): time is number => time !== null);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  const positions = new Map<string, number>();
+
+  if (known.length < 2 || max === min) {
+    entries.forEach((entry, index) =>
+      positions.set(entry.id, entries.length > 1 ? index / (entries.length - 1) : 0.5)
+    );
+    return positions;
+  }
+
+  let previous = 0;
+  entries.forEach((entry, index) => {
+    const time = times[index];
+    if (time !== null) {
+      previous = (time - min) / (max - min);
+      positions.set(entry.id, previous);
+      return;
+    }
+    const nextIndex = times.findIndex((candidate, offset) => offset > index && candidate !== null);
+    const next = nextIndex >= 0 ? ((times[nextIndex] as number) - min) / (max - min) : 1;
+    positions.set(entry.id, (previous + next) / 2);
+  });
+  return positions;
+}
+
+export function traceThreads(entries: TimelineEntry[], threads: ThreadSummary[]): ThreadTrace[] {
+  const positions = timelinePositions(entries);
+  const byId = new Map(entries.map((entry) => [entry.id, entry]));
+  return threads.map((thread) => ({
+    name: thread.name,
+    points: thread.entryIds
+      .map((entryId) => ({
+        entryId,
+        title: byId.get(entryId)?.title ?? entryId,
+        position: positions.get(entryId) ?? 0
+      }))
+      .sort((a, b) => a.position - b.position)
+  }));
+}
+
+// Renames every occurrence of the `from` threads to `to` across all entries, dropping
+// duplicates an entry would otherwise end up carrying.
+export function renameThreads(entries: TimelineEntry[], from: string[], to: string) {
+  const target = to.trim();
+  const sources = new Set(from);
+  if (!target) return entries;
+  return entries.map((entry) => {
+    if (!entry.threads?.some((thread) => sources.has(thread))) return entry;
+    const threads = entry.threads.map((thread) => (sources.has(thread) ? target : thread));
+    return { ...entry, threads: Array.from(new Set(threads)) };
+  });
+}
+
+// Folds case, punctuation, articles and plurals so differently spelled threads compare equal.
+export function threadKey(thread: string) {
+  return thread
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\b(the|a|an|of|and)\b/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => {
+      if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+      if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+      return word;
+    })
+    .join(" ");
+}
+
+// Groups threads the model spelled differently ("Grid Anomalies", "grid-anomaly"), most-used
+// spelling first so it can serve as the merge target.
+export function suggestThreadMerges(threads: ThreadSummary[]) {
+  const groups = new Map<string, ThreadSummary[]>();
+  threads.forEach((thread) => {
+    const key = threadKey(thread.name);
+    if (!key) return;
+    groups.set(key, [...(groups.get(key) ?? []), thread]);
+  });
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .map((group) =>
+      [...group].sort((a, b) => b.entryIds.length - a.entryIds.length).map((thread) => thread.name)
+    );
+}
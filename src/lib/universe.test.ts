@@ -0,0 +1,190 @@
+import { describe, expect, it } from "vitest";
+import { MODEL, STYLE, makeArticle, makeEntry, makeTimeline } from "../test/fixtures";
+import { parseBundle } from "./bundle";
+import {
+  EMPTY_UNIVERSE,
+  UniverseAction,
+  UniverseState,
+  createBundle,
+  selectCanRedo,
+  selectCanUndo,
+  universeReducer
+} from "./universe";
+
+function reduce(...actions: UniverseAction[]) {
+  return actions.reduce(universeReducer, EMPTY_UNIVERSE);
+}
+
+const generated: UniverseAction = {
+  type: "generated",
+  universeId: "universe-1",
+  seed: { event: "The Berlin Wall fell in 1989", interpretation: "invert" },
+  timeline: makeTimeline(),
+  model: MODEL
+};
+
+function filed(entryId: string, headline?: string): UniverseAction {
+  return {
+    type: "article_filed",
+    entryId,
+    article: makeArticle(headline),
+    fingerprint: `fingerprint-${entryId}`,
+    style: STYLE,
+    model: MODEL
+  };
+}
+
+const ids = (state: UniverseState) => state.timeline.present?.entries.map((entry) => entry.id);
+
+describe("universeReducer", () => {
+  it("opens a generated universe with a summary and provenance", () => {
+    const state = reduce(generated);
+    expect(state.universeId).toBe("universe-1");
+    expect(state.seedSummary).toContain("THE WALL HOLDS");
+    expect(state.provenance.timeline).toEqual(MODEL);
+    expect(selectCanUndo(state)).toBe(false);
+  });
+
+  it("splices interpolations and records the model", () => {
+    const state = reduce(generated, {
+      type: "interpolated",
+      anchorId: "first",
+      entries: [makeEntry("between")],
+      model: MODEL
+    });
+    expect(ids(state)).toEqual(["first", "between", "second", "third"]);
+    expect(state.provenance.interpolation).toEqual(MODEL);
+  });
+
+  it("ignores interpolations for an anchor that is gone", () => {
+    const before = reduce(generated, { type: "entry_deleted", entryId: "first" });
+    const after = universeReducer(before, {
+      type: "interpolated",
+      anchorId: "first",
+      entries: [makeEntry("between")],
+      model: MODEL
+    });
+    expect(after).toBe(before);
+  });
+
+  it("drops an article filed for an entry that is gone", () => {
+    const before = reduce(generated, { type: "entry_deleted", entryId: "first" });
+    expect(universeReducer(before, filed("first"))).toBe(before);
+  });
+
+  it("undoes and redoes timeline edits", () => {
+    const deleted = reduce(generated, { type: "entry_deleted", entryId: "second" });
+    expect(ids(deleted)).toEqual(["first", "third"]);
+    const undone = universeReducer(deleted, { type: "undo" });
+    expect(ids(undone)).toEqual(["first", "second", "third"]);
+    expect(selectCanRedo(undone)).toBe(true);
+    expect(ids(universeReducer(undone, { type: "redo" }))).toEqual(["first", "third"]);
+  });
+
+  it("keeps the last entry on the timeline", () => {
+    const single = reduce({ ...generated, timeline: makeTimeline(["only"]) } as UniverseAction);
+    expect(universeReducer(single, { type: "entry_deleted", entryId: "only" })).toBe(single);
+  });
+
+  it("keeps the filed copy when a refile fails", () => {
+    const state = reduce(
+      generated,
+      filed("first"),
+      { type: "article_requested", entryId: "first" },
+      { type: "article_failed", entryId: "first", error: "timeout" }
+    );
+    expect(state.articles.first).toMatchObject({
+      status: "error",
+      error: "timeout",
+      data: makeArticle(),
+      fingerprint: "fingerprint-first"
+    });
+    expect(createBundle(state)?.articles.first).toEqual(makeArticle());
+  });
+
+  it("puts released stories back as they were", () => {
+    const state = reduce(
+      generated,
+      filed("first"),
+      { type: "articles_queued", entryIds: ["first", "second"] },
+      { type: "articles_released", entryIds: ["first", "second"], from: "queued" }
+    );
+    expect(state.articles.first).toMatchObject({ status: "ready", data: makeArticle() });
+    expect(state.articles.second).toEqual({ status: "idle" });
+  });
+
+  it("keeps every filed version and can switch back to one", () => {
+    const state = reduce(generated, filed("first", "First Take"), filed("first", "Second Take"));
+    expect(state.articles.first.revisions?.map((item) => item.article.headline)).toEqual([
+      "First Take",
+      "Second Take"
+    ]);
+    const selected = universeReducer(state, {
+      type: "article_version_selected",
+      entryId: "first",
+      index: 0
+    });
+    expect(selected.articles.first.data?.headline).toBe("First Take");
+  });
+
+  it("re-keys an entry and carries its records across", () => {
+    const withBadId = reduce({
+      ...generated,
+      timeline: { ...makeTimeline(), entries: [makeEntry("Bad Id"), makeEntry("second")] }
+    } as UniverseAction);
+    const actions: UniverseAction[] = [
+      filed("Bad Id"),
+      {
+        type: "facts_extracted",
+        entryId: "Bad Id",
+        facts: [{ kind: "person", name: "Egon Krenz", detail: "General Secretary" }]
+      },
+      { type: "entry_rekeyed", index: 0, id: "bad-id" }
+    ];
+    const state = actions.reduce(universeReducer, withBadId);
+    expect(ids(state)).toEqual(["bad-id", "second"]);
+    expect(state.articles["bad-id"].data).toEqual(makeArticle());
+    expect(state.ledger.facts[0].entry_ids).toContain("bad-id");
+    // The old id keeps its records so an undo finds them again.
+    const undone = universeReducer(state, { type: "undo" });
+    expect(ids(undone)).toEqual(["Bad Id", "second"]);
+    expect(undone.articles["Bad Id"].data).toEqual(makeArticle());
+  });
+
+  it("refuses to re-key onto an id already in use", () => {
+    const state = reduce(generated);
+    expect(universeReducer(state, { type: "entry_rekeyed", index: 0, id: "second" })).toBe(state);
+  });
+});
+
+describe("createBundle", () => {
+  it("writes a bundle that parses back to the same universe", () => {
+    const state = reduce(generated, filed("first"), {
+      type: "entry_deleted",
+      entryId: "third"
+    });
+    const bundle = createBundle(state);
+    expect(bundle).not.toBeNull();
+    const parsed = parseBundle(JSON.parse(JSON.stringify(bundle)));
+    expect(parsed.timeline.entries.map((entry) => entry.id)).toEqual(["first", "second"]);
+    expect(Object.keys(parsed.articles)).toEqual(["first"]);
+    expect(parsed.article_fingerprints).toEqual({ first: "fingerprint-first" });
+
+    const reopened = universeReducer(EMPTY_UNIVERSE, {
+      type: "loaded",
+      bundle: parsed,
+      universeId: "universe-1"
+    });
+    expect(ids(reopened)).toEqual(["first", "second"]);
+    expect(reopened.articles.first.data).toEqual(makeArticle());
+  });
+
+  it("leaves out the articles of deleted entries", () => {
+    const state = reduce(generated, filed("third"), { type: "entry_deleted", entryId: "third" });
+    expect(createBundle(state)?.articles).toEqual({});
+  });
+
+  it("returns null without a timeline", () => {
+    expect(createBundle(EMPTY_UNIVERSE)).toBeNull();
+  });
+});
@@ -0,0 +1,538 @@
+import {
+  ArticleResponse,
+  ArticleRevision,
+  BundleProvenance,
+  ContinuityLedger,
+  EntryDocument,
+  EntryRevision,
+  FiledDocument,
+  HauntoloscopeBundle,
+  ModelStamp,
+  SeedParameters,
+  StyleStamp,
+  TimelineEntry,
+  TimelineResponse,
+  UniverseLineage
+} from "../types";
+import { BUNDLE_VERSION } from "./bundle";
+import { fileDocument } from "./documents";
+import { createSeedSummary, entryFingerprint, moveEntry, spliceInterpolations } from "./entries";
+import { ExtensionDirection, extendEntries } from "./extension";
+import { PROMPT_VERSION, PartialArticle } from "./groq";
+import { EMPTY_LEDGER, mergeExtractedFacts } from "./ledger";
+import { seedFromBundle } from "./seed";
+import { recordArticleVersion, recordEntryVersion } from "./revisions";
+import { ExtractedFact, ValidationIssue } from "./schemas";
+import { renameThreads } from "./threads";
+
+export type ArticleState = {
+  status: "idle" | "queued" | "loading" | "ready" | "error";
+  data?: ArticleResponse;
+  fingerprint?: string; // of the entry as it stood when the article was filed
+  revisions?: ArticleRevision[];
+  style?: StyleStamp; // house style the current copy was filed in
+  partial?: PartialArticle;
+  error?: string;
+  issues?: ValidationIssue[];
+};
+
+type History<T> = {
+  past: T[];
+  present: T;
+  future: T[];
+};
+
+// Enough to walk back through a long editing session without holding every timeline forever.
+const HISTORY_LIMIT = 100;
+
+// Everything that belongs to the open universe. Every change goes through `universeReducer`,
+// so requests that finish in any order each apply their result to the latest state.
+export type UniverseState = {
+  universeId: string | null;
+  lineage: UniverseLineage | null;
+  // The seed the timeline was generated from, not whatever the builder holds now.
+  seed: SeedParameters;
+  seedSummary: string;
+  // Only timeline edits are undoable; articles, documents and the ledger follow entry ids.
+  timeline: History<TimelineResponse | null>;
+  articles: Record<string, ArticleState>;
+  provenance: BundleProvenance;
+  ledger: ContinuityLedger;
+  entryRevisions: Record<string, EntryRevision[]>;
+  documents: Record<string, FiledDocument[]>;
+  // Bumped by every change worth saving; the archive autosaves when it moves.
+  revision: number;
+};
+
+export type UniverseAction =
+  | {
+      type: "generated";
+      universeId: string;
+      seed: SeedParameters;
+      timeline: TimelineResponse;
+      model: ModelStamp;
+    }
+  // A bundle opened from a file, the archive or a fork. `unsaved` queues an autosave.
+  | { type: "loaded"; bundle: HauntoloscopeBundle; universeId: string | null; unsaved?: boolean }
+  | { type: "universe_closed" }
+  | { type: "interpolated"; anchorId: string; entries: TimelineEntry[]; model: ModelStamp }
+  | {
+      type: "extended";
+      direction: ExtensionDirection;
+      entries: TimelineEntry[];
+      model: ModelStamp;
+    }
+  | { type: "entry_saved"; entryId: string; entry: TimelineEntry }
+  | { type: "entry_added"; afterId: string | null; entry: TimelineEntry }
+  | { type: "entry_deleted"; entryId: string }
+  | { type: "entry_moved"; fromIndex: number; toIndex: number }
+  // Gives the entry at `index` a new id; by position, since a duplicated id names two entries.
+  | { type: "entry_rekeyed"; index: number; id: string }
+  | { type: "entry_revised"; original: TimelineEntry; revised: TimelineEntry; note: string }
+  | { type: "threads_renamed"; from: string[]; to: string }
+  | { type: "undo" }
+  | { type: "redo" }
+  | { type: "articles_queued"; entryIds: string[] }
+  | { type: "article_requested"; entryId: string }
+  | { type: "article_streamed"; entryId: string; partial: PartialArticle }
+  | {
+      type: "article_filed";
+      entryId: string;
+      article: ArticleResponse;
+      fingerprint: string;
+      style: StyleStamp;
+      model: ModelStamp;
+      note?: string;
+    }
+  | { type: "article_failed"; entryId: string; error: string; issues?: ValidationIssue[] }
+  // Puts stories back as they were before a request; `from` limits it to stories in that state.
+  | { type: "articles_released"; entryIds: string[]; from?: ArticleState["status"] }
+  | { type: "article_version_selected"; entryId: string; index: number }
+  | { type: "document_filed"; entryId: string; document: EntryDocument }
+  | { type: "document_removed"; entryId: string; documentId: string }
+  | { type: "facts_extracted"; entryId: string; facts: ExtractedFact[] }
+  | { type: "ledger_edited"; ledger: ContinuityLedger };
+
+export const EMPTY_UNIVERSE: UniverseState = {
+  universeId: null,
+  lineage: null,
+  seed: { event: "", interpretation: "invert" },
+  seedSummary: "",
+  timeline: { past: [], present: null, future: [] },
+  articles: {},
+  provenance: { prompt_version: PROMPT_VERSION },
+  ledger: EMPTY_LEDGER,
+  entryRevisions: {},
+  documents: {},
+  revision: 0
+};
+
+// While a story is refiled its previous article rides along, so a cancelled or never-started
+// refile leaves the old copy in place instead of an empty slot.
+function keepFiledCopy(
+  state?: ArticleState
+): Pick<ArticleState, "data" | "fingerprint" | "revisions" | "style"> {
+  return state?.data
+    ? {
+        data: state.data,
+        fingerprint: state.fingerprint,
+        revisions: state.revisions,
+        style: state.style
+      }
+    : {};
+}
+
+function releaseArticle(state?: ArticleState): ArticleState {
+  return state?.data ? { status: "ready", ...keepFiledCopy(state) } : { status: "idle" };
+}
+
+// Relics from before fingerprints were recorded are taken to match their entries.
+function articlesFromBundle(bundle: HauntoloscopeBundle): Record<string, ArticleState> {
+  const entriesById = new Map(bundle.timeline.entries.map((entry) => [entry.id, entry]));
+  return Object.fromEntries(
+    Object.entries(bundle.articles || {}).map(([key, value]) => {
+      const entry = entriesById.get(key);
+      const fingerprint =
+        bundle.article_fingerprints?.[key] ?? (entry ? entryFingerprint(entry) : undefined);
+      const style = bundle.article_styles?.[key];
+      const revisions = bundle.article_revisions?.[key] ?? [
+        { article: value, filed_at: bundle.generated_at, fingerprint, style }
+      ];
+      return [key, { status: "ready", data: value, fingerprint, revisions, style }];
+    })
+  );
+}
+
+function hasEntry(state: UniverseState, entryId: string) {
+  return state.timeline.present?.entries.some((entry) => entry.id === entryId) ?? false;
+}
+
+function updateEntries(
+  state: UniverseState,
+  update: (entries: TimelineEntry[]) => TimelineEntry[]
+): UniverseState {
+  const present = state.timeline.present;
+  if (!present) return state;
+  return {
+    ...state,
+    timeline: {
+      past: [...state.timeline.past, present].slice(-HISTORY_LIMIT),
+      present: { ...present, entries: update(present.entries) },
+      future: []
+    },
+    revision: state.revision + 1
+  };
+}
+
+function updateArticle(
+  state: UniverseState,
+  entryId: string,
+  update: (article: ArticleState | undefined) => ArticleState | undefined
+): UniverseState {
+  const next = update(state.articles[entryId]);
+  if (!next || next === state.articles[entryId]) return state;
+  return { ...state, articles: { ...state.articles, [entryId]: next } };
+}
+
+export function universeReducer(state: UniverseState, action: UniverseAction): UniverseState {
+  switch (action.type) {
+    case "generated":
+      return {
+        ...EMPTY_UNIVERSE,
+        universeId: action.universeId,
+        seed: action.seed,
+        seedSummary: createSeedSummary(action.seed.event, action.timeline),
+        timeline: { past: [], present: action.timeline, future: [] },
+        provenance: { prompt_version: PROMPT_VERSION, timeline: action.model },
+        revision: state.revision + 1
+      };
+    case "loaded": {
+      const { bundle } = action;
+      return {
+        universeId: action.universeId,
+        lineage: bundle.lineage ?? null,
+        seed: seedFromBundle(bundle),
+        seedSummary: bundle.seed_summary || createSeedSummary(bundle.seed_event, bundle.timeline),
+        timeline: { past: [], present: bundle.timeline, future: [] },
+        articles: articlesFromBundle(bundle),
+        provenance: bundle.provenance ?? { prompt_version: PROMPT_VERSION },
+        ledger: bundle.ledger ?? EMPTY_LEDGER,
+        entryRevisions: bundle.entry_revisions ?? {},
+        documents: bundle.documents ?? {},
+        revision: action.unsaved ? state.revision + 1 : state.revision
+      };
+    }
+    case "universe_closed":
+      // The desk keeps its pages; they just stop saving to an archive record that is gone.
+      return { ...state, universeId: null };
+    case "interpolated": {
+      // A reply for an entry since deleted, or for another universe, has nothing to attach to.
+      if (!hasEntry(state, action.anchorId)) return state;
+      const next = updateEntries(state, (entries) =>
+        spliceInterpolations(entries, action.anchorId, action.entries)
+      );
+      if (next === state) return state;
+      return {
+        ...next,
+        provenance: {
+          ...next.provenance,
+          prompt_version: PROMPT_VERSION,
+          interpolation: action.model
+        }
+      };
+    }
+    case "extended": {
+      if (action.entries.length === 0) return state;
+      const next = updateEntries(state, (entries) =>
+        extendEntries(entries, action.direction, action.entries)
+      );
+      if (next === state) return state;
+      return {
+        ...next,
+        provenance: {
+          ...next.provenance,
+          prompt_version: PROMPT_VERSION,
+          interpolation: action.model
+        }
+      };
+    }
+    case "entry_saved":
+      return updateEntries(state, (entries) =>
+        entries.map((entry) =>
+          entry.id === action.entryId ? { ...action.entry, id: action.entryId } : entry
+        )
+      );
+    case "entry_added":
+      return updateEntries(state, (entries) => {
+        const next = [...entries];
+        const position = action.afterId
+          ? next.findIndex((entry) => entry.id === action.afterId)
+          : -1;
+        next.splice(position >= 0 ? position + 1 : next.length, 0, action.entry);
+        return next;
+      });
+    case "entry_deleted":
+      // A timeline keeps at least one entry; stored and imported bundles refuse an empty one.
+      if ((state.timeline.present?.entries.length ?? 0) <= 1) return state;
+      return updateEntries(state, (entries) =>
+        entries.filter((entry) => entry.id !== action.entryId)
+      );
+    case "entry_moved":
+      return updateEntries(state, (entries) =>
+        moveEntry(entries, action.fromIndex, action.toIndex)
+      );
+    case "entry_rekeyed": {
+      const entries = state.timeline.present?.entries ?? [];
+      const previousId = entries[action.index]?.id;
+      if (previousId === undefined || entries.some((entry) => entry.id === action.id)) {
+        return state;
+      }
+      const next = updateEntries(state, (current) =>
+        current.map((entry, index) =>
+          index === action.index ? { ...entry, id: action.id } : entry
+        )
+      );
+      // A duplicate leaves what is filed under the id with the entry that keeps it. Otherwise the
+      // records are copied across, and stay under the old id too, so an undo finds them again.
+      if (entries.some((entry, index) => index !== action.index && entry.id === previousId)) {
+        return next;
+      }
+      const copy = <T>(record: Record<string, T>) =>
+        previousId in record ? { ...record, [action.id]: record[previousId] } : record;
+      return {
+        ...next,
+        articles: copy(state.articles),
+        entryRevisions: copy(state.entryRevisions),
+        documents: copy(state.documents),
+        ledger: {
+          ...state.ledger,
+          facts: state.ledger.facts.map((fact) =>
+            fact.entry_ids.includes(previousId)
+              ? { ...fact, entry_ids: [...fact.entry_ids, action.id] }
+              : fact
+          )
+        }
+      };
+    }
+    case "entry_revised": {
+      const { original, revised, note } = action;
+      if (!hasEntry(state, original.id)) return state;
+      const revisedAt = new Date().toISOString();
+      const withOriginal = recordEntryVersion(state.entryRevisions[original.id] ?? [], original, {
+        revised_at: revisedAt
+      });
+      const next = updateEntries(state, (entries) =>
+        entries.map((item) => (item.id === original.id ? revised : item))
+      );
+      return {
+        ...next,
+        entryRevisions: {
+          ...state.entryRevisions,
+          [original.id]: recordEntryVersion(withOriginal, revised, { note, revised_at: revisedAt })
+        }
+      };
+    }
+    case "threads_renamed":
+      return updateEntries(state, (entries) => renameThreads(entries, action.from, action.to));
+    case "undo": {
+      const { past, present, future } = state.timeline;
+      if (past.length === 0) return state;
+      return {
+        ...state,
+        timeline: {
+          past: past.slice(0, -1),
+          present: past[past.length - 1],
+          future: [present, ...future]
+        },
+        revision: state.revision + 1
+      };
+    }
+    case "redo": {
+      const { past, present, future } = state.timeline;
+      if (future.length === 0) return state;
+      return {
+        ...state,
+        timeline: { past: [...past, present], present: future[0], future: future.slice(1) },
+        revision: state.revision + 1
+      };
+    }
+    case "articles_queued":
+      return {
+        ...state,
+        articles: {
+          ...state.articles,
+          ...Object.fromEntries(
+            action.entryIds.map((id) => [
+              id,
+              { status: "queued", ...keepFiledCopy(state.articles[id]) }
+            ])
+          )
+        }
+      };
+    case "article_requested":
+      return updateArticle(state, action.entryId, (article) => ({
+        status: "loading",
+        ...keepFiledCopy(article)
+      }));
+    case "article_streamed":
+      // A partial that lands after the request was cancelled or finished is dropped.
+      return updateArticle(state, action.entryId, (article) =>
+        article?.status === "loading" ? { ...article, partial: action.partial } : article
+      );
+    case "article_filed": {
+      if (!hasEntry(state, action.entryId)) return state;
+      const previous = state.articles[action.entryId];
+      return {
+        ...state,
+        articles: {
+          ...state.articles,
+          [action.entryId]: {
+            status: "ready",
+            data: action.article,
+            fingerprint: action.fingerprint,
+            style: action.style,
+            revisions: recordArticleVersion(previous?.revisions ?? [], action.article, {
+              note: action.note,
+              filed_at: new Date().toISOString(),
+              fingerprint: action.fingerprint,
+              style: action.style
+            })
+          }
+        },
+        provenance: { ...state.provenance, prompt_version: PROMPT_VERSION, article: action.model },
+        revision: state.revision + 1
+      };
+    }
+    case "article_failed":
+      // A failed refile leaves the filed copy and its history in place beside the error.
+      return updateArticle(state, action.entryId, (article) => ({
+        status: "error",
+        ...keepFiledCopy(article),
+        error: action.error,
+        issues: action.issues
+      }));
+    case "articles_released":
+      return action.entryIds.reduce(
+        (current, id) =>
+          updateArticle(current, id, (article) =>
+            article && (!action.from || article.status === action.from)
+              ? releaseArticle(article)
+              : article
+          ),
+        state
+      );
+    case "article_version_selected": {
+      const article = state.articles[action.entryId];
+      const version = article?.revisions?.[action.index];
+      if (article?.status !== "ready" || !version) return state;
+      return {
+        ...updateArticle(state, action.entryId, () => ({
+          ...article,
+          data: version.article,
+          fingerprint: version.fingerprint,
+          style: version.style
+        })),
+        revision: state.revision + 1
+      };
+    }
+    case "document_filed":
+      return {
+        ...state,
+        documents: {
+          ...state.documents,
+          [action.entryId]: fileDocument(state.documents[action.entryId] ?? [], action.document)
+        },
+        revision: state.revision + 1
+      };
+    case "document_removed":
+      return {
+        ...state,
+        documents: {
+          ...state.documents,
+          [action.entryId]: (state.documents[action.entryId] ?? []).filter(
+            (item) => item.id !== action.documentId
+          )
+        },
+        revision: state.revision + 1
+      };
+    case "facts_extracted":
+      return {
+        ...state,
+        ledger: mergeExtractedFacts(state.ledger, action.entryId, action.facts),
+        revision: state.revision + 1
+      };
+    case "ledger_edited":
+      return { ...state, ledger: action.ledger, revision: state.revision + 1 };
+  }
+}
+
+export function selectTimeline(state: UniverseState) {
+  return state.timeline.present;
+}
+
+export function selectCanUndo(state: UniverseState) {
+  return state.timeline.past.length > 0;
+}
+
+export function selectCanRedo(state: UniverseState) {
+  return state.timeline.future.length > 0;
+}
+
+export function createBundle(state: UniverseState): HauntoloscopeBundle | null {
+  const timeline = state.timeline.present;
+  if (!timeline) return null;
+  const { articles, entryRevisions, documents, ledger } = state;
+  // Deleted entries keep their articles in memory so an undo can bring them back; only the
+  // articles of entries still on the timeline are written out. A story being refiled, or whose
+  // refile failed, is written out as its filed copy.
+  const entryIds = new Set(timeline.entries.map((entry) => entry.id));
+  const filed = Object.entries(articles).filter(([key, value]) => entryIds.has(key) && value.data);
+  return {
+    version: BUNDLE_VERSION,
+    universe_id: state.universeId ?? undefined,
+    lineage: state.lineage ?? undefined,
+    seed_event: state.seed.event,
+    seed: state.seed,
+    seed_summary: state.seedSummary,
+    generated_at: new Date().toISOString(),
+    timeline,
+    articles: Object.fromEntries(filed.map(([key, value]) => [key, value.data as ArticleResponse])),
+    article_fingerprints: Object.fromEntries(
+      filed
+        .filter(([, value]) => value.fingerprint)
+        .map(([key, value]) => [key, value.fingerprint as string])
+    ),
+    provenance: state.provenance,
+    ledger: ledger.facts.length > 0 || ledger.sources.length > 0 ? ledger : undefined,
+    article_revisions: nonEmpty(
+      Object.fromEntries(
+        filed
+          .filter(([, value]) => (value.revisions?.length ?? 0) > 1)
+          .map(([key, value]) => [key, value.revisions as ArticleRevision[]])
+      )
+    ),
+    entry_revisions: nonEmpty(
+      Object.fromEntries(
+        Object.entries(entryRevisions).filter(
+          ([key, versions]) => entryIds.has(key) && versions.length > 1
+        )
+      )
+    ),
+    article_styles: nonEmpty(
+      Object.fromEntries(
+        filed
+          .filter(([, value]) => value.style)
+          .map(([key, value]) => [key, value.style as StyleStamp])
+      )
+    ),
+    documents: nonEmpty(
+      Object.fromEntries(
+        Object.entries(documents).filter(([key, filed]) => entryIds.has(key) && filed.length > 0)
+      )
+    )
+  };
+}
+
+function nonEmpty<T>(record: Record<string, T>) {
+  return Object.keys(record).length > 0 ? record : undefined;
+}
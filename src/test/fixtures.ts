@@ -0,0 +1,34 @@
+import { ArticleResponse, ModelStamp, TimelineEntry, TimelineResponse } from "../types";
+
+export const MODEL: ModelStamp = { provider: "groq", model: "test-model", temperature: 0.7 };
+
+export const STYLE = { id: "broadsheet", name: "Broadsheet" };
+
+export function makeEntry(id: string, overrides: Partial<TimelineEntry> = {}): TimelineEntry {
+  return {
+    id,
+    era: "Late Cold War",
+    title: `Entry ${id}`,
+    summary: `The Volkskammer votes on ${id}. Turnout reaches 91 percent.`,
+    anchorDate: "1989",
+    threads: ["border"],
+    ...overrides
+  };
+}
+
+export function makeTimeline(ids: string[] = ["first", "second", "third"]): TimelineResponse {
+  return {
+    timeline_title: "The Wall Holds",
+    guiding_principle: "Berlin stays divided and the economy bends around the border.",
+    entries: ids.map((id) => makeEntry(id))
+  };
+}
+
+export function makeArticle(headline = "Wall Holds Another Winter"): ArticleResponse {
+  return {
+    headline,
+    dateline: "BERLIN — 9 November 1989",
+    lede: "The border stayed shut.",
+    body: ["Guards held the line.", "Trade slowed."]
+  };
+}
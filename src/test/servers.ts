@@ -0,0 +1,79 @@
+/// <reference types="node" />
+// Starts the repo's own Node servers for tests that exercise them over HTTP.
+import { ChildProcess, spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { join } from "node:path";
+
+// Vitest runs from the repo root; under jsdom `import.meta.url` is not a file URL.
+const SCRIPTS = join(process.cwd(), "scripts");
+
+export type RunningServer = {
+  url: string; // origin, without a trailing slash
+  output: () => string;
+  stop: () => Promise<void>;
+};
+
+export function freePort() {
+  return new Promise<number>((resolve, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const address = probe.address();
+      probe.close(() => resolve(typeof address === "object" && address ? address.port : 0));
+    });
+  });
+}
+
+function stopChild(child: ChildProcess) {
+  return new Promise<void>((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      resolve();
+      return;
+    }
+    child.once("exit", () => resolve());
+    child.kill();
+  });
+}
+
+// Resolves once the script logs the URL it listens on.
+function startScript(script: string, args: string[], env: NodeJS.ProcessEnv = {}) {
+  const child = spawn(process.execPath, [join(SCRIPTS, script), ...args], {
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  return new Promise<RunningServer>((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stopChild(child);
+      reject(new Error(`${script} did not start:\n${output}`));
+    }, 10_000);
+    const read = (chunk: Buffer) => {
+      output += chunk.toString("utf8");
+      const match = output.match(/listening on (http:\/\/[^\s/]+)/i);
+      if (!match) return;
+      clearTimeout(timer);
+      resolve({ url: match[1], output: () => output, stop: () => stopChild(child) });
+    };
+    child.stdout?.on("data", read);
+    child.stderr?.on("data", read);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+// `delay` paces streamed chunks, for tests that need to act while a reply is still arriving.
+export function startMockServer(delay = 0) {
+  return startScript("mock-llm-server.mjs", ["--port", "0", "--delay", String(delay)]);
+}
+
+export async function startProxy(env: NodeJS.ProcessEnv) {
+  const port = await freePort();
+  return startScript("proxy-server.mjs", ["--port", String(port)], {
+    GROQ_API_KEY: "",
+    OPENAI_API_KEY: "",
+    PROXY_ALLOWED_ORIGIN: "",
+    ...env
+  });
+}
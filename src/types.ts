@@ -27,10 +27,167 @@ export type ArticleResponse = {
   pull_quote?: string;
 };
 
+export type DocumentKind =
+  | "opinion"
+  | "letters"
+  | "obituary"
+  | "wire"
+  | "classifieds"
+  | "press_release";
+
+export type OpinionColumn = {
+  kind: "opinion";
+  headline: string;
+  byline: string; // columnist's name and standing
+  standfirst: string;
+  body: string[]; // Markdown paragraphs
+};
+
+export type LettersPage = {
+  kind: "letters";
+  heading: string;
+  letters: {
+    headline: string;
+    body: string; // Markdown
+    signature: string;
+    location: string;
+  }[];
+};
+
+export type Obituary = {
+  kind: "obituary";
+  name: string;
+  lifespan: string; // e.g. "1911–1963"
+  headline: string;
+  body: string[]; // Markdown paragraphs
+  survived_by?: string;
+};
+
+export type WireBrief = {
+  kind: "wire";
+  agency: string;
+  slug: string;
+  dateline: string;
+  body: string[]; // short paragraphs, most important first
+};
+
+export type ClassifiedsPage = {
+  kind: "classifieds";
+  heading: string;
+  ads: {
+    category: string;
+    text: string;
+    contact?: string;
+  }[];
+};
+
+export type PressRelease = {
+  kind: "press_release";
+  issuer: string;
+  headline: string;
+  release_date: string;
+  body: string[]; // Markdown paragraphs
+  contact?: string;
+};
+
+export type EntryDocument =
+  | OpinionColumn
+  | LettersPage
+  | Obituary
+  | WireBrief
+  | ClassifiedsPage
+  | PressRelease;
+
+// A document commissioned alongside an entry's front-page feature.
+export type FiledDocument = {
+  id: string;
+  filed_at: string;
+  document: EntryDocument;
+};
+
+export type ModelStamp = {
+  provider: string;
+  model: string;
+  temperature: number;
+};
+
+// Which house style filed an article; the name is kept so a deleted style still reads.
+export type StyleStamp = {
+  id: string;
+  name: string;
+};
+
+export type BundleProvenance = {
+  prompt_version: string;
+  timeline?: ModelStamp;
+  article?: ModelStamp;
+  interpolation?: ModelStamp;
+};
+
+export type UniverseLineage = {
+  parent_id: string;
+  fork_entry_id: string;
+  divergence: string;
+};
+
+export type LedgerKind = "person" | "organization" | "statistic" | "place" | "quote";
+
+export type LedgerFact = {
+  id: string;
+  kind: LedgerKind;
+  name: string; // who or what the fact is about; the speaker for quotes
+  detail: string; // role, description, figure or quoted words
+  entry_ids: string[];
+  edited?: boolean;
+};
+
+export type ContinuityLedger = {
+  facts: LedgerFact[];
+  sources: string[]; // entry ids whose articles have been mined
+};
+
+export type ArticleRevision = {
+  article: ArticleResponse;
+  note?: string; // editorial note the version answered; absent for a plain filing
+  filed_at: string;
+  fingerprint?: string;
+  style?: StyleStamp;
+};
+
+export type EntryRevision = {
+  entry: TimelineEntry;
+  note?: string;
+  revised_at: string;
+};
+
+// "invert": the seed happened, and this world is the one where it did not. "affirm": the seed as
+// written is what happened, whether it negates a real event or describes one that never was.
+export type SeedInterpretation = "invert" | "affirm";
+
+export type SeedParameters = {
+  event: string;
+  interpretation: SeedInterpretation;
+  divergence_date?: string;
+  region?: string;
+  horizon?: string; // how far the timeline runs, e.g. "forty years" or "to 2030"
+  entry_count?: number;
+};
+
 export type HauntoloscopeBundle = {
+  version: number;
+  universe_id?: string;
+  lineage?: UniverseLineage;
   seed_event: string;
+  seed?: SeedParameters; // absent from bundles made before the seed builder
   seed_summary?: string;
   generated_at: string;
   timeline: TimelineResponse;
   articles: Record<string, ArticleResponse>;
+  article_fingerprints?: Record<string, string>; // entry fingerprint each article was filed from
+  provenance?: BundleProvenance;
+  ledger?: ContinuityLedger;
+  article_revisions?: Record<string, ArticleRevision[]>; // every version, for articles with several
+  entry_revisions?: Record<string, EntryRevision[]>;
+  article_styles?: Record<string, StyleStamp>; // house style each current article was filed in
+  documents?: Record<string, FiledDocument[]>; // opinion, letters, obituaries and the rest
 };
@@ -0,0 +1,17 @@
+import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+// Builds src/api.ts for Node; scripts/hauntoloscope.mjs loads the result.
+export default defineConfig({
+  plugins: [react()],
+  publicDir: false,
+  build: {
+    ssr: "src/api.ts",
+    outDir: "dist-api",
+    rollupOptions: {
+      output: {
+        entryFileNames: "api.mjs"
+      }
+    }
+  }
+});